@@ -0,0 +1,48 @@
+// alertAccess.test.js in the 'backend/__tests__' folder
+// GET /api/alerts: rule webhook URLs, which can carry tokens, are only listed for admins
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+const { hashPassword } = require('../auth/local');
+
+const WEBHOOK_URL = 'https://hooks.slack.example/services/T000/B000/secret-token';
+
+let api;
+const cookies = {};
+
+test.before(async () => {
+    api = await startServer({
+        AUTH_MODE: 'local',
+        AUTH_SESSION_SECRET: 'alerts-test-secret-of-at-least-32-characters',
+        AUTH_USERS: JSON.stringify([
+            { username: 'vic', role: 'viewer', passwordHash: hashPassword('pw-vic') },
+            { username: 'root', role: 'admin', passwordHash: hashPassword('pw-root') }
+        ]),
+        ALERT_RULES: JSON.stringify([
+            { id: 'failed-spike', type: 'spike', field: 'status', value: 'failed', threshold: 2, webhookUrl: WEBHOOK_URL }
+        ])
+    });
+    for (const username of ['vic', 'root']) {
+        const response = await api.request('POST', '/api/auth/login', { username, password: `pw-${username}` });
+        assert.strictEqual(response.status, 200);
+        cookies[username] = response.headers.get('set-cookie').split(';')[0];
+    }
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+test('viewers get the rules without their webhook URL', async () => {
+    const response = await api.request('GET', '/api/alerts', undefined, { Cookie: cookies.vic });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.rules.map(rule => rule.id), ['failed-spike']);
+    assert.strictEqual(response.body.rules[0].webhookUrl, undefined);
+    assert.ok(!JSON.stringify(response.body).includes('secret-token'));
+});
+
+test('admins get the webhook URL of each rule', async () => {
+    const response = await api.request('GET', '/api/alerts', undefined, { Cookie: cookies.root });
+    assert.strictEqual(response.body.rules[0].webhookUrl, WEBHOOK_URL);
+});
@@ -0,0 +1,74 @@
+// alerts.test.js in the 'backend/__tests__' folder
+// Alert rules: webhook payload, per-rule cooldown and environment checks
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer, startHttpSink } = require('./helpers');
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+let api;
+let sink;
+
+test.before(async () => {
+    sink = await startHttpSink();
+    delete process.env.ENABLE_PRD;
+    api = await startServer({
+        ALERT_WEBHOOK_URL: sink.url,
+        ALERT_RULES: JSON.stringify([
+            { id: 'failed-spike', type: 'spike', field: 'status', value: 'failed', windowHours: 1, threshold: 2, cooldownMinutes: 60 },
+            { id: 'prd-failed-spike', type: 'spike', environment: 'PRD', field: 'status', value: 'failed', threshold: 1 },
+            { id: 'qa-failed-spike', type: 'spike', environment: 'QA', field: 'status', value: 'failed', threshold: 1 }
+        ])
+    });
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({ order_no: '00000001', status: 'failed', creation_date: minutesAgo(5) }),
+            buildOrder({ order_no: '00000002', status: 'failed', creation_date: minutesAgo(10) }),
+            buildOrder({ order_no: '00000003', status: 'failed', creation_date: minutesAgo(20) }),
+            buildOrder({ order_no: '00000004', status: 'completed', creation_date: minutesAgo(30) }),
+            buildOrder({ order_no: '00000005', status: 'failed', creation_date: minutesAgo(180) }) // Outside the window
+        ],
+        PRD: [
+            buildOrder({ order_no: '90000001', status: 'failed', creation_date: minutesAgo(5) })
+        ]
+    });
+});
+
+test.after(async () => {
+    await api.close();
+    await sink.close();
+});
+
+test('rules for an unknown environment or PRD without ENABLE_PRD are not loaded', async () => {
+    const response = await api.request('GET', '/api/alerts');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.rules.map(rule => rule.id), ['failed-spike']);
+});
+
+test('a matching rule posts the alert to the webhook', async () => {
+    const response = await api.request('POST', '/api/alerts/run');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.triggered.map(alert => alert.ruleId), ['failed-spike']);
+    assert.strictEqual(response.body.triggered[0].delivery.status, 'delivered');
+
+    assert.strictEqual(sink.requests.length, 1);
+    const { method, body } = sink.requests[0];
+    assert.strictEqual(method, 'POST');
+    assert.strictEqual(body.alert.ruleId, 'failed-spike');
+    assert.strictEqual(body.alert.type, 'spike');
+    assert.strictEqual(body.alert.environment, 'DEV');
+    assert.strictEqual(body.alert.count, 3);
+    assert.deepStrictEqual(body.alert.orderNumbers.sort(), ['00000001', '00000002', '00000003']);
+    assert.match(body.alert.message, /3 order\(s\) with status = failed in the last 1h/);
+});
+
+test('a rule that fired is not delivered again within its cooldown', async () => {
+    const response = await api.request('POST', '/api/alerts/run');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.triggered, []);
+    assert.strictEqual(sink.requests.length, 1);
+
+    const alerts = await api.request('GET', '/api/alerts');
+    assert.deepStrictEqual(alerts.body.alerts.map(alert => alert.ruleId), ['failed-spike']);
+});
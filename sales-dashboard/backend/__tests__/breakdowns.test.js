@@ -0,0 +1,71 @@
+// breakdowns.test.js in the 'backend/__tests__' folder
+// Breakdowns of /api/orders/summary: products and payment methods
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+
+let api;
+
+test.before(async () => {
+    api = await startServer({ REPORT_TIMEZONE: 'UTC', PAYMENT_METHOD_VALUES: 'COD, GCASH,,CREDIT_CARD' });
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({
+                order_no: '00000001',
+                creation_date: '2025-01-10T02:00:00.000Z',
+                order_total: 1300,
+                product_items: [
+                    { product_id: 'PHONE-1', product_name: 'Phone', quantity: 1, price: 1000, price_after_order_discount: 600 },
+                    { product_id: 'SIM-1', product_name: 'SIM', quantity: 2, price: 200 },
+                    { product_id: 'SIM-1', product_name: 'SIM', quantity: 1, price: 200 }
+                ],
+                payment_instruments: [
+                    { payment_method_id: 'CREDIT_CARD', amount: 1000 },
+                    { payment_method_id: 'GCASH', amount: 300 }
+                ]
+            }),
+            buildOrder({
+                order_no: '00000002',
+                creation_date: '2025-01-11T02:00:00.000Z',
+                order_total: 500,
+                product_items: [{ product_id: 'SIM-1', product_name: 'SIM', quantity: 1, price: 500 }],
+                payment_instruments: [{ payment_method_id: 'GCASH' }]
+            })
+        ]
+    });
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+const RANGE = { startDate: '2025-01-10T00:00:00.000Z', endDate: '2025-01-11T23:59:59.999Z', environment: 'DEV' };
+
+test('products are ranked by revenue after discounts, counting an order once per product', async () => {
+    const response = await api.request('POST', '/api/orders/summary', RANGE);
+    assert.deepStrictEqual(response.body.productBreakdown, [
+        { productId: 'SIM-1', productName: 'SIM', units: 4, revenue: 900, orders: 2, revenueShare: 60 },
+        { productId: 'PHONE-1', productName: 'Phone', units: 1, revenue: 600, orders: 1, revenueShare: 40 }
+    ]);
+});
+
+test('split tenders share out the revenue by instrument amount', async () => {
+    const response = await api.request('POST', '/api/orders/summary', RANGE);
+    assert.deepStrictEqual(response.body.paymentBreakdown, [
+        { paymentMethod: 'CREDIT_CARD', orders: 1, revenue: 1000 },
+        { paymentMethod: 'GCASH', orders: 2, revenue: 800 } // The single instrument without an amount takes the order total
+    ]);
+    assert.deepStrictEqual(response.body.paymentMethods, ['CREDIT_CARD', 'GCASH']);
+});
+
+test('the payment method filter keeps orders paid (partly) with that method', async () => {
+    const response = await api.request('POST', '/api/orders/summary', { ...RANGE, paymentMethod: 'CREDIT_CARD' });
+    assert.strictEqual(response.body.kpis.totalOrders, 1);
+    assert.strictEqual(response.body.kpis.totalRevenue, 1300);
+});
+
+test('the payment method list comes from PAYMENT_METHOD_VALUES', async () => {
+    const response = await api.request('GET', '/api/config/fields');
+    assert.deepStrictEqual(response.body.paymentMethods, ['COD', 'GCASH', 'CREDIT_CARD']);
+});
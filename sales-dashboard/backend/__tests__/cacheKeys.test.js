@@ -0,0 +1,79 @@
+// cacheKeys.test.js in the 'backend/__tests__' folder
+// Equivalent filter selections share one cached result; different ones don't
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+
+let api;
+
+test.before(async () => {
+    api = await startServer({ TERM_QUERY_FIELD_REGION: 'c_region' });
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({ order_no: '00000001', c_region: 'North', creation_date: '2025-01-10T02:00:00.000Z' }),
+            buildOrder({ order_no: '00000002', c_region: 'South', creation_date: '2025-01-11T02:00:00.000Z' }),
+            buildOrder({ order_no: '00000003', c_region: 'Visayas', status: 'failed', creation_date: '2025-01-12T02:00:00.000Z' })
+        ]
+    });
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+test.beforeEach(async () => {
+    await api.request('DELETE', '/api/cache/clear');
+});
+
+const JANUARY = { startDate: '2025-01-01T00:00:00.000Z', endDate: '2025-01-31T23:59:59.999Z', environment: 'DEV' };
+
+/**
+ * Fetches the orders of each filter set in turn
+ * @param {Array} filterSets - Request bodies, added to JANUARY
+ * @returns {Promise<Array>} - Whether each response came from the cache
+ */
+const fetchEach = async (filterSets) => {
+    const fromCache = [];
+    for (const filters of filterSets) {
+        const response = await api.request('POST', '/api/orders', { ...JANUARY, ...filters });
+        assert.strictEqual(response.status, 200);
+        fromCache.push(response.body.cache.fromCache);
+    }
+    return fromCache;
+};
+
+test('a single value, an array and an include selection share a key', async () => {
+    assert.deepStrictEqual(await fetchEach([
+        { region: 'North' },
+        { region: ['North'] },
+        { region: { mode: 'include', values: [' North '] } }
+    ]), [false, true, true]);
+});
+
+test('values in any order, or repeated, share a key', async () => {
+    assert.deepStrictEqual(await fetchEach([
+        { region: ['North', 'South'] },
+        { region: ['South', 'North', 'South'] },
+        { region: { values: ['South', 'North'] } }
+    ]), [false, true, true]);
+});
+
+test('include and exclude of the same values have their own keys', async () => {
+    assert.deepStrictEqual(await fetchEach([
+        { region: { mode: 'include', values: ['North'] } },
+        { region: { mode: 'exclude', values: ['North'] } }
+    ]), [false, false]);
+});
+
+test('a field sent without values is not the same as a field left to its default', async () => {
+    // status defaults to excluding created and failed orders; an empty selection has no status filter
+    const [withDefault, withoutFilter] = [
+        await api.request('POST', '/api/orders', { ...JANUARY }),
+        await api.request('POST', '/api/orders', { ...JANUARY, status: [] })
+    ];
+    assert.strictEqual(withDefault.body.cache.fromCache, false);
+    assert.strictEqual(withoutFilter.body.cache.fromCache, false);
+    assert.strictEqual(withDefault.body.hits.length, 2);
+    assert.strictEqual(withoutFilter.body.hits.length, 3);
+});
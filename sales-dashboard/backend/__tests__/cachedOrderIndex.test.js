@@ -0,0 +1,71 @@
+// cachedOrderIndex.test.js in the 'backend/__tests__' folder
+// The index the order detail endpoint reads cached orders through only covers entries the cache still keeps
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+
+// Entries leave the cache 1 second after they are fetched
+const CACHE_TTL_SECONDS = 1;
+
+let api;
+
+test.before(async () => {
+    api = await startServer({ REPORT_TIMEZONE: 'UTC', CACHE_TTL_SECONDS: String(CACHE_TTL_SECONDS), CACHE_STALE_SECONDS: '0' });
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({ order_no: '00000001', creation_date: '2025-01-10T02:00:00.000Z' }),
+            buildOrder({ order_no: '00000002', creation_date: '2025-01-10T03:00:00.000Z' }),
+            buildOrder({ order_no: '00000003', creation_date: '2025-01-11T02:00:00.000Z' }),
+            buildOrder({ order_no: '00000004', creation_date: '2025-01-12T02:00:00.000Z' })
+        ]
+    });
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+/**
+ * Fetches the summary of one day, caching its orders
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {Object} options - Extra request fields (e.g. { refresh: true })
+ */
+const fetchDay = async (day, options = {}) => {
+    const response = await api.request('POST', '/api/orders/summary', {
+        startDate: `${day}T00:00:00.000Z`,
+        endDate: `${day}T23:59:59.999Z`,
+        environment: 'DEV',
+        ...options
+    });
+    assert.strictEqual(response.status, 200);
+};
+
+const getCacheStats = async () => (await api.request('GET', '/api/cache/stats')).body;
+
+test('an entry fetched again replaces its orders in the index instead of adding to them', async () => {
+    await fetchDay('2025-01-10');
+    assert.strictEqual((await getCacheStats()).indexedOrders, 2);
+    await fetchDay('2025-01-10', { refresh: true });
+    await fetchDay('2025-01-10');
+    assert.strictEqual((await getCacheStats()).indexedOrders, 2);
+});
+
+test('a deleted entry takes its orders out of the index', async () => {
+    await fetchDay('2025-01-11');
+    const stats = await getCacheStats();
+    assert.strictEqual(stats.indexedOrders, 3);
+
+    const key = stats.keys.find(cacheKey => cacheKey.includes('2025-01-11T00'));
+    assert.strictEqual((await api.request('DELETE', `/api/cache/clear/${encodeURIComponent(key)}`)).status, 200);
+    assert.strictEqual((await getCacheStats()).indexedOrders, 2);
+});
+
+test('expired entries leave the index when the next entry is cached', async () => {
+    await new Promise(resolve => setTimeout(resolve, CACHE_TTL_SECONDS * 1000 + 100));
+    await fetchDay('2025-01-12');
+    assert.strictEqual((await getCacheStats()).indexedOrders, 1);
+
+    const detail = await api.request('GET', '/api/orders/00000001?environment=DEV');
+    assert.strictEqual(detail.body.source, 'api');
+});
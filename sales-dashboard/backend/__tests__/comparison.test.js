@@ -0,0 +1,79 @@
+// comparison.test.js in the 'backend/__tests__' folder
+// compareTo on /api/orders/summary: the comparison range, its KPIs and the change of each KPI
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+
+let api;
+
+test.before(async () => {
+    api = await startServer({ REPORT_TIMEZONE: 'UTC' });
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({ order_no: '00000001', creation_date: '2024-01-11T10:00:00.000Z', order_total: 400 }),
+            buildOrder({ order_no: '00000002', creation_date: '2025-01-01T10:00:00.000Z', order_total: 2000 }),
+            buildOrder({ order_no: '00000003', creation_date: '2025-01-04T10:00:00.000Z', order_total: 1000 }),
+            buildOrder({ order_no: '00000004', creation_date: '2025-01-10T10:00:00.000Z', order_total: 1000 }),
+            buildOrder({ order_no: '00000005', creation_date: '2025-01-11T10:00:00.000Z', order_total: 500 })
+        ]
+    });
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+const RANGE = { startDate: '2025-01-08T00:00:00.000Z', endDate: '2025-01-11T23:59:59.999Z', environment: 'DEV' };
+
+/**
+ * Fetches the summary compared to another period
+ * @param {string} compareTo - 'previous_period', 'last_week' or 'last_year'
+ * @returns {Promise<Object>} - Comparison part of the summary
+ */
+const fetchComparison = async (compareTo) => {
+    const response = await api.request('POST', '/api/orders/summary', { ...RANGE, compareTo });
+    assert.strictEqual(response.status, 200);
+    return response.body.comparison;
+};
+
+test('previous_period is the same length, ending just before the range', async () => {
+    const comparison = await fetchComparison('previous_period');
+    assert.strictEqual(comparison.startDate, '2025-01-04T00:00:00.000Z');
+    assert.strictEqual(comparison.endDate, '2025-01-07T23:59:59.999Z');
+    assert.strictEqual(comparison.kpis.totalOrders, 1);
+    assert.deepStrictEqual(Object.keys(comparison.dailyMetrics), ['2025-01-04', '2025-01-05', '2025-01-06', '2025-01-07']);
+});
+
+test('last_week and last_year move the range back a week or a year', async () => {
+    const lastWeek = await fetchComparison('last_week');
+    assert.strictEqual(lastWeek.startDate, '2025-01-01T00:00:00.000Z');
+    assert.strictEqual(lastWeek.endDate, '2025-01-04T23:59:59.999Z');
+    assert.strictEqual(lastWeek.kpis.totalRevenue, 3000);
+
+    const lastYear = await fetchComparison('last_year');
+    assert.strictEqual(lastYear.startDate, '2024-01-08T00:00:00.000Z');
+    assert.strictEqual(lastYear.kpis.totalRevenue, 400);
+});
+
+test('deltas give the change and percent change of each KPI', async () => {
+    const comparison = await fetchComparison('last_week');
+    assert.deepStrictEqual(comparison.deltas.totalOrders, { change: 0, percentChange: 0 });
+    assert.deepStrictEqual(comparison.deltas.totalRevenue, { change: -1500, percentChange: -50 });
+    assert.deepStrictEqual(comparison.deltas.avgOrderValue, { change: -750, percentChange: -50 });
+});
+
+test('a change from zero has no percent change', async () => {
+    const response = await api.request('POST', '/api/orders/summary', {
+        ...RANGE,
+        startDate: '2025-01-10T00:00:00.000Z',
+        endDate: '2025-01-10T23:59:59.999Z',
+        compareTo: 'previous_period'
+    });
+    assert.deepStrictEqual(response.body.comparison.deltas.totalOrders, { change: 1, percentChange: null });
+});
+
+test('unknown comparisons are refused', async () => {
+    const response = await api.request('POST', '/api/orders/summary', { ...RANGE, compareTo: 'last_decade' });
+    assert.strictEqual(response.status, 400);
+});
@@ -0,0 +1,111 @@
+// environmentAccess.test.js in the 'backend/__tests__' folder
+// Who may read the orders of each environment, wherever the request names it
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+const { hashPassword } = require('../auth/local');
+
+let api;
+const cookies = {};
+
+test.before(async () => {
+    api = await startServer({
+        ENABLE_PRD: 'true',
+        AUTH_MODE: 'local',
+        AUTH_SESSION_SECRET: 'access-test-secret-of-at-least-32-characters',
+        AUTH_USERS: JSON.stringify([
+            { username: 'vic', role: 'viewer', passwordHash: hashPassword('pw-vic') },
+            { username: 'ana', role: 'analyst', passwordHash: hashPassword('pw-ana') }
+        ])
+    });
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [buildOrder({ order_no: 'D1', creation_date: '2025-01-10T02:00:00.000Z' })],
+        PRD: [buildOrder({ order_no: 'P1', creation_date: '2025-01-10T02:00:00.000Z' })]
+    });
+    for (const username of ['vic', 'ana']) {
+        const response = await api.request('POST', '/api/auth/login', { username, password: `pw-${username}` });
+        assert.strictEqual(response.status, 200);
+        cookies[username] = response.headers.get('set-cookie').split(';')[0];
+    }
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+/**
+ * Calls the API as one of the test users, with a JSON body on any method (fetch refuses one on GET)
+ * @param {string} username - 'vic' or 'ana'
+ * @param {string} method - HTTP method
+ * @param {string} route - Path, with any query string
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} - { status, body }
+ */
+const requestAs = (username, method, route, body) => new Promise((resolve, reject) => {
+    const payload = body !== undefined ? JSON.stringify(body) : '';
+    const req = http.request(`${api.url}${route}`, {
+        method,
+        headers: {
+            Cookie: cookies[username],
+            ...(body !== undefined ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {})
+        }
+    }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+            text += chunk;
+        });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+});
+
+test('viewers read DEV orders but not PRD ones', async () => {
+    assert.strictEqual((await requestAs('vic', 'GET', '/api/orders/D1?environment=DEV')).status, 200);
+    assert.strictEqual((await requestAs('vic', 'GET', '/api/orders/P1?environment=PRD')).status, 403);
+    assert.strictEqual((await requestAs('ana', 'GET', '/api/orders/P1?environment=PRD')).status, 200);
+});
+
+test('a DEV environment in the body does not open a PRD lookup in the query string', async () => {
+    const response = await requestAs('vic', 'GET', '/api/orders/P1?environment=PRD', { environment: 'DEV' });
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.body.order, undefined);
+});
+
+test('a DEV environment in the query string does not open a PRD report in the body', async () => {
+    const response = await requestAs('vic', 'POST', '/api/orders/summary?environment=DEV', {
+        startDate: '2025-01-10T00:00:00.000Z',
+        endDate: '2025-01-10T23:59:59.999Z',
+        environment: 'PRD'
+    });
+    assert.strictEqual(response.status, 403);
+});
+
+test('a viewer is denied the PRD detail lookup however the environment is written', async () => {
+    for (const environment of ['prd', '%20PRD%20']) {
+        const response = await requestAs('vic', 'GET', `/api/orders/P1?environment=${environment}`);
+        assert.strictEqual(response.status, 403);
+        assert.strictEqual(response.body.error, "You don't have access to the PRD environment.");
+    }
+});
+
+test('the detail lookup reads the environment that was authorised', async () => {
+    const response = await requestAs('ana', 'GET', '/api/orders/P1?environment=prd');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.order.order_no, 'P1');
+});
+
+test('environments other than DEV and PRD are refused', async () => {
+    assert.strictEqual((await requestAs('ana', 'GET', '/api/orders/P1?environment=QA')).status, 400);
+    assert.strictEqual((await requestAs('vic', 'GET', '/api/orders/P1?environment=DEV&environment=PRD')).status, 400);
+    const summary = await requestAs('ana', 'POST', '/api/orders/summary', {
+        startDate: '2025-01-10T00:00:00.000Z',
+        endDate: '2025-01-10T23:59:59.999Z',
+        environment: 'QA'
+    });
+    assert.strictEqual(summary.status, 400);
+    assert.strictEqual(summary.body.error, 'Environment must be one of: DEV, PRD.');
+});
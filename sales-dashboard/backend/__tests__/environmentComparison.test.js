@@ -0,0 +1,89 @@
+// environmentComparison.test.js in the 'backend/__tests__' folder
+// POST /api/orders/compare-environments: DEV and PRD side by side, the significant differences, and who may compare
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+const { hashPassword } = require('../auth/local');
+
+let api;
+const cookies = {};
+
+test.before(async () => {
+    api = await startServer({
+        REPORT_TIMEZONE: 'UTC',
+        ENABLE_PRD: 'true',
+        AUTH_MODE: 'local',
+        AUTH_SESSION_SECRET: 'compare-test-secret-of-at-least-32-characters',
+        AUTH_USERS: JSON.stringify([
+            { username: 'vic', role: 'viewer', passwordHash: hashPassword('pw-vic') },
+            { username: 'ana', role: 'analyst', passwordHash: hashPassword('pw-ana') }
+        ])
+    });
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({ order_no: '00000001', creation_date: '2025-01-10T02:00:00.000Z' }),
+            buildOrder({ order_no: '00000002', creation_date: '2025-01-10T03:00:00.000Z' })
+        ],
+        PRD: [
+            buildOrder({ order_no: '00000011', creation_date: '2025-01-10T02:00:00.000Z' }),
+            buildOrder({ order_no: '00000012', creation_date: '2025-01-11T02:00:00.000Z', order_total: 1050 })
+        ]
+    });
+    for (const username of ['vic', 'ana']) {
+        const response = await api.request('POST', '/api/auth/login', { username, password: `pw-${username}` });
+        assert.strictEqual(response.status, 200);
+        cookies[username] = response.headers.get('set-cookie').split(';')[0];
+    }
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+const RANGE = { startDate: '2025-01-10T00:00:00.000Z', endDate: '2025-01-11T23:59:59.999Z' };
+
+/**
+ * Compares the environments as one of the test users
+ * @param {string} username - 'vic' or 'ana'
+ * @param {Object} body - Summary request body
+ * @returns {Promise<Object>} - { status, headers, body }
+ */
+const compareAs = (username, body) => api.request('POST', '/api/orders/compare-environments', body, { Cookie: cookies[username] });
+
+test('both summaries come back side by side for the same filters', async () => {
+    const response = await compareAs('ana', { ...RANGE, environment: 'PRD', compareTo: 'last_week' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.environments.DEV.kpis.totalRevenue, 2000);
+    assert.strictEqual(response.body.environments.PRD.kpis.totalRevenue, 2050);
+    assert.deepStrictEqual(Object.keys(response.body.environments.DEV.dailyMetrics), ['2025-01-10', '2025-01-11']);
+    assert.strictEqual(response.body.environments.DEV.comparison, undefined); // compareTo is ignored
+    assert.strictEqual(response.body.thresholdPercent, 10);
+});
+
+test('differences beyond the threshold share of PRD are flagged', async () => {
+    const { differences } = (await compareAs('ana', RANGE)).body;
+    assert.deepStrictEqual(differences.kpis.totalOrders, { dev: 2, prd: 2, change: 0, percentChange: 0, significant: false });
+    assert.strictEqual(differences.kpis.totalRevenue.change, -50);
+    assert.strictEqual(differences.kpis.totalRevenue.significant, false);
+    assert.deepStrictEqual(differences.dailyMetrics['2025-01-10'].orders, { dev: 2, prd: 1, change: 1, percentChange: 100, significant: true });
+    assert.deepStrictEqual(differences.dailyMetrics['2025-01-11'].orders, { dev: 0, prd: 1, change: -1, percentChange: -100, significant: true });
+});
+
+test('viewers cannot compare, as they have no PRD access', async () => {
+    const response = await compareAs('vic', RANGE);
+    assert.strictEqual(response.status, 403);
+});
+
+test('nobody can compare while ENABLE_PRD is off', async (t) => {
+    process.env.ENABLE_PRD = 'false';
+    t.after(() => {
+        process.env.ENABLE_PRD = 'true';
+    });
+    assert.strictEqual((await compareAs('ana', RANGE)).status, 403);
+});
+
+test('the summary validation applies', async () => {
+    const response = await compareAs('ana', { ...RANGE, granularity: 'minute' });
+    assert.strictEqual(response.status, 400);
+});
@@ -0,0 +1,112 @@
+// export.test.js in the 'backend/__tests__' folder
+// POST /api/orders/export: the Orders Report as CSV or Excel, with the columns of the selected order type
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+
+let api;
+
+test.before(async () => {
+    api = await startServer({ REPORT_TIMEZONE: 'Asia/Manila' });
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({
+                order_no: '00000001',
+                creation_date: '2025-01-10T02:00:00.000Z',
+                c_smartOrderType: 'Prepaid',
+                c_salesOrderNoCSP: 'SO-1',
+                c_SRStatus: 'Closed, "verified"',
+                payment_instruments: [
+                    { payment_method_id: 'COD', amount: 500 },
+                    { payment_method_id: 'GCASH', amount: 500 }
+                ]
+            }),
+            buildOrder({
+                order_no: '00000002',
+                creation_date: '2025-01-10T03:00:00.000Z',
+                c_smartOrderType: 'Postpaid',
+                c_optimaCartID: 'CART-2',
+                c_optimaStatus: 'Active'
+            })
+        ]
+    });
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+// 00:00 to 23:59 on 10 January in Manila
+const RANGE = { startDate: '2025-01-09T16:00:00.000Z', endDate: '2025-01-10T15:59:59.999Z', environment: 'DEV' };
+
+/**
+ * Posts an export request and reads the file
+ * @param {Object} body - Filters and export options
+ * @returns {Promise<Object>} - { status, headers, buffer }
+ */
+const exportOrders = async (body) => {
+    const response = await fetch(`${api.url}/api/orders/export`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, buffer: Buffer.from(await response.arrayBuffer()) };
+};
+
+test('CSV has the Prepaid columns, escaped cells and N/A for missing values', async () => {
+    const { status, headers, buffer } = await exportOrders({ ...RANGE, format: 'csv' });
+    assert.strictEqual(status, 200);
+    assert.match(headers.get('content-type'), /^text\/csv/);
+    assert.strictEqual(headers.get('content-disposition'), 'attachment; filename="orders_DEV_2025-01-10_2025-01-10.csv"');
+
+    const text = buffer.toString('utf8');
+    assert.ok(text.startsWith('\uFEFF'), 'starts with a byte order mark for Excel');
+    assert.deepStrictEqual(text.slice(1).split('\r\n'), [
+        'Order Number,Payment Method,Order Type,CSP Sales Order Number,CSP SR Summary ID,CSP Submission Status,SR Status,Status',
+        '00000001,COD + GCASH,Prepaid,SO-1,N/A,N/A,"Closed, ""verified""",completed',
+        ''
+    ]);
+});
+
+test('Postpaid swaps the CSP columns for the Optima ones', async () => {
+    const { buffer } = await exportOrders({ ...RANGE, orderType: 'Postpaid' });
+    const [header, row] = buffer.toString('utf8').slice(1).split('\r\n');
+    assert.strictEqual(header, 'Order Number,Payment Method,Order Type,Optima Cart ID,Optima Submission Status,Optima Status,Optima SubStatus,Status');
+    assert.strictEqual(row, '00000002,CREDIT_CARD,Postpaid,CART-2,N/A,Active,N/A,completed');
+});
+
+test('Excel has the Orders Report sheet, and a Summary sheet when asked for', async () => {
+    const { headers, buffer } = await exportOrders({ ...RANGE, format: 'xlsx', includeSummary: true });
+    assert.strictEqual(headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    assert.deepStrictEqual(workbook.worksheets.map(sheet => sheet.name), ['Orders Report', 'Summary']);
+
+    const orders = workbook.getWorksheet('Orders Report');
+    assert.strictEqual(orders.rowCount, 2);
+    assert.strictEqual(orders.getRow(2).getCell(1).value, '00000001');
+
+    const summary = workbook.getWorksheet('Summary');
+    assert.deepStrictEqual(summary.getRow(2).values.slice(1), ['Total Orders', 1]);
+    assert.deepStrictEqual(summary.getRow(11).values.slice(1), ['2025-01-10', 1, 1000, 1, 1000]);
+});
+
+test('Excel leaves out the Summary sheet by default', async () => {
+    const { buffer } = await exportOrders({ ...RANGE, format: 'xlsx' });
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    assert.deepStrictEqual(workbook.worksheets.map(sheet => sheet.name), ['Orders Report']);
+});
+
+test('the Orders Report search applies to the export', async () => {
+    const { buffer } = await exportOrders({ ...RANGE, search: 'nothing-matches' });
+    assert.deepStrictEqual(buffer.toString('utf8').slice(1).split('\r\n').slice(1), ['']);
+});
+
+test('unknown formats and missing dates are refused', async () => {
+    assert.strictEqual((await api.request('POST', '/api/orders/export', { ...RANGE, format: 'pdf' })).status, 400);
+    assert.strictEqual((await api.request('POST', '/api/orders/export', { environment: 'DEV' })).status, 400);
+});
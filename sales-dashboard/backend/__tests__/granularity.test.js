@@ -0,0 +1,68 @@
+// granularity.test.js in the 'backend/__tests__' folder
+// Summary buckets: hour, day, ISO week and month, counted in the requested (or business) timezone
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+
+let api;
+
+test.before(async () => {
+    api = await startServer({ REPORT_TIMEZONE: 'Asia/Manila' });
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({ order_no: '00000001', creation_date: '2024-12-30T03:00:00.000Z' }), // Monday of ISO week 2025-W01
+            buildOrder({ order_no: '00000002', creation_date: '2024-12-31T17:30:00.000Z' }), // 01:30 on 1 January in Manila
+            buildOrder({ order_no: '00000003', creation_date: '2025-01-06T01:00:00.000Z' }) // Week 2
+        ]
+    });
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+const RANGE = { startDate: '2024-12-30T00:00:00.000Z', endDate: '2025-01-06T23:59:59.999Z', environment: 'DEV' };
+
+/**
+ * Fetches the buckets with orders for a granularity and timezone
+ * @param {string} granularity - 'hour', 'day', 'week' or 'month'
+ * @param {string} timezone - IANA timezone name, or undefined for the business timezone
+ * @returns {Promise<Object>} - { [bucket]: orders } of the non-empty buckets, and the response
+ */
+const fetchBuckets = async (granularity, timezone) => {
+    const response = await api.request('POST', '/api/orders/summary', { ...RANGE, granularity, timezone });
+    assert.strictEqual(response.status, 200);
+    const buckets = {};
+    Object.entries(response.body.dailyMetrics).forEach(([key, metrics]) => {
+        if (metrics.orders > 0) buckets[key] = metrics.orders;
+    });
+    return { buckets, response };
+};
+
+test('days are counted in the business timezone by default', async () => {
+    const { buckets, response } = await fetchBuckets('day');
+    assert.strictEqual(response.body.timezone, 'Asia/Manila');
+    assert.deepStrictEqual(buckets, { '2024-12-30': 1, '2025-01-01': 1, '2025-01-06': 1 });
+});
+
+test('another timezone moves orders to the day they fell on there', async () => {
+    const { buckets } = await fetchBuckets('day', 'UTC');
+    assert.deepStrictEqual(buckets, { '2024-12-30': 1, '2024-12-31': 1, '2025-01-06': 1 });
+});
+
+test('hours, ISO weeks and months', async () => {
+    assert.deepStrictEqual((await fetchBuckets('hour')).buckets, { '2024-12-30 11:00': 1, '2025-01-01 01:00': 1, '2025-01-06 09:00': 1 });
+    assert.deepStrictEqual((await fetchBuckets('week')).buckets, { '2025-W01': 2, '2025-W02': 1 });
+    assert.deepStrictEqual((await fetchBuckets('month', 'UTC')).buckets, { '2024-12': 2, '2025-01': 1 });
+});
+
+test('empty buckets are filled across the whole range', async () => {
+    const { response } = await fetchBuckets('hour', 'UTC');
+    assert.strictEqual(Object.keys(response.body.dailyMetrics).length, 8 * 24);
+});
+
+test('unknown granularities and timezones are refused', async () => {
+    assert.strictEqual((await api.request('POST', '/api/orders/summary', { ...RANGE, granularity: 'minute' })).status, 400);
+    assert.strictEqual((await api.request('POST', '/api/orders/summary', { ...RANGE, timezone: 'Mars/Olympus' })).status, 400);
+});
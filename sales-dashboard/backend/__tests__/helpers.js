@@ -0,0 +1,204 @@
+// helpers.js in the 'backend/__tests__' folder
+// Shared setup for the server tests: the API runs on the fixtures data source with every file it writes in a temporary folder.
+// node --test runs each test file in its own process, so each file can start the server with its own environment.
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Creates a temporary folder that is removed when the test process exits
+ * @param {string} name - Folder name prefix
+ * @returns {string} - Folder path
+ */
+const createTempDir = (name) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `sales-dashboard-${name}-`));
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+/**
+ * Writes fixture orders for the fixtures data source
+ * @param {string} dir - FIXTURES_DIR
+ * @param {Object} ordersByEnvironment - { DEV: [orders], PRD: [orders] }
+ */
+const writeFixtureOrders = (dir, ordersByEnvironment) => {
+    Object.entries(ordersByEnvironment).forEach(([environment, orders]) => {
+        const environmentDir = path.join(dir, environment.toLowerCase());
+        fs.mkdirSync(environmentDir, { recursive: true });
+        fs.writeFileSync(path.join(environmentDir, 'orders.json'), JSON.stringify(orders));
+    });
+};
+
+/**
+ * Builds a fixture order with the fields the summaries read
+ * @param {Object} fields - Fields to set or override
+ * @returns {Object} - Order document
+ */
+const buildOrder = (fields = {}) => ({
+    order_no: '00000001',
+    status: 'completed',
+    creation_date: new Date().toISOString(),
+    order_total: 1000,
+    product_total: 1000,
+    c_smartOrderType: 'Prepaid', // The dashboard's default order type
+    payment_instruments: [{ payment_instrument_id: 'pi-1', payment_method_id: 'CREDIT_CARD', amount: 1000 }],
+    product_items: [{ product_id: 'SIM-1', product_name: 'SIM', quantity: 1, price: 1000 }],
+    customer_info: { email: 'customer@example.com' },
+    ...fields
+});
+
+/**
+ * Starts the API on a free port. Call once per test file, after the file's own process.env settings.
+ * @param {Object} env - Environment variables to set before the server is loaded
+ * @returns {Promise<Object>} - { url, fixturesDir, request, close }
+ */
+const startServer = async (env = {}) => {
+    // Node 20's test runner reads test results from stdout and can fail to parse them between the server's log lines
+    console.log = console.error;
+
+    const dataDir = createTempDir('data');
+    Object.assign(process.env, {
+        DATA_SOURCE: 'fixtures',
+        FIXTURES_DIR: path.join(dataDir, 'fixtures'),
+        TERM_QUERY_FIELD_ORDER_TYPE: 'c_smartOrderType', // As in env.example
+        CACHE_BACKEND: 'memory',
+        AUTH_MODE: 'none',
+        AUDIT_LOG_DIR: path.join(dataDir, 'audit'),
+        SAVED_VIEWS_FILE: path.join(dataDir, 'saved-views.json'),
+        REPORT_SCHEDULES_FILE: path.join(dataDir, 'report-schedules.json'),
+        REPORT_TIMEZONE: 'Asia/Manila'
+    }, env);
+
+    const app = require('../server');
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * Calls the API
+     * @param {string} method - HTTP method
+     * @param {string} route - Path, e.g. '/api/orders/summary'
+     * @param {Object} body - JSON body
+     * @param {Object} headers - Extra headers
+     * @returns {Promise<Object>} - { status, headers, body }
+     */
+    const request = async (method, route, body, headers = {}) => {
+        const response = await fetch(`${url}${route}`, {
+            method,
+            headers: body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // Not JSON (e.g. an HTML preview)
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    };
+
+    const close = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+    });
+
+    return { url, fixturesDir: process.env.FIXTURES_DIR, request, close };
+};
+
+/**
+ * Starts a local HTTP server that records the JSON bodies posted to it (e.g. an alert webhook)
+ * @returns {Promise<Object>} - { url, requests, close }
+ */
+const startHttpSink = async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+            res.writeHead(204);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(() => resolve());
+        })
+    };
+};
+
+/**
+ * Starts a local SMTP server that accepts every message and records it (e.g. a scheduled report)
+ * @returns {Promise<Object>} - { host, port, messages: [{ from, to, data }], close }
+ */
+const startSmtpSink = async () => {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let message = null; // The message being received: set between MAIL FROM and the end of its DATA
+        let readingData = false;
+        const reply = (line) => socket.write(`${line}\r\n`);
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            if (readingData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) return;
+                message.data = buffer.slice(0, end);
+                messages.push(message);
+                buffer = buffer.slice(end + 5);
+                readingData = false;
+                reply('250 OK: queued');
+            }
+            let lineEnd;
+            while (!readingData && (lineEnd = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, lineEnd);
+                buffer = buffer.slice(lineEnd + 2);
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    reply('250 smtp-sink');
+                } else if (command === 'MAIL') {
+                    message = { from: line.slice(line.indexOf(':') + 1).trim(), to: [] };
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    message.to.push(line.slice(line.indexOf(':') + 1).trim());
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    readingData = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK'); // RSET, NOOP
+                }
+            }
+        });
+        reply('220 smtp-sink ESMTP');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        host: '127.0.0.1',
+        port: server.address().port,
+        messages,
+        close: () => new Promise(resolve => server.close(() => resolve()))
+    };
+};
+
+module.exports = {
+    createTempDir,
+    writeFixtureOrders,
+    buildOrder,
+    startServer,
+    startHttpSink,
+    startSmtpSink
+};
@@ -0,0 +1,111 @@
+// orderCache.test.js in the 'backend/__tests__' folder
+// Order cache: identical requests in flight share one fetch, and expired entries are served while a background refresh runs
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+
+// Entries are fresh for 1 second, then served stale
+const CACHE_TTL_SECONDS = 1;
+
+let api;
+let fixturesSource;
+let search;
+
+// Every page the server requests from the fixtures data source; a held search waits until it is released
+const searches = [];
+let holdSearches = null;
+
+test.before(async () => {
+    api = await startServer({ REPORT_TIMEZONE: 'UTC', CACHE_TTL_SECONDS: String(CACHE_TTL_SECONDS), CACHE_STALE_SECONDS: '60' });
+    // Loaded after startServer, which sets the FIXTURES_DIR the module reads
+    fixturesSource = require('../dataSources/fixtures');
+    search = fixturesSource.search;
+    fixturesSource.search = async (...args) => {
+        searches.push(args[1]);
+        if (holdSearches) await holdSearches;
+        return search(...args);
+    };
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({ order_no: '00000001', creation_date: '2025-01-10T02:00:00.000Z' }),
+            buildOrder({ order_no: '00000002', creation_date: '2025-01-11T02:00:00.000Z' })
+        ]
+    });
+});
+
+test.after(async () => {
+    fixturesSource.search = search;
+    await api.close();
+});
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('identical requests in flight share one fetch', async () => {
+    const range = { startDate: '2025-01-10T00:00:00.000Z', endDate: '2025-01-10T23:59:59.999Z', environment: 'DEV' };
+    let release;
+    holdSearches = new Promise(resolve => {
+        release = resolve;
+    });
+    searches.length = 0;
+
+    const first = api.request('POST', '/api/orders/summary', range);
+    const second = api.request('POST', '/api/orders/summary', range);
+    while (searches.length === 0) await wait(10);
+    await wait(50); // Let the second request reach the server while the first fetch is held
+    holdSearches = null;
+    release();
+
+    const responses = await Promise.all([first, second]);
+    assert.strictEqual(searches.length, 1);
+    responses.forEach(response => {
+        assert.strictEqual(response.body.kpis.totalOrders, 1);
+        assert.strictEqual(response.body.cache.fromCache, false);
+    });
+    assert.strictEqual(responses[0].body.cache.fetchedAt, responses[1].body.cache.fetchedAt);
+});
+
+test('cached entries carry their age and expiry, and refresh skips them', async () => {
+    const range = { startDate: '2025-01-11T00:00:00.000Z', endDate: '2025-01-11T23:59:59.999Z', environment: 'DEV' };
+    const fetched = await api.request('POST', '/api/orders/summary', range);
+    searches.length = 0;
+
+    const cached = await api.request('POST', '/api/orders/summary', range);
+    assert.strictEqual(searches.length, 0);
+    assert.strictEqual(cached.body.cache.fromCache, true);
+    assert.strictEqual(cached.body.cache.stale, false);
+    assert.strictEqual(cached.body.cache.fetchedAt, fetched.body.cache.fetchedAt);
+    assert.strictEqual(
+        new Date(cached.body.cache.expiresAt) - new Date(cached.body.cache.fetchedAt),
+        CACHE_TTL_SECONDS * 1000
+    );
+
+    const refreshed = await api.request('POST', '/api/orders/summary', { ...range, refresh: true });
+    assert.strictEqual(searches.length, 1);
+    assert.strictEqual(refreshed.body.cache.fromCache, false);
+});
+
+test('expired entries are returned straight away while a background refresh fetches them again', async () => {
+    const range = { startDate: '2025-01-10T00:00:00.000Z', endDate: '2025-01-11T23:59:59.999Z', environment: 'DEV' };
+    const fetched = await api.request('POST', '/api/orders/summary', range);
+    await wait(CACHE_TTL_SECONDS * 1000 + 100);
+    searches.length = 0;
+
+    const stale = await api.request('POST', '/api/orders/summary', range);
+    assert.strictEqual(stale.body.kpis.totalOrders, 2);
+    assert.strictEqual(stale.body.cache.fromCache, true);
+    assert.strictEqual(stale.body.cache.stale, true);
+    assert.strictEqual(stale.body.cache.fetchedAt, fetched.body.cache.fetchedAt);
+    assert.ok(stale.body.cache.ageSeconds >= CACHE_TTL_SECONDS);
+
+    await wait(100); // The background refresh
+    assert.strictEqual(searches.length, 1);
+    const fresh = await api.request('POST', '/api/orders/summary', range);
+    assert.strictEqual(fresh.body.cache.stale, false);
+    assert.ok(new Date(fresh.body.cache.fetchedAt) > new Date(fetched.body.cache.fetchedAt));
+});
@@ -0,0 +1,78 @@
+// orderDetail.test.js in the 'backend/__tests__' folder
+// GET /api/orders/:orderNo: served from the cached result that holds the order, otherwise from the data source
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+
+let api;
+
+test.before(async () => {
+    api = await startServer();
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({
+                order_no: '00000001',
+                creation_date: '2025-01-10T02:00:00.000Z',
+                product_items: [
+                    { product_id: 'PHONE-1', product_name: 'Phone', quantity: 1, price: 800 },
+                    { product_id: 'SIM-1', product_name: 'SIM', quantity: 2, price: 100 }
+                ],
+                payment_instruments: [
+                    { payment_method_id: 'COD', amount: 600 },
+                    { payment_method_id: 'GCASH', amount: 400 }
+                ],
+                c_submissionStatusCSP: 'SUCCESS'
+            }),
+            buildOrder({ order_no: '00000002', creation_date: '2025-01-11T02:00:00.000Z' }),
+            buildOrder({ order_no: '00000003', creation_date: '2025-02-10T02:00:00.000Z' })
+        ]
+    });
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+const JANUARY = { startDate: '2025-01-01T00:00:00.000Z', endDate: '2025-01-31T23:59:59.999Z', environment: 'DEV' };
+
+test('orders of a cached result are read from the cache', async () => {
+    const orders = await api.request('POST', '/api/orders', JANUARY);
+    assert.strictEqual(orders.status, 200);
+    assert.strictEqual(orders.body.hits.length, 2);
+
+    const detail = await api.request('GET', '/api/orders/00000002?environment=DEV');
+    assert.strictEqual(detail.status, 200);
+    assert.strictEqual(detail.body.source, 'cache');
+    assert.strictEqual(detail.body.order.order_no, '00000002');
+});
+
+test('orders outside the cached results come from the data source', async () => {
+    const detail = await api.request('GET', '/api/orders/00000003?environment=DEV');
+    assert.strictEqual(detail.status, 200);
+    assert.strictEqual(detail.body.source, 'api');
+    assert.strictEqual(detail.body.order.order_no, '00000003');
+});
+
+test('the detail has every line item and payment instrument, not just the first', async () => {
+    const detail = await api.request('GET', '/api/orders/00000001?environment=DEV');
+    assert.strictEqual(detail.body.source, 'cache');
+    const { order } = detail.body;
+    assert.deepStrictEqual(order.product_items.map(item => [item.product_id, item.quantity, item.price]), [['PHONE-1', 1, 800], ['SIM-1', 2, 100]]);
+    assert.deepStrictEqual(order.payment_instruments.map(instrument => [instrument.payment_method_id, instrument.amount]), [['COD', 600], ['GCASH', 400]]);
+    assert.strictEqual(order.c_submissionStatusCSP, 'SUCCESS');
+});
+
+test('an order is no longer read from the cache once it is cleared', async () => {
+    const cleared = await api.request('DELETE', '/api/cache/clear');
+    assert.strictEqual(cleared.status, 200);
+
+    const detail = await api.request('GET', '/api/orders/00000002?environment=DEV');
+    assert.strictEqual(detail.status, 200);
+    assert.strictEqual(detail.body.source, 'api');
+});
+
+test('an unknown order is a 404', async () => {
+    const detail = await api.request('GET', '/api/orders/99999999?environment=DEV');
+    assert.strictEqual(detail.status, 404);
+});
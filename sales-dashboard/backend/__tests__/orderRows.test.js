@@ -0,0 +1,68 @@
+// orderRows.test.js in the 'backend/__tests__' folder
+// POST /api/orders/rows: the table's columns, paging, sorting and search
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+
+let api;
+
+test.before(async () => {
+    api = await startServer();
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({ order_no: '00000001', c_smartOrderType: 'Prepaid', c_salesOrderNoCSP: 'SO111', creation_date: '2025-01-10T02:00:00.000Z' }),
+            buildOrder({ order_no: '00000002', c_smartOrderType: 'Prepaid', c_salesOrderNoCSP: 'SO222', creation_date: '2025-01-11T02:00:00.000Z' }),
+            buildOrder({ order_no: '00000003', c_smartOrderType: 'Prepaid', c_salesOrderNoCSP: 'SO333', creation_date: '2025-01-12T02:00:00.000Z' }),
+            buildOrder({ order_no: '00000004', c_smartOrderType: 'Postpaid', c_optimaCartID: 'CART4', creation_date: '2025-01-12T03:00:00.000Z' })
+        ]
+    });
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+const JANUARY = { startDate: '2025-01-01T00:00:00.000Z', endDate: '2025-01-31T23:59:59.999Z', environment: 'DEV' };
+
+test('columns follow the order type, like the export', async () => {
+    const prepaid = await api.request('POST', '/api/orders/rows', { ...JANUARY, orderType: 'Prepaid' });
+    assert.strictEqual(prepaid.status, 200);
+    const prepaidKeys = prepaid.body.columns.map(column => column.key);
+    assert.ok(prepaidKeys.includes('c_salesOrderNoCSP'));
+    assert.ok(!prepaidKeys.includes('c_optimaCartID'));
+    assert.deepStrictEqual(prepaid.body.columns[0], { key: 'order_no', label: 'Order Number' });
+
+    const postpaid = await api.request('POST', '/api/orders/rows', { ...JANUARY, orderType: 'Postpaid' });
+    const postpaidKeys = postpaid.body.columns.map(column => column.key);
+    assert.ok(postpaidKeys.includes('c_optimaCartID'));
+    assert.ok(!postpaidKeys.includes('c_salesOrderNoCSP'));
+
+    const exported = await api.request('POST', '/api/orders/export', { ...JANUARY, orderType: 'Postpaid', format: 'csv' });
+    assert.strictEqual(exported.body.replace('﻿', '').split('\r\n')[0], postpaid.body.columns.map(column => column.label).join(','));
+});
+
+test('pages are sorted and counted', async () => {
+    const response = await api.request('POST', '/api/orders/rows', {
+        ...JANUARY,
+        orderType: 'Prepaid',
+        page: 2,
+        pageSize: 2,
+        sortBy: 'order_no',
+        sortOrder: 'asc'
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.rows.map(row => row.order_no), ['00000003']);
+    assert.strictEqual(response.body.total, 3);
+    assert.strictEqual(response.body.totalPages, 2);
+});
+
+test('search matches CSP ids', async () => {
+    const response = await api.request('POST', '/api/orders/rows', { ...JANUARY, orderType: 'Prepaid', search: 'so222' });
+    assert.deepStrictEqual(response.body.rows.map(row => row.order_no), ['00000002']);
+});
+
+test('start and end dates are required', async () => {
+    const response = await api.request('POST', '/api/orders/rows', { environment: 'DEV' });
+    assert.strictEqual(response.status, 400);
+});
@@ -0,0 +1,79 @@
+// reportViews.test.js in the 'backend/__tests__' folder
+// Report schedules only take the filters of saved views their author can see
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+const { hashPassword } = require('../auth/local');
+
+let api;
+const cookies = {};
+
+test.before(async () => {
+    delete process.env.SMTP_HOST; // Schedules are saved disabled, so no mail server is needed
+    api = await startServer({
+        REPORT_SCHEDULER_ENABLED: 'false',
+        AUTH_MODE: 'local',
+        AUTH_SESSION_SECRET: 'reports-test-secret-of-at-least-32-characters',
+        AUTH_USERS: JSON.stringify([
+            { username: 'ada', role: 'admin', passwordHash: hashPassword('pw-ada') },
+            { username: 'root', role: 'admin', passwordHash: hashPassword('pw-root') }
+        ])
+    });
+    for (const username of ['ada', 'root']) {
+        const response = await api.request('POST', '/api/auth/login', { username, password: `pw-${username}` });
+        assert.strictEqual(response.status, 200);
+        cookies[username] = response.headers.get('set-cookie').split(';')[0];
+    }
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+/**
+ * Calls the API as one of the test users
+ * @param {string} username - 'ada' or 'root'
+ * @param {string} method - HTTP method
+ * @param {string} route - Path
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} - { status, headers, body }
+ */
+const requestAs = (username, method, route, body) => api.request(method, route, body, { Cookie: cookies[username] });
+
+/**
+ * Saves a view of ada's
+ * @param {boolean} shared - Whether other users can see it
+ * @returns {Promise<string>} - View id
+ */
+const createView = async (shared) => {
+    const response = await requestAs('ada', 'POST', '/api/views', { name: shared ? 'Team view' : 'My view', shared, state: { orderType: 'Postpaid' } });
+    assert.strictEqual(response.status, 201);
+    return response.body.view.id;
+};
+
+const schedule = (viewId) => ({ name: 'Daily sales', cron: '0 7 * * *', recipients: ['ops@example.com'], viewId, enabled: false });
+
+test("a schedule cannot use another user's private view", async () => {
+    const viewId = await createView(false);
+    const response = await requestAs('root', 'POST', '/api/reports', schedule(viewId));
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error, `Saved view '${viewId}' not found.`);
+});
+
+test('nor be moved onto one when it is updated', async () => {
+    const created = await requestAs('root', 'POST', '/api/reports', schedule(null));
+    assert.strictEqual(created.status, 201);
+
+    const viewId = await createView(false);
+    const updated = await requestAs('root', 'PUT', `/api/reports/${created.body.schedule.id}`, { viewId });
+    assert.strictEqual(updated.status, 400);
+});
+
+test('own and shared views can be used', async () => {
+    const own = await requestAs('ada', 'POST', '/api/reports', schedule(await createView(false)));
+    assert.strictEqual(own.status, 201);
+
+    const shared = await requestAs('root', 'POST', '/api/reports', schedule(await createView(true)));
+    assert.strictEqual(shared.status, 201);
+});
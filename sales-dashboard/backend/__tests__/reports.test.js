@@ -0,0 +1,92 @@
+// reports.test.js in the 'backend/__tests__' folder
+// Scheduled reports: emailed through an SMTP server (a local sink here), and refused when none is configured
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer, startSmtpSink } = require('./helpers');
+const { resolveDatePreset } = require('../dateRanges');
+
+let api;
+let smtp;
+
+test.before(async () => {
+    smtp = await startSmtpSink();
+    api = await startServer({
+        REPORT_SCHEDULER_ENABLED: 'false', // Runs are started by the tests, not by cron
+        REPORT_MAIL_FROM: 'reports@example.com'
+    });
+
+    // Two orders yesterday in the business timezone, which the default 'yesterday' preset reports on
+    const yesterday = new Date(new Date(resolveDatePreset('yesterday', 'Asia/Manila').startDate).getTime() + 60 * 60 * 1000);
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({ order_no: '00000001', creation_date: yesterday.toISOString() }),
+            buildOrder({ order_no: '00000002', creation_date: yesterday.toISOString(), order_total: 500 })
+        ]
+    });
+});
+
+test.after(async () => {
+    await api.close();
+    await smtp.close();
+});
+
+const SCHEDULE = {
+    name: 'Daily sales',
+    cron: '0 7 * * *',
+    recipients: ['ops@example.com'],
+    filters: { environment: 'DEV', orderType: 'Prepaid' }
+};
+
+test('without SMTP_HOST, enabled schedules and runs are refused', async () => {
+    delete process.env.SMTP_HOST;
+
+    const enabled = await api.request('POST', '/api/reports', SCHEDULE);
+    assert.strictEqual(enabled.status, 400);
+    assert.match(enabled.body.error, /SMTP_HOST is not set/);
+
+    const disabled = await api.request('POST', '/api/reports', { ...SCHEDULE, enabled: false });
+    assert.strictEqual(disabled.status, 201);
+
+    const run = await api.request('POST', `/api/reports/${disabled.body.schedule.id}/run`);
+    assert.strictEqual(run.status, 503);
+    assert.match(run.body.error, /SMTP_HOST is not set/);
+    assert.strictEqual(smtp.messages.length, 0);
+});
+
+test('a run emails the report with its PDF to the recipients', async () => {
+    Object.assign(process.env, { SMTP_HOST: smtp.host, SMTP_PORT: String(smtp.port) });
+
+    const created = await api.request('POST', '/api/reports', SCHEDULE);
+    assert.strictEqual(created.status, 201);
+
+    const run = await api.request('POST', `/api/reports/${created.body.schedule.id}/run`);
+    assert.strictEqual(run.status, 200);
+    assert.strictEqual(run.body.lastRun.status, 'sent');
+    assert.strictEqual(run.body.lastRun.orderCount, 2);
+    assert.deepStrictEqual(run.body.lastRun.accepted, ['ops@example.com']);
+
+    assert.strictEqual(smtp.messages.length, 1);
+    const [message] = smtp.messages;
+    assert.strictEqual(message.from, '<reports@example.com>');
+    assert.deepStrictEqual(message.to, ['<ops@example.com>']);
+    assert.match(message.data, /^Subject: Daily sales: .*\(DEV\)$/m);
+    assert.match(message.data, /Content-Type: text\/html/);
+    assert.match(message.data, /Content-Type: application\/pdf; name=daily-sales_DEV_\d{4}-\d{2}-\d{2}\.pdf/);
+});
+
+test('the date range endpoint resolves presets like the reports do', async () => {
+    const response = await api.request('GET', '/api/config/date-range?preset=yesterday&timezone=Asia%2FManila');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body, {
+        preset: 'yesterday',
+        timezone: 'Asia/Manila',
+        ...resolveDatePreset('yesterday', 'Asia/Manila')
+    });
+
+    assert.strictEqual((await api.request('GET', '/api/config/date-range?preset=next_week')).status, 400);
+    assert.strictEqual((await api.request('GET', '/api/config/date-range?preset=today&timezone=Mars%2FOlympus')).status, 400);
+
+    const fields = await api.request('GET', '/api/config/fields');
+    assert.deepStrictEqual(fields.body.datePresets[0], { value: 'today', label: 'Today' });
+});
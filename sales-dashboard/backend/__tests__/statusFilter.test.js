@@ -0,0 +1,53 @@
+// statusFilter.test.js in the 'backend/__tests__' folder
+// The order status filter: its built-in default (created and failed left out) and selections sent with the request
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+
+let api;
+
+test.before(async () => {
+    api = await startServer({ REPORT_TIMEZONE: 'UTC' });
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({ order_no: '00000001', creation_date: '2025-01-10T02:00:00.000Z', status: 'completed' }),
+            buildOrder({ order_no: '00000002', creation_date: '2025-01-10T03:00:00.000Z', status: 'new' }),
+            buildOrder({ order_no: '00000003', creation_date: '2025-01-10T04:00:00.000Z', status: 'created' }),
+            buildOrder({ order_no: '00000004', creation_date: '2025-01-10T05:00:00.000Z', status: 'failed' })
+        ]
+    });
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+const RANGE = { startDate: '2025-01-10T00:00:00.000Z', endDate: '2025-01-10T23:59:59.999Z', environment: 'DEV' };
+
+/**
+ * Fetches the order numbers of the Orders Report
+ * @param {Object} filters - Filters added to the range
+ * @returns {Promise<Array>} - Sorted order numbers
+ */
+const fetchOrderNumbers = async (filters = {}) => {
+    const response = await api.request('POST', '/api/orders/rows', { ...RANGE, ...filters });
+    assert.strictEqual(response.status, 200);
+    return response.body.rows.map(row => row.order_no).sort();
+};
+
+test('status is a built-in field that leaves out created and failed orders by default', async () => {
+    const config = await api.request('GET', '/api/config/fields');
+    assert.deepStrictEqual(config.body.fields.status.options, ['new', 'open', 'completed', 'cancelled', 'replaced', 'created', 'failed']);
+    assert.deepStrictEqual(config.body.fields.status.default, { mode: 'exclude', values: ['created', 'failed'] });
+    assert.deepStrictEqual(await fetchOrderNumbers(), ['00000001', '00000002']);
+});
+
+test('a selection sent with the request replaces the default', async () => {
+    assert.deepStrictEqual(await fetchOrderNumbers({ status: ['failed'] }), ['00000004']);
+    assert.deepStrictEqual(await fetchOrderNumbers({ status: { mode: 'exclude', values: ['completed'] } }), ['00000002', '00000003', '00000004']);
+});
+
+test('an empty selection lets every status through', async () => {
+    assert.deepStrictEqual(await fetchOrderNumbers({ status: [] }), ['00000001', '00000002', '00000003', '00000004']);
+});
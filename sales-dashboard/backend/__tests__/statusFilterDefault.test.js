@@ -0,0 +1,51 @@
+// statusFilterDefault.test.js in the 'backend/__tests__' folder
+// TERM_QUERY_FIELD_STATUS_DEFAULT replacing the built-in default of the order status filter
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+
+let api;
+
+test.before(async () => {
+    api = await startServer({ REPORT_TIMEZONE: 'UTC', TERM_QUERY_FIELD_STATUS_DEFAULT: 'failed' });
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({ order_no: '00000001', creation_date: '2025-01-10T02:00:00.000Z', status: 'completed' }),
+            buildOrder({ order_no: '00000002', creation_date: '2025-01-10T03:00:00.000Z', status: 'failed' })
+        ]
+    });
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+const RANGE = { startDate: '2025-01-10T00:00:00.000Z', endDate: '2025-01-10T23:59:59.999Z', environment: 'DEV' };
+
+test('values without a prefix are included', async () => {
+    const config = await api.request('GET', '/api/config/fields');
+    assert.deepStrictEqual(config.body.fields.status.default, { mode: 'include', values: ['failed'] });
+
+    const response = await api.request('POST', '/api/orders/summary', RANGE);
+    assert.strictEqual(response.body.kpis.totalOrders, 1);
+    assert.strictEqual(response.body.kpis.failureRate, 100);
+});
+
+test('a selection sent with the request still replaces the default', async () => {
+    const response = await api.request('POST', '/api/orders/summary', { ...RANGE, status: ['completed'] });
+    assert.strictEqual(response.body.kpis.totalOrders, 1);
+    assert.strictEqual(response.body.kpis.failedOrders, 0);
+});
+
+test('the include: and exclude: prefixes set the mode, and an empty variable turns the default off', async (t) => {
+    // The variable is read on every request; orders cached under the same filters are not refetched, so only the config is checked here
+    t.after(() => {
+        process.env.TERM_QUERY_FIELD_STATUS_DEFAULT = 'failed';
+    });
+    process.env.TERM_QUERY_FIELD_STATUS_DEFAULT = 'EXCLUDE: cancelled, replaced';
+    assert.deepStrictEqual((await api.request('GET', '/api/config/fields')).body.fields.status.default, { mode: 'exclude', values: ['cancelled', 'replaced'] });
+
+    process.env.TERM_QUERY_FIELD_STATUS_DEFAULT = '';
+    assert.strictEqual((await api.request('GET', '/api/config/fields')).body.fields.status.default, null);
+});
@@ -0,0 +1,77 @@
+// statusFunnel.test.js in the 'backend/__tests__' folder
+// CSP (Prepaid) and Optima (Postpaid) status combinations in the summary, and the Orders Report narrowed to one
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+
+let api;
+
+test.before(async () => {
+    api = await startServer();
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({ order_no: '00000001', c_smartOrderType: 'Prepaid', c_submissionStatusCSP: 'SUCCESS', c_SRStatus: 'Closed', creation_date: '2025-01-10T02:00:00.000Z' }),
+            buildOrder({ order_no: '00000002', c_smartOrderType: 'Prepaid', c_submissionStatusCSP: 'SUCCESS', c_SRStatus: 'Closed', creation_date: '2025-01-10T03:00:00.000Z' }),
+            buildOrder({ order_no: '00000003', c_smartOrderType: 'Prepaid', c_submissionStatusCSP: 'FAILED', creation_date: '2025-01-10T04:00:00.000Z' }),
+            buildOrder({
+                order_no: '00000004',
+                c_smartOrderType: 'Postpaid',
+                c_submissionStatusOptima: 'SUCCESS',
+                c_optimaStatus: 'Active',
+                c_optimaSubStatus: 'Provisioned',
+                creation_date: '2025-01-10T05:00:00.000Z'
+            }),
+            buildOrder({ order_no: '00000005', c_smartOrderType: 'Bundle', creation_date: '2025-01-10T06:00:00.000Z' })
+        ]
+    });
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+const RANGE = { startDate: '2025-01-10T00:00:00.000Z', endDate: '2025-01-10T23:59:59.999Z', environment: 'DEV' };
+
+test('each pipeline counts its status combinations, most common first, with N/A for missing fields', async () => {
+    // The summary covers one order type (Prepaid by default), so one pipeline at a time
+    const prepaid = await api.request('POST', '/api/orders/summary', RANGE);
+    assert.deepStrictEqual(prepaid.body.statusBreakdown, {
+        csp: [
+            { statuses: { c_submissionStatusCSP: 'SUCCESS', c_SRStatus: 'Closed' }, count: 2 },
+            { statuses: { c_submissionStatusCSP: 'FAILED', c_SRStatus: 'N/A' }, count: 1 }
+        ],
+        optima: []
+    });
+
+    const postpaid = await api.request('POST', '/api/orders/summary', { ...RANGE, orderType: 'Postpaid' });
+    assert.deepStrictEqual(postpaid.body.statusBreakdown, {
+        csp: [],
+        optima: [
+            { statuses: { c_submissionStatusOptima: 'SUCCESS', c_optimaStatus: 'Active', c_optimaSubStatus: 'Provisioned' }, count: 1 }
+        ]
+    });
+});
+
+test('orders of other types are in neither pipeline', async () => {
+    const response = await api.request('POST', '/api/orders/summary', { ...RANGE, orderType: 'Bundle' });
+    assert.strictEqual(response.body.kpis.totalOrders, 1);
+    assert.deepStrictEqual(response.body.statusBreakdown, { csp: [], optima: [] });
+});
+
+test('a clicked combination narrows the Orders Report, N/A matching missing fields', async () => {
+    const response = await api.request('POST', '/api/orders/rows', {
+        ...RANGE,
+        statusFilter: { c_submissionStatusCSP: 'FAILED', c_SRStatus: 'N/A' }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.rows.map(row => row.order_no), ['00000003']);
+});
+
+test('fields outside the pipelines are ignored in the status filter', async () => {
+    const response = await api.request('POST', '/api/orders/rows', {
+        ...RANGE,
+        statusFilter: { c_submissionStatusCSP: 'SUCCESS', order_no: '00000001' }
+    });
+    assert.deepStrictEqual(response.body.rows.map(row => row.order_no).sort(), ['00000001', '00000002']);
+});
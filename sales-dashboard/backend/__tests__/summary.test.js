@@ -0,0 +1,77 @@
+// summary.test.js in the 'backend/__tests__' folder
+// POST /api/orders/summary: KPIs and chart data aggregated on the server instead of the raw orders
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+
+let api;
+
+test.before(async () => {
+    api = await startServer({ REPORT_TIMEZONE: 'UTC' });
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: [
+            buildOrder({ order_no: '00000001', creation_date: '2025-01-10T02:00:00.000Z', order_total: 1000 }),
+            buildOrder({
+                order_no: '00000002',
+                creation_date: '2025-01-10T09:00:00.000Z',
+                order_total: 500,
+                product_items: [{ product_id: 'SIM-1', product_name: 'SIM', quantity: 3, price: 500 }]
+            }),
+            buildOrder({ order_no: '00000003', creation_date: '2025-01-12T09:00:00.000Z', order_total: 1500, guest: true }),
+            buildOrder({ order_no: '00000004', creation_date: '2025-01-12T10:00:00.000Z', status: 'failed' }),
+            buildOrder({ order_no: '00000005', creation_date: '2025-01-20T10:00:00.000Z' })
+        ]
+    });
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+const RANGE = { startDate: '2025-01-10T00:00:00.000Z', endDate: '2025-01-12T23:59:59.999Z', environment: 'DEV' };
+
+test('KPIs add up the orders of the range', async () => {
+    const response = await api.request('POST', '/api/orders/summary', RANGE);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.kpis, {
+        totalOrders: 3,
+        totalRevenue: 3000,
+        totalUnits: 5,
+        avgOrderValue: 1000,
+        avgUnitsPerTransaction: 5 / 3,
+        failedOrders: 0, // Failed orders are excluded by the default status filter
+        failureRate: 0
+    });
+});
+
+test('failed orders count towards the failure rate when the status filter lets them through', async () => {
+    const response = await api.request('POST', '/api/orders/summary', { ...RANGE, status: [] });
+    assert.strictEqual(response.body.kpis.totalOrders, 4);
+    assert.strictEqual(response.body.kpis.failedOrders, 1);
+    assert.strictEqual(response.body.kpis.failureRate, 25);
+});
+
+test('every day of the range has a bucket, including days without orders', async () => {
+    const response = await api.request('POST', '/api/orders/summary', RANGE);
+    assert.deepStrictEqual(response.body.dailyMetrics, {
+        '2025-01-10': { orders: 2, revenue: 1500, units: 4 },
+        '2025-01-11': { orders: 0, revenue: 0, units: 0 },
+        '2025-01-12': { orders: 1, revenue: 1500, units: 1 }
+    });
+});
+
+test('the response carries aggregates, not the orders themselves', async () => {
+    const response = await api.request('POST', '/api/orders/summary', RANGE);
+    assert.strictEqual(response.body.hits, undefined);
+    assert.ok(!JSON.stringify(response.body).includes('customer@example.com'));
+    assert.deepStrictEqual(response.body.customerBreakdown, { new: 1, returning: 2, registered: 2, unregistered: 1 });
+});
+
+test('invalid ranges are refused', async () => {
+    const missing = await api.request('POST', '/api/orders/summary', { environment: 'DEV' });
+    assert.strictEqual(missing.status, 400);
+    const reversed = await api.request('POST', '/api/orders/summary', { ...RANGE, startDate: RANGE.endDate, endDate: RANGE.startDate });
+    assert.strictEqual(reversed.status, 400);
+    assert.strictEqual(reversed.body.error, 'Start date must be before the end date.');
+});
@@ -0,0 +1,79 @@
+// summaryStream.test.js in the 'backend/__tests__' folder
+// POST /api/orders/summary/stream: NDJSON progress lines while pages are fetched, then the summary
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOrder, writeFixtureOrders, startServer } = require('./helpers');
+
+let api;
+
+// More orders than one fixture page (1000), so the fetch reports progress twice
+const ORDER_COUNT = 1500;
+
+test.before(async () => {
+    api = await startServer({ REPORT_TIMEZONE: 'UTC' });
+    writeFixtureOrders(api.fixturesDir, {
+        DEV: Array.from({ length: ORDER_COUNT }, (item, index) => buildOrder({
+            order_no: String(index + 1).padStart(8, '0'),
+            creation_date: new Date(Date.UTC(2025, 0, 10, 0, 0, index)).toISOString()
+        }))
+    });
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+const RANGE = { startDate: '2025-01-10T00:00:00.000Z', endDate: '2025-01-10T23:59:59.999Z', environment: 'DEV' };
+
+/**
+ * Posts to the stream and reads every line
+ * @param {Object} body - Summary request body
+ * @returns {Promise<Object>} - { status, contentType, lines }
+ */
+const readStream = async (body) => {
+    const response = await fetch(`${api.url}/api/orders/summary/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const text = await response.text();
+    return {
+        status: response.status,
+        contentType: response.headers.get('content-type'),
+        lines: text.split('\n').filter(line => line !== '').map(line => JSON.parse(line))
+    };
+};
+
+test('progress lines count the pages fetched, then one result line carries the summary', async () => {
+    const { status, contentType, lines } = await readStream({ ...RANGE, refresh: true });
+    assert.strictEqual(status, 200);
+    assert.match(contentType, /^application\/x-ndjson/);
+    assert.deepStrictEqual(lines.slice(0, -1), [
+        { type: 'progress', fetched: 1000, total: ORDER_COUNT },
+        { type: 'progress', fetched: ORDER_COUNT, total: ORDER_COUNT }
+    ]);
+
+    const result = lines[lines.length - 1];
+    assert.strictEqual(result.type, 'result');
+    assert.strictEqual(result.data.kpis.totalOrders, ORDER_COUNT);
+});
+
+test('the result matches the plain summary', async () => {
+    const { lines } = await readStream(RANGE);
+    const summary = await api.request('POST', '/api/orders/summary', RANGE);
+    assert.deepStrictEqual(lines[lines.length - 1].data.kpis, summary.body.kpis);
+});
+
+test('progress adds up the selected and comparison ranges', async () => {
+    const { lines } = await readStream({ ...RANGE, compareTo: 'previous_period', refresh: true });
+    const progress = lines.filter(line => line.type === 'progress');
+    assert.deepStrictEqual(progress[progress.length - 1], { type: 'progress', fetched: ORDER_COUNT, total: ORDER_COUNT });
+    assert.strictEqual(lines[lines.length - 1].data.comparison.kpis.totalOrders, 0);
+});
+
+test('invalid requests are refused before the stream starts', async () => {
+    const response = await api.request('POST', '/api/orders/summary/stream', { ...RANGE, granularity: 'minute' });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.error);
+});
@@ -0,0 +1,100 @@
+// views.test.js in the 'backend/__tests__' folder
+// /api/views: who sees and who may change a saved view, and what its state keeps
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { startServer } = require('./helpers');
+const { hashPassword } = require('../auth/local');
+
+let api;
+const cookies = {};
+
+test.before(async () => {
+    api = await startServer({
+        AUTH_MODE: 'local',
+        AUTH_SESSION_SECRET: 'views-test-secret-of-at-least-32-characters',
+        AUTH_USERS: JSON.stringify([
+            { username: 'ana', role: 'viewer', passwordHash: hashPassword('pw-ana') },
+            { username: 'ben', role: 'viewer', passwordHash: hashPassword('pw-ben') },
+            { username: 'root', role: 'admin', passwordHash: hashPassword('pw-root') }
+        ])
+    });
+    for (const username of ['ana', 'ben', 'root']) {
+        const response = await api.request('POST', '/api/auth/login', { username, password: `pw-${username}` });
+        assert.strictEqual(response.status, 200);
+        cookies[username] = response.headers.get('set-cookie').split(';')[0];
+    }
+});
+
+test.after(async () => {
+    await api.close();
+});
+
+/**
+ * Calls the API as one of the test users
+ * @param {string} username - 'ana', 'ben' or 'root'
+ * @param {string} method - HTTP method
+ * @param {string} route - Path
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} - { status, headers, body }
+ */
+const requestAs = (username, method, route, body) => api.request(method, route, body, { Cookie: cookies[username] });
+
+const listNames = async (username) => (await requestAs(username, 'GET', '/api/views')).body.views.map(view => view.name);
+
+test('views need a signed-in user', async () => {
+    assert.strictEqual((await api.request('GET', '/api/views')).status, 401);
+});
+
+test('a view keeps only the dashboard state fields and is saved to SAVED_VIEWS_FILE', async () => {
+    const response = await requestAs('ana', 'POST', '/api/views', {
+        name: '  Weekly PRD  ',
+        state: { datePreset: 'last_7_days', environment: 'PRD', password: 'not kept' }
+    });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.body.view.name, 'Weekly PRD');
+    assert.deepStrictEqual(response.body.view.state, { datePreset: 'last_7_days', environment: 'PRD' });
+    assert.strictEqual(response.body.view.shared, false);
+    assert.strictEqual(response.body.view.own, true);
+
+    const saved = JSON.parse(fs.readFileSync(process.env.SAVED_VIEWS_FILE, 'utf8'));
+    assert.ok(saved.some(view => view.id === response.body.view.id && view.owner === 'ana'));
+});
+
+test('invalid views are refused', async () => {
+    assert.strictEqual((await requestAs('ana', 'POST', '/api/views', { name: ' ', state: {} })).status, 400);
+    assert.strictEqual((await requestAs('ana', 'POST', '/api/views', { name: 'No state' })).status, 400);
+    assert.strictEqual((await requestAs('ana', 'POST', '/api/views', { name: 'x'.repeat(101), state: {} })).status, 400);
+    assert.strictEqual((await requestAs('ana', 'POST', '/api/views', { name: 'Shared?', shared: 'yes', state: {} })).status, 400);
+});
+
+test('private views are only listed for their owner, shared ones for everyone', async () => {
+    const shared = await requestAs('ana', 'POST', '/api/views', { name: 'Team view', shared: true, state: {} });
+    assert.strictEqual(shared.status, 201);
+
+    assert.deepStrictEqual(await listNames('ana'), ['Team view', 'Weekly PRD']);
+    assert.deepStrictEqual(await listNames('ben'), ['Team view']);
+
+    const [teamView] = (await requestAs('ben', 'GET', '/api/views')).body.views;
+    assert.strictEqual(teamView.own, false);
+    assert.strictEqual(teamView.canEdit, false);
+});
+
+test("only the owner or an admin can change or delete a shared view, and others' private views are not found", async () => {
+    const views = (await requestAs('ana', 'GET', '/api/views')).body.views;
+    const teamView = views.find(view => view.name === 'Team view');
+    const privateView = views.find(view => view.name === 'Weekly PRD');
+
+    assert.strictEqual((await requestAs('ben', 'PUT', `/api/views/${teamView.id}`, { name: 'Mine now' })).status, 403);
+    assert.strictEqual((await requestAs('ben', 'DELETE', `/api/views/${teamView.id}`)).status, 403);
+    assert.strictEqual((await requestAs('ben', 'PUT', `/api/views/${privateView.id}`, { name: 'Mine now' })).status, 404);
+
+    const renamed = await requestAs('ana', 'PUT', `/api/views/${teamView.id}`, { name: 'Team daily' });
+    assert.strictEqual(renamed.status, 200);
+    assert.strictEqual(renamed.body.view.name, 'Team daily');
+    assert.deepStrictEqual(renamed.body.view.state, {});
+
+    assert.strictEqual((await requestAs('root', 'DELETE', `/api/views/${teamView.id}`)).status, 200);
+    assert.deepStrictEqual(await listNames('ben'), []);
+});
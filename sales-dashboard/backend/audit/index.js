@@ -0,0 +1,161 @@
+// index.js in the 'backend/audit' folder
+// Audit log of who read which orders: one NDJSON line per orders query, export and cache admin action.
+// Entries are appended to a file per day (audit-YYYY-MM-DD.ndjson, UTC) in AUDIT_LOG_DIR, and files older than
+// AUDIT_RETENTION_DAYS are deleted when the log rotates to a new day.
+
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_LOG_DIR = process.env.AUDIT_LOG_DIR || path.join(__dirname, '..', 'data', 'audit');
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 90;
+
+const FILE_NAME_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})\.ndjson$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Appends run one after another so entries keep their order
+let writeQueue = Promise.resolve();
+
+// Day of the file currently being written, to notice the rotation to a new day
+let currentDay = null;
+
+/**
+ * Gets the UTC day of a date, as used in the log file names
+ * @param {Date} date - Date
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+const getDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Lists the audit log files with their day
+ * @returns {Promise<Array>} - [{ day, filePath }], oldest day first
+ */
+const listLogFiles = async () => {
+    let fileNames;
+    try {
+        fileNames = await fs.promises.readdir(AUDIT_LOG_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return fileNames
+        .map(fileName => FILE_NAME_PATTERN.exec(fileName))
+        .filter(Boolean)
+        .map(match => ({ day: match[1], filePath: path.join(AUDIT_LOG_DIR, match[0]) }))
+        .sort((a, b) => a.day.localeCompare(b.day));
+};
+
+/**
+ * Deletes the log files older than the retention period
+ * @returns {Promise<number>} - Number of files deleted
+ */
+const removeExpiredLogFiles = async () => {
+    const oldestDay = getDay(new Date(Date.now() - AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    const expired = (await listLogFiles()).filter(file => file.day < oldestDay);
+    for (const file of expired) {
+        await fs.promises.unlink(file.filePath);
+    }
+    if (expired.length > 0) {
+        console.log(`🗑️ Removed ${expired.length} audit log file(s) older than ${AUDIT_RETENTION_DAYS} day(s)`);
+    }
+    return expired.length;
+};
+
+/**
+ * Appends an entry to today's log file, rotating to a new file (and dropping expired ones) when the day changes
+ * @param {Object} entry - Audit entry
+ */
+const appendEntry = async (entry) => {
+    const day = getDay(new Date(entry.timestamp));
+    if (day !== currentDay) {
+        await fs.promises.mkdir(AUDIT_LOG_DIR, { recursive: true });
+        currentDay = day;
+        await removeExpiredLogFiles();
+    }
+    await fs.promises.appendFile(path.join(AUDIT_LOG_DIR, `audit-${day}.ndjson`), `${JSON.stringify(entry)}\n`);
+};
+
+/**
+ * Records an action in the audit log. Never throws: a failed write is logged so it can't fail the request.
+ * @param {Object} req - Express request (for the user and client address)
+ * @param {string} action - What was done, e.g. 'orders.query', 'orders.export', 'cache.clear'
+ * @param {Object} details - Optional { environment, startDate, endDate, filters, resultCount, outcome, ... }
+ * @returns {Promise<void>} - Resolves once the entry is written
+ */
+const recordAudit = (req, action, details = {}) => {
+    const user = req.user || {};
+    const entry = {
+        timestamp: new Date().toISOString(),
+        user: user.username || 'anonymous',
+        role: user.role || null,
+        ip: req.ip,
+        action,
+        outcome: 'success',
+        ...details
+    };
+
+    writeQueue = writeQueue
+        .then(() => appendEntry(entry))
+        .catch(error => console.error(`❌ Failed to write audit entry (${action}):`, error.message));
+    return writeQueue;
+};
+
+/**
+ * Parses a from/to query value: a 'YYYY-MM-DD' day (the whole day, in UTC) or an ISO date-time
+ * @param {string} value - Query value
+ * @param {boolean} endOfDay - Whether a day means its last millisecond (for 'to')
+ * @returns {Date|null} - Date, or null if the value is missing or invalid
+ */
+const parseQueryDate = (value, endOfDay) => {
+    if (!value) return null;
+    const date = DATE_ONLY_PATTERN.test(value)
+        ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`)
+        : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Reads the audit entries matching a query, newest first
+ * @param {Object} query - { from, to, user, action, environment, limit }; from and to are required dates
+ * @returns {Promise<Object>} - { entries, total, truncated }
+ */
+const queryAuditLog = async ({ from, to, user, action, environment, limit }) => {
+    const fromDay = getDay(from);
+    const toDay = getDay(to);
+    const files = (await listLogFiles()).filter(file => file.day >= fromDay && file.day <= toDay);
+
+    const matches = [];
+    for (const file of files) {
+        const content = await fs.promises.readFile(file.filePath, 'utf8');
+        for (const line of content.split('\n')) {
+            if (!line) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                continue; // A line cut short by a crash mid-write
+            }
+            const timestamp = new Date(entry.timestamp);
+            if (timestamp < from || timestamp > to) continue;
+            if (user && entry.user !== user) continue;
+            if (action && entry.action !== action) continue;
+            if (environment && entry.environment !== environment) continue;
+            matches.push(entry);
+        }
+    }
+
+    matches.reverse();
+    return {
+        entries: matches.slice(0, limit),
+        total: matches.length,
+        truncated: matches.length > limit
+    };
+};
+
+module.exports = {
+    AUDIT_LOG_DIR,
+    AUDIT_RETENTION_DAYS,
+    recordAudit,
+    parseQueryDate,
+    queryAuditLog
+};
@@ -0,0 +1,73 @@
+// index.test.js in the 'backend/audit' folder
+// Audit entries: appended per UTC day, queried newest first, and rotated out after the retention period
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir } = require('../__tests__/helpers');
+
+// The log folder and retention are read when the module is loaded
+process.env.AUDIT_LOG_DIR = createTempDir('audit');
+process.env.AUDIT_RETENTION_DAYS = '30';
+const { recordAudit, parseQueryDate, queryAuditLog } = require('./index');
+
+const LOG_DIR = process.env.AUDIT_LOG_DIR;
+const getDay = (daysAgo) => new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+const request = (username, role) => ({ user: { username, role }, ip: '127.0.0.1' });
+
+test.before(() => {
+    // An expired file, and a recent one with a line cut short by a crash
+    fs.writeFileSync(path.join(LOG_DIR, `audit-${getDay(40)}.ndjson`), '');
+    fs.writeFileSync(path.join(LOG_DIR, `audit-${getDay(2)}.ndjson`), [
+        JSON.stringify({ timestamp: `${getDay(2)}T08:00:00.000Z`, user: 'ana', action: 'orders.query', environment: 'DEV' }),
+        '{"timestamp":"cut sho'
+    ].join('\n'));
+});
+
+test('entries are appended to the file of their UTC day, and expired files are removed', async () => {
+    console.log = console.error; // Keep the rotation message off the test runner's stdout
+    await recordAudit(request('ana', 'viewer'), 'orders.query', { environment: 'PRD', resultCount: 12 });
+    recordAudit(request('ben', 'admin'), 'cache.clear');
+    await recordAudit({ ip: '127.0.0.1' }, 'orders.export', { environment: 'DEV', outcome: 'error' });
+
+    const files = fs.readdirSync(LOG_DIR).sort();
+    assert.deepStrictEqual(files, [`audit-${getDay(2)}.ndjson`, `audit-${getDay(0)}.ndjson`]);
+
+    const lines = fs.readFileSync(path.join(LOG_DIR, `audit-${getDay(0)}.ndjson`), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(entry => [entry.user, entry.action, entry.outcome]), [
+        ['ana', 'orders.query', 'success'],
+        ['ben', 'cache.clear', 'success'],
+        ['anonymous', 'orders.export', 'error']
+    ]);
+    assert.strictEqual(lines[0].role, 'viewer');
+    assert.strictEqual(lines[0].resultCount, 12);
+});
+
+test('queries return matching entries newest first, skipping unreadable lines', async () => {
+    const from = parseQueryDate(getDay(7), false);
+    const to = parseQueryDate(getDay(0), true);
+
+    const all = await queryAuditLog({ from, to, limit: 10 });
+    assert.deepStrictEqual(all.entries.map(entry => entry.action), ['orders.export', 'cache.clear', 'orders.query', 'orders.query']);
+    assert.strictEqual(all.truncated, false);
+
+    const ana = await queryAuditLog({ from, to, user: 'ana', action: 'orders.query', limit: 10 });
+    assert.deepStrictEqual(ana.entries.map(entry => entry.environment), ['PRD', 'DEV']);
+
+    const limited = await queryAuditLog({ from, to, environment: 'DEV', limit: 1 });
+    assert.deepStrictEqual(limited.entries.map(entry => entry.action), ['orders.export']);
+    assert.strictEqual(limited.total, 2);
+    assert.strictEqual(limited.truncated, true);
+
+    const yesterday = await queryAuditLog({ from: parseQueryDate(getDay(1), false), to: parseQueryDate(getDay(1), true), limit: 10 });
+    assert.strictEqual(yesterday.total, 0);
+});
+
+test('query dates are whole UTC days or ISO date-times', () => {
+    assert.strictEqual(parseQueryDate('2025-01-31', false).toISOString(), '2025-01-31T00:00:00.000Z');
+    assert.strictEqual(parseQueryDate('2025-01-31', true).toISOString(), '2025-01-31T23:59:59.999Z');
+    assert.strictEqual(parseQueryDate('2025-01-31T10:00:00+08:00', true).toISOString(), '2025-01-31T02:00:00.000Z');
+    assert.strictEqual(parseQueryDate('yesterday', false), null);
+    assert.strictEqual(parseQueryDate('', false), null);
+});
@@ -0,0 +1,213 @@
+// index.js in the 'backend/auth' folder
+// Authentication and role checks for the API. AUTH_MODE selects how people sign in:
+//   none  - no login; every request acts as an admin (the previous behaviour)
+//   local - username and password against the local users (see local.js)
+//   oidc  - OpenID Connect against a configurable issuer (see oidc.js)
+// Roles, from least to most access:
+//   viewer  - reads DEV order data
+//   analyst - also reads PRD order data (when ENABLE_PRD is on)
+//   admin   - also manages the cache, the snapshot sync and alert runs
+
+const { signToken, verifyToken, parseCookies, serializeCookie } = require('./session');
+
+const AUTH_MODES = ['none', 'local', 'oidc'];
+const AUTH_MODE = (process.env.AUTH_MODE || 'none').trim().toLowerCase();
+
+const ROLES = ['viewer', 'analyst', 'admin'];
+
+// Order environments a request may name
+const ENVIRONMENTS = ['DEV', 'PRD'];
+
+const SESSION_COOKIE = 'sd_session';
+const OIDC_STATE_COOKIE = 'sd_oidc';
+const AUTH_SESSION_HOURS = parseFloat(process.env.AUTH_SESSION_HOURS) || 12;
+const OIDC_STATE_MAX_AGE_SECONDS = 600;
+
+// User of every request when AUTH_MODE=none
+const ANONYMOUS_USER = { username: 'anonymous', name: 'Anonymous', role: 'admin' };
+
+/**
+ * Checks the authentication settings, so a misconfigured server fails at startup rather than on first login
+ */
+const validateAuthConfig = () => {
+    if (!AUTH_MODES.includes(AUTH_MODE)) {
+        throw new Error(`Unknown AUTH_MODE '${AUTH_MODE}'. Expected one of: ${AUTH_MODES.join(', ')}`);
+    }
+    if (AUTH_MODE === 'none') {
+        return;
+    }
+    if (!process.env.AUTH_SESSION_SECRET || process.env.AUTH_SESSION_SECRET.length < 32) {
+        throw new Error('AUTH_SESSION_SECRET must be set to at least 32 characters when AUTH_MODE is not none');
+    }
+    if (AUTH_MODE === 'local' && !process.env.AUTH_USERS_FILE && !process.env.AUTH_USERS) {
+        throw new Error('AUTH_MODE=local needs AUTH_USERS_FILE or AUTH_USERS');
+    }
+    if (AUTH_MODE === 'oidc') {
+        const missing = ['OIDC_ISSUER_URL', 'OIDC_CLIENT_ID', 'OIDC_REDIRECT_URI'].filter(name => !process.env[name]);
+        if (missing.length > 0) {
+            throw new Error(`AUTH_MODE=oidc needs ${missing.join(', ')}`);
+        }
+    }
+};
+
+/**
+ * Checks whether a user has at least a role
+ * @param {Object} user - Session user ({ role })
+ * @param {string} role - Required role
+ * @returns {boolean} - True when the user's role is the same or higher
+ */
+const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+/**
+ * Normalizes the environment a request names
+ * @param {*} environment - Requested environment (e.g. 'prd'), or undefined/empty for the DEV default
+ * @returns {string|null} - 'DEV' or 'PRD', or null when it names neither
+ */
+const normalizeEnvironment = (environment) => {
+    if (environment === undefined || environment === null || environment === '') {
+        return 'DEV';
+    }
+    const name = typeof environment === 'string' ? environment.trim().toUpperCase() : '';
+    return ENVIRONMENTS.includes(name) ? name : null;
+};
+
+/**
+ * Checks whether a user may read the orders of an environment
+ * @param {Object} user - Session user
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @returns {boolean} - True when allowed
+ */
+const canAccessEnvironment = (user, environment) => {
+    if ((environment || 'DEV').toUpperCase() === 'PRD') {
+        return process.env.ENABLE_PRD === 'true' && hasRole(user, 'analyst');
+    }
+    return hasRole(user, 'viewer');
+};
+
+/**
+ * Gets what a user is allowed to do, for the frontend
+ * @param {Object} user - Session user
+ * @returns {Object} - { environments, manageCache }
+ */
+const getPermissions = (user) => ({
+    environments: ENVIRONMENTS.filter(environment => canAccessEnvironment(user, environment)),
+    manageCache: hasRole(user, 'admin')
+});
+
+/**
+ * Middleware setting req.user from the session cookie (or to the anonymous admin when AUTH_MODE=none)
+ */
+const authenticate = (req, res, next) => {
+    if (AUTH_MODE === 'none') {
+        req.user = ANONYMOUS_USER;
+        return next();
+    }
+    const session = verifyToken(parseCookies(req.headers.cookie)[SESSION_COOKIE], process.env.AUTH_SESSION_SECRET);
+    req.user = session && ROLES.includes(session.role)
+        ? { username: session.username, name: session.name, role: session.role }
+        : null;
+    next();
+};
+
+/**
+ * Creates middleware that only lets users with at least a role through
+ * @param {string} role - Required role
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (role) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required.' });
+    }
+    if (!hasRole(req.user, role)) {
+        console.warn(`🚫 ${req.user.username} (${req.user.role}) denied ${req.method} ${req.originalUrl} - requires ${role}`);
+        return res.status(403).json({ error: `This action requires the ${role} role.` });
+    }
+    next();
+};
+
+/**
+ * Middleware rejecting order requests for an unknown environment (400) or one the user may not read (403).
+ * Handlers read the environment from the body (POST) or the query string (GET), so every environment
+ * the request supplies in either place has to be allowed, and DEV is checked when it supplies none.
+ */
+const requireEnvironmentAccess = (req, res, next) => {
+    const requested = [req.body && req.body.environment, req.query.environment]
+        .filter(environment => environment !== undefined && environment !== null && environment !== '');
+    const environments = (requested.length > 0 ? requested : ['DEV']).map(normalizeEnvironment);
+    if (environments.includes(null)) {
+        return res.status(400).json({ error: `Environment must be one of: ${ENVIRONMENTS.join(', ')}.` });
+    }
+    const environment = environments.find(candidate => !canAccessEnvironment(req.user, candidate));
+    if (environment !== undefined) {
+        console.warn(`🚫 ${req.user ? req.user.username : 'anonymous'} denied ${environment} orders`);
+        return res.status(403).json({ error: `You don't have access to the ${environment} environment.` });
+    }
+    next();
+};
+
+/**
+ * Starts a session for a user
+ * @param {Object} res - Express response
+ * @param {Object} user - Session user ({ username, name, role })
+ */
+const setSessionCookie = (res, user) => {
+    const maxAgeSeconds = Math.round(AUTH_SESSION_HOURS * 3600);
+    res.append('Set-Cookie', serializeCookie(SESSION_COOKIE, signToken(user, process.env.AUTH_SESSION_SECRET, maxAgeSeconds), maxAgeSeconds));
+};
+
+/**
+ * Ends the session
+ * @param {Object} res - Express response
+ */
+const clearSessionCookie = (res) => {
+    res.append('Set-Cookie', serializeCookie(SESSION_COOKIE, '', 0));
+};
+
+/**
+ * Keeps the OIDC login state until the issuer redirects back
+ * @param {Object} res - Express response
+ * @param {Object} loginState - { state, nonce, codeVerifier }
+ */
+const setOidcStateCookie = (res, loginState) => {
+    res.append('Set-Cookie', serializeCookie(OIDC_STATE_COOKIE, signToken(loginState, process.env.AUTH_SESSION_SECRET, OIDC_STATE_MAX_AGE_SECONDS), OIDC_STATE_MAX_AGE_SECONDS));
+};
+
+/**
+ * Reads (and clears) the OIDC login state on the callback
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} - { state, nonce, codeVerifier }, or null when it is missing or expired
+ */
+const takeOidcState = (req, res) => {
+    res.append('Set-Cookie', serializeCookie(OIDC_STATE_COOKIE, '', 0));
+    return verifyToken(parseCookies(req.headers.cookie)[OIDC_STATE_COOKIE], process.env.AUTH_SESSION_SECRET);
+};
+
+/**
+ * Gets the CORS options: only the origins in CORS_ORIGINS (default: the React dev server) may call the API,
+ * with cookies so the session is sent along
+ * @returns {Object} - cors middleware options
+ */
+const getCorsOptions = () => {
+    const origins = (process.env.CORS_ORIGINS || 'http://localhost:3000').split(',').map(origin => origin.trim()).filter(Boolean);
+    return { origin: origins, credentials: true };
+};
+
+module.exports = {
+    AUTH_MODE,
+    ROLES,
+    ENVIRONMENTS,
+    validateAuthConfig,
+    hasRole,
+    normalizeEnvironment,
+    canAccessEnvironment,
+    getPermissions,
+    authenticate,
+    requireRole,
+    requireEnvironmentAccess,
+    setSessionCookie,
+    clearSessionCookie,
+    setOidcStateCookie,
+    takeOidcState,
+    getCorsOptions
+};
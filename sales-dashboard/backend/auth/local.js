@@ -0,0 +1,105 @@
+// local.js in the 'backend/auth' folder
+// Local users (AUTH_MODE=local): usernames, scrypt password hashes and roles from AUTH_USERS_FILE or AUTH_USERS.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Length of the derived scrypt key, in bytes (stored as 128 hex characters)
+const PASSWORD_KEY_LENGTH = 64;
+
+// 'scrypt$<salt>$<hash>' with a hex salt and a hex key of exactly PASSWORD_KEY_LENGTH bytes
+const PASSWORD_HASH_PATTERN = new RegExp(`^scrypt\\$([0-9a-f]+)\\$([0-9a-f]{${PASSWORD_KEY_LENGTH * 2}})$`, 'i');
+
+// Users are read once, on first login
+let localUsers = null;
+
+/**
+ * Hashes a password for the users file
+ * @param {string} password - Plain-text password
+ * @returns {string} - 'scrypt$<salt>$<hash>'
+ */
+const hashPassword = (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, PASSWORD_KEY_LENGTH).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+};
+
+/**
+ * Checks that a stored hash has the shape hashPassword produces
+ * @param {string} storedHash - Value of a user's passwordHash
+ * @returns {boolean} - True when it can be verified against
+ */
+const isValidPasswordHash = (storedHash) => typeof storedHash === 'string' && PASSWORD_HASH_PATTERN.test(storedHash);
+
+/**
+ * Checks a password against a hash made by hashPassword
+ * @param {string} password - Plain-text password
+ * @param {string} storedHash - 'scrypt$<salt>$<hash>'
+ * @returns {boolean} - True when the password matches
+ */
+const verifyPassword = (password, storedHash) => {
+    // A malformed hash would decode to a short (or empty) key that any password could match
+    const match = typeof storedHash === 'string' && PASSWORD_HASH_PATTERN.exec(storedHash);
+    if (!match || typeof password !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(match[2], 'hex');
+    const actual = crypto.scryptSync(password, match[1], PASSWORD_KEY_LENGTH);
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Loads the local users from AUTH_USERS_FILE (path relative to the backend folder) or the AUTH_USERS JSON array
+ * @returns {Array} - Users ({ username, name, role, passwordHash })
+ */
+const loadLocalUsers = () => {
+    if (localUsers) {
+        return localUsers;
+    }
+
+    let users = [];
+    if (process.env.AUTH_USERS_FILE) {
+        const filePath = path.resolve(__dirname, '..', process.env.AUTH_USERS_FILE);
+        users = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } else if (process.env.AUTH_USERS) {
+        users = JSON.parse(process.env.AUTH_USERS);
+    }
+    if (!Array.isArray(users)) {
+        throw new Error('Local users must be a JSON array');
+    }
+
+    localUsers = users.filter(user => {
+        if (!user.username || !user.passwordHash) {
+            console.warn('⚠️ Skipping local user without a username or passwordHash');
+            return false;
+        }
+        if (!isValidPasswordHash(user.passwordHash)) {
+            console.warn(`⚠️ Skipping local user '${user.username}': passwordHash is not a 'scrypt$<salt>$<hash>' value from npm run hash-password`);
+            return false;
+        }
+        return true;
+    });
+    console.log(`👤 Loaded ${localUsers.length} local user(s)`);
+    return localUsers;
+};
+
+/**
+ * Checks a username and password against the local users
+ * @param {string} username - Username
+ * @param {string} password - Plain-text password
+ * @returns {Object|null} - Session user ({ username, name, role }), or null when the credentials are wrong
+ */
+const authenticateLocalUser = (username, password) => {
+    const user = loadLocalUsers().find(candidate => candidate.username === username);
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+        return null;
+    }
+    return { username: user.username, name: user.name || user.username, role: user.role || 'viewer' };
+};
+
+module.exports = {
+    hashPassword,
+    isValidPasswordHash,
+    authenticateLocalUser
+};
@@ -0,0 +1,51 @@
+// local.test.js in the 'backend/auth' folder
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Users are read from AUTH_USERS on first login, so set them before loading the module
+const { hashPassword } = require('./local');
+process.env.AUTH_USERS = JSON.stringify([
+    { username: 'analyst1', role: 'analyst', passwordHash: hashPassword('pw-analyst') },
+    { username: 'empty-hash', role: 'admin', passwordHash: 'scrypt$0123456789abcdef$' },
+    { username: 'not-hex', role: 'admin', passwordHash: 'scrypt$<salt>$<hash>' },
+    { username: 'short-hash', role: 'admin', passwordHash: `scrypt$0123456789abcdef$${'ab'.repeat(16)}` }
+]);
+const { isValidPasswordHash, authenticateLocalUser } = require('./local');
+
+test('hashPassword produces a 64-byte scrypt hash', () => {
+    const hash = hashPassword('secret');
+    assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.ok(isValidPasswordHash(hash));
+});
+
+test('the right password logs in', () => {
+    assert.deepStrictEqual(authenticateLocalUser('analyst1', 'pw-analyst'), {
+        username: 'analyst1',
+        name: 'analyst1',
+        role: 'analyst'
+    });
+});
+
+test('a wrong password is rejected', () => {
+    assert.strictEqual(authenticateLocalUser('analyst1', 'pw-admin'), null);
+    assert.strictEqual(authenticateLocalUser('analyst1', ''), null);
+});
+
+test('users with a malformed hash are rejected with any password', () => {
+    for (const username of ['empty-hash', 'not-hex', 'short-hash']) {
+        assert.strictEqual(authenticateLocalUser(username, ''), null);
+        assert.strictEqual(authenticateLocalUser(username, 'anything'), null);
+    }
+});
+
+test('isValidPasswordHash only accepts scrypt$<hex salt>$<128 hex characters>', () => {
+    assert.strictEqual(isValidPasswordHash(undefined), false);
+    assert.strictEqual(isValidPasswordHash('scrypt$abcd$'), false);
+    assert.strictEqual(isValidPasswordHash(`scrypt$$${'a'.repeat(128)}`), false);
+    assert.strictEqual(isValidPasswordHash(`scrypt$abcd$${'a'.repeat(127)}`), false);
+    assert.strictEqual(isValidPasswordHash(`scrypt$abcd$${'g'.repeat(128)}`), false);
+    assert.strictEqual(isValidPasswordHash(`bcrypt$abcd$${'a'.repeat(128)}`), false);
+    assert.strictEqual(isValidPasswordHash(`scrypt$abcd$${'a'.repeat(128)}`), true);
+});
@@ -0,0 +1,107 @@
+// oidc.js in the 'backend/auth' folder
+// OpenID Connect login (AUTH_MODE=oidc): authorization code flow with PKCE against OIDC_ISSUER_URL.
+// Roles come from a claim of the ID token (OIDC_ROLE_CLAIM, 'groups' by default) mapped through OIDC_ADMIN_GROUPS
+// and OIDC_ANALYST_GROUPS; everyone else who signs in gets OIDC_DEFAULT_ROLE.
+
+const { Issuer, generators } = require('openid-client');
+
+const OIDC_ROLE_CLAIM = process.env.OIDC_ROLE_CLAIM || 'groups';
+const OIDC_DEFAULT_ROLE = process.env.OIDC_DEFAULT_ROLE || 'viewer';
+
+// Client created from the issuer's discovery document (once, on first login)
+let clientPromise = null;
+
+/**
+ * Splits a comma-separated environment variable
+ * @param {string} name - Environment variable name
+ * @returns {Array} - Trimmed, non-empty values
+ */
+const getListFromEnv = (name) => (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+
+/**
+ * Gets the OIDC client, discovering the issuer on first use
+ * @returns {Promise<Object>} - openid-client Client
+ */
+const getClient = () => {
+    if (!clientPromise) {
+        clientPromise = Issuer.discover(process.env.OIDC_ISSUER_URL)
+            .then(issuer => {
+                console.log(`🔐 Discovered OIDC issuer: ${issuer.issuer}`);
+                return new issuer.Client({
+                    client_id: process.env.OIDC_CLIENT_ID,
+                    client_secret: process.env.OIDC_CLIENT_SECRET,
+                    redirect_uris: [process.env.OIDC_REDIRECT_URI],
+                    response_types: ['code']
+                });
+            })
+            .catch(error => {
+                clientPromise = null; // Try discovery again on the next login
+                throw error;
+            });
+    }
+    return clientPromise;
+};
+
+/**
+ * Maps the ID token claims to a dashboard role
+ * @param {Object} claims - ID token claims
+ * @returns {string} - 'admin', 'analyst' or OIDC_DEFAULT_ROLE
+ */
+const getRoleFromClaims = (claims) => {
+    const values = [].concat(claims[OIDC_ROLE_CLAIM] || []).map(String);
+    if (getListFromEnv('OIDC_ADMIN_GROUPS').some(group => values.includes(group))) {
+        return 'admin';
+    }
+    if (getListFromEnv('OIDC_ANALYST_GROUPS').some(group => values.includes(group))) {
+        return 'analyst';
+    }
+    return OIDC_DEFAULT_ROLE;
+};
+
+/**
+ * Starts a login: builds the authorization URL and the state to check on the callback
+ * @returns {Promise<Object>} - { url, state: { state, nonce, codeVerifier } }
+ */
+const createAuthorizationRequest = async () => {
+    const client = await getClient();
+    const state = generators.state();
+    const nonce = generators.nonce();
+    const codeVerifier = generators.codeVerifier();
+
+    const url = client.authorizationUrl({
+        scope: process.env.OIDC_SCOPES || 'openid profile email',
+        state,
+        nonce,
+        code_challenge: generators.codeChallenge(codeVerifier),
+        code_challenge_method: 'S256'
+    });
+    return { url, state: { state, nonce, codeVerifier } };
+};
+
+/**
+ * Completes a login from the issuer's callback
+ * @param {Object} req - Express request of the callback
+ * @param {Object} loginState - State returned by createAuthorizationRequest
+ * @returns {Promise<Object>} - Session user ({ username, name, role })
+ */
+const completeAuthorization = async (req, loginState) => {
+    const client = await getClient();
+    const params = client.callbackParams(req);
+    const tokenSet = await client.callback(process.env.OIDC_REDIRECT_URI, params, {
+        state: loginState.state,
+        nonce: loginState.nonce,
+        code_verifier: loginState.codeVerifier
+    });
+    const claims = tokenSet.claims();
+
+    return {
+        username: claims.preferred_username || claims.email || claims.sub,
+        name: claims.name || claims.preferred_username || claims.email || claims.sub,
+        role: getRoleFromClaims(claims)
+    };
+};
+
+module.exports = {
+    createAuthorizationRequest,
+    completeAuthorization
+};
@@ -0,0 +1,82 @@
+// session.js in the 'backend/auth' folder
+// Signed, expiring tokens stored in HttpOnly cookies: the login session and the short-lived OIDC login state.
+
+const crypto = require('crypto');
+
+/**
+ * Signs a payload into a token (base64url JSON plus an HMAC-SHA256 signature)
+ * @param {Object} payload - Data to sign
+ * @param {string} secret - Signing secret
+ * @param {number} maxAgeSeconds - Lifetime of the token
+ * @returns {string} - Token
+ */
+const signToken = (payload, secret, maxAgeSeconds) => {
+    const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + maxAgeSeconds * 1000 })).toString('base64url');
+    const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+    return `${body}.${signature}`;
+};
+
+/**
+ * Verifies a token made by signToken
+ * @param {string} token - Token
+ * @param {string} secret - Signing secret
+ * @returns {Object|null} - The payload, or null when the token is missing, tampered with or expired
+ */
+const verifyToken = (token, secret) => {
+    if (!token || !token.includes('.')) {
+        return null;
+    }
+    const [body, signature] = token.split('.');
+    const expected = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        return payload.exp > Date.now() ? payload : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Parses the Cookie request header
+ * @param {string} header - Cookie header value
+ * @returns {Object} - Cookie values by name
+ */
+const parseCookies = (header) => {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator === -1) return;
+        const name = part.slice(0, separator).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(separator + 1).trim());
+        } catch (error) {
+            // Ignore cookies that aren't URI-encoded
+        }
+    });
+    return cookies;
+};
+
+/**
+ * Builds a Set-Cookie header value for an HttpOnly cookie
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value ('' with maxAge 0 deletes it)
+ * @param {number} maxAgeSeconds - Cookie lifetime
+ * @returns {string} - Set-Cookie header value
+ */
+const serializeCookie = (name, value, maxAgeSeconds) => {
+    const attributes = [`${name}=${encodeURIComponent(value)}`, 'Path=/', `Max-Age=${maxAgeSeconds}`, 'HttpOnly', 'SameSite=Lax'];
+    if (process.env.NODE_ENV === 'production') {
+        attributes.push('Secure');
+    }
+    return attributes.join('; ');
+};
+
+module.exports = {
+    signToken,
+    verifyToken,
+    parseCookies,
+    serializeCookie
+};
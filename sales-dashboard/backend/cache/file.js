@@ -0,0 +1,184 @@
+// file.js in the 'backend/cache' folder
+// File-system cache: one file per key in CACHE_DIR, so restarts (and instances sharing a volume) keep the cache warm.
+// Each file starts with a JSON header line ({ key, expiresAt }) followed by the JSON value, so keys can be listed
+// without parsing the cached orders.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '..', 'data', 'cache');
+
+// Bytes read to find the header line of a cache file
+const HEADER_READ_SIZE = 64 * 1024;
+
+/**
+ * Gets the file path of a cache key (hashed, since keys hold characters file systems don't allow)
+ * @param {string} key - Cache key
+ * @returns {string} - File path
+ */
+const getFilePath = (key) => path.join(CACHE_DIR, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+/**
+ * Parses the header line of a cache file
+ * @param {string} content - Start of the file (at least its first line)
+ * @returns {Object|null} - { key, expiresAt, valueStart }, or null if the header is missing or corrupt
+ */
+const parseHeader = (content) => {
+    const newline = content.indexOf('\n');
+    if (newline === -1) return null;
+    try {
+        const header = JSON.parse(content.slice(0, newline));
+        if (!header || typeof header.key !== 'string' || typeof header.expiresAt !== 'number') return null;
+        return { key: header.key, expiresAt: header.expiresAt, valueStart: newline + 1 };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Reads the header line of a cache file
+ * @param {string} filePath - Cache file path
+ * @returns {Promise<Object|null|undefined>} - { key, expiresAt }, null if the header is corrupt, or undefined if the file is gone or unreadable
+ */
+const readHeader = async (filePath) => {
+    let handle = null;
+    try {
+        handle = await fs.promises.open(filePath, 'r');
+        const buffer = Buffer.alloc(HEADER_READ_SIZE);
+        const { bytesRead } = await handle.read(buffer, 0, HEADER_READ_SIZE, 0);
+        return parseHeader(buffer.toString('utf8', 0, bytesRead));
+    } catch (error) {
+        return undefined;
+    } finally {
+        if (handle) await handle.close();
+    }
+};
+
+/**
+ * Deletes a cache file, ignoring files that are already gone
+ * @param {string} filePath - Cache file path
+ * @returns {Promise<boolean>} - True if the file existed
+ */
+const removeFile = async (filePath) => {
+    try {
+        await fs.promises.unlink(filePath);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+};
+
+/**
+ * Lists the cache files with their headers, deleting the expired ones
+ * @returns {Promise<Array>} - [{ filePath, key, expiresAt }]
+ */
+const listEntries = async () => {
+    let fileNames;
+    try {
+        fileNames = await fs.promises.readdir(CACHE_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const entries = [];
+    for (const fileName of fileNames.filter(name => name.endsWith('.json'))) {
+        const filePath = path.join(CACHE_DIR, fileName);
+        const header = await readHeader(filePath);
+        if (header === undefined) continue;
+        // Corrupt files (e.g. truncated when the disk filled up) are dropped like expired ones
+        if (header === null || header.expiresAt <= Date.now()) {
+            await removeFile(filePath);
+            continue;
+        }
+        entries.push({ filePath, key: header.key, expiresAt: header.expiresAt });
+    }
+    return entries;
+};
+
+/**
+ * Creates a file-system cache
+ * @param {Object} options - { ttl } default time to live in seconds
+ * @returns {Object} - Cache ({ name, get, set, del, keys, flushAll, getStats })
+ */
+const create = ({ ttl = 1800 } = {}) => {
+    // Hits and misses of this process
+    const stats = { hits: 0, misses: 0 };
+    console.log(`🗂️ File cache directory: ${CACHE_DIR}`);
+
+    const get = async (key) => {
+        const filePath = getFilePath(key);
+        let content;
+        try {
+            content = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            stats.misses++;
+            return undefined;
+        }
+
+        // A corrupt or expired file is a miss and is deleted; another key with the same hash is only a miss
+        const header = parseHeader(content);
+        if (header && header.key !== key) {
+            stats.misses++;
+            return undefined;
+        }
+        let value;
+        try {
+            value = header && header.expiresAt > Date.now() ? JSON.parse(content.slice(header.valueStart)) : undefined;
+        } catch (error) {
+            value = undefined;
+        }
+        if (value === undefined) {
+            await removeFile(filePath);
+            stats.misses++;
+            return undefined;
+        }
+        stats.hits++;
+        return value;
+    };
+
+    const set = async (key, value, entryTtl) => {
+        const filePath = getFilePath(key);
+        const header = { key, expiresAt: Date.now() + (entryTtl || ttl) * 1000 };
+        // Write to a temporary file first so readers never see a partial entry
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+        await fs.promises.writeFile(tempPath, `${JSON.stringify(header)}\n${JSON.stringify(value)}`);
+        await fs.promises.rename(tempPath, filePath);
+    };
+
+    const del = async (keys) => {
+        let deleted = 0;
+        for (const key of [].concat(keys)) {
+            if (await removeFile(getFilePath(key))) deleted++;
+        }
+        return deleted;
+    };
+
+    const keys = async () => (await listEntries()).map(entry => entry.key);
+
+    const flushAll = async () => {
+        const entries = await listEntries();
+        await Promise.all(entries.map(entry => removeFile(entry.filePath)));
+        return entries.length;
+    };
+
+    const getStats = async () => ({ ...stats, keys: (await listEntries()).length });
+
+    return {
+        name: 'file',
+        get,
+        set,
+        del,
+        keys,
+        flushAll,
+        getStats
+    };
+};
+
+module.exports = {
+    create
+};
@@ -0,0 +1,41 @@
+// index.js in the 'backend/cache' folder
+// Cache backends for the order cache. Each one exports a create(options) factory returning an object with:
+//   name                   - identifier used by the CACHE_BACKEND environment variable
+//   get(key)               - async, the cached value or undefined when it is missing or expired
+//   set(key, value, ttl)   - async, stores a JSON-serializable value for ttl seconds
+//   del(keys)              - async, deletes one key or an array of keys and returns how many existed
+//   keys()                 - async, every key currently cached
+//   flushAll()             - async, deletes every entry and returns how many there were
+//   getStats()             - async, { hits, misses, keys, ... }
+// Values must survive a JSON round trip, since shared backends store them serialized.
+
+const CACHE_BACKENDS = {
+    memory: () => require('./memory'),
+    file: () => require('./file'),
+    redis: () => require('./redis')
+};
+
+/**
+ * Creates a cache with the named backend
+ * @param {string} name - 'memory', 'file' or 'redis'
+ * @param {Object} options - Backend options ({ ttl } default time to live in seconds)
+ * @returns {Object} - Cache ({ name, get, set, del, keys, flushAll, getStats })
+ */
+const createCache = (name, options = {}) => {
+    if (!CACHE_BACKENDS[name]) {
+        throw new Error(`Unknown cache backend '${name}'. Expected one of: ${Object.keys(CACHE_BACKENDS).join(', ')}`);
+    }
+    return CACHE_BACKENDS[name]().create(options);
+};
+
+/**
+ * Creates the cache selected by CACHE_BACKEND (defaults to 'memory')
+ * @param {Object} options - Backend options ({ ttl } default time to live in seconds)
+ * @returns {Object} - Cache ({ name, get, set, del, keys, flushAll, getStats })
+ */
+const getCache = (options) => createCache((process.env.CACHE_BACKEND || 'memory').trim().toLowerCase(), options);
+
+module.exports = {
+    createCache,
+    getCache
+};
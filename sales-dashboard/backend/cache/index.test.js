@@ -0,0 +1,123 @@
+// index.test.js in the 'backend/cache' folder
+// Every cache backend must behave the same; Redis is stood in for by ioredis-mock
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const RedisMock = require('ioredis-mock');
+const { createTempDir } = require('../__tests__/helpers');
+
+// The file backend reads CACHE_DIR when it is loaded
+process.env.CACHE_DIR = createTempDir('cache');
+const { createCache } = require('./index');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const BACKENDS = {
+    memory: () => createCache('memory', { ttl: 60 }),
+    file: () => createCache('file', { ttl: 60 }),
+    redis: () => createCache('redis', { ttl: 60, client: new RedisMock() })
+};
+
+Object.entries(BACKENDS).forEach(([name, createBackend]) => {
+    describe(`${name} cache`, () => {
+        const cache = createBackend();
+
+        beforeEach(async () => {
+            await cache.flushAll();
+        });
+
+        test('has the backend name', () => {
+            assert.strictEqual(cache.name, name);
+        });
+
+        test('returns undefined for a missing key', async () => {
+            assert.strictEqual(await cache.get('orders_DEV_missing'), undefined);
+        });
+
+        test('round-trips a JSON value', async () => {
+            const entry = { hits: [{ data: { order_no: '00000001', order_total: 1000.5 } }], fetchedAt: 1, expiresAt: 2 };
+            await cache.set('orders_DEV_a', entry);
+            assert.deepStrictEqual(await cache.get('orders_DEV_a'), entry);
+        });
+
+        test('expires entries after their ttl', async () => {
+            await cache.set('orders_DEV_short', { hits: [] }, 1);
+            assert.deepStrictEqual(await cache.get('orders_DEV_short'), { hits: [] });
+            await sleep(1100);
+            assert.strictEqual(await cache.get('orders_DEV_short'), undefined);
+            assert.deepStrictEqual(await cache.keys(), []);
+        });
+
+        test('lists and deletes keys', async () => {
+            await cache.set('orders_DEV_a', { hits: [] });
+            await cache.set('orders_DEV_b', { hits: [] });
+            await cache.set('orders_PRD_a', { hits: [] });
+            assert.deepStrictEqual((await cache.keys()).sort(), ['orders_DEV_a', 'orders_DEV_b', 'orders_PRD_a']);
+
+            assert.strictEqual(await cache.del('orders_DEV_a'), 1);
+            assert.strictEqual(await cache.del(['orders_DEV_b', 'orders_DEV_missing']), 1);
+            assert.deepStrictEqual(await cache.keys(), ['orders_PRD_a']);
+        });
+
+        test('flushes every entry', async () => {
+            await cache.set('orders_DEV_a', { hits: [] });
+            await cache.set('orders_DEV_b', { hits: [] });
+            assert.strictEqual(await cache.flushAll(), 2);
+            assert.deepStrictEqual(await cache.keys(), []);
+        });
+
+        test('counts hits, misses and keys', async () => {
+            const before = await cache.getStats();
+            await cache.set('orders_DEV_a', { hits: [] });
+            await cache.get('orders_DEV_a');
+            await cache.get('orders_DEV_missing');
+            const after = await cache.getStats();
+            assert.strictEqual(after.hits - before.hits, 1);
+            assert.strictEqual(after.misses - before.misses, 1);
+            assert.strictEqual(after.keys, 1);
+        });
+    });
+});
+
+describe('file cache corruption', () => {
+    const cache = createCache('file', { ttl: 60 });
+
+    /**
+     * Overwrites the file of a cached key
+     * @param {string} key - Cache key
+     * @param {string} content - New file content
+     * @returns {Promise<string>} - File path
+     */
+    const corruptEntry = async (key, content) => {
+        await cache.set(key, { hits: [] });
+        const [fileName] = fs.readdirSync(process.env.CACHE_DIR).filter(name => name.endsWith('.json'));
+        const filePath = path.join(process.env.CACHE_DIR, fileName);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    beforeEach(async () => {
+        fs.readdirSync(process.env.CACHE_DIR).forEach(name => fs.rmSync(path.join(process.env.CACHE_DIR, name)));
+    });
+
+    test('a corrupt header is a miss and deletes the file', async () => {
+        const filePath = await corruptEntry('orders_DEV_a', '{"key":"orders_DEV_a","expi\n{"hits":[]}');
+        assert.strictEqual(await cache.get('orders_DEV_a'), undefined);
+        assert.strictEqual(fs.existsSync(filePath), false);
+    });
+
+    test('a truncated value is a miss and deletes the file', async () => {
+        const filePath = await corruptEntry('orders_DEV_a', `${JSON.stringify({ key: 'orders_DEV_a', expiresAt: Date.now() + 60000 })}\n{"hits":[{"da`);
+        assert.strictEqual(await cache.get('orders_DEV_a'), undefined);
+        assert.strictEqual(fs.existsSync(filePath), false);
+    });
+
+    test('listing the keys drops files with a corrupt header', async () => {
+        const filePath = await corruptEntry('orders_DEV_a', 'not json');
+        await cache.set('orders_DEV_b', { hits: [] });
+        assert.deepStrictEqual(await cache.keys(), ['orders_DEV_b']);
+        assert.strictEqual(fs.existsSync(filePath), false);
+    });
+});
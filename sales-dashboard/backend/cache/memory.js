@@ -0,0 +1,37 @@
+// memory.js in the 'backend/cache' folder
+// In-process cache backed by node-cache. Fastest, but every instance (and every restart) starts cold.
+
+const NodeCache = require('node-cache');
+
+/**
+ * Creates an in-memory cache
+ * @param {Object} options - { ttl } default time to live in seconds
+ * @returns {Object} - Cache ({ name, get, set, del, keys, flushAll, getStats })
+ */
+const create = ({ ttl = 1800 } = {}) => {
+    const cache = new NodeCache({
+        stdTTL: ttl,
+        checkperiod: 60, // Check for expired keys every minute
+        useClones: false // For better performance, don't clone objects
+    });
+
+    return {
+        name: 'memory',
+        get: async (key) => cache.get(key),
+        set: async (key, value, entryTtl) => {
+            cache.set(key, value, entryTtl || ttl);
+        },
+        del: async (keys) => cache.del(keys),
+        keys: async () => cache.keys(),
+        flushAll: async () => {
+            const count = cache.keys().length;
+            cache.flushAll();
+            return count;
+        },
+        getStats: async () => ({ ...cache.getStats() }) // A copy, like the other backends
+    };
+};
+
+module.exports = {
+    create
+};
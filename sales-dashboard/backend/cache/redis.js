@@ -0,0 +1,90 @@
+// redis.js in the 'backend/cache' folder
+// Redis cache (or any server speaking the Redis protocol), shared by every instance of the backend.
+// Keys are namespaced with REDIS_KEY_PREFIX so clearing the cache leaves other data in the database alone.
+
+const Redis = require('ioredis');
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const REDIS_KEY_PREFIX = process.env.REDIS_KEY_PREFIX || 'sales-dashboard:';
+
+/**
+ * Creates a Redis cache
+ * @param {Object} options - { ttl } default time to live in seconds, and optionally a connected ioredis-compatible { client } to use instead of REDIS_URL
+ * @returns {Object} - Cache ({ name, get, set, del, keys, flushAll, getStats })
+ */
+const create = ({ ttl = 1800, client: existingClient } = {}) => {
+    // Fail fast while disconnected instead of queueing commands, so a Redis outage reads as cache misses
+    const client = existingClient || new Redis(REDIS_URL, { enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+    client.on('ready', () => console.log(`🧰 Connected to Redis cache at ${REDIS_URL}`));
+    client.on('error', (error) => console.error('❌ Redis cache error:', error.message));
+
+    // Hits and misses of this process
+    const stats = { hits: 0, misses: 0 };
+
+    /**
+     * Lists the prefixed keys of this cache
+     * @returns {Promise<Array>} - Keys including the prefix
+     */
+    const scanKeys = async () => {
+        const found = new Set();
+        let cursor = '0';
+        do {
+            const [nextCursor, batch] = await client.scan(cursor, 'MATCH', `${REDIS_KEY_PREFIX}*`, 'COUNT', 100);
+            batch.forEach(key => found.add(key));
+            cursor = nextCursor;
+        } while (cursor !== '0');
+        return [...found];
+    };
+
+    const get = async (key) => {
+        try {
+            const value = await client.get(REDIS_KEY_PREFIX + key);
+            if (value === null) {
+                stats.misses++;
+                return undefined;
+            }
+            stats.hits++;
+            return JSON.parse(value);
+        } catch (error) {
+            console.warn(`⚠️ Redis cache read failed for key ${key} - treating it as a miss:`, error.message);
+            stats.misses++;
+            return undefined;
+        }
+    };
+
+    const set = async (key, value, entryTtl) => {
+        try {
+            await client.set(REDIS_KEY_PREFIX + key, JSON.stringify(value), 'EX', entryTtl || ttl);
+        } catch (error) {
+            console.warn(`⚠️ Redis cache write failed for key ${key}:`, error.message);
+        }
+    };
+
+    const del = async (keys) => {
+        const prefixedKeys = [].concat(keys).map(key => REDIS_KEY_PREFIX + key);
+        return prefixedKeys.length > 0 ? client.del(...prefixedKeys) : 0;
+    };
+
+    const keys = async () => (await scanKeys()).map(key => key.slice(REDIS_KEY_PREFIX.length));
+
+    const flushAll = async () => {
+        const prefixedKeys = await scanKeys();
+        return prefixedKeys.length > 0 ? client.del(...prefixedKeys) : 0;
+    };
+
+    const getStats = async () => ({ ...stats, keys: (await scanKeys()).length });
+
+    return {
+        name: 'redis',
+        get,
+        set,
+        del,
+        keys,
+        flushAll,
+        getStats
+    };
+};
+
+module.exports = {
+    create
+};
@@ -0,0 +1,210 @@
+// fixtureGenerator.js in the 'backend/dataSources' folder
+// Generates realistic order documents (same shape as order_search hits' data) for the fixtures data source.
+
+// Product catalog: prepaid items are SIMs, devices and load; postpaid items are plans and devices
+const PRODUCTS = {
+    Prepaid: [
+        { id: 'SIM-PRE-5G', name: 'Prepaid 5G SIM', price: 99 },
+        { id: 'SIM-PRE-MNP', name: 'Prepaid MNP SIM', price: 0 },
+        { id: 'LOAD-300', name: 'Load 300', price: 300 },
+        { id: 'LOAD-1000', name: 'Load 1000', price: 1000 },
+        { id: 'DEV-A15', name: 'Samsung Galaxy A15', price: 8990 },
+        { id: 'DEV-RN13', name: 'Redmi Note 13', price: 9999 },
+        { id: 'ACC-PWRBANK', name: 'Power Bank 10000mAh', price: 1299 }
+    ],
+    Postpaid: [
+        { id: 'PLAN-599', name: 'Postpaid Plan 599', price: 599 },
+        { id: 'PLAN-999', name: 'Postpaid Plan 999', price: 999 },
+        { id: 'PLAN-1799', name: 'Postpaid Plan 1799', price: 1799 },
+        { id: 'DEV-IP15', name: 'iPhone 15 128GB', price: 52990 },
+        { id: 'DEV-S24', name: 'Samsung Galaxy S24', price: 49990 },
+        { id: 'ACC-CASE', name: 'Phone Case', price: 799 }
+    ]
+};
+
+const PAYMENT_METHODS = {
+    Prepaid: ['COD', 'Maya', 'GCash', 'CREDIT_CARD', 'PayLater', 'Prepaid_MNP_Free'],
+    Postpaid: ['CHARGE_TO_BILL', 'CREDIT_CARD', 'Maya', 'GCash', 'COD']
+};
+
+const FIRST_NAMES = ['Juan', 'Maria', 'Jose', 'Ana', 'Mark', 'Angel', 'Paolo', 'Kristine', 'Miguel', 'Patricia', 'Carlo', 'Bea'];
+const LAST_NAMES = ['Dela Cruz', 'Santos', 'Reyes', 'Garcia', 'Mendoza', 'Bautista', 'Villanueva', 'Ramos', 'Castillo', 'Aquino'];
+const CITIES = [
+    { city: 'Makati', state: 'Metro Manila', postal: '1226' },
+    { city: 'Quezon City', state: 'Metro Manila', postal: '1100' },
+    { city: 'Pasig', state: 'Metro Manila', postal: '1600' },
+    { city: 'Cebu City', state: 'Cebu', postal: '6000' },
+    { city: 'Davao City', state: 'Davao del Sur', postal: '8000' },
+    { city: 'Iloilo City', state: 'Iloilo', postal: '5000' }
+];
+
+// Weighted values: [value, weight]
+const ORDER_STATUSES = [['new', 40], ['open', 20], ['completed', 25], ['cancelled', 5], ['created', 5], ['failed', 5]];
+const CSP_SUBMISSION_STATUSES = [['success', 80], ['pending', 10], ['failed', 10]];
+const SR_STATUSES = [['Closed', 60], ['Open', 30], ['Cancelled', 10]];
+const OPTIMA_SUBMISSION_STATUSES = [['success', 80], ['pending', 12], ['failed', 8]];
+const OPTIMA_STATUSES = [['Activated', 55], ['Pending', 30], ['Rejected', 15]];
+const OPTIMA_SUB_STATUSES = { Activated: ['Completed'], Pending: ['Credit Check', 'For Delivery', 'Document Review'], Rejected: ['Credit Denied', 'Incomplete Documents'] };
+const CUSTOMER_TYPES = [['New', 45], ['Returning', 40], ['VIP', 10], ['Premium', 5]];
+const CHANNELS = [['Online', 55], ['Mobile', 30], ['Call Center', 10], ['Partner', 5]];
+const REGIONS = [['North', 25], ['South', 20], ['Central', 40], ['East', 5], ['West', 5], ['International', 5]];
+const STORE_IDS = ['STORE001', 'STORE002', 'STORE003', 'STORE004', 'STORE005'];
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), so the same seed gives the same orders
+ * @param {number} seed - Seed
+ * @returns {Function} - Returns a number in [0, 1) on each call
+ */
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Generates order documents spread over the last `days` days
+ * @param {Object} options - { count, days, seed, now }
+ * @returns {Array} - Order documents, newest first
+ */
+const generateOrders = ({ count = 2000, days = 90, seed = 42, now = new Date() } = {}) => {
+    const random = createRandom(seed);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const pickWeighted = (weighted) => {
+        const totalWeight = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = random() * totalWeight;
+        for (const [value, weight] of weighted) {
+            roll -= weight;
+            if (roll < 0) return value;
+        }
+        return weighted[weighted.length - 1][0];
+    };
+    const digits = (length) => Array.from({ length }, () => Math.floor(random() * 10)).join('');
+
+    const rangeMs = days * 24 * 60 * 60 * 1000;
+    const orders = [];
+
+    for (let i = 0; i < count; i++) {
+        const orderType = random() < 0.65 ? 'Prepaid' : 'Postpaid';
+        const created = new Date(now.getTime() - Math.floor(random() * rangeMs));
+        const lastModified = new Date(Math.min(now.getTime(), created.getTime() + Math.floor(random() * 6 * 60 * 60 * 1000)));
+        const firstName = pick(FIRST_NAMES);
+        const lastName = pick(LAST_NAMES);
+        const location = pick(CITIES);
+        const guest = random() < 0.35;
+        const phone = `09${digits(9)}`;
+
+        // Line items
+        const productItems = [];
+        const lineCount = 1 + Math.floor(random() * 3);
+        for (let line = 0; line < lineCount; line++) {
+            const product = pick(PRODUCTS[orderType]);
+            const quantity = product.id.startsWith('DEV-') || product.id.startsWith('PLAN-') ? 1 : 1 + Math.floor(random() * 3);
+            const price = product.price * quantity;
+            productItems.push({
+                item_id: `item-${i}-${line}`,
+                product_id: product.id,
+                product_name: product.name,
+                quantity,
+                base_price: product.price,
+                price,
+                price_after_order_discount: price
+            });
+        }
+        const productTotal = productItems.reduce((sum, item) => sum + item.price, 0);
+        const shippingTotal = productTotal >= 1000 ? 0 : 99;
+        const orderTotal = productTotal + shippingTotal;
+
+        // Payment instruments (about 5% of orders are split tender)
+        const paymentMethod = productTotal === 0 && orderType === 'Prepaid' ? 'Prepaid_MNP_Free' : pick(PAYMENT_METHODS[orderType].filter(method => method !== 'Prepaid_MNP_Free'));
+        const paymentInstruments = [];
+        if (random() < 0.05 && orderTotal > 0) {
+            const firstAmount = Math.round(orderTotal * 0.5);
+            const secondMethod = pick(PAYMENT_METHODS[orderType].filter(method => method !== paymentMethod && method !== 'Prepaid_MNP_Free'));
+            paymentInstruments.push({ payment_instrument_id: `pi-${i}-1`, payment_method_id: paymentMethod, amount: firstAmount });
+            paymentInstruments.push({ payment_instrument_id: `pi-${i}-2`, payment_method_id: secondMethod, amount: orderTotal - firstAmount });
+        } else {
+            paymentInstruments.push({ payment_instrument_id: `pi-${i}-1`, payment_method_id: paymentMethod, amount: orderTotal });
+        }
+        paymentInstruments.forEach(instrument => {
+            if (instrument.payment_method_id === 'CREDIT_CARD') {
+                instrument.payment_card = { card_type: pick(['Visa', 'Master Card']), masked_number: `************${digits(4)}` };
+            }
+        });
+
+        const address = {
+            first_name: firstName,
+            last_name: lastName,
+            address1: `${1 + Math.floor(random() * 999)} ${pick(['Rizal', 'Mabini', 'Bonifacio', 'Ayala', 'Roxas'])} St.`,
+            city: location.city,
+            state_code: location.state,
+            postal_code: location.postal,
+            country_code: 'PH',
+            phone
+        };
+        const status = pickWeighted(ORDER_STATUSES);
+
+        const order = {
+            order_no: String(10000000 + count - i).padStart(8, '0'),
+            status,
+            creation_date: created.toISOString(),
+            last_modified: lastModified.toISOString(),
+            currency: 'PHP',
+            payment_status: status === 'failed' ? 'not_paid' : pick(['paid', 'not_paid']),
+            export_status: status === 'completed' ? 'exported' : 'not_exported',
+            product_total: productTotal,
+            shipping_total: shippingTotal,
+            tax_total: Math.round(productTotal * 12 / 112 * 100) / 100, // VAT-inclusive prices
+            order_total: orderTotal,
+            guest,
+            customer_info: {
+                customer_name: `${firstName} ${lastName}`,
+                email: `${firstName}.${lastName}${digits(3)}@example.com`.toLowerCase().replace(/\s+/g, ''),
+                ...(guest ? {} : { customer_no: `C${digits(8)}` })
+            },
+            billing_address: address,
+            shipments: [{
+                shipment_id: 'me',
+                shipping_method: { id: shippingTotal === 0 ? 'free' : 'standard', name: shippingTotal === 0 ? 'Free Shipping' : 'Standard Delivery' },
+                shipping_status: status === 'completed' ? 'shipped' : 'not_shipped',
+                shipping_address: address
+            }],
+            product_items: productItems,
+            payment_instruments: paymentInstruments,
+            c_smartOrderType: orderType,
+            c_customerType: pickWeighted(CUSTOMER_TYPES),
+            c_channel: pickWeighted(CHANNELS),
+            c_region: pickWeighted(REGIONS),
+            c_storeId: pick(STORE_IDS)
+        };
+
+        // Fulfilment pipeline fields: CSP for Prepaid, Optima for Postpaid
+        if (orderType === 'Prepaid') {
+            order.c_submissionStatusCSP = pickWeighted(CSP_SUBMISSION_STATUSES);
+            if (order.c_submissionStatusCSP === 'success') {
+                order.c_salesOrderNoCSP = `SO${digits(9)}`;
+                order.c_srSummaryIdCSP = `SR-${digits(7)}`;
+                order.c_SRStatus = pickWeighted(SR_STATUSES);
+            }
+        } else {
+            order.c_optimaCartID = `CART${digits(10)}`;
+            order.c_submissionStatusOptima = pickWeighted(OPTIMA_SUBMISSION_STATUSES);
+            if (order.c_submissionStatusOptima === 'success') {
+                order.c_optimaStatus = pickWeighted(OPTIMA_STATUSES);
+                order.c_optimaSubStatus = pick(OPTIMA_SUB_STATUSES[order.c_optimaStatus]);
+            }
+        }
+
+        orders.push(order);
+    }
+
+    return orders.sort((a, b) => b.creation_date.localeCompare(a.creation_date));
+};
+
+module.exports = {
+    generateOrders
+};
@@ -0,0 +1,78 @@
+// fixtures.js in the 'backend/dataSources' folder
+// Offline data source: serves orders from local JSON / NDJSON fixture files, so the dashboard runs without sandbox credentials.
+
+const fs = require('fs');
+const path = require('path');
+const { runOrderSearch } = require('./orderQuery');
+const { generateOrders } = require('./fixtureGenerator');
+
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(__dirname, '..', 'fixtures');
+
+// Orders loaded per environment (files are read once, on first use)
+const fixtureOrders = {};
+
+/**
+ * Reads the orders from one fixture file.
+ * .json files hold an array of orders (or hits), or an order_search response ({ hits });
+ * .ndjson files hold one order (or hit) per line.
+ * @param {string} filePath - Fixture file path
+ * @returns {Array} - Order documents
+ */
+const readFixtureFile = (filePath) => {
+    const content = fs.readFileSync(filePath, 'utf8');
+    let records;
+
+    if (filePath.endsWith('.ndjson')) {
+        records = content.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+    } else {
+        const parsed = JSON.parse(content);
+        records = Array.isArray(parsed) ? parsed : (parsed.hits || []);
+    }
+
+    // Accept order_search hits as well as bare orders
+    return records.map(record => (record && record.data ? record.data : record));
+};
+
+/**
+ * Loads the fixture orders of an environment.
+ * Files in FIXTURES_DIR/<environment>/ are used when that folder exists, otherwise the files in FIXTURES_DIR.
+ * Without any fixture files, orders are generated in memory.
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @returns {Array} - Order documents
+ */
+const loadFixtureOrders = (environment) => {
+    const env = (environment || 'DEV').toUpperCase();
+    if (fixtureOrders[env]) {
+        return fixtureOrders[env];
+    }
+
+    const environmentDir = path.join(FIXTURES_DIR, env.toLowerCase());
+    const dir = fs.existsSync(environmentDir) ? environmentDir : FIXTURES_DIR;
+    const files = fs.existsSync(dir)
+        ? fs.readdirSync(dir).filter(file => file.endsWith('.json') || file.endsWith('.ndjson')).sort()
+        : [];
+
+    if (files.length > 0) {
+        fixtureOrders[env] = files.flatMap(file => readFixtureFile(path.join(dir, file)));
+        console.log(`📂 Loaded ${fixtureOrders[env].length} fixture orders for ${env} from ${dir}`);
+    } else {
+        fixtureOrders[env] = generateOrders({ seed: env === 'PRD' ? 7 : 42 });
+        console.log(`⚠️ No fixture files in ${dir} - generated ${fixtureOrders[env].length} orders for ${env} in memory (run 'npm run fixtures' to write them to disk)`);
+    }
+
+    return fixtureOrders[env];
+};
+
+/**
+ * Runs an order_search request body against the fixture orders
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @param {Object} payload - order_search request body
+ * @returns {Promise<Object>} - order_search style response ({ hits, total, start, count })
+ */
+const search = async (environment, payload) => runOrderSearch(loadFixtureOrders(environment), payload);
+
+module.exports = {
+    name: 'fixtures',
+    pageSize: 1000, // Local reads, so fewer and bigger pages
+    search
+};
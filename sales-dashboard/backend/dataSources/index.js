@@ -0,0 +1,37 @@
+// index.js in the 'backend/dataSources' folder
+// Data sources answer OCAPI order_search request bodies. Each one exports:
+//   name   - identifier used by the DATA_SOURCE environment variable
+//   search - async (environment, payload, { signal }) => ({ hits, total, start, count }), one page per call;
+//            sources that make network requests should cancel them when the signal aborts
+// and optionally:
+//   pageSize        - orders to request per page (defaults to 200, the OCAPI maximum)
+//   sync, getStatus - incremental sync from an upstream source (snapshot)
+
+const DATA_SOURCES = {
+    ocapi: () => require('./ocapi'),
+    fixtures: () => require('./fixtures'),
+    snapshot: () => require('./snapshot')
+};
+
+/**
+ * Loads a data source by name
+ * @param {string} name - 'ocapi', 'fixtures' or 'snapshot'
+ * @returns {Object} - Data source ({ name, search, ... })
+ */
+const loadDataSource = (name) => {
+    if (!DATA_SOURCES[name]) {
+        throw new Error(`Unknown data source '${name}'. Expected one of: ${Object.keys(DATA_SOURCES).join(', ')}`);
+    }
+    return DATA_SOURCES[name]();
+};
+
+/**
+ * Gets the data source selected by DATA_SOURCE (defaults to 'ocapi')
+ * @returns {Object} - Data source ({ name, search, ... })
+ */
+const getDataSource = () => loadDataSource((process.env.DATA_SOURCE || 'ocapi').trim().toLowerCase());
+
+module.exports = {
+    getDataSource,
+    loadDataSource
+};
@@ -0,0 +1,223 @@
+// ocapi.js in the 'backend/dataSources' folder
+// Salesforce B2C Commerce Cloud (OCAPI) data source: OAuth token per environment, then order_search.
+
+const axios = require('axios');
+
+// Retries of a request that failed with 429, 5xx or a network error
+const OCAPI_MAX_RETRIES = parseInt(process.env.OCAPI_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.OCAPI_MAX_RETRIES, 10) : 3;
+// First backoff delay (doubled on each retry) and the longest delay waited, in milliseconds
+const OCAPI_RETRY_BASE_DELAY_MS = parseInt(process.env.OCAPI_RETRY_BASE_DELAY_MS, 10) || 500;
+const OCAPI_MAX_RETRY_DELAY_MS = parseInt(process.env.OCAPI_MAX_RETRY_DELAY_MS, 10) || 30000;
+// order_search pages fetched at the same time
+const OCAPI_PAGE_CONCURRENCY = parseInt(process.env.OCAPI_PAGE_CONCURRENCY, 10) || 4;
+// Most results order_search lets a query page through; larger date ranges are split
+const OCAPI_RESULT_WINDOW = parseInt(process.env.OCAPI_RESULT_WINDOW, 10) || 10000;
+
+// --- In-memory cache for environment-specific access tokens ---
+const tokenCache = {
+    DEV: {
+        accessToken: null,
+        tokenExpiresAt: null,
+        pendingToken: null // In-flight token request shared by concurrent callers
+    },
+    PRD: {
+        accessToken: null,
+        tokenExpiresAt: null,
+        pendingToken: null
+    }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Checks whether a failed request is worth retrying
+ * @param {Error} error - Axios error
+ * @returns {boolean} - True for 429, 5xx and network errors
+ */
+const isRetryableError = (error) => {
+    if (axios.isCancel(error)) {
+        return false;
+    }
+    if (!error.response) {
+        return true; // Network error or timeout
+    }
+    return error.response.status === 429 || error.response.status >= 500;
+};
+
+/**
+ * Gets how long to wait before the next retry: the Retry-After header when the server sent one,
+ * otherwise exponential backoff with jitter
+ * @param {Error} error - Axios error
+ * @param {number} attempt - Retry number, starting at 0
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (error, attempt) => {
+    const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+    if (retryAfter) {
+        // Either a number of seconds or an HTTP date
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        if (!Number.isNaN(delay)) {
+            return Math.min(Math.max(delay, 0), OCAPI_MAX_RETRY_DELAY_MS);
+        }
+    }
+    const backoff = OCAPI_RETRY_BASE_DELAY_MS * 2 ** attempt;
+    return Math.min(backoff + Math.floor(Math.random() * backoff * 0.2), OCAPI_MAX_RETRY_DELAY_MS);
+};
+
+/**
+ * Runs a request, retrying 429, 5xx and network errors with backoff
+ * @param {Function} request - Function returning the request promise
+ * @param {string} description - Request description for the logs
+ * @param {AbortSignal} signal - Optional abort signal; a cancelled request isn't retried
+ * @returns {Promise<*>} - The request's result
+ */
+const withRetries = async (request, description, signal) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await request();
+        } catch (error) {
+            if (attempt >= OCAPI_MAX_RETRIES || !isRetryableError(error) || (signal && signal.aborted)) {
+                throw error;
+            }
+            const delay = getRetryDelay(error, attempt);
+            console.warn(`⚠️ ${description} failed (${error.response ? error.response.status : error.code || error.message}) - retry ${attempt + 1}/${OCAPI_MAX_RETRIES} in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+};
+
+/**
+ * Gets environment-specific configuration
+ * @param {string} environment - 'DEV' or 'PROD'
+ * @returns {Object} - Environment-specific config
+ */
+const getEnvironmentConfig = (environment) => {
+    const env = environment || 'DEV';
+    const prefix = env.toUpperCase();
+
+    const config = {
+        apiBaseUrl: process.env[`API_BASE_URL_${prefix}`],
+        clientId: process.env[`CLIENT_ID_${prefix}`],
+        authHeader: process.env[`AUTH_HEADER_${prefix}`]
+    };
+
+    console.log(`🔧 Environment Config - Environment: ${env}, Prefix: ${prefix}`);
+    console.log(`📋 Config Status - API URL: ${config.apiBaseUrl ? 'SET' : 'NOT SET'}, Client ID: ${config.clientId ? 'SET' : 'NOT SET'}, Auth Header: ${config.authHeader ? 'SET' : 'NOT SET'}`);
+
+    return config;
+};
+
+/**
+ * Fetches a new access token if the current one is invalid or expired.
+ * @param {string} environment - 'DEV' or 'PRD'
+ */
+const getAccessToken = async (environment) => {
+    const env = environment || 'DEV';
+    const cacheKey = env.toUpperCase();
+
+    const envCache = tokenCache[cacheKey];
+
+    // If we have a valid token for this environment, return it
+    if (envCache.accessToken && envCache.tokenExpiresAt && new Date() < envCache.tokenExpiresAt) {
+        console.log(`🔑 Using cached access token for ${cacheKey} environment.`);
+        return envCache.accessToken;
+    }
+    
+    // Parallel page requests share a single token request
+    if (!envCache.pendingToken) {
+        envCache.pendingToken = fetchAccessToken(env).finally(() => {
+            envCache.pendingToken = null;
+        });
+    }
+    return envCache.pendingToken;
+};
+
+/**
+ * Requests a new access token and caches it
+ * @param {string} env - 'DEV' or 'PRD'
+ * @returns {Promise<string>} - Access token
+ */
+const fetchAccessToken = async (env) => {
+    const cacheKey = env.toUpperCase();
+    const envCache = tokenCache[cacheKey];
+
+    console.log(`🔄 Fetching a new access token for ${cacheKey} environment...`);
+    try {
+        const config = getEnvironmentConfig(env);
+        const params = new URLSearchParams();
+        params.append('grant_type', 'urn:demandware:params:oauth:grant-type:client-id:dwsid:dwsecuretoken');
+
+        const response = await withRetries(() => axios.post(
+            `${config.apiBaseUrl}/dw/oauth2/access_token?client_id=${config.clientId}`,
+            params,
+            {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Authorization': config.authHeader,
+                },
+            }
+        ), `Access token request for ${cacheKey}`);
+
+        const { access_token, expires_in } = response.data;
+
+        // Cache the token for this specific environment
+        envCache.accessToken = access_token;
+        // Set expiry time to be 60 seconds before it actually expires, for safety
+        envCache.tokenExpiresAt = new Date(new Date().getTime() + (expires_in - 60) * 1000);
+
+        console.log(`✅ Successfully fetched and cached new token for ${cacheKey} environment.`);
+        return envCache.accessToken;
+    } catch (error) {
+        console.error(`❌ Error fetching access token for ${cacheKey} environment:`, error.response ? error.response.data : error.message);
+        throw new Error(`Could not retrieve access token for ${cacheKey} environment.`);
+    }
+};
+
+/**
+ * Posts a single order_search request to the Commerce Cloud instance.
+ * 429/5xx responses are retried with backoff; a 401 (expired or revoked token) gets a new token and is retried once.
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @param {Object} payload - order_search request body
+ * @param {Object} options - Optional { signal } to cancel the request
+ * @returns {Promise<Object>} - order_search response data ({ hits, total, ... })
+ */
+const search = async (environment, payload, options = {}) => {
+    const env = environment || 'DEV';
+    const config = getEnvironmentConfig(env);
+
+    let token = null;
+    const postOrderSearch = async () => {
+        token = await getAccessToken(env);
+        return withRetries(() => axios.post(
+            `${config.apiBaseUrl}/dw/shop/v24_5/order_search`,
+            payload,
+            { headers: { Authorization: `Bearer ${token}` }, signal: options.signal }
+        ), `order_search (${env}, start ${payload.start || 0})`, options.signal);
+    };
+
+    try {
+        const response = await postOrderSearch();
+        return response.data;
+    } catch (error) {
+        if (!error.response || error.response.status !== 401) {
+            throw error;
+        }
+        console.warn(`🔑 order_search returned 401 for ${env.toUpperCase()} - refreshing the access token and retrying`);
+        // Only drop the token if a parallel request hasn't already replaced it
+        const envCache = tokenCache[env.toUpperCase()];
+        if (envCache.accessToken === token) {
+            envCache.accessToken = null;
+            envCache.tokenExpiresAt = null;
+        }
+        const response = await postOrderSearch();
+        return response.data;
+    }
+};
+
+module.exports = {
+    name: 'ocapi',
+    concurrency: OCAPI_PAGE_CONCURRENCY,
+    resultWindow: OCAPI_RESULT_WINDOW,
+    search
+};
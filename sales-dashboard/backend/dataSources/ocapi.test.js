@@ -0,0 +1,110 @@
+// ocapi.test.js in the 'backend/dataSources' folder
+// OCAPI data source against a local stand-in server: retries of 429 and 5xx responses, Retry-After and token refresh
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+console.log = console.error; // Keep the request logs off the test runner's stdout
+
+// Responses the stand-in server gives next, per path ('token' or 'search'); a 200 once they run out
+const queued = { token: [], search: [] };
+const received = { token: [], search: [] };
+let tokenCount = 0;
+
+const server = http.createServer((req, res) => {
+    const kind = req.url.startsWith('/dw/oauth2/access_token') ? 'token' : 'search';
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received[kind].push({ at: Date.now(), authorization: req.headers.authorization, body });
+        const next = queued[kind].shift();
+        if (next) {
+            res.writeHead(next.status, next.headers || {});
+            return res.end(JSON.stringify({ fault: { type: 'Test' } }));
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        if (kind === 'token') {
+            tokenCount++;
+            return res.end(JSON.stringify({ access_token: `token-${tokenCount}`, expires_in: 900 }));
+        }
+        res.end(JSON.stringify({ total: 1, hits: [{ data: { order_no: '00000001' } }] }));
+    });
+});
+
+let ocapi;
+
+test.before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    Object.assign(process.env, {
+        API_BASE_URL_DEV: `http://127.0.0.1:${server.address().port}`,
+        CLIENT_ID_DEV: 'client',
+        AUTH_HEADER_DEV: 'Basic dGVzdDp0ZXN0',
+        OCAPI_MAX_RETRIES: '2',
+        OCAPI_RETRY_BASE_DELAY_MS: '1',
+        OCAPI_MAX_RETRY_DELAY_MS: '200'
+    });
+    ocapi = require('./ocapi');
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+    queued.token = [];
+    queued.search = [];
+    received.token = [];
+    received.search = [];
+});
+
+test('the token is fetched once and reused', async () => {
+    const [first, second] = await Promise.all([ocapi.search('DEV', { start: 0 }), ocapi.search('DEV', { start: 200 })]);
+    assert.strictEqual(first.total, 1);
+    assert.strictEqual(second.total, 1);
+    assert.strictEqual(received.token.length, 1);
+    assert.ok(received.search.every(request => request.authorization === 'Bearer token-1'));
+});
+
+test('429 and 5xx responses are retried', async () => {
+    queued.search = [{ status: 503 }, { status: 429 }];
+    const response = await ocapi.search('DEV', { start: 0 });
+    assert.strictEqual(response.hits[0].data.order_no, '00000001');
+    assert.strictEqual(received.search.length, 3);
+});
+
+test('Retry-After sets the delay, up to OCAPI_MAX_RETRY_DELAY_MS', async () => {
+    queued.search = [{ status: 429, headers: { 'Retry-After': '0.1' } }, { status: 429, headers: { 'Retry-After': '3600' } }];
+    await ocapi.search('DEV', { start: 0 });
+    const [first, second, third] = received.search.map(request => request.at);
+    assert.ok(second - first >= 90, `waited ${second - first}ms`);
+    assert.ok(third - second >= 190 && third - second < 1000, `waited ${third - second}ms`);
+});
+
+test('requests fail once the retries run out, and other errors are not retried', async () => {
+    queued.search = [{ status: 500 }, { status: 500 }, { status: 500 }];
+    await assert.rejects(ocapi.search('DEV', { start: 0 }), error => error.response.status === 500);
+    assert.strictEqual(received.search.length, 3);
+
+    received.search = [];
+    queued.search = [{ status: 400 }];
+    await assert.rejects(ocapi.search('DEV', { start: 0 }), error => error.response.status === 400);
+    assert.strictEqual(received.search.length, 1);
+});
+
+test('a 401 gets a new token and is retried once', async () => {
+    queued.search = [{ status: 401 }];
+    await ocapi.search('DEV', { start: 0 });
+    assert.strictEqual(received.token.length, 1);
+    assert.deepStrictEqual(received.search.map(request => request.authorization), ['Bearer token-1', 'Bearer token-2']);
+
+    queued.search = [{ status: 401 }, { status: 401 }];
+    await assert.rejects(ocapi.search('DEV', { start: 0 }), error => error.response.status === 401);
+});
+
+test('a request cancelled while waiting to retry is not sent again', async () => {
+    const controller = new AbortController();
+    queued.search = [{ status: 503, headers: { 'Retry-After': '0.1' } }];
+    const request = ocapi.search('DEV', { start: 0 }, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(request, { name: 'CanceledError' });
+    assert.strictEqual(received.search.length, 1);
+});
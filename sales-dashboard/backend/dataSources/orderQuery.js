@@ -0,0 +1,155 @@
+// orderQuery.js in the 'backend/dataSources' folder
+// Runs OCAPI order_search request bodies against plain order documents, for data sources without a Commerce Cloud instance.
+// Supports the queries this app sends: filtered_query, range_filter, term_query/term_filter, bool_query and match_all_query.
+
+/**
+ * Compares two field values, as numbers when both are numbers and as dates or strings otherwise
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Negative, zero or positive like Array.prototype.sort comparators
+ */
+const compareValues = (a, b) => {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    const dateA = Date.parse(a);
+    const dateB = Date.parse(b);
+    if (!Number.isNaN(dateA) && !Number.isNaN(dateB)) {
+        return dateA - dateB;
+    }
+    return String(a).localeCompare(String(b));
+};
+
+/**
+ * Checks an order against a term_query (or term_filter)
+ * @param {Object} order - Order document
+ * @param {Object} termQuery - { fields, operator, values }
+ * @returns {boolean} - True when the order matches
+ */
+const matchesTermQuery = (order, termQuery) => {
+    const values = termQuery.values || [];
+    const found = (termQuery.fields || []).some(field => values.includes(order[field]));
+
+    switch (termQuery.operator) {
+        case 'is':
+        case 'one_of':
+            return found;
+        case 'not_in':
+            return !found;
+        default:
+            throw new Error(`Unsupported term_query operator '${termQuery.operator}'`);
+    }
+};
+
+/**
+ * Checks an order against a range_filter (bounds are inclusive unless from_inclusive/to_inclusive are false)
+ * @param {Object} order - Order document
+ * @param {Object} rangeFilter - { field, from, to, from_inclusive, to_inclusive }
+ * @returns {boolean} - True when the order matches
+ */
+const matchesRangeFilter = (order, rangeFilter) => {
+    const value = order[rangeFilter.field];
+    if (value === undefined || value === null) {
+        return false;
+    }
+    if (rangeFilter.from !== undefined && rangeFilter.from !== null) {
+        const comparison = compareValues(value, rangeFilter.from);
+        if (comparison < 0 || (comparison === 0 && rangeFilter.from_inclusive === false)) return false;
+    }
+    if (rangeFilter.to !== undefined && rangeFilter.to !== null) {
+        const comparison = compareValues(value, rangeFilter.to);
+        if (comparison > 0 || (comparison === 0 && rangeFilter.to_inclusive === false)) return false;
+    }
+    return true;
+};
+
+/**
+ * Checks an order against a filter of a filtered_query
+ * @param {Object} order - Order document
+ * @param {Object} filter - { range_filter } or { term_filter }
+ * @returns {boolean} - True when the order matches
+ */
+const matchesFilter = (order, filter) => {
+    if (!filter) return true;
+    if (filter.range_filter) return matchesRangeFilter(order, filter.range_filter);
+    if (filter.term_filter) return matchesTermQuery(order, filter.term_filter);
+    throw new Error(`Unsupported order_search filter: ${Object.keys(filter).join(', ')}`);
+};
+
+/**
+ * Checks an order against an order_search query
+ * @param {Object} order - Order document
+ * @param {Object} query - OCAPI query object
+ * @returns {boolean} - True when the order matches
+ */
+const matchesQuery = (order, query) => {
+    if (!query || query.match_all_query) return true;
+    if (query.term_query) return matchesTermQuery(order, query.term_query);
+    if (query.filtered_query) {
+        return matchesFilter(order, query.filtered_query.filter) && matchesQuery(order, query.filtered_query.query);
+    }
+    if (query.bool_query) {
+        const { must = [], must_not = [], should = [] } = query.bool_query;
+        return must.every(subQuery => matchesQuery(order, subQuery))
+            && !must_not.some(subQuery => matchesQuery(order, subQuery))
+            && (should.length === 0 || should.some(subQuery => matchesQuery(order, subQuery)));
+    }
+    throw new Error(`Unsupported order_search query: ${Object.keys(query).join(', ')}`);
+};
+
+/**
+ * Sorts orders by the sorts of an order_search request body (first sort wins, the rest break ties)
+ * @param {Array} orders - Order documents (sorted in place)
+ * @param {Array} sorts - order_search sorts ({ field, sort_order })
+ * @returns {Array} - The sorted orders
+ */
+const applySorts = (orders, sorts) => {
+    (sorts || []).slice().reverse().forEach(sort => {
+        const direction = sort.sort_order === 'desc' ? -1 : 1;
+        orders.sort((a, b) => compareValues(a[sort.field] ?? '', b[sort.field] ?? '') * direction);
+    });
+    return orders;
+};
+
+/**
+ * Filters and sorts a list of orders by an order_search request body, without paging
+ * @param {Array} orders - Order documents
+ * @param {Object} payload - order_search request body (query, sorts)
+ * @returns {Array} - Every matching order, in the requested order
+ */
+const matchOrders = (orders, payload) => applySorts(orders.filter(order => matchesQuery(order, payload.query)), payload.sorts);
+
+/**
+ * Gets the page of an order_search request body from orders that were already matched and sorted
+ * @param {Array} matches - Result of matchOrders
+ * @param {Object} payload - order_search request body (start, count)
+ * @returns {Object} - order_search style response ({ hits, total, start, count })
+ */
+const pageOrderSearch = (matches, payload) => {
+    const start = payload.start || 0;
+    const count = payload.count || 25; // order_search default page size
+    const page = matches.slice(start, start + count);
+
+    return {
+        hits: page.map(order => ({ _type: 'order_search_hit', data: order })),
+        total: matches.length,
+        start,
+        count: page.length
+    };
+};
+
+/**
+ * Runs an order_search request body against a list of orders
+ * @param {Array} orders - Order documents
+ * @param {Object} payload - order_search request body (query, sorts, start, count)
+ * @returns {Object} - order_search style response ({ hits, total, start, count })
+ */
+const runOrderSearch = (orders, payload) => pageOrderSearch(matchOrders(orders, payload), payload);
+
+module.exports = {
+    applySorts,
+    matchesQuery,
+    matchOrders,
+    pageOrderSearch,
+    runOrderSearch
+};
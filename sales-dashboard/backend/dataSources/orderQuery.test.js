@@ -0,0 +1,98 @@
+// orderQuery.test.js in the 'backend/dataSources' folder
+// order_search request bodies run against plain orders, and the fixtures data source built on them
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir } = require('../__tests__/helpers');
+
+console.log = console.error; // Keep the fixture loading logs off the test runner's stdout
+
+// Fixture files are read from FIXTURES_DIR when the data source is loaded
+process.env.FIXTURES_DIR = createTempDir('fixtures');
+const { matchesQuery, runOrderSearch } = require('./orderQuery');
+const { generateOrders } = require('./fixtureGenerator');
+const { loadDataSource } = require('./index');
+
+const ORDERS = [
+    { order_no: '1', status: 'new', c_smartOrderType: 'Prepaid', order_total: 100, creation_date: '2025-01-01T00:00:00.000Z' },
+    { order_no: '2', status: 'completed', c_smartOrderType: 'Postpaid', order_total: 900, creation_date: '2025-01-15T00:00:00.000Z' },
+    { order_no: '3', status: 'failed', c_smartOrderType: 'Prepaid', order_total: 50, creation_date: '2025-01-31T23:59:59.999Z' },
+    { order_no: '4', status: 'completed', c_smartOrderType: 'Prepaid', order_total: 900, creation_date: '2025-02-01T00:00:00.000Z' }
+];
+
+const orderNumbers = (payload) => runOrderSearch(ORDERS, { count: 100, ...payload }).hits.map(hit => hit.data.order_no);
+
+test('range filters are inclusive unless told otherwise', () => {
+    const range = { field: 'creation_date', from: '2025-01-01T00:00:00.000Z', to: '2025-01-31T23:59:59.999Z' };
+    assert.deepStrictEqual(orderNumbers({ query: { filtered_query: { filter: { range_filter: range }, query: { match_all_query: {} } } } }), ['1', '2', '3']);
+    assert.deepStrictEqual(orderNumbers({
+        query: { filtered_query: { filter: { range_filter: { ...range, from_inclusive: false, to_inclusive: false } }, query: { match_all_query: {} } } }
+    }), ['2']);
+});
+
+test('term queries, term filters and bool queries combine', () => {
+    assert.deepStrictEqual(orderNumbers({ query: { term_query: { fields: ['status'], operator: 'one_of', values: ['new', 'failed'] } } }), ['1', '3']);
+    assert.deepStrictEqual(orderNumbers({ query: { term_query: { fields: ['status'], operator: 'not_in', values: ['completed'] } } }), ['1', '3']);
+    assert.deepStrictEqual(orderNumbers({
+        query: {
+            filtered_query: {
+                filter: { term_filter: { fields: ['c_smartOrderType'], operator: 'is', values: ['Prepaid'] } },
+                query: {
+                    bool_query: {
+                        must: [{ term_query: { fields: ['status'], operator: 'is', values: ['completed'] } }],
+                        must_not: [{ term_query: { fields: ['order_no'], operator: 'is', values: ['1'] } }]
+                    }
+                }
+            }
+        }
+    }), ['4']);
+    assert.deepStrictEqual(orderNumbers({
+        query: { bool_query: { should: [
+            { term_query: { fields: ['order_no'], operator: 'is', values: ['2'] } },
+            { term_query: { fields: ['order_no'], operator: 'is', values: ['4'] } }
+        ] } }
+    }), ['2', '4']);
+});
+
+test('unsupported queries fail loudly rather than matching everything', () => {
+    assert.throws(() => matchesQuery(ORDERS[0], { text_query: { fields: ['status'], search_phrase: 'new' } }), /Unsupported order_search query/);
+    assert.throws(() => matchesQuery(ORDERS[0], { term_query: { fields: ['status'], operator: 'greater', values: [1] } }), /Unsupported term_query operator/);
+});
+
+test('sorts apply in order, and pages slice the sorted result', () => {
+    const sorts = [{ field: 'order_total', sort_order: 'desc' }, { field: 'creation_date', sort_order: 'asc' }];
+    assert.deepStrictEqual(orderNumbers({ sorts }), ['2', '4', '1', '3']);
+
+    const page = runOrderSearch(ORDERS, { sorts, start: 1, count: 2 });
+    assert.deepStrictEqual(page.hits.map(hit => hit.data.order_no), ['4', '1']);
+    assert.deepStrictEqual({ total: page.total, start: page.start, count: page.count }, { total: 4, start: 1, count: 2 });
+    assert.strictEqual(page.hits[0]._type, 'order_search_hit');
+});
+
+test('the fixtures source reads JSON and NDJSON files of orders or hits, per environment', async () => {
+    const devDir = path.join(process.env.FIXTURES_DIR, 'dev');
+    fs.mkdirSync(devDir);
+    fs.writeFileSync(path.join(devDir, 'a.json'), JSON.stringify({ hits: [{ data: ORDERS[0] }] }));
+    fs.writeFileSync(path.join(devDir, 'b.ndjson'), `${JSON.stringify(ORDERS[1])}\n\n${JSON.stringify({ data: ORDERS[2] })}\n`);
+    fs.writeFileSync(path.join(devDir, 'notes.txt'), 'not a fixture');
+
+    const fixtures = loadDataSource('fixtures');
+    const response = await fixtures.search('DEV', { query: { match_all_query: {} }, sorts: [{ field: 'order_no', sort_order: 'asc' }], count: 10 });
+    assert.deepStrictEqual(response.hits.map(hit => hit.data.order_no), ['1', '2', '3']);
+});
+
+test('without fixture files, orders are generated the same way every time', async () => {
+    const fixtures = loadDataSource('fixtures');
+    const response = await fixtures.search('PRD', { query: { match_all_query: {} }, count: 5 });
+    assert.strictEqual(response.total, 2000);
+
+    const now = new Date('2025-01-31T00:00:00.000Z');
+    assert.deepStrictEqual(generateOrders({ count: 20, seed: 1, now }), generateOrders({ count: 20, seed: 1, now }));
+    assert.notDeepStrictEqual(generateOrders({ count: 20, seed: 1, now }), generateOrders({ count: 20, seed: 2, now }));
+});
+
+test('unknown data sources are refused', () => {
+    assert.throws(() => loadDataSource('elasticsearch'), /Unknown data source 'elasticsearch'/);
+});
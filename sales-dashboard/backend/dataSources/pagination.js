@@ -0,0 +1,182 @@
+// pagination.js in the 'backend/dataSources' folder
+// Fetches every page of an order_search request from a data source: the first page gives the total, the remaining
+// pages are fetched with bounded concurrency, and ranges larger than the source's result window are split in two.
+
+const { applySorts } = require('./orderQuery');
+
+// Page size used when the data source doesn't set one (the OCAPI maximum)
+const DEFAULT_PAGE_SIZE = 200;
+
+/**
+ * Throws if the fetch was cancelled
+ * @param {AbortSignal} signal - Optional abort signal
+ */
+const throwIfAborted = (signal) => {
+    if (signal && signal.aborted) {
+        const error = new Error('Order fetch cancelled');
+        error.name = 'AbortError';
+        throw error;
+    }
+};
+
+/**
+ * Runs tasks with at most `limit` running at once
+ * @param {Array} tasks - Functions returning promises
+ * @param {number} limit - Maximum number of tasks running at the same time
+ * @returns {Promise<Array>} - Task results, in task order
+ */
+const runWithConcurrency = async (tasks, limit) => {
+    const results = new Array(tasks.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < tasks.length) {
+            const index = next++;
+            results[index] = await tasks[index]();
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+    return results;
+};
+
+/**
+ * Gets the date range_filter of an order_search request body, if it has one that can be split
+ * @param {Object} payload - order_search request body
+ * @returns {Object|null} - The range_filter, or null
+ */
+const getSplittableRange = (payload) => {
+    const filter = payload.query && payload.query.filtered_query && payload.query.filtered_query.filter;
+    const range = filter && filter.range_filter;
+    if (!range || !range.from || !range.to) {
+        return null;
+    }
+    const from = new Date(range.from).getTime();
+    const to = new Date(range.to).getTime();
+    return Number.isNaN(from) || Number.isNaN(to) || to - from < 1000 ? null : range;
+};
+
+/**
+ * Copies an order_search request body with a different range_filter
+ * @param {Object} payload - order_search request body
+ * @param {string} from - New range start (ISO string)
+ * @param {string} to - New range end (ISO string)
+ * @returns {Object} - New request body
+ */
+const withRange = (payload, from, to) => ({
+    ...payload,
+    query: {
+        ...payload.query,
+        filtered_query: {
+            ...payload.query.filtered_query,
+            filter: {
+                ...payload.query.filtered_query.filter,
+                range_filter: { ...payload.query.filtered_query.filter.range_filter, from, to }
+            }
+        }
+    }
+});
+
+/**
+ * Fetches every hit of an order_search request body (see searchAllPages)
+ * @param {Object} source - Data source
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @param {Object} payload - order_search request body
+ * @param {Object} context - { onPage, signal, progress } shared by the sub-ranges of a split
+ * @returns {Promise<Array>} - Array of all order hits (empty when onPage consumes them)
+ */
+const fetchPages = async (source, environment, payload, context) => {
+    const { onPage, signal, progress } = context;
+    const resultWindow = source.resultWindow || Infinity;
+    const pageSize = Math.min(source.pageSize || DEFAULT_PAGE_SIZE, resultWindow);
+    const concurrency = source.concurrency || 1;
+
+    throwIfAborted(signal);
+    const firstPage = await source.search(environment, { ...payload, count: pageSize, start: 0 }, { signal });
+    // order_search leaves out 'hits' entirely when nothing matches
+    const firstHits = firstPage.hits || [];
+    const total = firstPage.total || 0;
+    console.log(`Fetched ${firstHits.length} orders, start: 0, total: ${total}`);
+
+    // The first response of the whole fetch gives the total reported in progress updates
+    if (progress.total === null) {
+        progress.total = total;
+    }
+
+    // More results than the source lets us page through: split the date range in two and fetch each half
+    const range = total > resultWindow ? getSplittableRange(payload) : null;
+    if (range) {
+        const from = new Date(range.from).getTime();
+        const to = new Date(range.to).getTime();
+        const middle = from + Math.floor((to - from) / 2);
+        console.log(`✂️ ${total} orders exceed the result window of ${resultWindow} - splitting ${range.field} range ${range.from} to ${range.to}`);
+
+        const firstHalf = await fetchPages(source, environment, withRange(payload, range.from, new Date(middle).toISOString()), context);
+        // Both bounds are inclusive, so the second half starts a millisecond later
+        const secondHalf = await fetchPages(source, environment, withRange(payload, new Date(middle + 1).toISOString(), range.to), context);
+        const hits = firstHalf.concat(secondHalf);
+
+        // Restore the requested order across the two halves
+        if (payload.sorts && payload.sorts.length > 0) {
+            const orders = applySorts(hits.map(hit => hit.data), payload.sorts);
+            const hitsByOrder = new Map(hits.map(hit => [hit.data, hit]));
+            return orders.map(order => hitsByOrder.get(order));
+        }
+        return hits;
+    }
+    if (total > resultWindow) {
+        console.warn(`⚠️ ${total} orders exceed the result window of ${resultWindow} and the range can't be split - only the first ${resultWindow} are fetched`);
+    }
+
+    progress.report(firstHits.length);
+    if (onPage) onPage(firstHits);
+
+    // Remaining pages, fetched in parallel once the total is known
+    const reachable = Math.min(total, resultWindow);
+    const tasks = [];
+    for (let start = firstHits.length; firstHits.length > 0 && start < reachable; start += pageSize) {
+        tasks.push(async () => {
+            throwIfAborted(signal);
+            const responseData = await source.search(environment, { ...payload, count: Math.min(pageSize, reachable - start), start }, { signal });
+            const hits = responseData.hits || [];
+            console.log(`Fetched ${hits.length} orders, start: ${start}, total: ${responseData.total}`);
+            progress.report(hits.length);
+            if (onPage) onPage(hits);
+            return hits;
+        });
+    }
+    const pages = await runWithConcurrency(tasks, concurrency);
+
+    if (onPage) {
+        return [];
+    }
+    const allHits = firstHits.concat(...pages);
+    console.log(`Total orders fetched: ${allHits.length} out of ${total}`);
+    return allHits;
+};
+
+/**
+ * Fetches every hit of an order_search request body
+ * @param {Object} source - Data source ({ search, pageSize, concurrency, resultWindow })
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @param {Object} payload - order_search request body (count and start are managed here)
+ * @param {Object} options - Optional { onPage, onProgress, signal }:
+ *   onPage receives each page's hits as they arrive, onProgress receives { fetched, total } after each page
+ *   and an aborted signal stops the fetch with an AbortError
+ * @returns {Promise<Array>} - Array of all order hits (empty when onPage consumes them)
+ */
+const searchAllPages = (source, environment, payload, options = {}) => {
+    const progress = {
+        fetched: 0,
+        total: null,
+        report: (count) => {
+            progress.fetched += count;
+            if (options.onProgress) options.onProgress({ fetched: progress.fetched, total: progress.total });
+        }
+    };
+    return fetchPages(source, environment, payload, { onPage: options.onPage, signal: options.signal, progress });
+};
+
+module.exports = {
+    searchAllPages
+};
@@ -0,0 +1,99 @@
+// pagination.test.js in the 'backend/dataSources' folder
+// searchAllPages: parallel pages, progress, cancelling, and date ranges split to fit the result window
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runOrderSearch } = require('./orderQuery');
+const { searchAllPages } = require('./pagination');
+
+console.log = console.error; // Keep the page logs off the test runner's stdout
+
+const ORDERS = Array.from({ length: 23 }, (item, index) => ({
+    order_no: String(index + 1).padStart(8, '0'),
+    creation_date: new Date(Date.UTC(2025, 0, 1 + index, 12)).toISOString()
+}));
+
+const PAYLOAD = {
+    query: {
+        filtered_query: {
+            filter: { range_filter: { field: 'creation_date', from: '2025-01-01T00:00:00.000Z', to: '2025-01-31T23:59:59.999Z' } },
+            query: { match_all_query: {} }
+        }
+    },
+    sorts: [{ field: 'order_no', sort_order: 'desc' }]
+};
+
+/**
+ * Creates a data source over ORDERS that records its requests and how many ran at once
+ * @param {Object} options - { pageSize, concurrency, resultWindow }
+ * @returns {Object} - Data source, with requests and maxRunning
+ */
+const createSource = (options) => {
+    let running = 0;
+    const source = {
+        ...options,
+        requests: [],
+        maxRunning: 0,
+        search: async (environment, payload) => {
+            source.requests.push(payload);
+            running++;
+            source.maxRunning = Math.max(source.maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            running--;
+            const response = runOrderSearch(ORDERS, payload);
+            // Like order_search, refuse pages beyond the result window
+            if (options.resultWindow && payload.start + payload.count > options.resultWindow) {
+                throw new Error(`start + count beyond the result window of ${options.resultWindow}`);
+            }
+            return response;
+        }
+    };
+    return source;
+};
+
+test('every page is fetched, at most `concurrency` at a time, in the requested order', async () => {
+    const source = createSource({ pageSize: 5, concurrency: 2 });
+    const progress = [];
+    const hits = await searchAllPages(source, 'DEV', PAYLOAD, { onProgress: update => progress.push(update) });
+
+    assert.deepStrictEqual(hits.map(hit => hit.data.order_no), ORDERS.map(order => order.order_no).reverse());
+    assert.deepStrictEqual(source.requests.map(request => request.start), [0, 5, 10, 15, 20]);
+    assert.strictEqual(source.requests[4].count, 3);
+    assert.strictEqual(source.maxRunning, 2);
+    assert.deepStrictEqual(progress.map(update => update.fetched), [5, 10, 15, 20, 23]);
+    assert.ok(progress.every(update => update.total === 23));
+});
+
+test('onPage receives the hits instead of the result', async () => {
+    const pages = [];
+    const hits = await searchAllPages(createSource({ pageSize: 10 }), 'DEV', PAYLOAD, { onPage: page => pages.push(page.length) });
+    assert.deepStrictEqual(hits, []);
+    assert.deepStrictEqual(pages, [10, 10, 3]);
+});
+
+test('ranges with more orders than the result window are split in two until they fit', async () => {
+    const source = createSource({ pageSize: 5, resultWindow: 10 });
+    const hits = await searchAllPages(source, 'DEV', PAYLOAD);
+
+    assert.deepStrictEqual(hits.map(hit => hit.data.order_no), ORDERS.map(order => order.order_no).reverse());
+    const ranges = source.requests.map(request => request.query.filtered_query.filter.range_filter);
+    assert.ok(ranges.every(range => new Date(range.from) <= new Date(range.to)));
+    assert.ok(source.requests.every(request => request.start + request.count <= 10));
+});
+
+test('an aborted signal stops the fetch before the next page', async () => {
+    const controller = new AbortController();
+    const source = createSource({ pageSize: 5 });
+    const fetch = searchAllPages(source, 'DEV', PAYLOAD, {
+        signal: controller.signal,
+        onPage: () => controller.abort()
+    });
+
+    await assert.rejects(fetch, { name: 'AbortError' });
+    assert.strictEqual(source.requests.length, 1);
+});
+
+test('no hits is an empty result', async () => {
+    const source = { search: async () => ({ total: 0 }) };
+    assert.deepStrictEqual(await searchAllPages(source, 'DEV', PAYLOAD), []);
+});
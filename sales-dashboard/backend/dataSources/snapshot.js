@@ -0,0 +1,192 @@
+// snapshot.js in the 'backend/dataSources' folder
+// Snapshot data source: answers order_search from the local SQLite store, which is kept up to date by
+// an incremental sync that pulls orders changed since the last 'last_modified' watermark from an upstream source.
+
+const { matchOrders, pageOrderSearch, runOrderSearch } = require('./orderQuery');
+const { searchAllPages } = require('./pagination');
+const store = require('./snapshotStore');
+
+// Source the sync pulls from ('ocapi' or 'fixtures')
+const SNAPSHOT_UPSTREAM = (process.env.SNAPSHOT_UPSTREAM || 'ocapi').trim().toLowerCase();
+
+// How far back the first sync of an environment goes
+const SNAPSHOT_BACKFILL_DAYS = parseInt(process.env.SNAPSHOT_BACKFILL_DAYS, 10) || 90;
+
+// Environments currently being synced, so overlapping runs don't pull the same pages twice
+const syncsInProgress = new Set();
+
+// Matched orders of the searches being paged through, by environment and request body without start/count, so each
+// page is sliced from one read of the range. Dropped after the last page, when a sync changes the environment, or after
+// PAGED_SEARCH_TTL_MS for searches that were abandoned part way.
+const pagedSearches = new Map();
+const PAGED_SEARCH_TTL_MS = 60 * 1000;
+
+/**
+ * Drops the paged searches of an environment, or the ones that have expired
+ * @param {string} environment - Environment whose searches are dropped (all expired ones are dropped regardless)
+ */
+const dropPagedSearches = (environment) => {
+    const now = Date.now();
+    pagedSearches.forEach((entry, key) => {
+        if (entry.environment === environment || entry.expiresAt <= now) {
+            pagedSearches.delete(key);
+        }
+    });
+};
+
+/**
+ * Normalizes a range bound to an ISO string so it compares correctly with the stored dates
+ * @param {string} value - Date string from the request
+ * @returns {string|null} - ISO string, or null when the bound is missing or invalid
+ */
+const toIsoBound = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Runs an order_search request body against the snapshot.
+ * Order number lookups and creation_date ranges are narrowed in SQL; everything else is matched in memory,
+ * once per search: the following pages of the same search are sliced from the first page's matches.
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @param {Object} payload - order_search request body
+ * @returns {Promise<Object>} - order_search style response ({ hits, total, start, count })
+ */
+const search = async (environment, payload) => {
+    const env = (environment || 'DEV').toUpperCase();
+    const query = payload.query || {};
+
+    if (query.term_query && query.term_query.fields.length === 1 && query.term_query.fields[0] === 'order_no' && query.term_query.operator === 'is') {
+        const order = store.findOrder(env, query.term_query.values[0]);
+        return runOrderSearch(order ? [order] : [], payload);
+    }
+
+    const { start, count, ...searchPayload } = payload;
+    const key = `${env}:${JSON.stringify(searchPayload)}`;
+    dropPagedSearches(null);
+    let entry = pagedSearches.get(key);
+    if (!entry) {
+        const rangeFilter = query.filtered_query && query.filtered_query.filter && query.filtered_query.filter.range_filter;
+        const orders = rangeFilter && rangeFilter.field === 'creation_date'
+            ? store.findOrdersByCreationDate(env, toIsoBound(rangeFilter.from), toIsoBound(rangeFilter.to))
+            : store.findOrdersByCreationDate(env, null, null);
+        entry = { environment: env, matches: matchOrders(orders, searchPayload), expiresAt: Date.now() + PAGED_SEARCH_TTL_MS };
+        pagedSearches.set(key, entry);
+    }
+
+    const response = pageOrderSearch(entry.matches, payload);
+    if (response.start + response.count >= response.total) {
+        pagedSearches.delete(key);
+    }
+    return response;
+};
+
+/**
+ * Pulls the orders changed since the environment's watermark from the upstream source into the snapshot.
+ * The watermark only moves forward once every page has been stored, so a failed sync is retried from the same point.
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @returns {Promise<Object>} - { environment, synced, changed, watermark }, or { skipped: true } if a sync is already running
+ */
+const sync = async (environment) => {
+    const env = (environment || 'DEV').toUpperCase();
+    if (syncsInProgress.has(env)) {
+        return { environment: env, skipped: true };
+    }
+    syncsInProgress.add(env);
+
+    let previousState = { watermark: null };
+    try {
+        // Required here because the data source index also loads this module
+        const upstream = require('./index').loadDataSource(SNAPSHOT_UPSTREAM);
+        previousState = store.getSyncState(env);
+        const syncStartedAt = new Date().toISOString();
+        const from = previousState.watermark
+            || new Date(Date.now() - SNAPSHOT_BACKFILL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+        console.log(`🔄 Snapshot sync - ${env}: pulling orders modified since ${from} from ${upstream.name}`);
+        let synced = 0;
+        let changed = 0;
+        let watermark = previousState.watermark;
+
+        // The range is inclusive, so orders sharing the watermark's timestamp are fetched again (upserts are idempotent).
+        // It ends when this sync started, so orders modified while paging are left for the next sync.
+        await searchAllPages(upstream, env, {
+            "query": {
+                "filtered_query": {
+                    "filter": {
+                        "range_filter": {
+                            "field": "last_modified",
+                            "from": from,
+                            "to": syncStartedAt
+                        }
+                    },
+                    "query": { "match_all_query": {} }
+                }
+            },
+            "select": "(**)",
+            "sorts": [
+                {
+                    "field": "last_modified",
+                    "sort_order": "desc"
+                }
+            ]
+        }, {
+            // Each page is stored as it arrives rather than held in memory
+            onPage: hits => {
+                const orders = hits.map(hit => hit.data);
+                const pageChanged = store.upsertOrders(env, orders);
+                if (pageChanged > 0) {
+                    dropPagedSearches(env);
+                }
+                changed += pageChanged;
+                orders.forEach(order => {
+                    const lastModified = order.last_modified && new Date(order.last_modified).toISOString();
+                    if (lastModified && (!watermark || lastModified > watermark)) {
+                        watermark = lastModified;
+                    }
+                });
+                synced += hits.length;
+            }
+        });
+
+        const nextWatermark = watermark || from;
+        store.saveSyncState(env, {
+            watermark: nextWatermark,
+            lastSyncAt: new Date().toISOString(),
+            lastSyncCount: synced,
+            lastError: null
+        });
+        console.log(`✅ Snapshot sync - ${env}: ${synced} order(s) pulled, ${changed} new or changed, watermark ${nextWatermark}`);
+        return { environment: env, synced, changed, watermark: nextWatermark };
+    } catch (error) {
+        store.saveSyncState(env, {
+            watermark: previousState.watermark,
+            lastSyncAt: new Date().toISOString(),
+            lastSyncCount: 0,
+            lastError: error.message
+        });
+        console.error(`❌ Snapshot sync - ${env} failed:`, error.message);
+        throw error;
+    } finally {
+        syncsInProgress.delete(env);
+    }
+};
+
+/**
+ * Gets the sync state of an environment
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @returns {Object} - Sync state with the number of stored orders and whether a sync is running
+ */
+const getStatus = (environment) => {
+    const env = (environment || 'DEV').toUpperCase();
+    return { ...store.getSyncState(env), upstream: SNAPSHOT_UPSTREAM, syncing: syncsInProgress.has(env) };
+};
+
+module.exports = {
+    name: 'snapshot',
+    pageSize: 10000, // Local reads, so fewer and bigger pages
+    search,
+    sync,
+    getStatus
+};
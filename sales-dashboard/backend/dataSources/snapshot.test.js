@@ -0,0 +1,172 @@
+// snapshot.test.js in the 'backend/dataSources' folder
+// Snapshot data source: incremental sync from the upstream source, the last_modified watermark and paged searches
+
+const { describe, test, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createTempDir } = require('../__tests__/helpers');
+
+// The store and the sync read these when they are loaded
+process.env.SNAPSHOT_DB_PATH = path.join(createTempDir('snapshot'), 'orders.sqlite');
+process.env.SNAPSHOT_UPSTREAM = 'fixtures';
+process.env.SNAPSHOT_BACKFILL_DAYS = '30';
+
+const { runOrderSearch } = require('./orderQuery');
+const { searchAllPages } = require('./pagination');
+const fixtures = require('./fixtures');
+const store = require('./snapshotStore');
+const snapshot = require('./snapshot');
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * Builds an upstream order
+ * @param {string} orderNo - Order number
+ * @param {string} lastModified - ISO date-time
+ * @param {Object} fields - Other fields
+ * @returns {Object} - Order document
+ */
+const buildOrder = (orderNo, lastModified, fields = {}) => ({
+    order_no: orderNo,
+    status: 'new',
+    creation_date: '2025-01-10T00:00:00.000Z',
+    last_modified: lastModified,
+    ...fields
+});
+
+// Orders the upstream source currently holds, and the request bodies it received
+let upstreamOrders = [];
+let upstreamRequests = [];
+
+before(() => {
+    mock.method(fixtures, 'search', async (environment, payload) => {
+        upstreamRequests.push(payload);
+        return runOrderSearch(upstreamOrders, payload);
+    });
+});
+
+describe('sync', () => {
+    beforeEach(() => {
+        upstreamRequests = [];
+    });
+
+    test('the first sync backfills SNAPSHOT_BACKFILL_DAYS and sets the watermark to the latest last_modified', async () => {
+        upstreamOrders = [
+            buildOrder('00000001', daysAgo(40)), // Older than the backfill
+            buildOrder('00000002', daysAgo(5)),
+            buildOrder('00000003', daysAgo(2))
+        ];
+
+        const result = await snapshot.sync('DEV');
+
+        const range = upstreamRequests[0].query.filtered_query.filter.range_filter;
+        assert.strictEqual(range.field, 'last_modified');
+        assert.ok(Math.abs(new Date(range.from).getTime() - new Date(daysAgo(30)).getTime()) < 60 * 1000);
+        assert.deepStrictEqual(result, { environment: 'DEV', synced: 2, changed: 2, watermark: upstreamOrders[2].last_modified });
+
+        const status = snapshot.getStatus('DEV');
+        assert.strictEqual(status.watermark, upstreamOrders[2].last_modified);
+        assert.strictEqual(status.orders, 2);
+        assert.strictEqual(status.lastError, null);
+        assert.strictEqual(store.findOrder('DEV', '00000001'), null);
+    });
+
+    test('the next sync only pulls orders modified since the watermark', async () => {
+        const watermark = snapshot.getStatus('DEV').watermark;
+        const modifiedAt = daysAgo(1);
+        upstreamOrders = [
+            upstreamOrders[0],
+            buildOrder('00000002', modifiedAt, { status: 'completed' }),
+            buildOrder('00000003', watermark), // Unchanged, at the watermark itself
+            buildOrder('00000004', modifiedAt)
+        ];
+
+        const result = await snapshot.sync('DEV');
+
+        // The range is inclusive, so the order at the watermark is pulled again but isn't counted as changed
+        assert.strictEqual(upstreamRequests[0].query.filtered_query.filter.range_filter.from, watermark);
+        assert.deepStrictEqual(result, { environment: 'DEV', synced: 3, changed: 2, watermark: modifiedAt });
+        assert.strictEqual(store.findOrder('DEV', '00000002').status, 'completed');
+        assert.strictEqual(snapshot.getStatus('DEV').orders, 3);
+    });
+
+    test('a sync with nothing new keeps the watermark', async () => {
+        const watermark = snapshot.getStatus('DEV').watermark;
+        const result = await snapshot.sync('DEV');
+        assert.strictEqual(result.changed, 0);
+        assert.strictEqual(result.watermark, watermark);
+    });
+
+    test('a failed sync keeps the watermark and records the error', async () => {
+        const watermark = snapshot.getStatus('DEV').watermark;
+        fixtures.search.mock.mockImplementationOnce(async () => {
+            throw new Error('upstream unavailable');
+        });
+
+        await assert.rejects(snapshot.sync('DEV'), /upstream unavailable/);
+
+        const status = snapshot.getStatus('DEV');
+        assert.strictEqual(status.watermark, watermark);
+        assert.strictEqual(status.lastError, 'upstream unavailable');
+    });
+
+    test('environments have their own watermark', async () => {
+        upstreamOrders = [buildOrder('90000001', daysAgo(3))];
+        const result = await snapshot.sync('PRD');
+        assert.strictEqual(result.watermark, upstreamOrders[0].last_modified);
+        assert.notStrictEqual(snapshot.getStatus('DEV').watermark, result.watermark);
+    });
+});
+
+describe('search', () => {
+    const RANGE_PAYLOAD = {
+        query: {
+            filtered_query: {
+                filter: { range_filter: { field: 'creation_date', from: '2025-01-01T00:00:00.000Z', to: '2025-01-31T23:59:59.999Z' } },
+                query: { term_query: { fields: ['status'], operator: 'is', values: ['new'] } }
+            }
+        },
+        sorts: [{ field: 'order_no', sort_order: 'asc' }]
+    };
+
+    before(() => {
+        store.upsertOrders('DEV', Array.from({ length: 7 }, (item, index) => buildOrder(`1000000${index}`, daysAgo(1), {
+            status: index === 3 ? 'failed' : 'new'
+        })));
+    });
+
+    test('pages of one search read the snapshot once', async () => {
+        const findOrders = mock.method(store, 'findOrdersByCreationDate');
+        try {
+            const hits = await searchAllPages({ ...snapshot, pageSize: 2 }, 'DEV', RANGE_PAYLOAD);
+            assert.strictEqual(findOrders.mock.callCount(), 1);
+            assert.deepStrictEqual(hits.map(hit => hit.data.order_no), [
+                '00000003', '00000004', '10000000', '10000001', '10000002', '10000004', '10000005', '10000006'
+            ]);
+        } finally {
+            findOrders.mock.restore();
+        }
+    });
+
+    test('a new search reads the snapshot again', async () => {
+        const findOrders = mock.method(store, 'findOrdersByCreationDate');
+        try {
+            await searchAllPages({ ...snapshot, pageSize: 100 }, 'DEV', RANGE_PAYLOAD);
+            store.upsertOrders('DEV', [buildOrder('10000003', daysAgo(0), { status: 'new' })]);
+            const hits = await searchAllPages({ ...snapshot, pageSize: 100 }, 'DEV', RANGE_PAYLOAD);
+            assert.strictEqual(findOrders.mock.callCount(), 2);
+            assert.ok(hits.some(hit => hit.data.order_no === '10000003'));
+        } finally {
+            findOrders.mock.restore();
+        }
+    });
+
+    test('order number lookups read the one order', async () => {
+        const response = await snapshot.search('DEV', {
+            query: { term_query: { fields: ['order_no'], operator: 'is', values: ['10000002'] } },
+            count: 1
+        });
+        assert.strictEqual(response.total, 1);
+        assert.strictEqual(response.hits[0].data.order_no, '10000002');
+    });
+});
@@ -0,0 +1,144 @@
+// snapshotStore.js in the 'backend/dataSources' folder
+// SQLite store for the order snapshot: one row per order and environment, plus the sync watermark of each environment.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SNAPSHOT_DB_PATH = process.env.SNAPSHOT_DB_PATH || path.join(__dirname, '..', 'data', 'orders.sqlite');
+
+let db = null;
+
+/**
+ * Opens the snapshot database (once) and creates its tables
+ * @returns {Object} - better-sqlite3 database
+ */
+const getDatabase = () => {
+    if (db) {
+        return db;
+    }
+
+    fs.mkdirSync(path.dirname(SNAPSHOT_DB_PATH), { recursive: true });
+    db = new Database(SNAPSHOT_DB_PATH);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS orders (
+            environment TEXT NOT NULL,
+            order_no TEXT NOT NULL,
+            creation_date TEXT NOT NULL,
+            last_modified TEXT,
+            data TEXT NOT NULL,
+            PRIMARY KEY (environment, order_no)
+        );
+        CREATE INDEX IF NOT EXISTS orders_creation_date ON orders (environment, creation_date);
+        CREATE TABLE IF NOT EXISTS sync_state (
+            environment TEXT PRIMARY KEY,
+            watermark TEXT,
+            last_sync_at TEXT,
+            last_sync_count INTEGER,
+            last_error TEXT
+        );
+    `);
+    console.log(`🗄️ Order snapshot database: ${SNAPSHOT_DB_PATH}`);
+    return db;
+};
+
+/**
+ * Inserts or replaces orders of an environment
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @param {Array} orders - Order documents
+ * @returns {number} - Number of orders that were new or changed
+ */
+const upsertOrders = (environment, orders) => {
+    const database = getDatabase();
+    const statement = database.prepare(`
+        INSERT INTO orders (environment, order_no, creation_date, last_modified, data)
+        VALUES (@environment, @order_no, @creation_date, @last_modified, @data)
+        ON CONFLICT (environment, order_no) DO UPDATE SET
+            creation_date = excluded.creation_date,
+            last_modified = excluded.last_modified,
+            data = excluded.data
+        WHERE orders.data != excluded.data
+    `);
+    const upsertAll = database.transaction(rows => rows.reduce((changed, row) => changed + statement.run(row).changes, 0));
+
+    return upsertAll(orders.map(order => ({
+        environment,
+        order_no: order.order_no,
+        creation_date: new Date(order.creation_date).toISOString(),
+        last_modified: order.last_modified ? new Date(order.last_modified).toISOString() : null,
+        data: JSON.stringify(order)
+    })));
+};
+
+/**
+ * Gets the orders of an environment created within a range (either bound may be omitted)
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @param {string} from - Earliest creation_date (inclusive, ISO string)
+ * @param {string} to - Latest creation_date (inclusive, ISO string)
+ * @returns {Array} - Order documents
+ */
+const findOrdersByCreationDate = (environment, from, to) => {
+    const rows = getDatabase().prepare(`
+        SELECT data FROM orders
+        WHERE environment = ?
+          AND (? IS NULL OR creation_date >= ?)
+          AND (? IS NULL OR creation_date <= ?)
+    `).all(environment, from, from, to, to);
+    return rows.map(row => JSON.parse(row.data));
+};
+
+/**
+ * Gets a single order of an environment
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @param {string} orderNo - Order number
+ * @returns {Object|null} - Order document, or null if it isn't in the snapshot
+ */
+const findOrder = (environment, orderNo) => {
+    const row = getDatabase().prepare('SELECT data FROM orders WHERE environment = ? AND order_no = ?').get(environment, orderNo);
+    return row ? JSON.parse(row.data) : null;
+};
+
+/**
+ * Gets the sync state and order count of an environment
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @returns {Object} - { environment, watermark, lastSyncAt, lastSyncCount, lastError, orders }
+ */
+const getSyncState = (environment) => {
+    const database = getDatabase();
+    const state = database.prepare('SELECT * FROM sync_state WHERE environment = ?').get(environment) || {};
+    const { orders } = database.prepare('SELECT COUNT(*) AS orders FROM orders WHERE environment = ?').get(environment);
+    return {
+        environment,
+        watermark: state.watermark || null,
+        lastSyncAt: state.last_sync_at || null,
+        lastSyncCount: state.last_sync_count ?? null,
+        lastError: state.last_error || null,
+        orders
+    };
+};
+
+/**
+ * Saves the sync state of an environment
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @param {Object} state - { watermark, lastSyncAt, lastSyncCount, lastError }
+ */
+const saveSyncState = (environment, state) => {
+    getDatabase().prepare(`
+        INSERT INTO sync_state (environment, watermark, last_sync_at, last_sync_count, last_error)
+        VALUES (@environment, @watermark, @lastSyncAt, @lastSyncCount, @lastError)
+        ON CONFLICT (environment) DO UPDATE SET
+            watermark = excluded.watermark,
+            last_sync_at = excluded.last_sync_at,
+            last_sync_count = excluded.last_sync_count,
+            last_error = excluded.last_error
+    `).run({ environment, ...state });
+};
+
+module.exports = {
+    upsertOrders,
+    findOrdersByCreationDate,
+    findOrder,
+    getSyncState,
+    saveSyncState
+};
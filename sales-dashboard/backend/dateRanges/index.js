@@ -0,0 +1,145 @@
+// index.js in the 'backend/dateRanges' folder
+// Timezone helpers and the relative date range presets, shared by the summaries, the scheduled reports and the
+// dashboard (which resolves its Date Range presets through /api/config/date-range).
+// Ranges are inclusive: they end on the last millisecond of their last day.
+
+const DATE_PRESET_LABELS = {
+    today: 'Today',
+    yesterday: 'Yesterday',
+    last_7_days: 'Last 7 days',
+    last_30_days: 'Last 30 days',
+    month_to_date: 'Month to date',
+    last_month: 'Last month'
+};
+const DATE_PRESETS = Object.keys(DATE_PRESET_LABELS);
+
+// Intl formatters are expensive to create, so keep one per timezone
+const dateFormatters = {};
+
+/**
+ * Checks whether a timezone name is known to the runtime
+ * @param {string} timeZone - IANA timezone name (e.g., 'Asia/Manila')
+ * @returns {boolean} - True if the timezone can be used for bucketing
+ */
+const isValidTimezone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Splits a timestamp into calendar parts in the given timezone
+ * @param {Date} date - Timestamp
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} - { year, month, day, hour, minute, second } as numbers
+ */
+const getZonedParts = (date, timeZone) => {
+    if (!dateFormatters[timeZone]) {
+        dateFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        });
+    }
+
+    const parts = {};
+    dateFormatters[timeZone].formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') {
+            parts[part.type] = parseInt(part.value, 10);
+        }
+    });
+    return parts;
+};
+
+/**
+ * Gets how far a timezone's wall clock is ahead of UTC at a moment
+ * @param {Date} date - Timestamp
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} - Offset in milliseconds
+ */
+const getTimezoneOffset = (date, timeZone) => {
+    const parts = getZonedParts(date, timeZone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - (date.getTime() - date.getUTCMilliseconds());
+};
+
+/**
+ * Gets the start (or inclusive end) of a day in a timezone
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {string} timeZone - IANA timezone name
+ * @param {boolean} endOfDay - Whether to return the day's last millisecond
+ * @returns {string} - ISO date-time
+ */
+const getDayBoundary = (day, timeZone, endOfDay) => {
+    const [year, month, date] = day.split('-').map(Number);
+    const wallClock = endOfDay
+        ? Date.UTC(year, month - 1, date, 23, 59, 59, 999)
+        : Date.UTC(year, month - 1, date);
+    // The offset depends on the moment itself (DST), so correct the first guess once
+    let utc = wallClock - getTimezoneOffset(new Date(wallClock), timeZone);
+    utc = wallClock - getTimezoneOffset(new Date(utc), timeZone);
+    return new Date(utc).toISOString();
+};
+
+/**
+ * Moves a 'YYYY-MM-DD' day by a number of days
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+const addDays = (day, days) => {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, date + days)).toISOString().split('T')[0];
+};
+
+/**
+ * Works out the range of a preset in a timezone
+ * @param {string} preset - One of DATE_PRESETS
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} now - Current time (default: now)
+ * @returns {Object|null} - { startDate, endDate } ISO date-times, or null if the preset is not recognised
+ */
+const resolveDatePreset = (preset, timeZone, now = new Date()) => {
+    const parts = getZonedParts(now, timeZone);
+    const today = `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+    const firstOfMonth = `${today.slice(0, 8)}01`;
+    const range = (startDay, endDay) => ({
+        startDate: getDayBoundary(startDay, timeZone, false),
+        endDate: getDayBoundary(endDay, timeZone, true)
+    });
+
+    switch (preset) {
+        case 'today':
+            return range(today, today);
+        case 'yesterday':
+            return range(addDays(today, -1), addDays(today, -1));
+        case 'last_7_days':
+            return range(addDays(today, -6), today);
+        case 'last_30_days':
+            return range(addDays(today, -29), today);
+        case 'month_to_date':
+            return range(firstOfMonth, today);
+        case 'last_month': {
+            const lastDayOfPreviousMonth = addDays(firstOfMonth, -1);
+            return range(`${lastDayOfPreviousMonth.slice(0, 8)}01`, lastDayOfPreviousMonth);
+        }
+        default:
+            return null;
+    }
+};
+
+module.exports = {
+    DATE_PRESETS,
+    DATE_PRESET_LABELS,
+    isValidTimezone,
+    getZonedParts,
+    resolveDatePreset
+};
@@ -0,0 +1,72 @@
+// index.test.js in the 'backend/dateRanges' folder
+// Date range presets resolved in a timezone, across month, year and DST boundaries
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DATE_PRESETS, DATE_PRESET_LABELS, isValidTimezone, getZonedParts, resolveDatePreset } = require('./index');
+
+test('every preset has a label and resolves', () => {
+    DATE_PRESETS.forEach(preset => {
+        assert.ok(DATE_PRESET_LABELS[preset]);
+        assert.ok(resolveDatePreset(preset, 'UTC'));
+    });
+    assert.strictEqual(resolveDatePreset('next_week', 'UTC'), null);
+});
+
+test('days start and end at midnight in the timezone', () => {
+    // 2025-03-15 01:00 in Manila (UTC+8) is still the 14th in UTC
+    const now = new Date('2025-03-14T17:00:00.000Z');
+    assert.deepStrictEqual(resolveDatePreset('today', 'Asia/Manila', now), {
+        startDate: '2025-03-14T16:00:00.000Z',
+        endDate: '2025-03-15T15:59:59.999Z'
+    });
+    assert.deepStrictEqual(resolveDatePreset('today', 'UTC', now), {
+        startDate: '2025-03-14T00:00:00.000Z',
+        endDate: '2025-03-14T23:59:59.999Z'
+    });
+});
+
+test('yesterday and last month cross month and year boundaries', () => {
+    const now = new Date('2025-01-01T05:00:00.000Z');
+    assert.deepStrictEqual(resolveDatePreset('yesterday', 'UTC', now), {
+        startDate: '2024-12-31T00:00:00.000Z',
+        endDate: '2024-12-31T23:59:59.999Z'
+    });
+    assert.deepStrictEqual(resolveDatePreset('last_month', 'UTC', now), {
+        startDate: '2024-12-01T00:00:00.000Z',
+        endDate: '2024-12-31T23:59:59.999Z'
+    });
+    assert.deepStrictEqual(resolveDatePreset('last_month', 'UTC', new Date('2024-03-10T00:00:00.000Z')), {
+        startDate: '2024-02-01T00:00:00.000Z',
+        endDate: '2024-02-29T23:59:59.999Z'
+    });
+});
+
+test('rolling presets include today', () => {
+    const now = new Date('2025-03-10T12:00:00.000Z');
+    assert.strictEqual(resolveDatePreset('last_7_days', 'UTC', now).startDate, '2025-03-04T00:00:00.000Z');
+    assert.strictEqual(resolveDatePreset('last_30_days', 'UTC', now).startDate, '2025-02-09T00:00:00.000Z');
+    assert.strictEqual(resolveDatePreset('month_to_date', 'UTC', now).startDate, '2025-03-01T00:00:00.000Z');
+    assert.strictEqual(resolveDatePreset('month_to_date', 'UTC', now).endDate, '2025-03-10T23:59:59.999Z');
+});
+
+test('ranges over a DST change keep local midnight on both ends', () => {
+    // New York moves from UTC-5 to UTC-4 on 2025-03-09
+    const now = new Date('2025-03-10T16:00:00.000Z');
+    assert.deepStrictEqual(resolveDatePreset('last_7_days', 'America/New_York', now), {
+        startDate: '2025-03-04T05:00:00.000Z',
+        endDate: '2025-03-11T03:59:59.999Z'
+    });
+    assert.deepStrictEqual(resolveDatePreset('yesterday', 'America/New_York', now), {
+        startDate: '2025-03-09T05:00:00.000Z',
+        endDate: '2025-03-10T03:59:59.999Z'
+    });
+});
+
+test('zoned parts and timezone names', () => {
+    assert.deepStrictEqual(getZonedParts(new Date('2025-03-14T17:05:09.000Z'), 'Asia/Manila'), {
+        year: 2025, month: 3, day: 15, hour: 1, minute: 5, second: 9
+    });
+    assert.strictEqual(isValidTimezone('Asia/Manila'), true);
+    assert.strictEqual(isValidTimezone('Mars/Olympus'), false);
+});
@@ -0,0 +1,229 @@
+// index.js in the 'backend/redaction' folder
+// Field-level redaction of the orders sent to the browser. Each view has a whitelist of field paths:
+//   list   - order rows and raw hits (/api/orders, /api/orders/rows): only what the reports need, no customer data
+//   detail - a single order (/api/orders/:orderNo): adds customer and address fields, with emails and phones masked
+// Whitelists come from REDACTION_<VIEW>_FIELDS_<ENVIRONMENT>, then REDACTION_<VIEW>_FIELDS, then the defaults below.
+// Paths are dot-separated and step into arrays ('payment_instruments.amount'); '*' matches any part of a key
+// ('c_*Optima'). PRD defaults drop names and street addresses, and mask emails and phones completely.
+
+// Fields of the Orders Report table, the KPIs and the charts
+const DEFAULT_LIST_FIELDS = [
+    'order_no', 'status', 'creation_date', 'last_modified', 'currency', 'guest',
+    'payment_status', 'export_status', 'product_total', 'shipping_total', 'tax_total', 'order_total',
+    'c_smartOrderType', 'c_optimaCartID', 'c_salesOrderNoCSP', 'c_srSummaryIdCSP', 'c_submissionStatusCSP', 'c_SRStatus',
+    'c_submissionStatusOptima', 'c_optimaStatus', 'c_optimaSubStatus',
+    'product_items.item_id', 'product_items.product_id', 'product_items.product_name', 'product_items.quantity',
+    'product_items.base_price', 'product_items.price', 'product_items.price_after_order_discount',
+    'payment_instruments.payment_instrument_id', 'payment_instruments.payment_method_id', 'payment_instruments.amount'
+];
+
+// Fields of the order drill-down panel
+const DEFAULT_DETAIL_FIELDS = [
+    ...DEFAULT_LIST_FIELDS,
+    'c_*CSP', 'c_*Optima*', 'c_SRStatus',
+    'customer_info.customer_name', 'customer_info.email', 'customer_info.customer_no',
+    'billing_address',
+    'payment_instruments.payment_card.card_type', 'payment_instruments.payment_card.masked_number',
+    'shipments.shipment_id', 'shipments.shipping_method', 'shipments.shipping_status', 'shipments.shipping_address'
+];
+
+// Address fields kept for PRD: enough to see where an order goes, not who lives there
+const PRD_ADDRESS_FIELDS = ['city', 'state_code', 'country_code', 'phone'];
+
+const DEFAULT_FIELDS = {
+    list: { DEV: DEFAULT_LIST_FIELDS, PRD: DEFAULT_LIST_FIELDS },
+    detail: {
+        DEV: DEFAULT_DETAIL_FIELDS,
+        PRD: [
+            ...DEFAULT_LIST_FIELDS,
+            'c_*CSP', 'c_*Optima*', 'c_SRStatus',
+            'customer_info.email', 'customer_info.customer_no',
+            ...PRD_ADDRESS_FIELDS.map(field => `billing_address.${field}`),
+            'payment_instruments.payment_card.card_type',
+            'shipments.shipment_id', 'shipments.shipping_method', 'shipments.shipping_status',
+            ...PRD_ADDRESS_FIELDS.map(field => `shipments.shipping_address.${field}`)
+        ]
+    }
+};
+
+// Keys whose values are masked wherever they appear (REDACTION_MASK_FIELDS)
+const DEFAULT_MASK_FIELDS = ['email', 'phone'];
+
+// Compiled whitelists per view and environment
+const fieldTrees = {};
+
+/**
+ * Splits a comma-separated environment variable
+ * @param {string} name - Environment variable name
+ * @returns {Array|null} - Trimmed, non-empty values, or null when the variable is not set
+ */
+const getListFromEnv = (name) => {
+    if (process.env[name] === undefined) return null;
+    return process.env[name].split(',').map(value => value.trim()).filter(Boolean);
+};
+
+/**
+ * Turns a key pattern into a matcher ('*' matches any characters)
+ * @param {string} pattern - Key or key pattern
+ * @returns {Function} - Returns true for the keys the pattern matches
+ */
+const createKeyMatcher = (pattern) => {
+    if (!pattern.includes('*')) {
+        return key => key === pattern;
+    }
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return key => regex.test(key);
+};
+
+/**
+ * Compiles field paths into a tree: { pattern: { match, all, children } }, where 'all' keeps the whole value
+ * @param {Array} paths - Dot-separated field paths
+ * @returns {Object} - Field tree
+ */
+const compileFieldTree = (paths) => {
+    const tree = {};
+    paths.forEach(fieldPath => {
+        let level = tree;
+        const parts = fieldPath.split('.');
+        parts.forEach((part, index) => {
+            if (!level[part]) {
+                level[part] = { match: createKeyMatcher(part), all: false, children: {} };
+            }
+            if (index === parts.length - 1) {
+                level[part].all = true;
+            }
+            level = level[part].children;
+        });
+    });
+    return tree;
+};
+
+/**
+ * Gets the compiled whitelist of a view in an environment
+ * @param {string} view - 'list' or 'detail'
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @returns {Object} - Field tree
+ */
+const getFieldTree = (view, environment) => {
+    const cacheKey = `${view}_${environment}`;
+    if (!fieldTrees[cacheKey]) {
+        const paths = getListFromEnv(`REDACTION_${view.toUpperCase()}_FIELDS_${environment}`)
+            || getListFromEnv(`REDACTION_${view.toUpperCase()}_FIELDS`)
+            || DEFAULT_FIELDS[view][environment];
+        fieldTrees[cacheKey] = compileFieldTree(paths);
+    }
+    return fieldTrees[cacheKey];
+};
+
+/**
+ * Copies only the whitelisted fields of a value
+ * @param {*} value - Order data (or part of it)
+ * @param {Object} tree - Field tree for this level
+ * @returns {*} - Whitelisted copy
+ */
+const pickFields = (value, tree) => {
+    if (Array.isArray(value)) {
+        return value.map(item => pickFields(item, tree));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    const picked = {};
+    Object.keys(value).forEach(key => {
+        const nodes = Object.values(tree).filter(node => node.match(key));
+        if (nodes.length === 0) return;
+        if (nodes.some(node => node.all)) {
+            picked[key] = value[key];
+            return;
+        }
+        const children = Object.assign({}, ...nodes.map(node => node.children));
+        if (value[key] && typeof value[key] === 'object') {
+            picked[key] = pickFields(value[key], children);
+        }
+    });
+    return picked;
+};
+
+/**
+ * Masks an email address: 'j***@example.com', or '***@***' for strict masking
+ * @param {string} email - Email address
+ * @param {boolean} strict - Whether to hide the domain too
+ * @returns {string} - Masked email
+ */
+const maskEmail = (email, strict) => {
+    const at = email.lastIndexOf('@');
+    if (strict || at < 1) {
+        return '***@***';
+    }
+    return `${email[0]}***${email.slice(at)}`;
+};
+
+/**
+ * Masks a phone number, keeping the last 4 digits ('*******4567'), or none for strict masking and short numbers
+ * @param {string} phone - Phone number
+ * @param {boolean} strict - Whether to hide every digit
+ * @returns {string} - Masked phone number
+ */
+const maskPhone = (phone, strict) => {
+    const digits = phone.replace(/\D/g, '');
+    const keep = strict || digits.length <= 6 ? 0 : 4;
+    return '*'.repeat(Math.max(digits.length - keep, 0)) + digits.slice(digits.length - keep);
+};
+
+/**
+ * Masks the values of the mask fields (emails and phones by default)
+ * @param {*} value - Whitelisted order data (or part of it)
+ * @param {Array} maskFields - Keys to mask (lowercase)
+ * @param {boolean} strict - Whether to mask completely
+ * @returns {*} - Masked copy (whitelisted values can still be shared with the cache, so they aren't changed in place)
+ */
+const maskValues = (value, maskFields, strict) => {
+    if (Array.isArray(value)) {
+        return value.map(item => maskValues(item, maskFields, strict));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    const masked = {};
+    Object.keys(value).forEach(key => {
+        const fieldValue = value[key];
+        if (typeof fieldValue === 'string' && fieldValue && maskFields.includes(key.toLowerCase())) {
+            masked[key] = fieldValue.includes('@') ? maskEmail(fieldValue, strict) : maskPhone(fieldValue, strict);
+        } else {
+            masked[key] = maskValues(fieldValue, maskFields, strict);
+        }
+    });
+    return masked;
+};
+
+/**
+ * Redacts orders for the list view (report rows and raw hits): whitelisted fields only
+ * @param {Array} orders - Order data objects
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @returns {Array} - Redacted copies
+ */
+const redactOrderList = (orders, environment) => {
+    const tree = getFieldTree('list', (environment || 'DEV').toUpperCase() === 'PRD' ? 'PRD' : 'DEV');
+    return orders.map(order => pickFields(order, tree));
+};
+
+/**
+ * Redacts an order for the detail view: whitelisted fields, with emails and phones masked
+ * (partly for DEV, completely for PRD)
+ * @param {Object} order - Order data
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @returns {Object} - Redacted copy
+ */
+const redactOrderDetail = (order, environment) => {
+    const isPrd = (environment || 'DEV').toUpperCase() === 'PRD';
+    const redacted = pickFields(order, getFieldTree('detail', isPrd ? 'PRD' : 'DEV'));
+    const maskFields = (getListFromEnv('REDACTION_MASK_FIELDS') || DEFAULT_MASK_FIELDS).map(field => field.toLowerCase());
+    return maskValues(redacted, maskFields, isPrd);
+};
+
+module.exports = {
+    redactOrderList,
+    redactOrderDetail
+};
@@ -0,0 +1,68 @@
+// index.test.js in the 'backend/redaction' folder
+// Field whitelists of the list and detail views, and the masking of emails and phones
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Whitelists are read from the environment the first time a view is redacted
+process.env.REDACTION_LIST_FIELDS_PRD = 'order_no, c_*CSP, payment_instruments.amount';
+const { redactOrderList, redactOrderDetail } = require('./index');
+
+const ORDER = {
+    order_no: '00000001',
+    status: 'completed',
+    order_total: 1500,
+    c_smartOrderType: 'Prepaid',
+    c_salesOrderNoCSP: 'SO1',
+    c_submissionStatusCSP: 'SUCCESS',
+    c_internalNotes: 'not for the browser',
+    customer_info: { customer_name: 'Juan Dela Cruz', email: 'juan@example.com', customer_no: 'C1' },
+    billing_address: { first_name: 'Juan', address1: '1 Rizal St', city: 'Makati', phone: '+63 917 123 4567' },
+    payment_instruments: [
+        { payment_method_id: 'CREDIT_CARD', amount: 1500, payment_card: { card_type: 'Visa', masked_number: '************1111', holder: 'Juan' } }
+    ],
+    shipments: [{ shipment_id: 'S1', shipping_address: { address1: '1 Rizal St', city: 'Makati', phone: '09171234567' } }]
+};
+
+test('the list view keeps the report fields only', () => {
+    const [row] = redactOrderList([ORDER], 'DEV');
+    assert.strictEqual(row.order_no, '00000001');
+    assert.strictEqual(row.c_salesOrderNoCSP, 'SO1');
+    assert.deepStrictEqual(row.payment_instruments, [{ payment_method_id: 'CREDIT_CARD', amount: 1500 }]);
+    assert.strictEqual(row.customer_info, undefined);
+    assert.strictEqual(row.billing_address, undefined);
+    assert.strictEqual(row.c_internalNotes, undefined);
+});
+
+test('an environment whitelist replaces the defaults, with wildcards and array paths', () => {
+    assert.deepStrictEqual(redactOrderList([ORDER], 'prd'), [{
+        order_no: '00000001',
+        c_salesOrderNoCSP: 'SO1',
+        c_submissionStatusCSP: 'SUCCESS',
+        payment_instruments: [{ amount: 1500 }]
+    }]);
+});
+
+test('the DEV detail view adds customer fields with emails and phones partly masked', () => {
+    const detail = redactOrderDetail(ORDER, 'DEV');
+    assert.deepStrictEqual(detail.customer_info, { customer_name: 'Juan Dela Cruz', email: 'j***@example.com', customer_no: 'C1' });
+    assert.strictEqual(detail.billing_address.address1, '1 Rizal St');
+    assert.strictEqual(detail.billing_address.phone, '********4567');
+    assert.strictEqual(detail.shipments[0].shipping_address.phone, '*******4567');
+    assert.deepStrictEqual(detail.payment_instruments[0].payment_card, { card_type: 'Visa', masked_number: '************1111' });
+});
+
+test('the PRD detail view drops names and street addresses and masks completely', () => {
+    const detail = redactOrderDetail(ORDER, 'PRD');
+    assert.deepStrictEqual(detail.customer_info, { email: '***@***', customer_no: 'C1' });
+    assert.deepStrictEqual(detail.billing_address, { city: 'Makati', phone: '************' });
+    assert.deepStrictEqual(detail.shipments[0].shipping_address, { city: 'Makati', phone: '***********' });
+    assert.deepStrictEqual(detail.payment_instruments[0].payment_card, { card_type: 'Visa' });
+});
+
+test('redaction copies the order rather than changing it', () => {
+    redactOrderDetail(ORDER, 'DEV');
+    redactOrderList([ORDER], 'DEV');
+    assert.strictEqual(ORDER.customer_info.email, 'juan@example.com');
+    assert.strictEqual(ORDER.c_internalNotes, 'not for the browser');
+});
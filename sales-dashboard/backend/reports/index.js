@@ -0,0 +1,70 @@
+// index.js in the 'backend/reports' folder
+// Scheduled reports: cron schedules that build a summary of the orders, render it and email it.
+// Each enabled schedule gets a cron task in its own timezone; the server supplies the function that runs a schedule.
+
+const cron = require('node-cron');
+const store = require('./store');
+const { renderReportHtml, renderReportPdf } = require('./render');
+const { isMailConfigured, sendReportEmail } = require('./mailer');
+
+// Cron tasks of the enabled schedules, by schedule id
+const scheduledTasks = new Map();
+
+/**
+ * Checks whether a cron expression is valid (5 fields, or 6 with seconds)
+ * @param {string} expression - Cron expression, e.g. '0 7 * * *'
+ * @returns {boolean} - True when it can be scheduled
+ */
+const isValidCronExpression = (expression) => typeof expression === 'string' && cron.validate(expression);
+
+/**
+ * Stops the cron task of a schedule, if it has one
+ * @param {string} id - Schedule id
+ */
+const unscheduleReport = (id) => {
+    const task = scheduledTasks.get(id);
+    if (task) {
+        task.stop();
+        scheduledTasks.delete(id);
+    }
+};
+
+/**
+ * (Re)starts the cron task of a schedule; disabled schedules are only stopped
+ * @param {Object} schedule - Report schedule
+ * @param {Function} runReport - (scheduleId) => Promise, called on each tick
+ * @param {string} defaultTimezone - Timezone used when the schedule has none
+ */
+const scheduleReport = (schedule, runReport, defaultTimezone) => {
+    unscheduleReport(schedule.id);
+    if (!schedule.enabled) return;
+    scheduledTasks.set(schedule.id, cron.schedule(schedule.cron, () => {
+        runReport(schedule.id).catch(error => {
+            console.error(`❌ Error running scheduled report '${schedule.name}':`, error.message);
+        });
+    }, { timezone: schedule.timezone || defaultTimezone }));
+};
+
+/**
+ * Starts the cron tasks of every enabled schedule
+ * @param {Function} runReport - (scheduleId) => Promise, called on each tick
+ * @param {string} defaultTimezone - Timezone used when a schedule has none
+ * @returns {Promise<number>} - Number of schedules started
+ */
+const startReportSchedules = async (runReport, defaultTimezone) => {
+    const schedules = await store.listSchedules();
+    schedules.forEach(schedule => scheduleReport(schedule, runReport, defaultTimezone));
+    return scheduledTasks.size;
+};
+
+module.exports = {
+    isValidCronExpression,
+    scheduleReport,
+    unscheduleReport,
+    startReportSchedules,
+    renderReportHtml,
+    renderReportPdf,
+    isMailConfigured,
+    sendReportEmail,
+    ...store
+};
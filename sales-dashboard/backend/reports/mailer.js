@@ -0,0 +1,57 @@
+// mailer.js in the 'backend/reports' folder
+// Sends scheduled reports through the SMTP server configured with SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS.
+// Any SMTP server works, including a local sink (e.g. MailHog or smtp4dev on port 1025) for testing.
+
+const nodemailer = require('nodemailer');
+
+const REPORT_MAIL_FROM = process.env.REPORT_MAIL_FROM || 'Sales Dashboard <reports@localhost>';
+
+// Created on first use so the server starts without SMTP settings when no reports are sent
+let transport = null;
+
+/**
+ * Checks whether an SMTP server is configured
+ * @returns {boolean} - True when SMTP_HOST is set
+ */
+const isMailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+/**
+ * Gets the SMTP transport
+ * @returns {Object} - Nodemailer transport
+ */
+const getTransport = () => {
+    if (!transport) {
+        if (!isMailConfigured()) {
+            throw new Error('SMTP_HOST is not set, so reports cannot be emailed.');
+        }
+        const secure = process.env.SMTP_SECURE === 'true'; // TLS from the start (usually port 465); otherwise STARTTLS when offered
+        transport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || (secure ? 465 : 587),
+            secure,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+    return transport;
+};
+
+/**
+ * Emails a rendered report
+ * @param {Object} message - { to: [addresses], subject, html, attachments: [{ filename, content, contentType }] }
+ * @returns {Promise<Object>} - { messageId, accepted, rejected }
+ */
+const sendReportEmail = async ({ to, subject, html, attachments }) => {
+    const info = await getTransport().sendMail({
+        from: REPORT_MAIL_FROM,
+        to: to.join(', '),
+        subject,
+        html,
+        attachments
+    });
+    return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+};
+
+module.exports = {
+    isMailConfigured,
+    sendReportEmail
+};
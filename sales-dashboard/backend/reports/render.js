@@ -0,0 +1,329 @@
+// render.js in the 'backend/reports' folder
+// Renders a scheduled report (KPIs, daily metrics and CSP/Optima status counts) to an email-ready HTML page
+// and to a PDF snapshot with a chart of the daily orders and revenue.
+// HTML styles are inline because most email clients drop <style> blocks.
+
+const PDFDocument = require('pdfkit');
+
+// Labels of the fulfilment pipeline status fields, as shown on the dashboard
+const STATUS_FIELD_LABELS = {
+    c_submissionStatusCSP: 'CSP Submission',
+    c_SRStatus: 'SR Status',
+    c_submissionStatusOptima: 'Optima Submission',
+    c_optimaStatus: 'Optima Status',
+    c_optimaSubStatus: 'Optima Sub-Status'
+};
+
+const PIPELINE_TITLES = {
+    csp: 'CSP Status (Prepaid)',
+    optima: 'Optima Status (Postpaid)'
+};
+
+const COMPARE_TO_LABELS = {
+    previous_period: 'previous period',
+    last_week: 'same period last week',
+    last_year: 'same period last year'
+};
+
+// KPI cards, in dashboard order. The PDF uses the PHP code because its built-in fonts have no peso sign.
+const KPI_DEFINITIONS = [
+    { key: 'totalOrders', label: 'Total Orders', format: (value) => String(value), decimals: 0 },
+    { key: 'totalRevenue', label: 'Total Revenue', format: (value, currency) => `${currency}${value.toFixed(2)}`, currency: true },
+    { key: 'avgOrderValue', label: 'Avg. Order Value', format: (value, currency) => `${currency}${value.toFixed(2)}`, currency: true },
+    { key: 'avgUnitsPerTransaction', label: 'Avg. Units / Transaction', format: (value) => value.toFixed(2) },
+    { key: 'failureRate', label: 'Failure Rate', format: (value) => `${value.toFixed(1)}%`, suffix: ' pts', decimals: 1 }
+];
+
+/**
+ * Escapes text for HTML
+ * @param {*} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Formats a date-time in the report's timezone
+ * @param {string} isoDate - ISO date-time
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} - e.g. 'Oct 18, 2026, 23:59'
+ */
+const formatDateTime = (isoDate, timeZone) => new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+}).format(new Date(isoDate));
+
+/**
+ * Describes the change of a KPI against the comparison period
+ * @param {Object} definition - Entry of KPI_DEFINITIONS
+ * @param {Object} delta - { change, percentChange }
+ * @param {string} currency - Currency prefix
+ * @returns {string} - e.g. '+₱120.00 (+4.2%)'
+ */
+const formatDelta = (definition, delta, currency) => {
+    const sign = delta.change > 0 ? '+' : delta.change < 0 ? '-' : '';
+    const prefix = definition.currency ? currency : '';
+    const change = Math.abs(delta.change).toFixed(definition.decimals ?? 2);
+    const percent = delta.percentChange !== null ? ` (${sign}${Math.abs(delta.percentChange).toFixed(1)}%)` : '';
+    return `${sign}${prefix}${change}${definition.suffix || ''}${percent}`;
+};
+
+/**
+ * Gets the daily metrics as rows in date order
+ * @param {Object} dailyMetrics - { 'YYYY-MM-DD': { orders, revenue, units } }
+ * @returns {Array} - [{ date, orders, revenue, units }]
+ */
+const getDailyRows = (dailyMetrics) => Object.keys(dailyMetrics).sort().map(date => ({ date, ...dailyMetrics[date] }));
+
+/**
+ * Gets the column fields of a pipeline's status table
+ * @param {Array} combinations - [{ statuses, count }]
+ * @returns {Array} - Status field names
+ */
+const getStatusFields = (combinations) => (combinations.length > 0 ? Object.keys(combinations[0].statuses) : []);
+
+/**
+ * Renders a report to a standalone HTML page
+ * @param {Object} report - Report built by the scheduler: { name, environment, startDate, endDate, timezone, filters, generatedAt, kpis, comparison, dailyMetrics, statusBreakdown }
+ * @returns {string} - HTML
+ */
+const renderReportHtml = (report) => {
+    const currency = '₱';
+    const cell = 'padding:6px 10px;border-bottom:1px solid #e0e0e0;text-align:left;';
+    const numberCell = `${cell}text-align:right;`;
+    const heading = 'font-size:16px;margin:24px 0 8px;color:#333;';
+
+    const kpiCards = KPI_DEFINITIONS.map(definition => {
+        const delta = report.comparison && report.comparison.deltas[definition.key];
+        const deltaColor = delta && delta.change !== 0 ? (delta.change > 0 ? '#2e7d32' : '#c62828') : '#757575';
+        return `<td style="padding:12px;border:1px solid #e0e0e0;border-radius:6px;vertical-align:top;">`
+            + `<div style="font-size:12px;color:#757575;">${escapeHtml(definition.label)}</div>`
+            + `<div style="font-size:20px;font-weight:bold;color:#333;">${escapeHtml(definition.format(report.kpis[definition.key], currency))}</div>`
+            + (definition.key === 'failureRate' ? `<div style="font-size:12px;color:#757575;">${report.kpis.failedOrders} failed orders</div>` : '')
+            + (delta ? `<div style="font-size:12px;color:${deltaColor};">${escapeHtml(formatDelta(definition, delta, currency))}</div>` : '')
+            + '</td>';
+    }).join('');
+
+    const dailyRows = getDailyRows(report.dailyMetrics).map(row => `<tr>`
+        + `<td style="${cell}">${escapeHtml(row.date)}</td>`
+        + `<td style="${numberCell}">${row.orders}</td>`
+        + `<td style="${numberCell}">${currency}${row.revenue.toFixed(2)}</td>`
+        + `<td style="${numberCell}">${row.units}</td>`
+        + '</tr>').join('');
+
+    const statusTables = Object.keys(PIPELINE_TITLES).map(pipeline => {
+        const combinations = report.statusBreakdown[pipeline] || [];
+        const fields = getStatusFields(combinations);
+        const body = combinations.length === 0
+            ? `<p style="color:#757575;">No ${pipeline === 'csp' ? 'Prepaid' : 'Postpaid'} orders in this range.</p>`
+            : `<table style="border-collapse:collapse;width:100%;font-size:13px;"><thead><tr>`
+                + fields.map(field => `<th style="${cell}">${escapeHtml(STATUS_FIELD_LABELS[field] || field)}</th>`).join('')
+                + `<th style="${numberCell}">Orders</th></tr></thead><tbody>`
+                + combinations.map(combination => '<tr>'
+                    + fields.map(field => `<td style="${cell}">${escapeHtml(combination.statuses[field])}</td>`).join('')
+                    + `<td style="${numberCell}">${combination.count}</td></tr>`).join('')
+                + '</tbody></table>';
+        return `<h2 style="${heading}">${PIPELINE_TITLES[pipeline]}</h2>${body}`;
+    }).join('');
+
+    const filterLines = report.filters.map(filter => `${escapeHtml(filter.label)}: ${escapeHtml(filter.value)}`).join(' &middot; ');
+    const comparisonLine = report.comparison
+        ? `<p style="margin:4px 0;color:#555;">Changes are against the ${escapeHtml(COMPARE_TO_LABELS[report.comparison.compareTo] || report.comparison.compareTo)} `
+            + `(${escapeHtml(formatDateTime(report.comparison.startDate, report.timezone))} – ${escapeHtml(formatDateTime(report.comparison.endDate, report.timezone))}).</p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(report.name)}</title></head>
+<body style="margin:0;padding:24px;background:#f5f5f5;font-family:Arial,Helvetica,sans-serif;color:#333;">
+<div style="max-width:800px;margin:0 auto;background:#fff;padding:24px;border-radius:8px;">
+<h1 style="font-size:22px;margin:0 0 8px;">${escapeHtml(report.name)}</h1>
+<p style="margin:4px 0;color:#555;">${escapeHtml(report.environment)} orders from ${escapeHtml(formatDateTime(report.startDate, report.timezone))} to ${escapeHtml(formatDateTime(report.endDate, report.timezone))} (${escapeHtml(report.timezone)})</p>
+${filterLines ? `<p style="margin:4px 0;color:#555;">${filterLines}</p>` : ''}
+${comparisonLine}
+<table style="border-collapse:separate;border-spacing:8px;width:100%;margin:16px -8px 0;"><tr>${kpiCards}</tr></table>
+<h2 style="${heading}">Daily Metrics</h2>
+<table style="border-collapse:collapse;width:100%;font-size:13px;">
+<thead><tr><th style="${cell}">Date</th><th style="${numberCell}">Orders</th><th style="${numberCell}">Revenue</th><th style="${numberCell}">Units</th></tr></thead>
+<tbody>${dailyRows}</tbody>
+</table>
+${statusTables}
+<p style="margin-top:24px;font-size:12px;color:#9e9e9e;">Generated ${escapeHtml(formatDateTime(report.generatedAt, report.timezone))} by the Sales Dashboard.</p>
+</div>
+</body>
+</html>
+`;
+};
+
+/**
+ * Draws a bar chart of the daily orders with the revenue as a line
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array} rows - Daily rows from getDailyRows
+ * @param {Object} box - { x, y, width, height } of the plot area
+ */
+const drawDailyChart = (doc, rows, { x, y, width, height }) => {
+    const maxOrders = Math.max(1, ...rows.map(row => row.orders));
+    const maxRevenue = Math.max(1, ...rows.map(row => row.revenue));
+    const slot = width / Math.max(rows.length, 1);
+    const barWidth = Math.max(1, slot * 0.6);
+
+    // Axes and the top value of each scale
+    doc.strokeColor('#9e9e9e').lineWidth(0.5)
+        .moveTo(x, y).lineTo(x, y + height).lineTo(x + width, y + height).stroke();
+    doc.fillColor('#757575').fontSize(7)
+        .text(String(maxOrders), x - 30, y - 3, { width: 26, align: 'right' })
+        .text('0', x - 30, y + height - 3, { width: 26, align: 'right' })
+        .text(`PHP ${maxRevenue.toFixed(0)}`, x + width + 4, y - 3, { width: 60 });
+
+    rows.forEach((row, index) => {
+        const barHeight = (row.orders / maxOrders) * height;
+        doc.rect(x + index * slot + (slot - barWidth) / 2, y + height - barHeight, barWidth, barHeight).fill('#4bc0c0');
+    });
+
+    if (rows.length > 1) {
+        rows.forEach((row, index) => {
+            const pointX = x + index * slot + slot / 2;
+            const pointY = y + height - (row.revenue / maxRevenue) * height;
+            if (index === 0) doc.moveTo(pointX, pointY);
+            else doc.lineTo(pointX, pointY);
+        });
+        doc.strokeColor('#ff6384').lineWidth(1.5).stroke();
+    }
+
+    // Label the first, last and a few days in between so long ranges stay readable
+    const labelEvery = Math.ceil(rows.length / 8);
+    doc.fillColor('#757575').fontSize(7);
+    rows.forEach((row, index) => {
+        if (index % labelEvery === 0 || index === rows.length - 1) {
+            doc.text(row.date.slice(5), x + index * slot + slot / 2 - 20, y + height + 4, { width: 40, align: 'center' });
+        }
+    });
+
+    // Legend (the built-in fonts have no square symbol, so the swatches are drawn)
+    const legendY = y + height + 18;
+    doc.rect(x, legendY + 1, 8, 6).fill('#4bc0c0');
+    doc.fillColor('#555555').fontSize(8).text('Orders', x + 12, legendY, { lineBreak: false });
+    doc.moveTo(x + 60, legendY + 4).lineTo(x + 70, legendY + 4).strokeColor('#ff6384').lineWidth(1.5).stroke();
+    doc.fillColor('#555555').text('Revenue (PHP)', x + 74, legendY, { lineBreak: false });
+    doc.y = legendY + 12;
+};
+
+/**
+ * Writes a simple table, starting a new page when it runs off the current one
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array} columns - [{ label, width, align }]
+ * @param {Array} rows - Arrays of cell text
+ */
+const drawTable = (doc, columns, rows) => {
+    const left = doc.page.margins.left;
+    const writeRow = (cells, bold) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+            doc.addPage();
+        }
+        const rowY = doc.y;
+        let cellX = left;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#333333');
+        cells.forEach((text, index) => {
+            doc.text(String(text), cellX, rowY, { width: columns[index].width - 6, align: columns[index].align || 'left', lineBreak: false, ellipsis: true });
+            cellX += columns[index].width;
+        });
+        doc.moveTo(left, rowY + 13).lineTo(cellX, rowY + 13).strokeColor('#e0e0e0').lineWidth(0.5).stroke();
+        doc.x = left;
+        doc.y = rowY + 16;
+    };
+
+    writeRow(columns.map(column => column.label), true);
+    rows.forEach(cells => writeRow(cells, false));
+    doc.font('Helvetica');
+};
+
+/**
+ * Renders a report to a PDF snapshot: the KPIs, a chart of the daily metrics and the status tables
+ * @param {Object} report - Report built by the scheduler (see renderReportHtml)
+ * @returns {Promise<Buffer>} - PDF file content
+ */
+const renderReportPdf = (report) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: report.name, Creator: 'Sales Dashboard' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const currency = 'PHP ';
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#333333').text(report.name);
+    doc.font('Helvetica').fontSize(10).fillColor('#555555')
+        .text(`${report.environment} orders from ${formatDateTime(report.startDate, report.timezone)} to ${formatDateTime(report.endDate, report.timezone)} (${report.timezone})`);
+    if (report.filters.length > 0) {
+        doc.text(report.filters.map(filter => `${filter.label}: ${filter.value}`).join('  |  '));
+    }
+    if (report.comparison) {
+        doc.text(`Changes are against the ${COMPARE_TO_LABELS[report.comparison.compareTo] || report.comparison.compareTo}.`);
+    }
+
+    // KPI cards in one row
+    const cardGap = 6;
+    const cardWidth = (contentWidth - cardGap * (KPI_DEFINITIONS.length - 1)) / KPI_DEFINITIONS.length;
+    const cardY = doc.y + 12;
+    KPI_DEFINITIONS.forEach((definition, index) => {
+        const cardX = left + index * (cardWidth + cardGap);
+        const delta = report.comparison && report.comparison.deltas[definition.key];
+        doc.roundedRect(cardX, cardY, cardWidth, 58, 4).strokeColor('#e0e0e0').lineWidth(1).stroke();
+        doc.font('Helvetica').fontSize(7).fillColor('#757575').text(definition.label, cardX + 6, cardY + 6, { width: cardWidth - 12 });
+        doc.font('Helvetica-Bold').fontSize(12).fillColor('#333333')
+            .text(definition.format(report.kpis[definition.key], currency), cardX + 6, cardY + 20, { width: cardWidth - 12 });
+        if (delta) {
+            doc.font('Helvetica').fontSize(7).fillColor(delta.change > 0 ? '#2e7d32' : delta.change < 0 ? '#c62828' : '#757575')
+                .text(formatDelta(definition, delta, currency), cardX + 6, cardY + 40, { width: cardWidth - 12 });
+        }
+    });
+
+    const rows = getDailyRows(report.dailyMetrics);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor('#333333').text('Daily Metrics', left, cardY + 76);
+    drawDailyChart(doc, rows, { x: left + 34, y: doc.y + 10, width: contentWidth - 100, height: 160 });
+    doc.x = left;
+    doc.moveDown(1.5);
+    drawTable(doc, [
+        { label: 'Date', width: 140 },
+        { label: 'Orders', width: 100, align: 'right' },
+        { label: 'Revenue', width: 140, align: 'right' },
+        { label: 'Units', width: 100, align: 'right' }
+    ], rows.map(row => [row.date, row.orders, `${currency}${row.revenue.toFixed(2)}`, row.units]));
+
+    Object.keys(PIPELINE_TITLES).forEach(pipeline => {
+        const combinations = report.statusBreakdown[pipeline] || [];
+        const fields = getStatusFields(combinations);
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(13).fillColor('#333333').text(PIPELINE_TITLES[pipeline], left);
+        doc.moveDown(0.3);
+        if (combinations.length === 0) {
+            doc.font('Helvetica').fontSize(9).fillColor('#757575').text(`No ${pipeline === 'csp' ? 'Prepaid' : 'Postpaid'} orders in this range.`);
+            return;
+        }
+        const fieldWidth = (contentWidth - 60) / fields.length;
+        drawTable(doc, [
+            ...fields.map(field => ({ label: STATUS_FIELD_LABELS[field] || field, width: fieldWidth })),
+            { label: 'Orders', width: 60, align: 'right' }
+        ], combinations.map(combination => [...fields.map(field => combination.statuses[field]), combination.count]));
+    });
+
+    doc.moveDown(1);
+    doc.font('Helvetica').fontSize(8).fillColor('#9e9e9e').text(`Generated ${formatDateTime(report.generatedAt, report.timezone)} by the Sales Dashboard.`, left);
+    doc.end();
+});
+
+module.exports = {
+    renderReportHtml,
+    renderReportPdf
+};
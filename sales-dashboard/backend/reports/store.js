@@ -0,0 +1,126 @@
+// store.js in the 'backend/reports' folder
+// Report schedules: when a report runs, who it goes to and which filters it uses.
+// Schedules are kept in a JSON file (REPORT_SCHEDULES_FILE, default backend/data/report-schedules.json), rewritten atomically on each change.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const REPORT_SCHEDULES_FILE = process.env.REPORT_SCHEDULES_FILE || path.join(__dirname, '..', 'data', 'report-schedules.json');
+
+// Schedules are read once and then kept in memory; this process is the only writer
+let schedules = null;
+
+// Changes are written one after another so a slow write can't overwrite a newer one
+let writeQueue = Promise.resolve();
+
+/**
+ * Loads the report schedules from disk on first use
+ * @returns {Promise<Array>} - Report schedules
+ */
+const loadSchedules = async () => {
+    if (!schedules) {
+        try {
+            schedules = JSON.parse(await fs.promises.readFile(REPORT_SCHEDULES_FILE, 'utf8'));
+            console.log(`📅 Loaded ${schedules.length} report schedule(s)`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            schedules = [];
+        }
+    }
+    return schedules;
+};
+
+/**
+ * Writes the report schedules to disk (to a temporary file first, so a crash never leaves half a file)
+ * @returns {Promise<void>} - Resolves once the file is written
+ */
+const persistSchedules = () => {
+    const content = JSON.stringify(schedules, null, 2);
+    writeQueue = writeQueue.catch(() => {}).then(async () => {
+        await fs.promises.mkdir(path.dirname(REPORT_SCHEDULES_FILE), { recursive: true });
+        const tempPath = `${REPORT_SCHEDULES_FILE}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, content);
+        await fs.promises.rename(tempPath, REPORT_SCHEDULES_FILE);
+    });
+    return writeQueue;
+};
+
+/**
+ * Lists every report schedule
+ * @returns {Promise<Array>} - Schedules, sorted by name
+ */
+const listSchedules = async () => [...await loadSchedules()].sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Gets a report schedule by id
+ * @param {string} id - Schedule id
+ * @returns {Promise<Object|null>} - Schedule, or null if there is none
+ */
+const getSchedule = async (id) => (await loadSchedules()).find(schedule => schedule.id === id) || null;
+
+/**
+ * Creates a report schedule
+ * @param {string} createdBy - Username of the creator
+ * @param {Object} fields - { name, cron, timezone, recipients, viewId, filters, attachment, enabled }
+ * @returns {Promise<Object>} - Created schedule
+ */
+const createSchedule = async (createdBy, fields) => {
+    const list = await loadSchedules();
+    const now = new Date().toISOString();
+    const schedule = { id: crypto.randomUUID(), ...fields, createdBy, createdAt: now, updatedAt: now, lastRun: null };
+    list.push(schedule);
+    await persistSchedules();
+    return schedule;
+};
+
+/**
+ * Updates the fields of a report schedule
+ * @param {string} id - Schedule id
+ * @param {Object} changes - Any of the fields accepted by createSchedule
+ * @returns {Promise<Object|null>} - Updated schedule, or null if there is none
+ */
+const updateSchedule = async (id, changes) => {
+    const schedule = await getSchedule(id);
+    if (!schedule) return null;
+    Object.assign(schedule, changes, { updatedAt: new Date().toISOString() });
+    await persistSchedules();
+    return schedule;
+};
+
+/**
+ * Records the outcome of the latest run of a report schedule
+ * @param {string} id - Schedule id
+ * @param {Object} lastRun - { at, status, error, orderCount, recipients }
+ * @returns {Promise<Object|null>} - Updated schedule, or null if it was deleted meanwhile
+ */
+const recordScheduleRun = async (id, lastRun) => {
+    const schedule = await getSchedule(id);
+    if (!schedule) return null;
+    schedule.lastRun = lastRun;
+    await persistSchedules();
+    return schedule;
+};
+
+/**
+ * Deletes a report schedule
+ * @param {string} id - Schedule id
+ * @returns {Promise<boolean>} - True if the schedule existed
+ */
+const deleteSchedule = async (id) => {
+    const list = await loadSchedules();
+    const index = list.findIndex(schedule => schedule.id === id);
+    if (index === -1) return false;
+    list.splice(index, 1);
+    await persistSchedules();
+    return true;
+};
+
+module.exports = {
+    listSchedules,
+    getSchedule,
+    createSchedule,
+    updateSchedule,
+    recordScheduleRun,
+    deleteSchedule
+};
@@ -0,0 +1,32 @@
+// generate-fixtures.js in the 'backend/scripts' folder
+// Writes generated orders to a fixture file for DATA_SOURCE=fixtures.
+// Usage: node scripts/generate-fixtures.js [--count=2000] [--days=90] [--seed=42] [--out=fixtures/orders.ndjson]
+
+const fs = require('fs');
+const path = require('path');
+const { generateOrders } = require('../dataSources/fixtureGenerator');
+
+// Parse --name=value arguments
+const args = {};
+process.argv.slice(2).forEach(arg => {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (match) {
+        args[match[1]] = match[2];
+    }
+});
+
+const count = parseInt(args.count, 10) || 2000;
+const days = parseInt(args.days, 10) || 90;
+const seed = parseInt(args.seed, 10) || 42;
+const out = path.resolve(__dirname, '..', args.out || 'fixtures/orders.ndjson');
+
+const orders = generateOrders({ count, days, seed });
+
+fs.mkdirSync(path.dirname(out), { recursive: true });
+if (out.endsWith('.ndjson')) {
+    fs.writeFileSync(out, orders.map(order => JSON.stringify(order)).join('\n') + '\n');
+} else {
+    fs.writeFileSync(out, JSON.stringify(orders, null, 2));
+}
+
+console.log(`✅ Wrote ${orders.length} orders (last ${days} days, seed ${seed}) to ${out}`);
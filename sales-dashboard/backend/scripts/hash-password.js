@@ -0,0 +1,13 @@
+// hash-password.js in the 'backend/scripts' folder
+// Prints a password hash for a local user (AUTH_MODE=local).
+// Usage: node scripts/hash-password.js <password>
+
+const { hashPassword } = require('../auth/local');
+
+const password = process.argv[2];
+if (!password) {
+    console.error('Usage: node scripts/hash-password.js <password>');
+    process.exit(1);
+}
+
+console.log(hashPassword(password));
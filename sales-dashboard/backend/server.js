@@ -4,21 +4,46 @@ const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
 const path = require('path');
-const NodeCache = require('node-cache');
+const fs = require('fs');
+const ExcelJS = require('exceljs');
 require('dotenv').config();
+const { getDataSource } = require('./dataSources');
+const { searchAllPages } = require('./dataSources/pagination');
+const { getCache } = require('./cache');
+const auth = require('./auth');
+const { authenticateLocalUser } = require('./auth/local');
+const { createAuthorizationRequest, completeAuthorization } = require('./auth/oidc');
+const { recordAudit, parseQueryDate, queryAuditLog } = require('./audit');
+const { redactOrderList, redactOrderDetail } = require('./redaction');
+const savedViews = require('./views');
+const reports = require('./reports');
+const { DATE_PRESETS, DATE_PRESET_LABELS, isValidTimezone, getZonedParts, resolveDatePreset } = require('./dateRanges');
+
+// Where orders come from: Commerce Cloud OCAPI (default) or local fixture files (DATA_SOURCE=fixtures)
+const dataSource = getDataSource();
 
 const app = express();
 const PORT = process.env.PORT || 3001; // Port for our backend server
 
-// Initialize cache with TTL of 5 minutes (300 seconds) and check period of 1 minute (60 seconds)
-const orderCache = new NodeCache({ 
-    stdTTL: 1800, // Cache for 5 minutes
-    checkperiod: 60, // Check for expired keys every minute
-    useClones: false // For better performance, don't clone objects
-});
+// Orders are fresh for CACHE_TTL_SECONDS (30 minutes by default), then served stale for CACHE_STALE_SECONDS while a background refresh runs
+const CACHE_TTL_SECONDS = parseInt(process.env.CACHE_TTL_SECONDS, 10) || 1800;
+const CACHE_STALE_SECONDS = parseInt(process.env.CACHE_STALE_SECONDS, 10) >= 0 ? parseInt(process.env.CACHE_STALE_SECONDS, 10) : 3600;
+
+// Order cache, in memory (default), on disk or in Redis (CACHE_BACKEND); entries are kept for their fresh TTL plus the stale window
+const orderCache = getCache({ ttl: CACHE_TTL_SECONDS + CACHE_STALE_SECONDS });
+
+// Fail at startup rather than on first login when AUTH_MODE is misconfigured
+auth.validateAuthConfig();
 
-app.use(cors()); // Enable Cross-Origin Resource Sharing
+app.use(cors(auth.getCorsOptions())); // Enable Cross-Origin Resource Sharing for the allowed origins only
 app.use(express.json()); // Allow the server to parse JSON request bodies
+app.use(auth.authenticate); // Set req.user from the session cookie
+
+// Role checks for whole route groups (/api/health and /api/auth/* stay public)
+app.use('/api/orders', auth.requireRole('viewer'), auth.requireEnvironmentAccess);
+app.use('/api/cache', auth.requireRole('admin'));
+app.use('/api/views', auth.requireRole('viewer'));
+app.use('/api/reports', auth.requireRole('admin'));
 
 // Serve static files from the React app build directory
 if (process.env.NODE_ENV === 'production') {
@@ -30,10 +55,104 @@ app.get('/api/health', (req, res) => {
     res.json({ 
         status: 'OK', 
         message: 'Sales Dashboard API is running',
+        dataSource: dataSource.name,
         timestamp: new Date().toISOString()
     });
 });
 
+// --- Authentication ---
+
+// Current user, their permissions and how to sign in
+app.get('/api/auth/me', (req, res) => {
+    res.json({
+        authMode: auth.AUTH_MODE,
+        user: req.user,
+        permissions: req.user ? auth.getPermissions(req.user) : null
+    });
+});
+
+// Sign in with a local username and password (AUTH_MODE=local)
+app.post('/api/auth/login', (req, res) => {
+    if (auth.AUTH_MODE !== 'local') {
+        return res.status(400).json({ error: 'Password login is not enabled.' });
+    }
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required.' });
+    }
+    
+    try {
+        const user = authenticateLocalUser(username, password);
+        if (!user) {
+            console.warn(`🚫 Failed login for '${username}'`);
+            return res.status(401).json({ error: 'Invalid username or password.' });
+        }
+        auth.setSessionCookie(res, user);
+        console.log(`👤 ${user.username} (${user.role}) signed in`);
+        res.json({ user, permissions: auth.getPermissions(user) });
+    } catch (error) {
+        console.error("Error in /api/auth/login:", error.message);
+        res.status(500).json({ error: 'Failed to sign in.' });
+    }
+});
+
+// Sign out
+app.post('/api/auth/logout', (req, res) => {
+    auth.clearSessionCookie(res);
+    res.json({ message: 'Signed out.' });
+});
+
+// Start an OpenID Connect login (AUTH_MODE=oidc): redirects to the issuer
+app.get('/api/auth/oidc/login', async (req, res) => {
+    if (auth.AUTH_MODE !== 'oidc') {
+        return res.status(400).json({ error: 'OIDC login is not enabled.' });
+    }
+    
+    try {
+        const { url, state } = await createAuthorizationRequest();
+        auth.setOidcStateCookie(res, state);
+        res.redirect(url);
+    } catch (error) {
+        console.error("Error in /api/auth/oidc/login:", error.message);
+        res.status(500).json({ error: 'Failed to start the OIDC login.' });
+    }
+});
+
+// The issuer redirects back here (OIDC_REDIRECT_URI) after the user signs in
+app.get('/api/auth/oidc/callback', async (req, res) => {
+    if (auth.AUTH_MODE !== 'oidc') {
+        return res.status(400).json({ error: 'OIDC login is not enabled.' });
+    }
+    
+    const loginState = auth.takeOidcState(req, res);
+    if (!loginState) {
+        return res.status(400).json({ error: 'The login has expired. Please sign in again.' });
+    }
+    
+    try {
+        const user = await completeAuthorization(req, loginState);
+        auth.setSessionCookie(res, user);
+        console.log(`👤 ${user.username} (${user.role}) signed in through OIDC`);
+        res.redirect(process.env.AUTH_SUCCESS_REDIRECT || '/');
+    } catch (error) {
+        console.error("Error in /api/auth/oidc/callback:", error.message);
+        res.status(401).json({ error: 'Failed to complete the OIDC login.' });
+    }
+});
+
+// Term query fields that are always available, even without TERM_QUERY_FIELD_<NAME> variables.
+// Each one can still be overridden with TERM_QUERY_FIELD_<NAME>, _VALUES and _DEFAULT.
+const BUILT_IN_TERM_QUERY_FIELDS = {
+    status: {
+        apiField: 'status',
+        options: ['new', 'open', 'completed', 'cancelled', 'replaced', 'created', 'failed'],
+        defaultSelection: 'exclude:created,failed' // Matches the previous hardcoded status filter
+    }
+};
+
+// Order statuses counted as failed in the failure rate KPI
+const FAILED_ORDER_STATUSES = ['failed'];
+
 /**
  * Gets field options from environment variables
  * @param {string} fieldKey - The field key (e.g., 'order_type')
@@ -47,16 +166,60 @@ const getFieldOptionsFromEnv = (fieldKey) => {
         return envValue.split(',').map(option => option.trim()).filter(option => option !== '');
     }
     
+    if (BUILT_IN_TERM_QUERY_FIELDS[fieldKey]) {
+        return BUILT_IN_TERM_QUERY_FIELDS[fieldKey].options;
+    }
+    
     return []; // Return empty array if no values defined
 };
 
+/**
+ * Gets the default selection of a field, applied when a request doesn't send the field.
+ * Format: TERM_QUERY_FIELD_<NAME>_DEFAULT=include:value1,value2 or exclude:value1,value2
+ * (values without a prefix are included). An empty variable turns the default off.
+ * @param {string} fieldKey - The field key (e.g., 'status')
+ * @returns {Object|null} - { mode, values } selection, or null when the field has no default
+ */
+const getFieldDefaultFromEnv = (fieldKey) => {
+    const envKey = `TERM_QUERY_FIELD_${fieldKey.toUpperCase()}_DEFAULT`;
+    let envValue = process.env[envKey];
+    
+    if (envValue === undefined && BUILT_IN_TERM_QUERY_FIELDS[fieldKey]) {
+        envValue = BUILT_IN_TERM_QUERY_FIELDS[fieldKey].defaultSelection;
+    }
+    if (!envValue || envValue.trim() === '') {
+        return null;
+    }
+    
+    const match = envValue.trim().match(/^(include|exclude):(.*)$/i);
+    return normalizeFilterSelection({
+        mode: match ? match[1].toLowerCase() : 'include',
+        values: (match ? match[2] : envValue).split(',')
+    });
+};
+
+/**
+ * Gets the payment method dropdown values from environment variables
+ * @returns {Array} - Payment method IDs from PAYMENT_METHOD_VALUES (empty to use the values found in the data)
+ */
+const getPaymentMethodsFromEnv = () => {
+    const envValue = process.env.PAYMENT_METHOD_VALUES;
+    
+    if (envValue && envValue.trim() !== '') {
+        return envValue.split(',').map(option => option.trim()).filter(option => option !== '');
+    }
+    
+    return [];
+};
+
 // Get available configurable fields endpoint
-app.get('/api/config/fields', (req, res) => {
+app.get('/api/config/fields', auth.requireRole('viewer'), (req, res) => {
     try {
         const configurableFields = getConfigurableTermQueryFields();
         
         // Default field labels
         const fieldLabels = {
+            status: 'Order Status',
             order_type: 'Order Type',
             customer_type: 'Customer Type',
             channel: 'Channel',
@@ -75,7 +238,8 @@ app.get('/api/config/fields', (req, res) => {
                 availableFields[fieldKey] = {
                     apiField: configurableFields[fieldKey],
                     label: fieldLabels[fieldKey] || fieldKey.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-                    options: options
+                    options: options,
+                    default: getFieldDefaultFromEnv(fieldKey)
                 };
             } else {
                 console.log(`⚠️ Skipping field '${fieldKey}' - no dropdown values defined in TERM_QUERY_FIELD_${fieldKey.toUpperCase()}_VALUES`);
@@ -87,7 +251,10 @@ app.get('/api/config/fields', (req, res) => {
         res.json({
             success: true,
             fields: availableFields,
-            enablePrd: process.env.ENABLE_PRD === 'true',
+            paymentMethods: getPaymentMethodsFromEnv(),
+            enablePrd: auth.canAccessEnvironment(req.user, 'PRD'), // ENABLE_PRD and the user's role
+            timezone: DEFAULT_TIMEZONE,
+            datePresets: DATE_PRESETS.map(value => ({ value, label: DATE_PRESET_LABELS[value] })),
             message: 'Available configurable fields retrieved successfully'
         });
     } catch (error) {
@@ -100,6 +267,19 @@ app.get('/api/config/fields', (req, res) => {
     }
 });
 
+// Range of a Date Range preset in a timezone, worked out here so the dashboard and the scheduled reports agree
+app.get('/api/config/date-range', auth.requireRole('viewer'), (req, res) => {
+    const { preset } = req.query;
+    const timezone = req.query.timezone || DEFAULT_TIMEZONE;
+    if (!DATE_PRESETS.includes(preset)) {
+        return res.status(400).json({ error: `preset must be one of: ${DATE_PRESETS.join(', ')}.` });
+    }
+    if (!isValidTimezone(timezone)) {
+        return res.status(400).json({ error: `Unknown timezone '${timezone}'.` });
+    }
+    res.json({ preset, timezone, ...resolveDatePreset(preset, timezone) });
+});
+
 /**
  * Gets configurable term query fields from environment variables
  * @returns {Object} - Object containing available term query fields
@@ -107,9 +287,15 @@ app.get('/api/config/fields', (req, res) => {
 const getConfigurableTermQueryFields = () => {
     const fields = {};
     
+    // Built-in fields first, so environment variables can override their API field
+    Object.keys(BUILT_IN_TERM_QUERY_FIELDS).forEach(fieldKey => {
+        fields[fieldKey] = BUILT_IN_TERM_QUERY_FIELDS[fieldKey].apiField;
+    });
+    
     // Iterate through all environment variables to find TERM_QUERY_FIELD_ prefixed ones
+    // (the _VALUES and _DEFAULT variables describe a field rather than define one)
     Object.keys(process.env).forEach(key => {
-        if (key.startsWith('TERM_QUERY_FIELD_')) {
+        if (key.startsWith('TERM_QUERY_FIELD_') && !/_(VALUES|DEFAULT)$/.test(key)) {
             const fieldKey = key.replace('TERM_QUERY_FIELD_', '').toLowerCase();
             const fieldValue = process.env[key];
             if (fieldValue) {
@@ -123,7 +309,85 @@ const getConfigurableTermQueryFields = () => {
 };
 
 /**
- * Builds the bool query must array with configurable term queries
+ * Normalizes a filter value from the request into a selection.
+ * Accepts a single value ('North'), an array (['North', 'South']) or
+ * an object with a mode ({ mode: 'exclude', values: ['Partner'] }).
+ * @param {*} value - Filter value from the request body
+ * @returns {Object|null} - { mode: 'include' | 'exclude', values: [...] }, or null when nothing is selected
+ */
+const normalizeFilterSelection = (value) => {
+    let mode = 'include';
+    let values = [];
+    
+    if (typeof value === 'string') {
+        values = [value];
+    } else if (Array.isArray(value)) {
+        values = value;
+    } else if (value && typeof value === 'object') {
+        mode = value.mode === 'exclude' ? 'exclude' : 'include';
+        values = Array.isArray(value.values) ? value.values : [];
+    }
+    
+    values = [...new Set(values.filter(item => typeof item === 'string').map(item => item.trim()).filter(item => item !== ''))];
+    return values.length > 0 ? { mode, values } : null;
+};
+
+/**
+ * Maps a filter selection to the OCAPI term_query operator
+ * @param {Object} selection - Normalized selection from normalizeFilterSelection
+ * @returns {string} - 'is', 'one_of' or 'not_in'
+ */
+const getTermQueryOperator = (selection) => {
+    if (selection.mode === 'exclude') {
+        return 'not_in';
+    }
+    return selection.values.length === 1 ? 'is' : 'one_of';
+};
+
+/**
+ * Gets the value a request sent for a configurable field
+ * @param {Object} requestData - Request data containing filter values
+ * @param {string} fieldKey - The field key (e.g., 'order_type')
+ * @returns {*} - The raw filter value, or undefined when the request didn't send the field
+ */
+const getRequestFieldValue = (requestData, fieldKey) => {
+    let fieldValue = null;
+    
+    // Map request data to field values
+    switch (fieldKey) {
+        case 'order_type':
+            fieldValue = requestData.orderType;
+            break;
+        case 'customer_type':
+            fieldValue = requestData.customerType;
+            break;
+        case 'channel':
+            fieldValue = requestData.channel;
+            break;
+        case 'region':
+            fieldValue = requestData.region;
+            break;
+        case 'store_id':
+            fieldValue = requestData.storeId;
+            break;
+        default:
+            // For any other fields, try to find them in request data
+            fieldValue = requestData[fieldKey];
+            break;
+    }
+    
+    // The dashboard sends configurable fields under their field key (e.g. 'customer_type')
+    if (fieldValue === undefined || fieldValue === null) {
+        fieldValue = requestData[fieldKey];
+    }
+    
+    return fieldValue === null ? undefined : fieldValue;
+};
+
+/**
+ * Builds the bool query must array with configurable term queries.
+ * Fields the request doesn't send fall back to their default selection (e.g. status excludes created/failed);
+ * an empty selection (e.g. { mode: 'include', values: [] }) means all values.
  * @param {Object} requestData - Request data containing filter values
  * @param {Object} configurableFields - Available configurable fields
  * @returns {Array} - Array of term query objects
@@ -131,50 +395,21 @@ const getConfigurableTermQueryFields = () => {
 const buildTermQueries = (requestData, configurableFields) => {
     const termQueries = [];
     
-    // Always include the status filter (required)
-    termQueries.push({
-        "term_query": {
-            "fields": ["status"],
-            "operator": "not_in",
-            "values": ["created", "failed"]
-        }
-    });
-    
     // Add configurable term queries based on request data and available fields
     Object.keys(configurableFields).forEach(fieldKey => {
         const fieldName = configurableFields[fieldKey];
-        let fieldValue = null;
-        
-        // Map request data to field values
-        switch (fieldKey) {
-            case 'order_type':
-                fieldValue = requestData.orderType;
-                break;
-            case 'customer_type':
-                fieldValue = requestData.customerType;
-                break;
-            case 'channel':
-                fieldValue = requestData.channel;
-                break;
-            case 'region':
-                fieldValue = requestData.region;
-                break;
-            case 'store_id':
-                fieldValue = requestData.storeId;
-                break;
-            default:
-                // For any other fields, try to find them in request data
-                fieldValue = requestData[fieldKey];
-                break;
-        }
-        
-        // Add term query if field value is provided
-        if (fieldValue && fieldValue.trim() !== '') {
+        const fieldValue = getRequestFieldValue(requestData, fieldKey);
+        
+        // Add term query if field value (or the field's default) is provided
+        const selection = fieldValue === undefined
+            ? getFieldDefaultFromEnv(fieldKey)
+            : normalizeFilterSelection(fieldValue);
+        if (selection) {
             termQueries.push({
                 "term_query": {
                     "fields": [fieldName],
-                    "operator": "is",
-                    "values": [fieldValue]
+                    "operator": getTermQueryOperator(selection),
+                    "values": selection.values
                 }
             });
         }
@@ -192,124 +427,187 @@ const buildTermQueries = (requestData, configurableFields) => {
  * @returns {string} - Cache key
  */
 const generateCacheKey = (startDate, endDate, requestData, environment) => {
-    // Create a sorted string of all filter values for consistent cache keys
+    // Create a sorted string of all filter values for consistent cache keys.
+    // Every value is keyed as its normalized selection (mode and sorted values), the way buildTermQueries reads it,
+    // so 'Prepaid', ['Prepaid'] and { mode: 'include', values: [' Prepaid'] } share a key. A field that was sent
+    // without values stays distinct from one that wasn't sent, since only the latter gets the field's default.
     const filterValues = Object.keys(requestData)
         .sort()
-        .map(key => `${key}:${requestData[key] || ''}`)
+        .map(key => {
+            const selection = normalizeFilterSelection(requestData[key]);
+            return `${key}:${selection ? `${selection.mode}(${[...selection.values].sort().join('|')})` : ''}`;
+        })
         .join('_');
     
     return `orders_${environment}_${startDate}_${endDate}_${filterValues}`;
 };
 
-// --- In-memory cache for environment-specific access tokens ---
-const tokenCache = {
-    DEV: {
-        accessToken: null,
-        tokenExpiresAt: null
-    },
-    PRD: {
-        accessToken: null,
-        tokenExpiresAt: null
+// Business timezone used to bucket orders into days (overridable per request)
+const DEFAULT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Manila';
+
+// Supported bucket sizes for dailyMetrics
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+
+/**
+ * Gets the metrics bucket a timestamp falls into
+ * @param {Date} date - Timestamp
+ * @param {string} timeZone - IANA timezone name
+ * @param {string} granularity - 'hour', 'day', 'week' (ISO week) or 'month'
+ * @returns {string} - Bucket key, e.g. '2025-01-31 08:00', '2025-01-31', '2025-W05' or '2025-01'
+ */
+const getBucketKey = (date, timeZone, granularity) => {
+    const { year, month, day, hour } = getZonedParts(date, timeZone);
+    const pad = (value) => String(value).padStart(2, '0');
+    
+    switch (granularity) {
+        case 'hour':
+            return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:00`;
+        case 'week': {
+            // ISO week: weeks start on Monday and belong to the year of their Thursday
+            const localDate = new Date(Date.UTC(year, month - 1, day));
+            const dayOfWeek = localDate.getUTCDay() || 7;
+            localDate.setUTCDate(localDate.getUTCDate() + 4 - dayOfWeek);
+            const weekYear = localDate.getUTCFullYear();
+            const week = Math.ceil(((localDate - Date.UTC(weekYear, 0, 1)) / 86400000 + 1) / 7);
+            return `${weekYear}-W${pad(week)}`;
+        }
+        case 'month':
+            return `${year}-${pad(month)}`;
+        default:
+            return `${year}-${pad(month)}-${pad(day)}`;
     }
 };
 
 /**
- * Gets environment-specific configuration
- * @param {string} environment - 'DEV' or 'PROD'
- * @returns {Object} - Environment-specific config
+ * Gets every bucket key between two timestamps so that empty buckets can be filled with zeros
+ * @param {string} startDate - Range start (ISO string)
+ * @param {string} endDate - Range end (ISO string)
+ * @param {string} timeZone - IANA timezone name
+ * @param {string} granularity - Bucket size
+ * @returns {Array} - Bucket keys in chronological order
  */
-const getEnvironmentConfig = (environment) => {
-    const env = environment || 'DEV';
-    const prefix = env.toUpperCase();
-    
-    const config = {
-        apiBaseUrl: process.env[`API_BASE_URL_${prefix}`],
-        clientId: process.env[`CLIENT_ID_${prefix}`],
-        authHeader: process.env[`AUTH_HEADER_${prefix}`]
-    };
-    
-    console.log(`🔧 Environment Config - Environment: ${env}, Prefix: ${prefix}`);
-    console.log(`📋 Config Status - API URL: ${config.apiBaseUrl ? 'SET' : 'NOT SET'}, Client ID: ${config.clientId ? 'SET' : 'NOT SET'}, Auth Header: ${config.authHeader ? 'SET' : 'NOT SET'}`);
+const getBucketKeysInRange = (startDate, endDate, timeZone, granularity) => {
+    const start = new Date(startDate).getTime();
+    const end = new Date(endDate).getTime();
+    if (isNaN(start) || isNaN(end) || end < start) {
+        return [];
+    }
     
-    return config;
+    // Step through the range hour by hour, which is safe across DST changes and half-hour offsets
+    const keys = new Set();
+    const hour = 60 * 60 * 1000;
+    for (let time = start; time <= end; time += hour) {
+        keys.add(getBucketKey(new Date(time), timeZone, granularity));
+    }
+    keys.add(getBucketKey(new Date(end), timeZone, granularity));
+    return [...keys];
 };
 
 /**
- * Fetches a new access token if the current one is invalid or expired.
- * @param {string} environment - 'DEV' or 'PRD'
+ * Gets the distinct payment method IDs used by an order, in instrument order
+ * @param {Object} order - Order data
+ * @returns {Array} - Payment method IDs (empty if the order has no payment instruments)
  */
-const getAccessToken = async (environment) => {
-    const env = environment || 'DEV';
-    const cacheKey = env.toUpperCase();
-    
-    const envCache = tokenCache[cacheKey];
-    
-    // If we have a valid token for this environment, return it
-    if (envCache.accessToken && envCache.tokenExpiresAt && new Date() < envCache.tokenExpiresAt) {
-        console.log(`🔑 Using cached access token for ${cacheKey} environment.`);
-        return envCache.accessToken;
+const getOrderPaymentMethods = (order) => {
+    if (!order.payment_instruments) {
+        return [];
     }
+    return [...new Set(order.payment_instruments.map(instrument => instrument.payment_method_id).filter(Boolean))];
+};
 
-    console.log(`🔄 Fetching a new access token for ${cacheKey} environment...`);
-    try {
-        const config = getEnvironmentConfig(env);
-        const params = new URLSearchParams();
-        params.append('grant_type', 'urn:demandware:params:oauth:grant-type:client-id:dwsid:dwsecuretoken');
+/**
+ * Filters order hits down to those paid with the given payment method.
+ * Split-tender orders match if any of their payment instruments uses the method.
+ * @param {Array} hits - The array of order hits from the API response.
+ * @param {string} paymentMethod - Optional payment method filter.
+ * @returns {Array} - The matching order hits.
+ */
+const filterHitsByPaymentMethod = (hits, paymentMethod) => {
+    if (!paymentMethod || paymentMethod.trim() === '') {
+        return hits;
+    }
 
-        const response = await axios.post(
-            `${config.apiBaseUrl}/dw/oauth2/access_token?client_id=${config.clientId}`,
-            params,
-            {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                    'Authorization': config.authHeader,
-                },
-            }
-        );
+    const filteredHits = hits.filter(hit => getOrderPaymentMethods(hit.data).includes(paymentMethod));
+    console.log(`Filtered ${filteredHits.length} orders out of ${hits.length} for payment method: ${paymentMethod}`);
+    return filteredHits;
+};
 
-        const { access_token, expires_in } = response.data;
-        
-        // Cache the token for this specific environment
-        envCache.accessToken = access_token;
-        // Set expiry time to be 60 seconds before it actually expires, for safety
-        envCache.tokenExpiresAt = new Date(new Date().getTime() + (expires_in - 60) * 1000);
+// Submission status fields of each fulfilment pipeline, in pipeline order
+const FULFILMENT_PIPELINES = {
+    csp: { orderType: 'Prepaid', fields: ['c_submissionStatusCSP', 'c_SRStatus'] },
+    optima: { orderType: 'Postpaid', fields: ['c_submissionStatusOptima', 'c_optimaStatus', 'c_optimaSubStatus'] }
+};
 
-        console.log(`✅ Successfully fetched and cached new token for ${cacheKey} environment.`);
-        return envCache.accessToken;
-    } catch (error) {
-        console.error(`❌ Error fetching access token for ${cacheKey} environment:`, error.response ? error.response.data : error.message);
-        throw new Error(`Could not retrieve access token for ${cacheKey} environment.`);
+// Order fields the Orders Report can be narrowed down by when a status segment is clicked
+const STATUS_FILTER_FIELDS = ['c_smartOrderType', ...FULFILMENT_PIPELINES.csp.fields, ...FULFILMENT_PIPELINES.optima.fields];
+
+/**
+ * Gets the fulfilment pipeline an order goes through, based on its order type
+ * @param {Object} order - Order data
+ * @returns {string|null} - 'csp' for Prepaid, 'optima' for Postpaid, or null
+ */
+const getFulfilmentPipeline = (order) => {
+    return Object.keys(FULFILMENT_PIPELINES).find(pipeline => FULFILMENT_PIPELINES[pipeline].orderType === order.c_smartOrderType) || null;
+};
+
+/**
+ * Filters orders to those matching every field of a status combination.
+ * A value of 'N/A' matches orders where the field is missing, as shown in the table.
+ * @param {Array} orders - Order data objects
+ * @param {Object} statusFilter - { [field]: value } using fields from STATUS_FILTER_FIELDS
+ * @returns {Array} - Matching orders
+ */
+const filterOrdersByStatus = (orders, statusFilter) => {
+    if (!statusFilter || typeof statusFilter !== 'object') {
+        return orders;
+    }
+    
+    const fields = Object.keys(statusFilter).filter(field => STATUS_FILTER_FIELDS.includes(field));
+    if (fields.length === 0) {
+        return orders;
     }
+    
+    return orders.filter(order => fields.every(field => (order[field] || 'N/A') === statusFilter[field]));
 };
 
 /**
  * Processes raw order data into a format suitable for the dashboard.
  * @param {Array} hits - The array of order hits from the API response.
  * @param {string} paymentMethod - Optional payment method filter.
+ * @param {Object} options - Optional bucketing options
+ * @param {string} options.timezone - Timezone used for bucketing (defaults to REPORT_TIMEZONE)
+ * @param {string} options.granularity - 'hour', 'day', 'week' or 'month' (defaults to 'day')
+ * @param {string} options.startDate - Range start, used to fill empty buckets with zeros
+ * @param {string} options.endDate - Range end, used to fill empty buckets with zeros
  * @returns {Object} - Processed data for the dashboard.
  */
-const processOrderData = (hits, paymentMethod) => {
+const processOrderData = (hits, paymentMethod, options = {}) => {
+    const timeZone = options.timezone || DEFAULT_TIMEZONE;
+    const granularity = options.granularity || 'day';
+    
     // Filter orders by payment method if specified
-    let filteredHits = hits;
-    if (paymentMethod && paymentMethod.trim() !== '') {
-        filteredHits = hits.filter(hit => {
-            const order = hit.data;
-            // Check if order has payment instruments and the first one matches the selected payment method
-            return order.payment_instruments && 
-                   order.payment_instruments.length > 0 && 
-                   order.payment_instruments[0].payment_method_id === paymentMethod;
+    const filteredHits = filterHitsByPaymentMethod(hits, paymentMethod);
+    const dailyMetrics = {};
+    
+    // Start with every bucket of the range at zero so the charts don't skip empty periods
+    if (options.startDate && options.endDate) {
+        getBucketKeysInRange(options.startDate, options.endDate, timeZone, granularity).forEach(key => {
+            dailyMetrics[key] = { orders: 0, revenue: 0, units: 0 };
         });
-        console.log(`Filtered ${filteredHits.length} orders out of ${hits.length} for payment method: ${paymentMethod}`);
     }
-    const dailyMetrics = {};
+
     const customerBreakdown = { new: 0, returning: 0, registered: 0, unregistered: 0 };
+    const productMetrics = {};
+    const paymentMetrics = {};
+    const statusCounts = { csp: {}, optima: {} };
     let totalOrders = filteredHits.length;
+    let failedOrders = 0;
     let totalRevenue = 0;
     let totalUnits = 0;
 
     filteredHits.forEach(hit => {
         const order = hit.data;
-        const date = order.creation_date.split('T')[0]; // Get YYYY-MM-DD
+        const date = getBucketKey(new Date(order.creation_date), timeZone, granularity);
 
         // Initialize date entry if it doesn't exist
         if (!dailyMetrics[date]) {
@@ -325,6 +623,57 @@ const processOrderData = (hits, paymentMethod) => {
         // Aggregate totals
         totalRevenue += order.order_total;
         totalUnits += orderUnits;
+        if (FAILED_ORDER_STATUSES.includes(order.status)) {
+            failedOrders += 1;
+        }
+
+        // Product-level metrics (an order counts once per product even if it has several lines of it)
+        const productsInOrder = new Set();
+        order.product_items.forEach(item => {
+            const productKey = `${item.product_id}|${item.product_name}`;
+            if (!productMetrics[productKey]) {
+                productMetrics[productKey] = {
+                    productId: item.product_id,
+                    productName: item.product_name,
+                    units: 0,
+                    revenue: 0,
+                    orders: 0
+                };
+            }
+            productMetrics[productKey].units += item.quantity;
+            productMetrics[productKey].revenue += item.price_after_order_discount ?? item.price ?? 0;
+            productsInOrder.add(productKey);
+        });
+        productsInOrder.forEach(productKey => {
+            productMetrics[productKey].orders += 1;
+        });
+
+        // Payment method metrics: revenue comes from each instrument's amount so split tenders are shared out
+        const instruments = order.payment_instruments || [];
+        instruments.forEach(instrument => {
+            const methodId = instrument.payment_method_id || 'UNKNOWN';
+            if (!paymentMetrics[methodId]) {
+                paymentMetrics[methodId] = { paymentMethod: methodId, orders: 0, revenue: 0 };
+            }
+            paymentMetrics[methodId].revenue += instrument.amount ?? (instruments.length === 1 ? order.order_total : 0);
+        });
+        new Set(instruments.map(instrument => instrument.payment_method_id || 'UNKNOWN')).forEach(methodId => {
+            paymentMetrics[methodId].orders += 1;
+        });
+
+        // Fulfilment pipeline: count each combination of CSP (Prepaid) or Optima (Postpaid) statuses
+        const pipeline = getFulfilmentPipeline(order);
+        if (pipeline) {
+            const statuses = {};
+            FULFILMENT_PIPELINES[pipeline].fields.forEach(field => {
+                statuses[field] = order[field] || 'N/A';
+            });
+            const combinationKey = JSON.stringify(statuses);
+            if (!statusCounts[pipeline][combinationKey]) {
+                statusCounts[pipeline][combinationKey] = { statuses, count: 0 };
+            }
+            statusCounts[pipeline][combinationKey].count += 1;
+        }
 
         // Customer segmentation (based on 'guest' flag)
         if (order.guest) {
@@ -338,188 +687,1954 @@ const processOrderData = (hits, paymentMethod) => {
 
     const avgOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
     const avgUnitsPerTransaction = totalOrders > 0 ? totalUnits / totalOrders : 0;
+    const failureRate = totalOrders > 0 ? (failedOrders / totalOrders) * 100 : 0; // Only non-zero when the status filter includes failed orders
+
+    // Rank products by revenue and work out each one's share of product revenue
+    const productRevenue = Object.values(productMetrics).reduce((sum, product) => sum + product.revenue, 0);
+    const productBreakdown = Object.values(productMetrics)
+        .map(product => ({
+            ...product,
+            revenueShare: productRevenue > 0 ? (product.revenue / productRevenue) * 100 : 0
+        }))
+        .sort((a, b) => b.revenue - a.revenue);
+    const paymentBreakdown = Object.values(paymentMetrics).sort((a, b) => b.revenue - a.revenue);
+    const statusBreakdown = {
+        csp: Object.values(statusCounts.csp).sort((a, b) => b.count - a.count),
+        optima: Object.values(statusCounts.optima).sort((a, b) => b.count - a.count)
+    };
 
     return {
         dailyMetrics,
         customerBreakdown,
+        productBreakdown,
+        paymentBreakdown,
+        statusBreakdown,
         kpis: {
             totalOrders,
             totalRevenue,
             totalUnits,
             avgOrderValue,
             avgUnitsPerTransaction,
+            failedOrders,
+            failureRate,
         },
     };
 };
 
-// --- API Endpoint for the Frontend ---
-app.post('/api/orders', async (req, res) => {
-    try {
-        const { startDate, endDate, environment, ...otherFilters } = req.body;
-        if (!startDate || !endDate) {
-            return res.status(400).json({ error: 'Start date and end date are required.' });
+/**
+ * Gets the date range to compare the selected range against
+ * @param {string} startDate - Start of the selected range (ISO string)
+ * @param {string} endDate - End of the selected range (ISO string)
+ * @param {string} compareTo - 'previous_period', 'last_week' or 'last_year'
+ * @returns {Object|null} - Comparison { startDate, endDate }, or null if compareTo is not recognised
+ */
+const getComparisonRange = (startDate, endDate, compareTo) => {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    
+    switch (compareTo) {
+        case 'previous_period': {
+            // Same length, ending just before the selected range starts
+            const length = end.getTime() - start.getTime();
+            return {
+                startDate: new Date(start.getTime() - length - 1).toISOString(),
+                endDate: new Date(start.getTime() - 1).toISOString()
+            };
         }
-        
-        // Default to 'DEV' if environment is not provided
-        const selectedEnvironment = environment || 'DEV';
-        
-        // Prepare request data for processing
-        const requestData = {
-            orderType: otherFilters.orderType || 'Prepaid', // Default to Prepaid
-            ...otherFilters
-        };
-        
-        console.log(`🌍 API Request - Environment: ${selectedEnvironment}, Filters:`, requestData);
-        
-        // Get configurable term query fields
-        const configurableFields = getConfigurableTermQueryFields();
-        
-        // Generate cache key for this request
-        const cacheKey = generateCacheKey(startDate, endDate, requestData, selectedEnvironment);
-        
-        // Check if data exists in cache
-        const cachedData = orderCache.get(cacheKey);
-        if (cachedData) {
-            console.log(`💾 Cache HIT - Returning cached data for key: ${cacheKey}`);
-            return res.json(cachedData);
+        case 'last_week': {
+            const week = 7 * 24 * 60 * 60 * 1000;
+            return {
+                startDate: new Date(start.getTime() - week).toISOString(),
+                endDate: new Date(end.getTime() - week).toISOString()
+            };
         }
-        
-        console.log(`🔍 Cache MISS - Fetching fresh data for key: ${cacheKey}`);
-        
-        // Get environment-specific configuration
-        const config = getEnvironmentConfig(selectedEnvironment);
-
-        const token = await getAccessToken(selectedEnvironment);
-        
-        // Build dynamic term queries based on configuration and request data
-        const termQueries = buildTermQueries(requestData, configurableFields);
+        case 'last_year': {
+            start.setUTCFullYear(start.getUTCFullYear() - 1);
+            end.setUTCFullYear(end.getUTCFullYear() - 1);
+            return { startDate: start.toISOString(), endDate: end.toISOString() };
+        }
+        default:
+            return null;
+    }
+};
 
-        const orderSearchPayload = {
-            "query": {
-                "filtered_query": {
-                    "filter": {
-                        "range_filter": {
-                            "field": "creation_date",
-                            "from": startDate,
-                            "to": endDate
-                        }
-                    },
-                    "query": {
-                        "bool_query": {
-                            "must": termQueries
-                        }
-                    }
-                }
-            },
-            "count": 200,
-            "start": 0,
-            "select": "(**)",
-            "sorts": [
-                {
-                    "field": "last_modified",
-                    "sort_order": "desc"
-                }
-            ]
+/**
+ * Calculates the change of each KPI against the comparison period
+ * @param {Object} kpis - KPIs of the selected range
+ * @param {Object} comparisonKpis - KPIs of the comparison range
+ * @returns {Object} - { [kpi]: { change, percentChange } }, percentChange is null when the previous value is 0
+ */
+const calculateKpiDeltas = (kpis, comparisonKpis) => {
+    const deltas = {};
+    Object.keys(kpis).forEach(key => {
+        const previous = comparisonKpis[key] || 0;
+        const change = kpis[key] - previous;
+        deltas[key] = {
+            change,
+            percentChange: previous !== 0 ? (change / previous) * 100 : null
         };
+    });
+    return deltas;
+};
 
-        // Fetch all orders with pagination
-        let allHits = [];
-        let start = 0;
-        let total = 0;
-        
-        do {
-            // Update the start parameter for pagination
-            orderSearchPayload.start = start;
-            
-            const response = await axios.post(
-                `${config.apiBaseUrl}/dw/shop/v24_5/order_search`,
-                orderSearchPayload,
-                { headers: { Authorization: `Bearer ${token}` } }
-            );
-
-            const responseData = response.data;
-            console.log(`Fetched ${responseData.hits.length} orders, start: ${start}, total: ${responseData.total}`);
-            
-            // Add current batch of hits to our collection
-            allHits = allHits.concat(responseData.hits);
-            
-            // Update total and start for next iteration
-            total = responseData.total;
-            start += responseData.hits.length;
-            
-        } while (start < total && allHits.length < total);
+/**
+ * Runs an order_search query and fetches every page of results (in parallel once the total is known,
+ * splitting the date range when it holds more orders than the data source can page through)
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @param {Object} payload - order_search request body (count and start are managed here)
+ * @param {Object} options - Optional { onProgress, signal } (see searchAllPages)
+ * @returns {Promise<Array>} - Array of all order hits
+ */
+const fetchAllOrderPages = (environment, payload, options) => searchAllPages(dataSource, environment, payload, options);
 
-        console.log(`Total orders fetched: ${allHits.length} out of ${total}`);
-        
-        // Prepare response data
-        const responseData = { hits: allHits };
-        
-        // Cache the response data
-        orderCache.set(cacheKey, responseData);
-        console.log(`💾 Data cached successfully for key: ${cacheKey}`);
-        
-        // Return raw hits data for client-side processing
-        res.json(responseData);
+// Order fetches in flight, by cache key, so identical requests share one download
+const pendingOrderFetches = new Map();
 
-    } catch (error) {
-        console.error("Error in /api/orders:", error.message);
-        res.status(500).json({ error: 'Failed to fetch order data.' });
-    }
-});
+// Cache key of the latest cached result holding each order, by '<environment>_<order_no>', so the order detail
+// endpoint reads one cache entry instead of scanning them all.
+const cachedOrderIndex = new Map();
 
-// --- Cache Management Endpoints ---
+// Index keys added for each cache key, with when the cache drops that entry, so the index only ever covers
+// the entries still cached: an entry's orders are unindexed when it is fetched again, deleted or expires.
+const indexedCacheEntries = new Map();
 
-// Get cache statistics
-app.get('/api/cache/stats', (req, res) => {
-    const stats = orderCache.getStats();
-    const keys = orderCache.keys();
-    
-    res.json({
-        stats,
-        totalKeys: keys.length,
-        keys: keys,
-        message: 'Cache statistics retrieved successfully'
+/**
+ * Removes the orders of a cache entry from the index (orders a newer entry holds keep pointing there)
+ * @param {string} cacheKey - Cache key of the entry
+ */
+const unindexCachedOrders = (cacheKey) => {
+    const indexed = indexedCacheEntries.get(cacheKey);
+    if (!indexed) {
+        return;
+    }
+    indexed.indexKeys.forEach(indexKey => {
+        if (cachedOrderIndex.get(indexKey) === cacheKey) {
+            cachedOrderIndex.delete(indexKey);
+        }
     });
-});
+    indexedCacheEntries.delete(cacheKey);
+};
 
-// Clear all cache
-app.delete('/api/cache/clear', (req, res) => {
-    const keyCount = orderCache.keys().length;
-    orderCache.flushAll();
+/**
+ * Records which cache entry holds each of its orders, and drops the orders of entries the cache no longer keeps
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @param {string} cacheKey - Cache key of the entry
+ * @param {Object} entry - Cache entry ({ hits, fetchedAt, expiresAt })
+ */
+const indexCachedOrders = (environment, cacheKey, entry) => {
+    const now = Date.now();
+    indexedCacheEntries.forEach((indexed, indexedKey) => {
+        if (indexed.removeAt <= now) {
+            unindexCachedOrders(indexedKey);
+        }
+    });
     
-    console.log(`🗑️ Cache cleared - Removed ${keyCount} cached entries`);
-    res.json({
-        message: `Cache cleared successfully. Removed ${keyCount} entries.`,
-        clearedKeys: keyCount
+    const indexed = indexedCacheEntries.get(cacheKey);
+    if (indexed && indexed.fetchedAt === entry.fetchedAt) {
+        return; // Already indexed
+    }
+    unindexCachedOrders(cacheKey);
+    
+    const indexKeys = entry.hits.map(hit => `${environment}_${hit.data.order_no}`);
+    indexKeys.forEach(indexKey => cachedOrderIndex.set(indexKey, cacheKey));
+    indexedCacheEntries.set(cacheKey, {
+        indexKeys,
+        fetchedAt: entry.fetchedAt,
+        removeAt: entry.fetchedAt + (CACHE_TTL_SECONDS + CACHE_STALE_SECONDS) * 1000
     });
+};
+
+/**
+ * Describes a cache entry for API responses
+ * @param {Object} entry - Cache entry ({ hits, fetchedAt, expiresAt })
+ * @param {boolean} fromCache - Whether the entry was already cached when the request came in
+ * @returns {Object} - { fromCache, stale, fetchedAt, ageSeconds, expiresAt }
+ */
+const describeCacheEntry = (entry, fromCache) => ({
+    fromCache,
+    stale: Date.now() >= entry.expiresAt,
+    fetchedAt: new Date(entry.fetchedAt).toISOString(),
+    ageSeconds: Math.round((Date.now() - entry.fetchedAt) / 1000),
+    expiresAt: new Date(entry.expiresAt).toISOString()
 });
 
-// Clear specific cache entry
-app.delete('/api/cache/clear/:key', (req, res) => {
-    const key = req.params.key;
-    const deleted = orderCache.del(key);
-    
-    if (deleted) {
-        console.log(`🗑️ Cache entry deleted - Key: ${key}`);
-        res.json({
-            message: `Cache entry for key '${key}' cleared successfully.`,
-            deleted: true
-        });
+/**
+ * Starts fetching the orders of a cache key, or joins the fetch already in flight for it, and caches the result.
+ * The shared fetch is only cancelled once every caller waiting on it has cancelled.
+ * @param {string} cacheKey - Cache key of the request
+ * @param {Function} fetchHits - ({ signal, onProgress }) => Promise<Array>, run when nothing is in flight for the key
+ * @param {Object} options - Optional { onProgress, signal } of this caller
+ * @returns {Promise<Object>} - Cache entry ({ hits, fetchedAt, expiresAt })
+ */
+const joinOrderFetch = (cacheKey, fetchHits, options = {}) => {
+    let pending = pendingOrderFetches.get(cacheKey);
+    if (pending) {
+        console.log(`🔗 Joining the fetch already in flight for key: ${cacheKey}`);
     } else {
-        res.status(404).json({
-            message: `Cache entry for key '${key}' not found.`,
-            deleted: false
+        const controller = new AbortController();
+        pending = { controller, callers: new Set(), progress: null };
+        pending.promise = fetchHits({
+            signal: controller.signal,
+            onProgress: (progress) => {
+                pending.progress = progress;
+                pending.callers.forEach(caller => caller.onProgress && caller.onProgress(progress));
+            }
+        }).then(async hits => {
+            const fetchedAt = Date.now();
+            const entry = { hits, fetchedAt, expiresAt: fetchedAt + CACHE_TTL_SECONDS * 1000 };
+            try {
+                await orderCache.set(cacheKey, entry);
+                console.log(`💾 Data cached successfully for key: ${cacheKey}`);
+            } catch (error) {
+                // The orders were fetched, so the request still succeeds uncached
+                console.error(`❌ Failed to cache data for key ${cacheKey}:`, error.message);
+            }
+            return entry;
+        }).finally(() => {
+            if (pendingOrderFetches.get(cacheKey) === pending) {
+                pendingOrderFetches.delete(cacheKey);
+            }
         });
+        pendingOrderFetches.set(cacheKey, pending);
     }
-});
 
-// Catch-all handler: send back React's index.html file for any non-API routes
-if (process.env.NODE_ENV === 'production') {
-    app.get('*', (req, res) => {
-        res.sendFile(path.join(__dirname, '../frontend/build/index.html'));
+    const caller = { onProgress: options.onProgress };
+    pending.callers.add(caller);
+    if (pending.progress && caller.onProgress) {
+        caller.onProgress(pending.progress); // Catch up with a fetch that is already under way
+    }
+
+    const { signal } = options;
+    if (!signal) {
+        return pending.promise;
+    }
+    return new Promise((resolve, reject) => {
+        const leave = () => {
+            pending.callers.delete(caller);
+            if (pending.callers.size === 0) {
+                console.log(`🛑 No callers left - cancelling the fetch for key: ${cacheKey}`);
+                pending.controller.abort();
+                if (pendingOrderFetches.get(cacheKey) === pending) {
+                    pendingOrderFetches.delete(cacheKey);
+                }
+            }
+            const error = new Error('Order fetch cancelled');
+            error.name = 'AbortError';
+            reject(error);
+        };
+        if (signal.aborted) {
+            return leave();
+        }
+        signal.addEventListener('abort', leave, { once: true });
+        pending.promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', leave));
+    });
+};
+
+/**
+ * Fetches every order hit matching the given filters, paging through order_search
+ * and caching the result so that summary, table and raw requests share one download.
+ * Identical requests in flight share a single fetch, and expired entries are returned straight away
+ * while a background refresh fetches them again.
+ * @param {Object} filters - Request filters (startDate, endDate, environment and term query fields)
+ * @param {Object} options - Optional { onProgress, signal, refresh }: progress callback receiving { fetched, total },
+ *   abort signal, and refresh to skip the cached entry
+ * @returns {Promise<Object>} - { hits, cache } where cache describes the entry (see describeCacheEntry)
+ */
+const fetchOrderHits = async ({ startDate, endDate, environment, ...otherFilters }, options = {}) => {
+    // Default to 'DEV' if environment is not provided
+    const selectedEnvironment = environment || 'DEV';
+    
+    // Prepare request data for processing
+    const requestData = {
+        orderType: otherFilters.orderType || 'Prepaid', // Default to Prepaid
+        ...otherFilters
+    };
+    
+    console.log(`🌍 API Request - Environment: ${selectedEnvironment}, Filters:`, requestData);
+    
+    // Get configurable term query fields
+    const configurableFields = getConfigurableTermQueryFields();
+    
+    // Generate cache key for this request
+    const cacheKey = generateCacheKey(startDate, endDate, requestData, selectedEnvironment);
+    
+    // Build dynamic term queries based on configuration and request data
+    const termQueries = buildTermQueries(requestData, configurableFields);
+
+    const orderSearchPayload = {
+        "query": {
+            "filtered_query": {
+                "filter": {
+                    "range_filter": {
+                        "field": "creation_date",
+                        "from": startDate,
+                        "to": endDate
+                    }
+                },
+                "query": {
+                    "bool_query": {
+                        "must": termQueries
+                    }
+                }
+            }
+        },
+        "select": "(**)",
+        "sorts": [
+            {
+                "field": "last_modified",
+                "sort_order": "desc"
+            }
+        ]
+    };
+    const fetchHits = (fetchOptions) => fetchAllOrderPages(selectedEnvironment, orderSearchPayload, fetchOptions);
+    
+    // Check if data exists in cache
+    const cachedData = options.refresh ? null : await orderCache.get(cacheKey);
+    if (cachedData) {
+        if (Date.now() >= cachedData.expiresAt) {
+            console.log(`♻️ Cache STALE - Returning cached data and refreshing in the background for key: ${cacheKey}`);
+            joinOrderFetch(cacheKey, fetchHits).catch(error => {
+                console.error(`❌ Background refresh failed for key ${cacheKey}:`, error.message);
+            });
+        } else {
+            console.log(`💾 Cache HIT - Returning cached data for key: ${cacheKey}`);
+        }
+        if (options.onProgress) options.onProgress({ fetched: cachedData.hits.length, total: cachedData.hits.length });
+        indexCachedOrders(selectedEnvironment, cacheKey, cachedData);
+        return { hits: cachedData.hits, cache: describeCacheEntry(cachedData, true) };
+    }
+    
+    console.log(options.refresh
+        ? `🔄 Refresh requested - Fetching fresh data for key: ${cacheKey}`
+        : `🔍 Cache MISS - Fetching fresh data for key: ${cacheKey}`);
+    
+    const entry = await joinOrderFetch(cacheKey, fetchHits, options);
+    indexCachedOrders(selectedEnvironment, cacheKey, entry);
+    return { hits: entry.hits, cache: describeCacheEntry(entry, false) };
+};
+
+// Fields searched by the Orders Report search box (order number plus CSP/Optima IDs)
+const ORDER_SEARCH_FIELDS = ['order_no', 'c_salesOrderNoCSP', 'c_srSummaryIdCSP', 'c_optimaCartID'];
+
+/**
+ * Gets the value of an Orders Report column for sorting
+ * @param {Object} order - Order data
+ * @param {string} column - Column key (an order field, or 'payment_method')
+ * @returns {*} - The column value, or undefined when missing
+ */
+const getOrderColumnValue = (order, column) => {
+    if (column === 'payment_method') {
+        // Split-tender orders list every method, e.g. 'COD + Maya'
+        return getOrderPaymentMethods(order).join(' + ') || undefined;
+    }
+    return order[column];
+};
+
+/**
+ * Filters orders by a free-text search on the order number and CSP/Optima IDs
+ * @param {Array} orders - Order data objects
+ * @param {string} search - Search text (case-insensitive substring match)
+ * @returns {Array} - Matching orders
+ */
+const searchOrders = (orders, search) => {
+    if (!search || search.trim() === '') {
+        return orders;
+    }
+    
+    const term = search.trim().toLowerCase();
+    return orders.filter(order => ORDER_SEARCH_FIELDS.some(field =>
+        order[field] !== undefined && order[field] !== null && String(order[field]).toLowerCase().includes(term)
+    ));
+};
+
+/**
+ * Sorts orders by a column, keeping orders without a value at the end
+ * @param {Array} orders - Order data objects
+ * @param {string} sortBy - Column key to sort by
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {Array} - A sorted copy of the orders
+ */
+const sortOrders = (orders, sortBy, sortOrder) => {
+    if (!sortBy) {
+        return orders;
+    }
+    
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    return [...orders].sort((a, b) => {
+        const valueA = getOrderColumnValue(a, sortBy);
+        const valueB = getOrderColumnValue(b, sortBy);
+        const missingA = valueA === undefined || valueA === null || valueA === '';
+        const missingB = valueB === undefined || valueB === null || valueB === '';
+        
+        if (missingA || missingB) {
+            return missingA === missingB ? 0 : (missingA ? 1 : -1);
+        }
+        if (typeof valueA === 'number' && typeof valueB === 'number') {
+            return (valueA - valueB) * direction;
+        }
+        return String(valueA).localeCompare(String(valueB), undefined, { numeric: true }) * direction;
+    });
+};
+
+/**
+ * Gets the Orders Report columns for the selected order type, used by the export and sent to the dashboard table with each page of rows.
+ * CSP columns are hidden for Postpaid and Optima columns are hidden for Prepaid.
+ * @param {string} orderType - Selected order type
+ * @returns {Array} - Column definitions ({ key, label })
+ */
+const getReportColumns = (orderType) => [
+    { key: 'order_no', label: 'Order Number' },
+    { key: 'payment_method', label: 'Payment Method' },
+    { key: 'c_smartOrderType', label: 'Order Type' },
+    { key: 'c_optimaCartID', label: 'Optima Cart ID', hidden: orderType === 'Prepaid' },
+    // CSP columns - hidden for Postpaid
+    { key: 'c_salesOrderNoCSP', label: 'CSP Sales Order Number', hidden: orderType === 'Postpaid' },
+    { key: 'c_srSummaryIdCSP', label: 'CSP SR Summary ID', hidden: orderType === 'Postpaid' },
+    { key: 'c_submissionStatusCSP', label: 'CSP Submission Status', hidden: orderType === 'Postpaid' },
+    { key: 'c_SRStatus', label: 'SR Status', hidden: orderType === 'Postpaid' },
+    // Optima columns - hidden for Prepaid
+    { key: 'c_submissionStatusOptima', label: 'Optima Submission Status', hidden: orderType === 'Prepaid' },
+    { key: 'c_optimaStatus', label: 'Optima Status', hidden: orderType === 'Prepaid' },
+    { key: 'c_optimaSubStatus', label: 'Optima SubStatus', hidden: orderType === 'Prepaid' },
+    { key: 'status', label: 'Status' }
+].filter(column => !column.hidden).map(({ key, label }) => ({ key, label }));
+
+/**
+ * Escapes a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} - CSV-safe cell text
+ */
+const toCsvCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Streams orders as CSV
+ * @param {Object} res - Express response
+ * @param {Array} orders - Order data objects
+ * @param {Array} columns - Report columns
+ */
+const writeOrdersCsv = (res, orders, columns) => {
+    // Byte order mark so Excel opens the file as UTF-8
+    res.write('\uFEFF' + columns.map(column => toCsvCell(column.label)).join(',') + '\r\n');
+    orders.forEach(order => {
+        res.write(columns.map(column => toCsvCell(getOrderColumnValue(order, column.key) || 'N/A')).join(',') + '\r\n');
+    });
+    res.end();
+};
+
+/**
+ * Streams orders as an XLSX workbook, optionally with a summary sheet of KPIs and daily metrics
+ * @param {Object} res - Express response
+ * @param {Array} orders - Order data objects
+ * @param {Array} columns - Report columns
+ * @param {Object|null} summary - Output of processOrderData, or null to skip the summary sheet
+ */
+const writeOrdersXlsx = async (res, orders, columns, summary) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    
+    const ordersSheet = workbook.addWorksheet('Orders Report');
+    ordersSheet.columns = columns.map(column => ({ header: column.label, key: column.key, width: 24 }));
+    orders.forEach(order => {
+        const row = {};
+        columns.forEach(column => {
+            row[column.key] = getOrderColumnValue(order, column.key) || 'N/A';
+        });
+        ordersSheet.addRow(row).commit();
+    });
+    ordersSheet.commit();
+    
+    if (summary) {
+        const summarySheet = workbook.addWorksheet('Summary');
+        summarySheet.columns = [
+            { key: 'a', width: 28 },
+            { key: 'b', width: 16 },
+            { key: 'c', width: 16 },
+            { key: 'd', width: 16 },
+            { key: 'e', width: 20 }
+        ];
+        summarySheet.addRow(['KPI', 'Value']).commit();
+        summarySheet.addRow(['Total Orders', summary.kpis.totalOrders]).commit();
+        summarySheet.addRow(['Total Revenue', summary.kpis.totalRevenue]).commit();
+        summarySheet.addRow(['Total Units', summary.kpis.totalUnits]).commit();
+        summarySheet.addRow(['Avg. Order Value', summary.kpis.avgOrderValue]).commit();
+        summarySheet.addRow(['Avg. Units / Transaction', summary.kpis.avgUnitsPerTransaction]).commit();
+        summarySheet.addRow(['Failed Orders', summary.kpis.failedOrders]).commit();
+        summarySheet.addRow(['Failure Rate (%)', summary.kpis.failureRate]).commit();
+        summarySheet.addRow([]).commit();
+        summarySheet.addRow(['Period', 'Orders', 'Revenue', 'Units', 'Avg. Order Value']).commit();
+        Object.keys(summary.dailyMetrics).sort().forEach(date => {
+            const day = summary.dailyMetrics[date];
+            summarySheet.addRow([date, day.orders, day.revenue, day.units, day.orders > 0 ? day.revenue / day.orders : 0]).commit();
+        });
+        summarySheet.commit();
+    }
+    
+    await workbook.commit();
+};
+
+/**
+ * Records an orders request in the audit log: who asked for which environment, range and filters, and how many orders it returned
+ * @param {Object} req - Express request (filters in the body)
+ * @param {string} action - 'orders.query', 'orders.summary', 'orders.rows' or 'orders.export'
+ * @param {number|null} resultCount - Number of orders returned (null when the request failed)
+ * @param {Object} details - Optional extra entry fields (e.g. { outcome: 'error' })
+ */
+const auditOrderRequest = (req, action, resultCount, details = {}) => {
+    const { startDate, endDate, environment, refresh, ...filters } = req.body || {};
+    recordAudit(req, action, {
+        environment: environment || 'DEV',
+        startDate,
+        endDate,
+        filters,
+        resultCount,
+        ...details
+    });
+};
+
+// --- API Endpoint for the Frontend ---
+app.post('/api/orders', async (req, res) => {
+    try {
+        const { refresh, ...filters } = req.body;
+        if (!filters.startDate || !filters.endDate) {
+            return res.status(400).json({ error: 'Start date and end date are required.' });
+        }
+        
+        const { hits, cache } = await fetchOrderHits(filters, { refresh });
+        auditOrderRequest(req, 'orders.query', hits.length);
+        
+        // Return raw hits data for client-side processing, without the fields the reports don't use
+        const redactedOrders = redactOrderList(hits.map(hit => hit.data), filters.environment);
+        res.json({ hits: hits.map((hit, index) => ({ ...hit, data: redactedOrders[index] })), cache });
+
+    } catch (error) {
+        console.error("Error in /api/orders:", error.message);
+        auditOrderRequest(req, 'orders.query', null, { outcome: 'error' });
+        res.status(500).json({ error: 'Failed to fetch order data.' });
+    }
+});
+
+/**
+ * Validates the timezone and granularity of a summary request
+ * @param {string} timezone - Requested timezone (optional)
+ * @param {string} granularity - Requested granularity (optional)
+ * @returns {string|null} - Error message, or null if both are valid
+ */
+const validateBucketOptions = (timezone, granularity) => {
+    if (timezone && !isValidTimezone(timezone)) {
+        return `Unknown timezone '${timezone}'.`;
+    }
+    if (granularity && !GRANULARITIES.includes(granularity)) {
+        return `granularity must be one of: ${GRANULARITIES.join(', ')}.`;
+    }
+    return null;
+};
+
+/**
+ * Validates the filters and options of a summary request
+ * @param {Object} body - Summary request body
+ * @returns {string|null} - Error message, or null if the request is valid
+ */
+const validateSummaryRequest = ({ startDate, endDate, compareTo, timezone, granularity }) => {
+    if (!startDate || !endDate) {
+        return 'Start date and end date are required.';
+    }
+    if (isNaN(new Date(startDate).getTime()) || isNaN(new Date(endDate).getTime())) {
+        return 'Start date and end date must be valid dates.';
+    }
+    if (new Date(startDate) > new Date(endDate)) {
+        return 'Start date must be before the end date.';
+    }
+    const bucketError = validateBucketOptions(timezone, granularity);
+    if (bucketError) {
+        return bucketError;
+    }
+    if (compareTo && !getComparisonRange(startDate, endDate, compareTo)) {
+        return "compareTo must be 'previous_period', 'last_week' or 'last_year'.";
+    }
+    return null;
+};
+
+/**
+ * Builds the aggregated KPIs and chart data of a (validated) summary request
+ * @param {Object} body - Summary request body (refresh: true skips the cached orders)
+ * @param {Object} options - Optional { onProgress, signal }; progress adds up the selected and comparison ranges
+ * @returns {Promise<Object>} - Summary response data
+ */
+const buildOrderSummary = async ({ paymentMethod, compareTo, timezone, granularity, refresh, ...filters }, options = {}) => {
+    const comparisonRange = compareTo ? getComparisonRange(filters.startDate, filters.endDate, compareTo) : null;
+    
+    // Progress of each range, reported as one combined count
+    const rangeProgress = [{ fetched: 0, total: null }, { fetched: 0, total: null }];
+    const trackProgress = (index) => (progress) => {
+        rangeProgress[index] = progress;
+        if (options.onProgress) {
+            options.onProgress({
+                fetched: rangeProgress[0].fetched + rangeProgress[1].fetched,
+                total: (rangeProgress[0].total || 0) + (rangeProgress[1].total || 0)
+            });
+        }
+    };
+    
+    // Fetch the selected and comparison ranges in parallel through the same cached pagination
+    const [{ hits, cache }, comparisonResult] = await Promise.all([
+        fetchOrderHits(filters, { signal: options.signal, onProgress: trackProgress(0), refresh }),
+        comparisonRange ? fetchOrderHits({ ...filters, ...comparisonRange }, { signal: options.signal, onProgress: trackProgress(1), refresh }) : null
+    ]);
+    const bucketOptions = { timezone, granularity };
+    const { dailyMetrics, customerBreakdown, productBreakdown, paymentBreakdown, statusBreakdown, kpis } = processOrderData(hits, paymentMethod, {
+        ...bucketOptions,
+        startDate: filters.startDate,
+        endDate: filters.endDate
+    });
+    
+    const responseData = {
+        dailyMetrics,
+        customerBreakdown,
+        productBreakdown,
+        paymentBreakdown,
+        statusBreakdown,
+        kpis,
+        // Every payment method seen in the range, before the payment method filter is applied
+        paymentMethods: [...new Set(hits.flatMap(hit => getOrderPaymentMethods(hit.data)))].sort(),
+        timezone: timezone || DEFAULT_TIMEZONE,
+        granularity: granularity || 'day',
+        cache
+    };
+    if (comparisonRange) {
+        const comparison = processOrderData(comparisonResult.hits, paymentMethod, { ...bucketOptions, ...comparisonRange });
+        responseData.comparison = {
+            compareTo,
+            ...comparisonRange,
+            cache: comparisonResult.cache,
+            dailyMetrics: comparison.dailyMetrics,
+            customerBreakdown: comparison.customerBreakdown,
+            kpis: comparison.kpis,
+            deltas: calculateKpiDeltas(kpis, comparison.kpis)
+        };
+    }
+    return responseData;
+};
+
+// Aggregated KPIs and chart data, so the browser no longer needs the raw hits
+app.post('/api/orders/summary', async (req, res) => {
+    try {
+        const validationError = validateSummaryRequest(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const data = await buildOrderSummary(req.body);
+        auditOrderRequest(req, 'orders.summary', data.kpis.totalOrders);
+        res.json(data);
+
+    } catch (error) {
+        console.error("Error in /api/orders/summary:", error.message);
+        auditOrderRequest(req, 'orders.summary', null, { outcome: 'error' });
+        res.status(500).json({ error: 'Failed to fetch order summary.' });
+    }
+});
+
+// Same summary streamed as NDJSON: { type: 'progress', fetched, total } lines while pages are fetched,
+// then a single { type: 'result', data } or { type: 'error', error } line.
+// Closing the connection cancels the remaining page requests.
+app.post('/api/orders/summary/stream', async (req, res) => {
+    const validationError = validateSummaryRequest(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            console.log('🛑 Summary stream closed by the client - cancelling the order fetch');
+            controller.abort();
+        }
+    });
+    
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.flushHeaders();
+    const writeLine = (message) => {
+        if (!controller.signal.aborted) {
+            res.write(`${JSON.stringify(message)}\n`);
+        }
+    };
+    
+    try {
+        const data = await buildOrderSummary(req.body, {
+            signal: controller.signal,
+            onProgress: ({ fetched, total }) => writeLine({ type: 'progress', fetched, total })
+        });
+        auditOrderRequest(req, 'orders.summary', data.kpis.totalOrders);
+        writeLine({ type: 'result', data });
+    } catch (error) {
+        if (controller.signal.aborted) {
+            auditOrderRequest(req, 'orders.summary', null, { outcome: 'cancelled' });
+        } else {
+            console.error("Error in /api/orders/summary/stream:", error.message);
+            auditOrderRequest(req, 'orders.summary', null, { outcome: 'error' });
+            writeLine({ type: 'error', error: 'Failed to fetch order summary.' });
+        }
+    }
+    res.end();
+});
+
+// DEV and PRD differences beyond this share of the PRD value are flagged for highlighting (default 10%)
+const ENV_COMPARISON_THRESHOLD_PERCENT = parseFloat(process.env.ENV_COMPARISON_THRESHOLD_PERCENT) >= 0
+    ? parseFloat(process.env.ENV_COMPARISON_THRESHOLD_PERCENT)
+    : 10;
+
+/**
+ * Compares a DEV value with the PRD one
+ * @param {number} devValue - Value in DEV
+ * @param {number} prdValue - Value in PRD
+ * @returns {Object} - { dev, prd, change (DEV - PRD), percentChange (of PRD, null when PRD is 0), significant }
+ */
+const compareEnvironmentValues = (devValue, prdValue) => {
+    const change = devValue - prdValue;
+    const percentChange = prdValue !== 0 ? (change / prdValue) * 100 : null;
+    return {
+        dev: devValue,
+        prd: prdValue,
+        change,
+        percentChange,
+        // Anything against a PRD value of 0 counts, as there is no share to measure it by
+        significant: change !== 0 && (percentChange === null || Math.abs(percentChange) > ENV_COMPARISON_THRESHOLD_PERCENT)
+    };
+};
+
+/**
+ * Works out the KPI and per-bucket differences between the DEV and PRD summaries of the same filters
+ * @param {Object} dev - DEV summary from buildOrderSummary
+ * @param {Object} prd - PRD summary from buildOrderSummary
+ * @returns {Object} - { kpis: { [kpi]: comparison }, dailyMetrics: { [bucket]: { orders, revenue, units } } }
+ */
+const calculateEnvironmentDifferences = (dev, prd) => {
+    const kpis = {};
+    Object.keys(dev.kpis).forEach(key => {
+        kpis[key] = compareEnvironmentValues(dev.kpis[key], prd.kpis[key] || 0);
+    });
+    
+    // Both ranges are bucketed the same way, but a bucket only one side has orders in still counts
+    const emptyBucket = { orders: 0, revenue: 0, units: 0 };
+    const dailyMetrics = {};
+    [...new Set([...Object.keys(dev.dailyMetrics), ...Object.keys(prd.dailyMetrics)])].sort().forEach(bucket => {
+        const devBucket = dev.dailyMetrics[bucket] || emptyBucket;
+        const prdBucket = prd.dailyMetrics[bucket] || emptyBucket;
+        dailyMetrics[bucket] = {
+            orders: compareEnvironmentValues(devBucket.orders, prdBucket.orders),
+            revenue: compareEnvironmentValues(devBucket.revenue, prdBucket.revenue),
+            units: compareEnvironmentValues(devBucket.units, prdBucket.units)
+        };
+    });
+    
+    return { kpis, dailyMetrics };
+};
+
+// DEV and PRD summaries of the same filters side by side, with their differences (PRD access required).
+// Takes the summary request body without environment or compareTo.
+app.post('/api/orders/compare-environments', async (req, res) => {
+    if (!auth.canAccessEnvironment(req.user, 'PRD')) {
+        return res.status(403).json({ error: "You don't have access to the PRD environment." });
+    }
+    const { environment, compareTo, ...filters } = req.body || {};
+    try {
+        const validationError = validateSummaryRequest(filters);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const [dev, prd] = await Promise.all([
+            buildOrderSummary({ ...filters, environment: 'DEV' }),
+            buildOrderSummary({ ...filters, environment: 'PRD' })
+        ]);
+        auditOrderRequest(req, 'orders.compare', dev.kpis.totalOrders, { environment: 'DEV' });
+        auditOrderRequest(req, 'orders.compare', prd.kpis.totalOrders, { environment: 'PRD' });
+        
+        const describe = (summary) => ({
+            kpis: summary.kpis,
+            dailyMetrics: summary.dailyMetrics,
+            cache: summary.cache
+        });
+        res.json({
+            environments: { DEV: describe(dev), PRD: describe(prd) },
+            differences: calculateEnvironmentDifferences(dev, prd),
+            thresholdPercent: ENV_COMPARISON_THRESHOLD_PERCENT,
+            timezone: dev.timezone,
+            granularity: dev.granularity
+        });
+    } catch (error) {
+        console.error("Error in /api/orders/compare-environments:", error.message);
+        auditOrderRequest(req, 'orders.compare', null, { environment: 'DEV', outcome: 'error' });
+        auditOrderRequest(req, 'orders.compare', null, { environment: 'PRD', outcome: 'error' });
+        res.status(500).json({ error: 'Failed to compare the environments.' });
+    }
+});
+
+// One page of order rows for the Orders Report table, with sorting and search
+app.post('/api/orders/rows', async (req, res) => {
+    try {
+        const { paymentMethod, page, pageSize, sortBy, sortOrder, search, statusFilter, ...filters } = req.body;
+        if (!filters.startDate || !filters.endDate) {
+            return res.status(400).json({ error: 'Start date and end date are required.' });
+        }
+        
+        const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+        const rowsPerPage = Math.min(Math.max(parseInt(pageSize, 10) || 50, 1), 500);
+        
+        const { hits: allHits, cache } = await fetchOrderHits(filters);
+        const hits = filterHitsByPaymentMethod(allHits, paymentMethod);
+        const orders = sortOrders(searchOrders(filterOrdersByStatus(hits.map(hit => hit.data), statusFilter), search), sortBy, sortOrder);
+        const offset = (currentPage - 1) * rowsPerPage;
+        auditOrderRequest(req, 'orders.rows', orders.length);
+        
+        res.json({
+            columns: getReportColumns(filters.orderType || 'Prepaid'), // Same columns as the export
+            rows: redactOrderList(orders.slice(offset, offset + rowsPerPage), filters.environment),
+            total: orders.length,
+            page: currentPage,
+            pageSize: rowsPerPage,
+            totalPages: Math.max(Math.ceil(orders.length / rowsPerPage), 1),
+            cache
+        });
+
+    } catch (error) {
+        console.error("Error in /api/orders/rows:", error.message);
+        auditOrderRequest(req, 'orders.rows', null, { outcome: 'error' });
+        res.status(500).json({ error: 'Failed to fetch order rows.' });
+    }
+});
+
+// Export the filtered Orders Report as CSV or Excel
+app.post('/api/orders/export', async (req, res) => {
+    try {
+        const { paymentMethod, sortBy, sortOrder, search, statusFilter, format, includeSummary, timezone, granularity, ...filters } = req.body;
+        if (!filters.startDate || !filters.endDate) {
+            return res.status(400).json({ error: 'Start date and end date are required.' });
+        }
+        
+        const bucketError = validateBucketOptions(timezone, granularity);
+        if (bucketError) {
+            return res.status(400).json({ error: bucketError });
+        }
+        
+        const exportFormat = (format || 'csv').toLowerCase();
+        if (!['csv', 'xlsx'].includes(exportFormat)) {
+            return res.status(400).json({ error: "Export format must be 'csv' or 'xlsx'." });
+        }
+        
+        const { hits: allHits } = await fetchOrderHits(filters);
+        const hits = filterHitsByPaymentMethod(allHits, paymentMethod);
+        const orders = sortOrders(searchOrders(filterOrdersByStatus(hits.map(hit => hit.data), statusFilter), search), sortBy, sortOrder);
+        const columns = getReportColumns(filters.orderType || 'Prepaid');
+        // Name the file after the range's days in the reporting timezone, not in UTC
+        const fileTimezone = timezone || DEFAULT_TIMEZONE;
+        const fileName = `orders_${filters.environment || 'DEV'}_${getBucketKey(new Date(filters.startDate), fileTimezone, 'day')}_${getBucketKey(new Date(filters.endDate), fileTimezone, 'day')}.${exportFormat}`;
+        
+        console.log(`📤 Exporting ${orders.length} orders as ${exportFormat.toUpperCase()}`);
+        auditOrderRequest(req, 'orders.export', orders.length);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        
+        if (exportFormat === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            writeOrdersCsv(res, orders, columns);
+        } else {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            await writeOrdersXlsx(res, orders, columns, includeSummary ? processOrderData(allHits, paymentMethod, {
+                timezone,
+                granularity,
+                startDate: filters.startDate,
+                endDate: filters.endDate
+            }) : null);
+        }
+
+    } catch (error) {
+        console.error("Error in /api/orders/export:", error.message);
+        auditOrderRequest(req, 'orders.export', null, { outcome: 'error' });
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({ error: 'Failed to export order data.' });
+    }
+});
+
+/**
+ * Looks up an order in the cache entry that last held it (see cachedOrderIndex)
+ * @param {string} orderNo - Order number
+ * @param {string} environment - 'DEV' or 'PRD'
+ * @returns {Promise<Object|null>} - Order data, or null if it is not cached
+ */
+const findCachedOrder = async (orderNo, environment) => {
+    const indexKey = `${environment}_${orderNo}`;
+    const cacheKey = cachedOrderIndex.get(indexKey);
+    if (!cacheKey) {
+        return null;
+    }
+    
+    const cachedData = await orderCache.get(cacheKey);
+    if (!cachedData) {
+        unindexCachedOrders(cacheKey); // Expired or removed from a shared backend
+        return null;
+    }
+    const hit = cachedData.hits.find(cachedHit => cachedHit.data.order_no === orderNo);
+    if (!hit) {
+        cachedOrderIndex.delete(indexKey);
+        return null;
+    }
+    return hit.data;
+};
+
+// Full details of a single order, from the cache or straight from order_search
+app.get('/api/orders/:orderNo', async (req, res) => {
+    try {
+        const { orderNo } = req.params;
+        // Same normalisation as requireEnvironmentAccess, so the lookup reads the environment that was authorised
+        const selectedEnvironment = auth.normalizeEnvironment(req.query.environment);
+        if (!selectedEnvironment) {
+            return res.status(400).json({ error: `Environment must be one of: ${auth.ENVIRONMENTS.join(', ')}.` });
+        }
+        
+        const cachedOrder = await findCachedOrder(orderNo, selectedEnvironment);
+        const auditDetails = { environment: selectedEnvironment, filters: { orderNo } };
+        if (cachedOrder) {
+            console.log(`💾 Order ${orderNo} found in cache for ${selectedEnvironment} environment`);
+            recordAudit(req, 'orders.detail', { ...auditDetails, resultCount: 1 });
+            return res.json({ order: redactOrderDetail(cachedOrder, selectedEnvironment), source: 'cache' });
+        }
+        
+        console.log(`🔍 Order ${orderNo} not cached - querying order_search in ${selectedEnvironment} environment`);
+        const responseData = await dataSource.search(selectedEnvironment, {
+            "query": {
+                "term_query": {
+                    "fields": ["order_no"],
+                    "operator": "is",
+                    "values": [orderNo]
+                }
+            },
+            "count": 1,
+            "select": "(**)"
+        });
+        
+        if (!responseData.hits || responseData.hits.length === 0) {
+            recordAudit(req, 'orders.detail', { ...auditDetails, resultCount: 0 });
+            return res.status(404).json({ error: `Order '${orderNo}' not found.` });
+        }
+        
+        recordAudit(req, 'orders.detail', { ...auditDetails, resultCount: 1 });
+        res.json({ order: redactOrderDetail(responseData.hits[0].data, selectedEnvironment), source: 'api' });
+
+    } catch (error) {
+        console.error("Error in /api/orders/:orderNo:", error.message);
+        res.status(500).json({ error: 'Failed to fetch order details.' });
+    }
+});
+
+// --- Cache Management Endpoints ---
+
+// Get cache statistics
+app.get('/api/cache/stats', async (req, res) => {
+    try {
+        const stats = await orderCache.getStats();
+        const keys = await orderCache.keys();
+        
+        res.json({
+            backend: orderCache.name,
+            stats,
+            totalKeys: keys.length,
+            keys: keys,
+            inFlight: pendingOrderFetches.size,
+            indexedOrders: cachedOrderIndex.size,
+            message: 'Cache statistics retrieved successfully'
+        });
+    } catch (error) {
+        console.error("Error in /api/cache/stats:", error.message);
+        res.status(500).json({ error: 'Failed to retrieve cache statistics.' });
+    }
+});
+
+// Clear all cache
+app.delete('/api/cache/clear', async (req, res) => {
+    try {
+        const keyCount = await orderCache.flushAll();
+        cachedOrderIndex.clear();
+        indexedCacheEntries.clear();
+        
+        console.log(`🗑️ Cache cleared - Removed ${keyCount} cached entries`);
+        recordAudit(req, 'cache.clear', { resultCount: keyCount });
+        res.json({
+            message: `Cache cleared successfully. Removed ${keyCount} entries.`,
+            clearedKeys: keyCount
+        });
+    } catch (error) {
+        console.error("Error in /api/cache/clear:", error.message);
+        res.status(500).json({ error: 'Failed to clear the cache.' });
+    }
+});
+
+// Clear specific cache entry
+app.delete('/api/cache/clear/:key', async (req, res) => {
+    try {
+        const key = req.params.key;
+        const deleted = await orderCache.del(key);
+        unindexCachedOrders(key);
+        recordAudit(req, 'cache.delete', { key, resultCount: deleted ? 1 : 0 });
+        
+        if (deleted) {
+            console.log(`🗑️ Cache entry deleted - Key: ${key}`);
+            res.json({
+                message: `Cache entry for key '${key}' cleared successfully.`,
+                deleted: true
+            });
+        } else {
+            res.status(404).json({
+                message: `Cache entry for key '${key}' not found.`,
+                deleted: false
+            });
+        }
+    } catch (error) {
+        console.error("Error in /api/cache/clear/:key:", error.message);
+        res.status(500).json({ error: 'Failed to clear the cache entry.' });
+    }
+});
+
+// --- Saved Views ---
+
+// Dashboard view fields kept in a saved view's state (the same ones the frontend puts in the URL)
+const VIEW_STATE_FIELDS = ['datePreset', 'startDate', 'endDate', 'orderType', 'paymentMethod', 'environment', 'compareEnvironments', 'compareTo', 'granularity', 'timezone', 'additionalFilters'];
+const VIEW_NAME_MAX_LENGTH = 100;
+
+/**
+ * Validates the fields of a saved view request
+ * @param {Object} body - { name, shared, state }
+ * @param {boolean} partial - Whether fields may be missing (updates)
+ * @returns {Object} - { error } or { fields } with the trimmed name and only the known state fields
+ */
+const validateViewFields = ({ name, shared, state }, partial) => {
+    const fields = {};
+    if (name !== undefined || !partial) {
+        if (typeof name !== 'string' || !name.trim()) {
+            return { error: 'A view name is required.' };
+        }
+        if (name.trim().length > VIEW_NAME_MAX_LENGTH) {
+            return { error: `View names can be at most ${VIEW_NAME_MAX_LENGTH} characters.` };
+        }
+        fields.name = name.trim();
+    }
+    if (shared !== undefined) {
+        if (typeof shared !== 'boolean') {
+            return { error: 'shared must be true or false.' };
+        }
+        fields.shared = shared;
+    }
+    if (state !== undefined || !partial) {
+        if (!state || typeof state !== 'object' || Array.isArray(state)) {
+            return { error: 'A view state object is required.' };
+        }
+        fields.state = {};
+        VIEW_STATE_FIELDS.filter(field => state[field] !== undefined).forEach(field => {
+            fields.state[field] = state[field];
+        });
+    }
+    return { fields };
+};
+
+/**
+ * Checks whether a user may see a saved view (its owner, or anyone once it is shared)
+ * @param {Object} user - Session user
+ * @param {Object} view - Saved view
+ * @returns {boolean} - True when allowed
+ */
+const canReadView = (user, view) => view.shared || view.owner === user.username;
+
+/**
+ * Checks whether a user may change a saved view (its owner, or an admin)
+ * @param {Object} user - Session user
+ * @param {Object} view - Saved view
+ * @returns {boolean} - True when allowed
+ */
+const canEditView = (user, view) => view.owner === user.username || auth.hasRole(user, 'admin');
+
+/**
+ * Adds whether the view is the requesting user's own and whether they may change it, for the frontend
+ * @param {Object} user - Session user
+ * @param {Object} view - Saved view
+ * @returns {Object} - View with own and canEdit
+ */
+const describeView = (user, view) => ({ ...view, own: view.owner === user.username, canEdit: canEditView(user, view) });
+
+// The user's own views and the shared ones
+app.get('/api/views', async (req, res) => {
+    try {
+        const views = await savedViews.listViews(req.user.username);
+        res.json({ views: views.map(view => describeView(req.user, view)) });
+    } catch (error) {
+        console.error("Error in /api/views:", error.message);
+        res.status(500).json({ error: 'Failed to load saved views.' });
+    }
+});
+
+// Save a view: { name, shared, state }
+app.post('/api/views', async (req, res) => {
+    try {
+        const { error, fields } = validateViewFields(req.body || {}, false);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const view = await savedViews.createView(req.user.username, fields);
+        console.log(`🔖 ${req.user.username} saved view '${view.name}'${view.shared ? ' (shared)' : ''}`);
+        res.status(201).json({ view: describeView(req.user, view) });
+    } catch (error) {
+        console.error("Error in POST /api/views:", error.message);
+        res.status(500).json({ error: 'Failed to save the view.' });
+    }
+});
+
+// Rename, share / unshare or overwrite the state of a view (owner or admin)
+app.put('/api/views/:id', async (req, res) => {
+    try {
+        const view = await savedViews.getView(req.params.id);
+        if (!view || !canReadView(req.user, view)) {
+            return res.status(404).json({ error: 'View not found.' });
+        }
+        if (!canEditView(req.user, view)) {
+            return res.status(403).json({ error: 'Only the owner of a view can change it.' });
+        }
+        const { error, fields } = validateViewFields(req.body || {}, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const updated = await savedViews.updateView(view.id, fields);
+        res.json({ view: describeView(req.user, updated) });
+    } catch (error) {
+        console.error("Error in PUT /api/views/:id:", error.message);
+        res.status(500).json({ error: 'Failed to update the view.' });
+    }
+});
+
+// Delete a view (owner or admin)
+app.delete('/api/views/:id', async (req, res) => {
+    try {
+        const view = await savedViews.getView(req.params.id);
+        if (!view || !canReadView(req.user, view)) {
+            return res.status(404).json({ error: 'View not found.' });
+        }
+        if (!canEditView(req.user, view)) {
+            return res.status(403).json({ error: 'Only the owner of a view can delete it.' });
+        }
+        
+        await savedViews.deleteView(view.id);
+        console.log(`🗑️ ${req.user.username} deleted view '${view.name}'`);
+        res.json({ deleted: true });
+    } catch (error) {
+        console.error("Error in DELETE /api/views/:id:", error.message);
+        res.status(500).json({ error: 'Failed to delete the view.' });
+    }
+});
+
+// --- Audit Log ---
+
+// Maximum number of entries returned by /api/audit
+const AUDIT_QUERY_MAX_LIMIT = 5000;
+
+// Audit entries, newest first. Query: from / to ('YYYY-MM-DD' or ISO date-time, default the last 7 days),
+// user, action, environment and limit (default 500).
+app.get('/api/audit', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const { user, action, environment } = req.query;
+        const to = req.query.to ? parseQueryDate(req.query.to, true) : new Date();
+        const from = req.query.from ? parseQueryDate(req.query.from, false) : to && new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+        if (!from || !to) {
+            return res.status(400).json({ error: "from and to must be 'YYYY-MM-DD' dates or ISO date-times." });
+        }
+        if (from > to) {
+            return res.status(400).json({ error: 'from must be before to.' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), AUDIT_QUERY_MAX_LIMIT);
+        
+        const result = await queryAuditLog({ from, to, user, action, environment, limit });
+        res.json({
+            from: from.toISOString(),
+            to: to.toISOString(),
+            ...result
+        });
+    } catch (error) {
+        console.error("Error in /api/audit:", error.message);
+        res.status(500).json({ error: 'Failed to read the audit log.' });
+    }
+});
+
+// --- Order Snapshot (DATA_SOURCE=snapshot) ---
+
+// Minutes between incremental syncs of the order snapshot
+const SNAPSHOT_SYNC_INTERVAL_MINUTES = parseInt(process.env.SNAPSHOT_SYNC_INTERVAL_MINUTES, 10) || 5;
+
+/**
+ * Gets the environments kept in the snapshot (DEV, plus PRD when it is enabled)
+ * @returns {Array} - Environment names
+ */
+const getSnapshotEnvironments = () => (process.env.ENABLE_PRD === 'true' ? ['DEV', 'PRD'] : ['DEV']);
+
+/**
+ * Syncs the snapshot of each environment and drops the cached results of environments whose orders changed
+ * @param {Array} environments - Environments to sync
+ * @returns {Promise<Array>} - Sync result (or error) per environment
+ */
+const runSnapshotSync = async (environments) => {
+    const results = [];
+    for (const environment of environments) {
+        try {
+            const result = await dataSource.sync(environment);
+            if (result.changed > 0) {
+                const keys = (await orderCache.keys()).filter(key => key.startsWith(`orders_${environment}_`));
+                await orderCache.del(keys);
+                console.log(`🗑️ Cleared ${keys.length} cached result(s) for ${environment} after snapshot sync`);
+            }
+            results.push(result);
+        } catch (error) {
+            results.push({ environment, error: error.message });
+        }
+    }
+    return results;
+};
+
+// Snapshot sync state per environment
+app.get('/api/snapshot/status', auth.requireRole('viewer'), (req, res) => {
+    if (!dataSource.sync) {
+        return res.status(400).json({ error: 'The order snapshot is not enabled. Set DATA_SOURCE=snapshot.' });
+    }
+    
+    try {
+        res.json({
+            intervalMinutes: SNAPSHOT_SYNC_INTERVAL_MINUTES,
+            environments: getSnapshotEnvironments().map(environment => dataSource.getStatus(environment))
+        });
+    } catch (error) {
+        console.error('❌ Error reading snapshot status:', error.message);
+        res.status(500).json({ error: 'Failed to read snapshot status' });
+    }
+});
+
+// Run an incremental snapshot sync now (all environments, or the one in the body)
+app.post('/api/snapshot/sync', auth.requireRole('admin'), async (req, res) => {
+    if (!dataSource.sync) {
+        return res.status(400).json({ error: 'The order snapshot is not enabled. Set DATA_SOURCE=snapshot.' });
+    }
+    
+    const environments = getSnapshotEnvironments();
+    const { environment } = req.body || {};
+    if (environment && !environments.includes(environment)) {
+        return res.status(400).json({ error: `Invalid environment '${environment}'. Expected one of: ${environments.join(', ')}` });
+    }
+    
+    try {
+        const results = await runSnapshotSync(environment ? [environment] : environments);
+        res.json({ results });
+    } catch (error) {
+        console.error('❌ Error running snapshot sync:', error.message);
+        res.status(500).json({ error: 'Failed to run snapshot sync' });
+    }
+});
+
+// --- Alert Rules ---
+
+// How often the alert rules are evaluated, and how many triggered alerts are kept for /api/alerts
+const ALERT_CHECK_INTERVAL_MINUTES = parseInt(process.env.ALERT_CHECK_INTERVAL_MINUTES, 10) || 15;
+const ALERT_HISTORY_SIZE = parseInt(process.env.ALERT_HISTORY_SIZE, 10) || 100;
+
+// Most recent alerts first
+const recentAlerts = [];
+
+// Time each rule last fired, used to apply its cooldown
+const alertLastTriggered = {};
+
+// Whose access the alert rules run with: PRD rules need ENABLE_PRD like any PRD request
+const ALERT_RULES_USER = { username: 'alerts', role: 'admin' };
+
+/**
+ * Gets the environment of an alert rule (DEV unless set)
+ * @param {Object} rule - Alert rule
+ * @returns {string} - Upper-case environment name
+ */
+const getAlertRuleEnvironment = (rule) => String(rule.environment || 'DEV').toUpperCase();
+
+/**
+ * Loads alert rules from ALERT_RULES_FILE (path to a JSON file) or ALERT_RULES (JSON string)
+ * @returns {Array} - Array of rule objects
+ */
+const loadAlertRules = () => {
+    try {
+        let rules = [];
+        if (process.env.ALERT_RULES_FILE) {
+            rules = JSON.parse(fs.readFileSync(path.resolve(__dirname, process.env.ALERT_RULES_FILE), 'utf8'));
+        } else if (process.env.ALERT_RULES) {
+            rules = JSON.parse(process.env.ALERT_RULES);
+        }
+        
+        if (!Array.isArray(rules)) {
+            console.error('❌ Alert rules must be a JSON array');
+            return [];
+        }
+        return rules.filter(rule => {
+            if (!rule.id || !['stuck', 'spike'].includes(rule.type) || !rule.field) {
+                console.log(`⚠️ Skipping invalid alert rule: ${JSON.stringify(rule)}`);
+                return false;
+            }
+            const environment = getAlertRuleEnvironment(rule);
+            if (!['DEV', 'PRD'].includes(environment)) {
+                console.log(`⚠️ Skipping alert rule '${rule.id}': environment must be 'DEV' or 'PRD'`);
+                return false;
+            }
+            if (!auth.canAccessEnvironment(ALERT_RULES_USER, environment)) {
+                console.log(`⚠️ Skipping alert rule '${rule.id}': the ${environment} environment is not enabled`);
+                return false;
+            }
+            return true;
+        });
+    } catch (error) {
+        console.error('❌ Error loading alert rules:', error.message);
+        return [];
+    }
+};
+
+/**
+ * Builds an order_search payload for a rule's creation date window
+ * @param {Object} rule - Alert rule
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @param {Array} termQueries - Extra term queries to apply
+ * @returns {Object} - order_search request body
+ */
+const buildAlertSearchPayload = (rule, from, to, termQueries) => {
+    const must = [...termQueries];
+    if (rule.orderType) {
+        must.push({
+            "term_query": {
+                "fields": ["c_smartOrderType"],
+                "operator": "is",
+                "values": [rule.orderType]
+            }
+        });
+    }
+    
+    return {
+        "query": {
+            "filtered_query": {
+                "filter": {
+                    "range_filter": {
+                        "field": "creation_date",
+                        "from": from.toISOString(),
+                        "to": to.toISOString()
+                    }
+                },
+                "query": must.length > 0
+                    ? { "bool_query": { "must": must } }
+                    : { "match_all_query": {} }
+            }
+        },
+        "select": "(**)"
+    };
+};
+
+/**
+ * Evaluates a single alert rule against order_search
+ * @param {Object} rule - Alert rule
+ * @returns {Promise<Object|null>} - Alert details if the rule matched, otherwise null
+ */
+const evaluateAlertRule = async (rule) => {
+    // Checked again here in case ENABLE_PRD changed since the rules were loaded
+    const environment = getAlertRuleEnvironment(rule);
+    if (!['DEV', 'PRD'].includes(environment) || !auth.canAccessEnvironment(ALERT_RULES_USER, environment)) {
+        throw new Error(`The ${environment} environment is not enabled.`);
+    }
+    const now = new Date();
+    const hour = 60 * 60 * 1000;
+    
+    if (rule.type === 'stuck') {
+        // Orders older than N hours (within the lookback window) whose status field is still not successful
+        const olderThanHours = rule.olderThanHours || 4;
+        const lookbackHours = rule.lookbackHours || 48;
+        const successValues = rule.successValues || ['success'];
+        const from = new Date(now.getTime() - lookbackHours * hour);
+        const to = new Date(now.getTime() - olderThanHours * hour);
+        
+        const hits = await fetchAllOrderPages(environment, buildAlertSearchPayload(rule, from, to, [{
+            "term_query": {
+                "fields": ["status"],
+                "operator": "not_in",
+                "values": ["created", "failed", "cancelled"]
+            }
+        }]));
+        const stuckOrders = hits.map(hit => hit.data).filter(order => !successValues.includes(order[rule.field]));
+        
+        if (stuckOrders.length > (rule.minCount || 0)) {
+            return {
+                count: stuckOrders.length,
+                orderNumbers: stuckOrders.slice(0, 20).map(order => order.order_no),
+                message: `${stuckOrders.length} ${rule.orderType || ''} order(s) older than ${olderThanHours}h have ${rule.field} not in [${successValues.join(', ')}]`.replace(/\s+/g, ' ')
+            };
+        }
+    } else if (rule.type === 'spike') {
+        // Too many orders with a given value (e.g. status 'failed') within the recent window
+        const windowHours = rule.windowHours || 1;
+        const threshold = rule.threshold || 10;
+        const values = Array.isArray(rule.value) ? rule.value : [rule.value || 'failed'];
+        const from = new Date(now.getTime() - windowHours * hour);
+        
+        const hits = await fetchAllOrderPages(environment, buildAlertSearchPayload(rule, from, now, []));
+        const matchingOrders = hits.map(hit => hit.data).filter(order => values.includes(order[rule.field]));
+        
+        if (matchingOrders.length >= threshold) {
+            return {
+                count: matchingOrders.length,
+                orderNumbers: matchingOrders.slice(0, 20).map(order => order.order_no),
+                message: `${matchingOrders.length} order(s) with ${rule.field} = ${values.join('/')} in the last ${windowHours}h (threshold ${threshold})`
+            };
+        }
+    }
+    
+    return null;
+};
+
+/**
+ * Sends an alert to the rule's webhook or ALERT_WEBHOOK_URL
+ * @param {Object} alert - Alert record
+ * @param {Object} rule - Alert rule that produced it
+ */
+const deliverAlert = async (alert, rule) => {
+    const webhookUrl = rule.webhookUrl || process.env.ALERT_WEBHOOK_URL;
+    if (!webhookUrl) {
+        alert.delivery = { status: 'skipped', reason: 'No webhook URL configured' };
+        return;
+    }
+    
+    try {
+        await axios.post(webhookUrl, { alert }, { timeout: 10000 });
+        alert.delivery = { status: 'delivered', at: new Date().toISOString() };
+        console.log(`📣 Alert '${alert.ruleId}' delivered to webhook`);
+    } catch (error) {
+        alert.delivery = { status: 'failed', error: error.message };
+        console.error(`❌ Error delivering alert '${alert.ruleId}':`, error.message);
+    }
+};
+
+/**
+ * Evaluates every configured alert rule and delivers the ones that match
+ * @returns {Promise<Array>} - Alerts triggered by this run
+ */
+const runAlertRules = async () => {
+    const rules = loadAlertRules();
+    const triggered = [];
+    
+    for (const rule of rules) {
+        // Respect the cooldown so a rule that keeps matching does not flood the webhook
+        const cooldownMs = (rule.cooldownMinutes ?? 60) * 60 * 1000;
+        if (alertLastTriggered[rule.id] && Date.now() - alertLastTriggered[rule.id] < cooldownMs) {
+            continue;
+        }
+        
+        try {
+            const result = await evaluateAlertRule(rule);
+            if (!result) continue;
+            
+            const alert = {
+                id: `${rule.id}_${Date.now()}`,
+                ruleId: rule.id,
+                type: rule.type,
+                environment: getAlertRuleEnvironment(rule),
+                ...result,
+                triggeredAt: new Date().toISOString()
+            };
+            await deliverAlert(alert, rule);
+            
+            alertLastTriggered[rule.id] = Date.now();
+            recentAlerts.unshift(alert);
+            recentAlerts.splice(ALERT_HISTORY_SIZE);
+            triggered.push(alert);
+            console.log(`🚨 Alert triggered - ${alert.ruleId}: ${alert.message}`);
+        } catch (error) {
+            console.error(`❌ Error evaluating alert rule '${rule.id}':`, error.message);
+        }
+    }
+    
+    return triggered;
+};
+
+// List recent alerts and the configured rules
+app.get('/api/alerts', auth.requireRole('viewer'), (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || ALERT_HISTORY_SIZE, ALERT_HISTORY_SIZE);
+    
+    // Webhook URLs often carry a token (e.g. Slack or Teams), so only admins see them
+    const rules = auth.hasRole(req.user, 'admin')
+        ? loadAlertRules()
+        : loadAlertRules().map(({ webhookUrl, ...rule }) => rule);
+    
+    res.json({
+        alerts: recentAlerts.slice(0, limit),
+        rules,
+        checkIntervalMinutes: ALERT_CHECK_INTERVAL_MINUTES,
+        message: 'Alerts retrieved successfully'
+    });
+});
+
+// Evaluate the alert rules immediately (rules still respect their cooldown)
+app.post('/api/alerts/run', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const triggered = await runAlertRules();
+        res.json({
+            triggered,
+            message: `Alert rules evaluated. ${triggered.length} alert(s) triggered.`
+        });
+    } catch (error) {
+        console.error("Error in /api/alerts/run:", error.message);
+        res.status(500).json({ error: 'Failed to evaluate alert rules.' });
+    }
+});
+
+// --- Scheduled Reports ---
+
+// Only one server instance should email the reports; set REPORT_SCHEDULER_ENABLED=false on the others
+const REPORT_SCHEDULER_ENABLED = process.env.REPORT_SCHEDULER_ENABLED !== 'false';
+
+// Who scheduled runs are recorded as in the audit log (and whose access PRD reports need)
+const REPORT_SCHEDULER_USER = { username: 'scheduler', role: 'admin' };
+
+// Dashboard filters a report schedule can hold; the date range is always relative so each run covers a new period
+const REPORT_FILTER_FIELDS = ['datePreset', 'orderType', 'paymentMethod', 'environment', 'compareTo', 'additionalFilters'];
+const DEFAULT_REPORT_DATE_PRESET = 'yesterday';
+const REPORT_ATTACHMENTS = ['pdf', 'none'];
+const REPORT_NAME_MAX_LENGTH = 100;
+const REPORT_MAX_RECIPIENTS = 50;
+const EMAIL_ADDRESS_PATTERN = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+/**
+ * Keeps only the report filter fields of an object (a schedule's filters or a saved view's state)
+ * @param {Object} source - Object holding filters
+ * @returns {Object} - Known filter fields that are set
+ */
+const pickReportFilters = (source) => {
+    const filters = {};
+    REPORT_FILTER_FIELDS.filter(field => source && source[field] !== undefined && source[field] !== null && source[field] !== '').forEach(field => {
+        filters[field] = source[field];
+    });
+    return filters;
+};
+
+/**
+ * Gets the filters a schedule runs with: its saved view's (if it uses one), overridden by its own filters
+ * @param {Object} schedule - Report schedule (or the fields of one being validated)
+ * @param {Object} user - Session user creating or updating the schedule, who must be able to see its view
+ *   (omitted for runs, which use the view the schedule was saved with)
+ * @returns {Promise<Object>} - Filters, with the default date preset and environment filled in
+ */
+const getReportFilters = async (schedule, user) => {
+    let viewFilters = {};
+    if (schedule.viewId) {
+        const view = await savedViews.getView(schedule.viewId);
+        if (!view) {
+            throw new Error(`Saved view '${schedule.viewId}' no longer exists.`);
+        }
+        // Another user's private view reads as missing, as it does under /api/views
+        if (user && !canReadView(user, view)) {
+            throw new Error(`Saved view '${schedule.viewId}' not found.`);
+        }
+        viewFilters = pickReportFilters(view.state);
+    }
+    return {
+        datePreset: DEFAULT_REPORT_DATE_PRESET,
+        environment: 'DEV',
+        ...viewFilters,
+        ...pickReportFilters(schedule.filters)
+    };
+};
+
+/**
+ * Validates a report schedule request, merged over the current schedule for updates
+ * @param {Object} body - { name, cron, timezone, recipients, viewId, filters, attachment, enabled }
+ * @param {Object} user - Session user (PRD reports need PRD access)
+ * @param {Object|null} current - Schedule being updated, or null when creating one
+ * @returns {Promise<Object>} - { error } or { fields } with every schedule field normalized
+ */
+const validateReportSchedule = async (body, user, current) => {
+    const merged = { ...(current || {}) };
+    ['name', 'cron', 'timezone', 'recipients', 'viewId', 'filters', 'attachment', 'enabled'].forEach(field => {
+        if (body[field] !== undefined) merged[field] = body[field];
+    });
+    
+    if (typeof merged.name !== 'string' || !merged.name.trim()) {
+        return { error: 'A report name is required.' };
+    }
+    if (merged.name.trim().length > REPORT_NAME_MAX_LENGTH) {
+        return { error: `Report names can be at most ${REPORT_NAME_MAX_LENGTH} characters.` };
+    }
+    if (!reports.isValidCronExpression(merged.cron)) {
+        return { error: "cron must be a valid cron expression, e.g. '0 7 * * *' for 07:00 every day." };
+    }
+    if (merged.timezone && !isValidTimezone(merged.timezone)) {
+        return { error: `Unknown timezone '${merged.timezone}'.` };
+    }
+    const recipients = Array.isArray(merged.recipients)
+        ? [...new Set(merged.recipients.map(recipient => String(recipient).trim()).filter(Boolean))]
+        : [];
+    if (recipients.length === 0) {
+        return { error: 'At least one recipient is required.' };
+    }
+    if (recipients.length > REPORT_MAX_RECIPIENTS) {
+        return { error: `Reports can have at most ${REPORT_MAX_RECIPIENTS} recipients.` };
+    }
+    const invalidRecipient = recipients.find(recipient => !EMAIL_ADDRESS_PATTERN.test(recipient));
+    if (invalidRecipient) {
+        return { error: `'${invalidRecipient}' is not a valid email address.` };
+    }
+    if (merged.filters !== undefined && merged.filters !== null && (typeof merged.filters !== 'object' || Array.isArray(merged.filters))) {
+        return { error: 'filters must be an object.' };
+    }
+    const attachment = merged.attachment || 'pdf';
+    if (!REPORT_ATTACHMENTS.includes(attachment)) {
+        return { error: `attachment must be one of: ${REPORT_ATTACHMENTS.join(', ')}.` };
+    }
+    if (merged.enabled !== undefined && typeof merged.enabled !== 'boolean') {
+        return { error: 'enabled must be true or false.' };
+    }
+    // An enabled schedule that cannot send would only fail on every run
+    if (merged.enabled !== false && !reports.isMailConfigured()) {
+        return { error: 'SMTP_HOST is not set, so reports cannot be emailed. Save the schedule with enabled: false until it is.' };
+    }
+    
+    let filters;
+    try {
+        filters = await getReportFilters(merged, user);
+    } catch (error) {
+        return { error: error.message };
+    }
+    if (!DATE_PRESETS.includes(filters.datePreset)) {
+        return { error: `datePreset must be one of: ${DATE_PRESETS.join(', ')}.` };
+    }
+    if (!['DEV', 'PRD'].includes(filters.environment)) {
+        return { error: "environment must be 'DEV' or 'PRD'." };
+    }
+    if (!auth.canAccessEnvironment(user, filters.environment)) {
+        return { error: `You don't have access to the ${filters.environment} environment.` };
+    }
+    // Check the comparison and timezone against a real range of the preset
+    const range = resolveDatePreset(filters.datePreset, merged.timezone || DEFAULT_TIMEZONE);
+    const summaryError = validateSummaryRequest({ ...range, compareTo: filters.compareTo, timezone: merged.timezone });
+    if (summaryError) {
+        return { error: summaryError };
+    }
+    
+    return {
+        fields: {
+            name: merged.name.trim(),
+            cron: merged.cron.trim(),
+            timezone: merged.timezone || null,
+            recipients,
+            viewId: merged.viewId || null,
+            filters: pickReportFilters(merged.filters),
+            attachment,
+            enabled: merged.enabled !== false
+        }
+    };
+};
+
+/**
+ * Describes a filter selection for the report header
+ * @param {*} value - Filter value (string, array or { mode, values })
+ * @returns {string|null} - e.g. 'not created, failed', or null when nothing is selected
+ */
+const describeFilterValue = (value) => {
+    const selection = normalizeFilterSelection(value);
+    if (!selection) return null;
+    return `${selection.mode === 'exclude' ? 'not ' : ''}${selection.values.join(', ')}`;
+};
+
+/**
+ * Builds the data of a scheduled report: the summary of the schedule's filters over its date preset
+ * @param {Object} schedule - Report schedule
+ * @param {Date} now - Time of the run, which the date preset is relative to
+ * @returns {Promise<Object>} - Report data for renderReportHtml / renderReportPdf
+ */
+const buildScheduledReport = async (schedule, now = new Date()) => {
+    const { datePreset, additionalFilters, ...filters } = await getReportFilters(schedule);
+    if (!auth.canAccessEnvironment(REPORT_SCHEDULER_USER, filters.environment)) {
+        throw new Error(`The ${filters.environment} environment is not enabled.`);
+    }
+    const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+    const range = resolveDatePreset(datePreset, timezone, now);
+    
+    const summary = await buildOrderSummary({ ...filters, ...(additionalFilters || {}), ...range, timezone, granularity: 'day' });
+    
+    const filterLines = [
+        { label: 'Range', value: DATE_PRESET_LABELS[datePreset] },
+        { label: 'Order Type', value: filters.orderType || 'Prepaid' },
+        { label: 'Payment Method', value: filters.paymentMethod || 'All' },
+        ...Object.keys(additionalFilters || {}).sort()
+            .map(fieldKey => ({ label: fieldKey, value: describeFilterValue(additionalFilters[fieldKey]) }))
+            .filter(line => line.value)
+    ];
+    
+    return {
+        name: schedule.name,
+        environment: filters.environment,
+        ...range,
+        timezone,
+        filters: filterLines,
+        generatedAt: now.toISOString(),
+        kpis: summary.kpis,
+        comparison: summary.comparison || null,
+        dailyMetrics: summary.dailyMetrics,
+        statusBreakdown: summary.statusBreakdown
+    };
+};
+
+/**
+ * Gets the file name of a report's PDF, after its schedule and the days it covers
+ * @param {Object} report - Report data from buildScheduledReport
+ * @returns {string} - e.g. 'daily-orders_DEV_2026-10-18.pdf'
+ */
+const getReportFileName = (report) => {
+    const startDay = getBucketKey(new Date(report.startDate), report.timezone, 'day');
+    const endDay = getBucketKey(new Date(report.endDate), report.timezone, 'day');
+    const slug = report.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+    return `${slug}_${report.environment}_${startDay}${endDay !== startDay ? `_${endDay}` : ''}.pdf`;
+};
+
+/**
+ * Builds, renders and emails a scheduled report, and records the outcome on the schedule and in the audit log
+ * @param {string} id - Schedule id
+ * @param {Object} req - Express request when an admin runs it by hand (default: the scheduler)
+ * @returns {Promise<Object|null>} - Updated schedule, or null if there is none
+ */
+const runScheduledReport = async (id, req = { user: REPORT_SCHEDULER_USER }) => {
+    const schedule = await reports.getSchedule(id);
+    if (!schedule) return null;
+    
+    const startedAt = new Date();
+    let lastRun;
+    let environment = null;
+    try {
+        const report = await buildScheduledReport(schedule, startedAt);
+        environment = report.environment;
+        const attachments = schedule.attachment === 'pdf'
+            ? [{ filename: getReportFileName(report), content: await reports.renderReportPdf(report), contentType: 'application/pdf' }]
+            : [];
+        const delivery = await reports.sendReportEmail({
+            to: schedule.recipients,
+            subject: `${schedule.name}: ${report.filters[0].value} (${report.environment})`,
+            html: reports.renderReportHtml(report),
+            attachments
+        });
+        
+        lastRun = {
+            at: startedAt.toISOString(),
+            status: 'sent',
+            startDate: report.startDate,
+            endDate: report.endDate,
+            orderCount: report.kpis.totalOrders,
+            accepted: delivery.accepted,
+            rejected: delivery.rejected
+        };
+        console.log(`📧 Report '${schedule.name}' sent to ${delivery.accepted.length} recipient(s) (${report.kpis.totalOrders} orders)`);
+    } catch (error) {
+        lastRun = { at: startedAt.toISOString(), status: 'failed', error: error.message };
+        console.error(`❌ Error sending report '${schedule.name}':`, error.message);
+    }
+    
+    recordAudit(req, 'reports.send', {
+        environment,
+        scheduleId: schedule.id,
+        scheduleName: schedule.name,
+        recipients: schedule.recipients,
+        resultCount: lastRun.orderCount ?? null,
+        outcome: lastRun.status === 'sent' ? 'success' : 'error'
+    });
+    return reports.recordScheduleRun(schedule.id, lastRun);
+};
+
+/**
+ * Starts, restarts or stops the cron task of a schedule after it changed
+ * @param {Object} schedule - Report schedule
+ */
+const applyReportSchedule = (schedule) => {
+    if (REPORT_SCHEDULER_ENABLED) {
+        reports.scheduleReport(schedule, runScheduledReport, DEFAULT_TIMEZONE);
+    }
+};
+
+// Report schedules, with the presets and whether emails can be sent
+app.get('/api/reports', async (req, res) => {
+    try {
+        res.json({
+            schedules: await reports.listSchedules(),
+            datePresets: DATE_PRESETS,
+            defaultTimezone: DEFAULT_TIMEZONE,
+            mailConfigured: reports.isMailConfigured(),
+            schedulerEnabled: REPORT_SCHEDULER_ENABLED
+        });
+    } catch (error) {
+        console.error("Error in /api/reports:", error.message);
+        res.status(500).json({ error: 'Failed to load report schedules.' });
+    }
+});
+
+// Create a schedule: { name, cron, timezone, recipients, viewId, filters, attachment, enabled }
+app.post('/api/reports', async (req, res) => {
+    try {
+        const { error, fields } = await validateReportSchedule(req.body || {}, req.user, null);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const schedule = await reports.createSchedule(req.user.username, fields);
+        applyReportSchedule(schedule);
+        console.log(`📅 ${req.user.username} scheduled report '${schedule.name}' (${schedule.cron})`);
+        res.status(201).json({ schedule });
+    } catch (error) {
+        console.error("Error in POST /api/reports:", error.message);
+        res.status(500).json({ error: 'Failed to create the report schedule.' });
+    }
+});
+
+app.get('/api/reports/:id', async (req, res) => {
+    try {
+        const schedule = await reports.getSchedule(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: 'Report schedule not found.' });
+        }
+        res.json({ schedule });
+    } catch (error) {
+        console.error("Error in /api/reports/:id:", error.message);
+        res.status(500).json({ error: 'Failed to load the report schedule.' });
+    }
+});
+
+// Change any fields of a schedule (filters are replaced as a whole)
+app.put('/api/reports/:id', async (req, res) => {
+    try {
+        const current = await reports.getSchedule(req.params.id);
+        if (!current) {
+            return res.status(404).json({ error: 'Report schedule not found.' });
+        }
+        const { error, fields } = await validateReportSchedule(req.body || {}, req.user, current);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const schedule = await reports.updateSchedule(current.id, fields);
+        applyReportSchedule(schedule);
+        res.json({ schedule });
+    } catch (error) {
+        console.error("Error in PUT /api/reports/:id:", error.message);
+        res.status(500).json({ error: 'Failed to update the report schedule.' });
+    }
+});
+
+app.delete('/api/reports/:id', async (req, res) => {
+    try {
+        const schedule = await reports.getSchedule(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: 'Report schedule not found.' });
+        }
+        
+        reports.unscheduleReport(schedule.id);
+        await reports.deleteSchedule(schedule.id);
+        console.log(`🗑️ ${req.user.username} deleted report schedule '${schedule.name}'`);
+        res.json({ deleted: true });
+    } catch (error) {
+        console.error("Error in DELETE /api/reports/:id:", error.message);
+        res.status(500).json({ error: 'Failed to delete the report schedule.' });
+    }
+});
+
+// Build and email a report now, e.g. to check the SMTP settings
+app.post('/api/reports/:id/run', async (req, res) => {
+    try {
+        if (!reports.isMailConfigured()) {
+            return res.status(503).json({ error: 'SMTP_HOST is not set, so reports cannot be emailed. Use the preview to check a report.' });
+        }
+        const schedule = await runScheduledReport(req.params.id, req);
+        if (!schedule) {
+            return res.status(404).json({ error: 'Report schedule not found.' });
+        }
+        res.status(schedule.lastRun.status === 'sent' ? 200 : 502).json({ schedule, lastRun: schedule.lastRun });
+    } catch (error) {
+        console.error("Error in /api/reports/:id/run:", error.message);
+        res.status(500).json({ error: 'Failed to run the report.' });
+    }
+});
+
+// Render a report without emailing it: the HTML (default) or ?format=pdf
+app.get('/api/reports/:id/preview', async (req, res) => {
+    try {
+        const schedule = await reports.getSchedule(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: 'Report schedule not found.' });
+        }
+        const format = (req.query.format || 'html').toLowerCase();
+        if (!['html', 'pdf'].includes(format)) {
+            return res.status(400).json({ error: "Preview format must be 'html' or 'pdf'." });
+        }
+        
+        const report = await buildScheduledReport(schedule);
+        if (format === 'pdf') {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `inline; filename="${getReportFileName(report)}"`);
+            return res.send(await reports.renderReportPdf(report));
+        }
+        res.type('html').send(reports.renderReportHtml(report));
+    } catch (error) {
+        console.error("Error in /api/reports/:id/preview:", error.message);
+        res.status(500).json({ error: 'Failed to render the report.' });
+    }
+});
+
+// Catch-all handler: send back React's index.html file for any non-API routes
+if (process.env.NODE_ENV === 'production') {
+    app.get('*', (req, res) => {
+        res.sendFile(path.join(__dirname, '../frontend/build/index.html'));
+    });
+}
+
+// Started by 'npm start'; the tests require the app and listen on a port of their own
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Backend server is running on http://localhost:${PORT}`);
+        console.log(`📦 Data source: ${dataSource.name}`);
+        console.log(`🔐 Authentication: ${auth.AUTH_MODE}`);
+        console.log(`💾 Cache backend: ${orderCache.name} (fresh for ${CACHE_TTL_SECONDS}s, stale for up to ${CACHE_STALE_SECONDS}s)`);
+    
+        // Keep the order snapshot up to date: sync now, then on a schedule
+        if (dataSource.sync) {
+            console.log(`🗄️ Syncing the order snapshot every ${SNAPSHOT_SYNC_INTERVAL_MINUTES} minute(s)`);
+            runSnapshotSync(getSnapshotEnvironments());
+            setInterval(() => runSnapshotSync(getSnapshotEnvironments()), SNAPSHOT_SYNC_INTERVAL_MINUTES * 60 * 1000);
+        }
+    
+        // Start the alert rule schedule if any rules are configured
+        const alertRules = loadAlertRules();
+        if (alertRules.length > 0) {
+            console.log(`🚨 Evaluating ${alertRules.length} alert rule(s) every ${ALERT_CHECK_INTERVAL_MINUTES} minute(s)`);
+            setInterval(runAlertRules, ALERT_CHECK_INTERVAL_MINUTES * 60 * 1000);
+        }
+    
+        // Start the cron tasks of the enabled report schedules, which need an SMTP server to send them
+        if (REPORT_SCHEDULER_ENABLED && !reports.isMailConfigured()) {
+            console.warn('⚠️ SMTP_HOST is not set, so report schedules are not started');
+        } else if (REPORT_SCHEDULER_ENABLED) {
+            reports.startReportSchedules(runScheduledReport, DEFAULT_TIMEZONE)
+                .then(count => {
+                    if (count > 0) {
+                        console.log(`📅 Scheduled ${count} report(s)`);
+                    }
+                })
+                .catch(error => console.error('❌ Error starting report schedules:', error.message));
+        }
     });
 }
 
-app.listen(PORT, () => {
-    console.log(`Backend server is running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+module.exports = app;
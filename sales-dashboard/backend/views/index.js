@@ -0,0 +1,117 @@
+// index.js in the 'backend/views' folder
+// Saved dashboard views: named sets of filters, owned by a user and optionally shared with everyone.
+// Views are kept in a JSON file (SAVED_VIEWS_FILE, default backend/data/views.json), rewritten atomically on each change.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SAVED_VIEWS_FILE = process.env.SAVED_VIEWS_FILE || path.join(__dirname, '..', 'data', 'views.json');
+
+// Views are read once and then kept in memory; this process is the only writer
+let savedViews = null;
+
+// Changes are written one after another so a slow write can't overwrite a newer one
+let writeQueue = Promise.resolve();
+
+/**
+ * Loads the saved views from disk on first use
+ * @returns {Promise<Array>} - Saved views
+ */
+const loadViews = async () => {
+    if (!savedViews) {
+        try {
+            savedViews = JSON.parse(await fs.promises.readFile(SAVED_VIEWS_FILE, 'utf8'));
+            console.log(`🔖 Loaded ${savedViews.length} saved view(s)`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            savedViews = [];
+        }
+    }
+    return savedViews;
+};
+
+/**
+ * Writes the saved views to disk (to a temporary file first, so a crash never leaves half a file)
+ * @returns {Promise<void>} - Resolves once the file is written
+ */
+const persistViews = () => {
+    const content = JSON.stringify(savedViews, null, 2);
+    writeQueue = writeQueue.catch(() => {}).then(async () => {
+        await fs.promises.mkdir(path.dirname(SAVED_VIEWS_FILE), { recursive: true });
+        const tempPath = `${SAVED_VIEWS_FILE}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, content);
+        await fs.promises.rename(tempPath, SAVED_VIEWS_FILE);
+    });
+    return writeQueue;
+};
+
+/**
+ * Lists the views a user can see: their own and the shared ones
+ * @param {string} username - Username
+ * @returns {Promise<Array>} - Views, sorted by name
+ */
+const listViews = async (username) => (await loadViews())
+    .filter(view => view.owner === username || view.shared)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Gets a view by id
+ * @param {string} id - View id
+ * @returns {Promise<Object|null>} - View, or null if there is none
+ */
+const getView = async (id) => (await loadViews()).find(view => view.id === id) || null;
+
+/**
+ * Creates a view
+ * @param {string} owner - Username of the owner
+ * @param {Object} fields - { name, shared, state }
+ * @returns {Promise<Object>} - Created view
+ */
+const createView = async (owner, { name, shared, state }) => {
+    const views = await loadViews();
+    const now = new Date().toISOString();
+    const view = { id: crypto.randomUUID(), name, owner, shared: Boolean(shared), state, createdAt: now, updatedAt: now };
+    views.push(view);
+    await persistViews();
+    return view;
+};
+
+/**
+ * Updates the name, shared flag or state of a view
+ * @param {string} id - View id
+ * @param {Object} changes - Any of { name, shared, state }
+ * @returns {Promise<Object|null>} - Updated view, or null if there is none
+ */
+const updateView = async (id, changes) => {
+    const view = await getView(id);
+    if (!view) return null;
+    if (changes.name !== undefined) view.name = changes.name;
+    if (changes.shared !== undefined) view.shared = Boolean(changes.shared);
+    if (changes.state !== undefined) view.state = changes.state;
+    view.updatedAt = new Date().toISOString();
+    await persistViews();
+    return view;
+};
+
+/**
+ * Deletes a view
+ * @param {string} id - View id
+ * @returns {Promise<boolean>} - True if the view existed
+ */
+const deleteView = async (id) => {
+    const views = await loadViews();
+    const index = views.findIndex(view => view.id === id);
+    if (index === -1) return false;
+    views.splice(index, 1);
+    await persistViews();
+    return true;
+};
+
+module.exports = {
+    listViews,
+    getView,
+    createView,
+    updateView,
+    deleteView
+};
@@ -1,6 +1,6 @@
 // App.js in the 'frontend/src' folder
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import axios from 'axios';
 import { Line, Bar } from 'react-chartjs-2';
 import {
@@ -14,6 +14,16 @@ import {
   Tooltip,
   Legend,
 } from 'chart.js';
+import OrdersTable from './OrdersTable';
+import OrderDetail from './OrderDetail';
+import ProductBreakdown from './ProductBreakdown';
+import StatusFunnel from './StatusFunnel';
+import MultiSelectFilter from './MultiSelectFilter';
+import ViewsMenu from './ViewsMenu';
+import EnvironmentComparison from './EnvironmentComparison';
+import { apiUrl } from './api';
+import { buildViewQuery, parseViewQuery } from './viewState';
+import { getZonedDateTime, zonedDateTimeToIso } from './dateRange';
 import './App.css';
 
 // Register Chart.js components we will use
@@ -28,99 +38,158 @@ ChartJS.register(
   Legend
 );
 
-function App() {
-  const [rawData, setRawData] = useState(null); // Store the complete unfiltered dataset
-  const [data, setData] = useState(null); // Store the filtered/processed data for display
+// Options for the "Compare To" filter
+const COMPARE_OPTIONS = [
+  { value: '', label: 'No comparison' },
+  { value: 'previous_period', label: 'Previous period' },
+  { value: 'last_week', label: 'Same period last week' },
+  { value: 'last_year', label: 'Same period last year' },
+];
+
+// Options for the "Granularity" filter, with the chart title wording for each
+const GRANULARITY_OPTIONS = [
+  { value: 'hour', label: 'Hour' },
+  { value: 'day', label: 'Day' },
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+];
+
+// Browser timezone, offered alongside the server's business timezone
+const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Date range shown when the URL doesn't pick one
+const DEFAULT_DATE_PRESET = 'yesterday';
+
+// Shows the change of a KPI against the comparison period
+const KpiDelta = ({ delta, prefix = '', suffix = '', decimals = 2 }) => {
+  if (!delta) return null;
+  const direction = delta.change > 0 ? 'up' : delta.change < 0 ? 'down' : 'flat';
+  const arrow = direction === 'up' ? '▲' : direction === 'down' ? '▼' : '■';
+  const sign = delta.change > 0 ? '+' : delta.change < 0 ? '-' : '';
+  return (
+    <span className={`kpi-delta kpi-delta-${direction}`}>
+      {arrow} {sign}{prefix}{Math.abs(delta.change).toFixed(decimals)}{suffix}
+      {delta.percentChange !== null && ` (${sign}${Math.abs(delta.percentChange).toFixed(1)}%)`}
+    </span>
+  );
+};
+
+// Shows when the summary's orders were fetched, and whether they came from the server cache
+const DataFreshness = ({ cache, onRefresh }) => {
+  if (!cache) return null;
+  const fetchedAt = new Date(cache.fetchedAt).toLocaleString();
+  const ageMinutes = Math.floor(cache.ageSeconds / 60);
+  return (
+    <div className="data-freshness">
+      <span>
+        Data as of {fetchedAt}
+        {cache.fromCache && ` (cached ${ageMinutes > 0 ? `${ageMinutes} min ago` : 'just now'})`}
+        {cache.stale && ' - refreshing in the background'}
+      </span>
+      <button type="button" onClick={onRefresh}>Refresh</button>
+    </div>
+  );
+};
+
+function App({ user, onLogout }) {
+  const [data, setData] = useState(null); // Store the aggregated summary (KPIs and chart data) for display
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  // Default date range to the last 7 days
-  const [startDate, setStartDate] = useState(new Date(new Date().setDate(new Date().getDate() - 1)).toISOString());
-  const [endDate, setEndDate] = useState(new Date().toISOString());
-  const [orderType, setOrderType] = useState('Prepaid'); // Default to Prepaid
-  const [paymentMethod, setPaymentMethod] = useState(''); // Default to empty (all payment methods)
-  const [environment, setEnvironment] = useState('DEV'); // Default to DEV
+  const [progress, setProgress] = useState(null); // Orders fetched so far ({ fetched, total }) while the summary loads
+  const [cancelled, setCancelled] = useState(false); // The user stopped the summary fetch
+  const [reloadKey, setReloadKey] = useState(0); // Bumped to fetch the summary again after a cancel
+  const summaryRequest = useRef(null); // AbortController of the summary fetch in flight
+  const forceRefresh = useRef(false); // Next summary fetch skips the server's order cache
+  const [tableRefreshKey, setTableRefreshKey] = useState(0); // Bumped to reload the Orders Report after a refresh
+  const [initialView] = useState(() => parseViewQuery(window.location.search)); // Filters from a shared link, if any
+  // Date range: a relative preset, or a custom inclusive range (empty preset)
+  const [datePreset, setDatePreset] = useState(initialView.startDate ? '' : (initialView.datePreset || DEFAULT_DATE_PRESET));
+  const [customStartDate, setCustomStartDate] = useState(initialView.startDate || '');
+  const [customEndDate, setCustomEndDate] = useState(initialView.endDate || '');
+  const [orderType, setOrderType] = useState(initialView.orderType || 'Prepaid'); // Default to Prepaid
+  const [paymentMethod, setPaymentMethod] = useState(initialView.paymentMethod || ''); // Default to empty (all payment methods)
+  const [environment, setEnvironment] = useState(initialView.environment || 'DEV'); // Default to DEV
+  const [compareEnvironments, setCompareEnvironments] = useState(Boolean(initialView.compareEnvironments)); // DEV and PRD side by side
+  const [compareTo, setCompareTo] = useState(initialView.compareTo || ''); // Default to no comparison
+  const [granularity, setGranularity] = useState(initialView.granularity || 'day'); // Default to daily buckets
+  const [timezone, setTimezone] = useState(initialView.timezone || ''); // Empty means the server's business timezone
+  const [serverTimezone, setServerTimezone] = useState('');
+  // Dates are picked and presets worked out in the chart timezone (the business timezone by default)
+  const rangeTimezone = timezone || serverTimezone || browserTimezone;
+  const [datePresets, setDatePresets] = useState([]); // { value, label } from /api/config/fields
+  const [presetRange, setPresetRange] = useState(null); // { preset, timezone, startDate, endDate } from /api/config/date-range
+  // Dates stay empty (and nothing is fetched) until the backend has resolved the current preset
+  const { startDate, endDate } = useMemo(() => {
+    if (!datePreset) {
+      return { startDate: customStartDate, endDate: customEndDate };
+    }
+    return presetRange && presetRange.preset === datePreset && presetRange.timezone === rangeTimezone
+      ? presetRange
+      : { startDate: '', endDate: '' };
+  }, [datePreset, presetRange, rangeTimezone, customStartDate, customEndDate]);
+  const [configuredPaymentMethods, setConfiguredPaymentMethods] = useState([]); // From PAYMENT_METHOD_VALUES, if set
   
   // Configurable fields state
   const [availableFields, setAvailableFields] = useState({});
   const [fieldsLoading, setFieldsLoading] = useState(true);
-  const [additionalFilters, setAdditionalFilters] = useState({}); // Store values for configurable fields
+  const [additionalFilters, setAdditionalFilters] = useState(initialView.additionalFilters || {}); // Store values for configurable fields
   const [enablePrd, setEnablePrd] = useState(false); // Control PRD environment visibility
-
-  // Client-side function to process and filter order data
-  const processOrderData = (hits, paymentMethodFilter) => {
-    // Filter orders by payment method if specified
-    let filteredHits = hits;
-    if (paymentMethodFilter && paymentMethodFilter.trim() !== '') {
-      filteredHits = hits.filter(hit => {
-        const order = hit.data;
-        // Check if order has payment instruments and the first one matches the selected payment method
-        return order.payment_instruments && 
-               order.payment_instruments.length > 0 && 
-               order.payment_instruments[0].payment_method_id === paymentMethodFilter;
-      });
-    }
-
-    const dailyMetrics = {};
-    const customerBreakdown = { new: 0, returning: 0, registered: 0, unregistered: 0 };
-    let totalOrders = filteredHits.length;
-    let totalRevenue = 0;
-    let totalUnits = 0;
-
-    filteredHits.forEach(hit => {
-      const order = hit.data;
-      const date = order.creation_date.split('T')[0]; // Get YYYY-MM-DD
-
-      // Initialize date entry if it doesn't exist
-      if (!dailyMetrics[date]) {
-        dailyMetrics[date] = { orders: 0, revenue: 0, units: 0 };
-      }
-
-      // Aggregate daily metrics
-      dailyMetrics[date].orders += 1;
-      dailyMetrics[date].revenue += order.order_total;
-      const orderUnits = order.product_items.reduce((sum, item) => sum + item.quantity, 0);
-      dailyMetrics[date].units += orderUnits;
-
-      // Aggregate totals
-      totalRevenue += order.order_total;
-      totalUnits += orderUnits;
-
-      // Customer segmentation (based on 'guest' flag)
-      if (order.guest) {
-        customerBreakdown.new += 1; // Assuming 'guest' means 'new'
-        customerBreakdown.unregistered += 1;
-      } else {
-        customerBreakdown.returning += 1; // Assuming not 'guest' means 'returning'
-        customerBreakdown.registered += 1;
-      }
-    });
-
-    const avgOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
-    const avgUnitsPerTransaction = totalOrders > 0 ? totalUnits / totalOrders : 0;
-
-    return {
-      dailyMetrics,
-      customerBreakdown,
-      kpis: {
-        totalOrders,
-        totalRevenue,
-        totalUnits,
-        avgOrderValue,
-        avgUnitsPerTransaction,
-      },
-    };
-  };
+  // The DEV vs PRD comparison replaces the summary, for users who can see PRD
+  const showEnvironmentComparison = compareEnvironments && enablePrd;
+  const [selectedOrderNo, setSelectedOrderNo] = useState(null); // Order shown in the detail panel
+  const [statusFilter, setStatusFilter] = useState(null); // Status combination clicked in the pipeline charts
+
+  // Request body shared by the summary and the Orders Report table
+  const filters = useMemo(() => ({
+    startDate,
+    endDate,
+    orderType,
+    paymentMethod,
+    environment,
+    ...additionalFilters, // Include additional configurable filters
+  }), [startDate, endDate, orderType, paymentMethod, environment, additionalFilters]);
+
+  // Everything a shared link or saved view restores (a preset rather than its dates, so it stays current)
+  const currentView = useMemo(() => ({
+    ...(datePreset ? { datePreset } : { startDate, endDate }),
+    orderType,
+    paymentMethod,
+    environment,
+    compareEnvironments,
+    compareTo,
+    granularity,
+    timezone,
+    additionalFilters,
+  }), [datePreset, startDate, endDate, orderType, paymentMethod, environment, compareEnvironments, compareTo, granularity, timezone, additionalFilters]);
+
+  // Keep the URL in step with the filters, so the address bar can be shared as is
+  useEffect(() => {
+    window.history.replaceState(null, '', `${window.location.pathname}?${buildViewQuery(currentView)}`);
+  }, [currentView]);
 
   // Effect for fetching available configurable fields
   useEffect(() => {
     const fetchAvailableFields = async () => {
       try {
-        const apiUrl = process.env.REACT_APP_API_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3001');
         const response = await axios.get(`${apiUrl}/api/config/fields`);
         
         if (response.data.success) {
           setAvailableFields(response.data.fields);
+          // Start each field at its configured default (e.g. Order Status excludes created and failed)
+          const defaultFilters = {};
+          Object.keys(response.data.fields).forEach(fieldKey => {
+            if (fieldKey !== 'order_type' && response.data.fields[fieldKey].default) {
+              defaultFilters[fieldKey] = response.data.fields[fieldKey].default;
+            }
+          });
+          setAdditionalFilters({ ...defaultFilters, ...initialView.additionalFilters }); // A shared link overrides the defaults
           setEnablePrd(response.data.enablePrd || false);
+          if (!response.data.enablePrd) {
+            setEnvironment('DEV'); // A PRD link opened by someone without PRD access
+          }
+          setServerTimezone(response.data.timezone || '');
+          setDatePresets(response.data.datePresets || []);
+          setConfiguredPaymentMethods(response.data.paymentMethods || []);
           console.log('📋 Available fields loaded:', response.data.fields);
           console.log('🔧 PRD Environment enabled:', response.data.enablePrd);
         } else {
@@ -137,72 +206,219 @@ function App() {
     };
 
     fetchAvailableFields();
-  }, []);
+  }, [initialView]);
+
+  // Effect for resolving the Date Range preset in the chart timezone, once the business timezone is known
+  useEffect(() => {
+    if (!datePreset || fieldsLoading) return undefined;
+    const controller = new AbortController();
+    const resolvePreset = async () => {
+      try {
+        const response = await axios.get(`${apiUrl}/api/config/date-range`, {
+          params: { preset: datePreset, timezone: rangeTimezone },
+          signal: controller.signal,
+        });
+        setPresetRange(response.data);
+      } catch (err) {
+        if (axios.isCancel(err)) return;
+        if (err.response && err.response.status === 400 && datePreset !== DEFAULT_DATE_PRESET) {
+          setDatePreset(DEFAULT_DATE_PRESET); // A link or saved view with a preset the server no longer offers
+          return;
+        }
+        console.error('❌ Error resolving the date range:', err);
+        setError('Failed to fetch data. Make sure the backend server is running.');
+        setLoading(false);
+      }
+    };
 
-  // Effect for fetching data from API (excludes paymentMethod from dependencies)
+    resolvePreset();
+    return () => controller.abort();
+  }, [datePreset, rangeTimezone, fieldsLoading]);
+
+  // Effect for fetching the aggregated summary from the API.
+  // The streaming endpoint sends NDJSON progress lines while order pages are fetched, then the summary itself.
   useEffect(() => {
+    if (showEnvironmentComparison) {
+      // The comparison loads both environments itself
+      setLoading(false);
+      setError(null);
+      setCancelled(false);
+      return undefined;
+    }
+    if (fieldsLoading || !filters.startDate || !filters.endDate) {
+      // Wait for the field defaults, the business timezone and the resolved preset, so the first load fetches once
+      return undefined;
+    }
+    const controller = new AbortController();
+    summaryRequest.current = controller;
+    const refresh = forceRefresh.current;
+    forceRefresh.current = false;
+
     const fetchData = async () => {
       setLoading(true);
       setError(null);
+      setCancelled(false);
+      setProgress(null);
       try {
-        const apiUrl = process.env.REACT_APP_API_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3001');
-        const response = await axios.post(`${apiUrl}/api/orders`, {
-          startDate,
-          endDate,
-          orderType,
-          environment,
-          ...additionalFilters, // Include additional configurable filters
+        const response = await fetch(`${apiUrl}/api/orders/summary/stream`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include', // Send the session cookie
+          body: JSON.stringify({
+            ...filters,
+            compareTo: compareTo || undefined, // Only the summary is compared, not the table
+            granularity,
+            timezone: timezone || undefined,
+            refresh: refresh || undefined,
+          }),
+          signal: controller.signal,
         });
-        setRawData(response.data.hits); // Store the raw hits data for client-side filtering
+        if (!response.ok) {
+          throw new Error(`Summary request failed with status ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop(); // Keep a partial line for the next chunk
+          lines.filter(line => line.trim()).forEach(line => {
+            const message = JSON.parse(line);
+            if (message.type === 'progress') {
+              setProgress({ fetched: message.fetched, total: message.total });
+            } else if (message.type === 'result') {
+              setData(message.data);
+              if (refresh) {
+                setTableRefreshKey(key => key + 1); // The table's rows now come from the refreshed orders
+              }
+            } else if (message.type === 'error') {
+              throw new Error(message.error);
+            }
+          });
+        }
       } catch (err) {
+        if (controller.signal.aborted) {
+          return; // Cancelled, or replaced by a newer request
+        }
         setError('Failed to fetch data. Make sure the backend server is running.');
         console.error(err);
       } finally {
-        setLoading(false);
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
       }
     };
 
     fetchData();
-  }, [startDate, endDate, orderType, environment, additionalFilters]); // Refetch data when dates, order type, environment, or additional filters change (excludes paymentMethod)
+    return () => controller.abort();
+  }, [filters, compareTo, granularity, timezone, reloadKey, showEnvironmentComparison, fieldsLoading]); // Refetch data when any filter or chart option changes
+
+  // Fetches the summary again, bypassing the server's order cache
+  const refreshSummary = () => {
+    forceRefresh.current = true;
+    setReloadKey(key => key + 1);
+  };
+
+  // Stops the summary fetch in flight; the server stops paging through orders when the connection closes
+  const cancelSummaryRequest = () => {
+    if (summaryRequest.current) {
+      summaryRequest.current.abort();
+    }
+    setLoading(false);
+    setCancelled(true);
+  };
 
-  // Effect for client-side filtering when payment method changes
+  // A clicked status segment only applies to the data it was clicked on
   useEffect(() => {
-    if (rawData) {
-      const processedData = processOrderData(rawData, paymentMethod);
-      setData(processedData);
+    setStatusFilter(null);
+  }, [filters]);
+
+  // Switches to a saved view; options it doesn't set go back to their defaults
+  const applyView = (view) => {
+    if (view.datePreset) {
+      setDatePreset(view.datePreset);
+    } else if (view.startDate && view.endDate) {
+      setDatePreset('');
+      setCustomStartDate(view.startDate);
+      setCustomEndDate(view.endDate);
     }
-  }, [rawData, paymentMethod]); // Process data when rawData or paymentMethod changes
+    if (view.orderType) setOrderType(view.orderType);
+    setPaymentMethod(view.paymentMethod || '');
+    setEnvironment(view.environment === 'PRD' && !enablePrd ? 'DEV' : (view.environment || 'DEV'));
+    setCompareEnvironments(Boolean(view.compareEnvironments));
+    setCompareTo(view.compareTo || '');
+    setGranularity(view.granularity || 'day');
+    setTimezone(view.timezone || '');
+    setAdditionalFilters(view.additionalFilters || {});
+  };
 
-  // Handler for additional filter changes
-  const handleAdditionalFilterChange = (fieldKey, value) => {
-    setAdditionalFilters(prev => ({
-      ...prev,
-      [fieldKey]: value
-    }));
+  // The range as shown in the date and time inputs; empty times mean the whole day
+  const rangeStart = startDate ? getZonedDateTime(startDate, rangeTimezone) : { date: '', time: '' };
+  const rangeEnd = endDate ? getZonedDateTime(endDate, rangeTimezone) : { date: '', time: '' };
+  const startTime = rangeStart.time === '00:00' ? '' : rangeStart.time;
+  const endTime = rangeEnd.time === '23:59' ? '' : rangeEnd.time;
+
+  // Handler for date and time input changes: switches to a custom range, keeping the start before the end
+  const handleRangeChange = (changes) => {
+    const next = { startDay: rangeStart.date, startTime, endDay: rangeEnd.date, endTime, ...changes };
+    if (!next.startDay || !next.endDay) return; // A date input was cleared
+    let nextStartDate = zonedDateTimeToIso(next.startDay, next.startTime, rangeTimezone, false);
+    let nextEndDate = zonedDateTimeToIso(next.endDay, next.endTime, rangeTimezone, true);
+    if (new Date(nextStartDate) > new Date(nextEndDate)) {
+      // Move the other end of the range to the day that was just picked
+      if ('startDay' in changes || 'startTime' in changes) {
+        nextEndDate = zonedDateTimeToIso(next.startDay, '', rangeTimezone, true);
+      } else {
+        nextStartDate = zonedDateTimeToIso(next.endDay, '', rangeTimezone, false);
+      }
+    }
+    setDatePreset('');
+    setCustomStartDate(nextStartDate);
+    setCustomEndDate(nextEndDate);
   };
 
-  // Get filtered orders for the table
-  const getFilteredOrders = () => {
-    if (!rawData) return [];
-    
-    let filteredHits = rawData;
-    if (paymentMethod && paymentMethod.trim() !== '') {
-      filteredHits = rawData.filter(hit => {
-        const order = hit.data;
-        return order.payment_instruments && 
-               order.payment_instruments.length > 0 && 
-               order.payment_instruments[0].payment_method_id === paymentMethod;
-      });
+  // Handler for the Date Range select; 'Custom' keeps the current dates
+  const handleDatePresetChange = (preset) => {
+    if (!preset && !startDate) return; // Nothing to keep until the current preset is resolved
+    if (!preset) {
+      setCustomStartDate(startDate);
+      setCustomEndDate(endDate);
     }
-    
-    return filteredHits.map(hit => hit.data);
+    setDatePreset(preset);
   };
 
+  // Handler for additional filter changes
+  const handleAdditionalFilterChange = (fieldKey, selection) => {
+    setAdditionalFilters(prev => {
+      const next = { ...prev };
+      if (selection) {
+        next[fieldKey] = selection; // { mode: 'include' | 'exclude', values: [...] }
+      } else if (availableFields[fieldKey] && availableFields[fieldKey].default) {
+        next[fieldKey] = { mode: 'include', values: [] }; // Explicitly all values, otherwise the server applies the default
+      } else {
+        delete next[fieldKey];
+      }
+      return next;
+    });
+  };
+
+  const granularityLabel = GRANULARITY_OPTIONS.find(option => option.value === granularity).label;
+
   // Prepare data for charts (only if data is available)
-  let lineChartData, avgOrderValueChartData, customerBarData;
+  let lineChartData, avgOrderValueChartData, customerBarData, paymentBarData;
   
   if (data && data.dailyMetrics) {
     const sortedDates = Object.keys(data.dailyMetrics).sort();
+    const comparison = data.comparison;
+    // Comparison buckets are overlaid by position, so day 1 lines up with day 1 of the comparison period
+    const comparisonDates = comparison ? Object.keys(comparison.dailyMetrics).sort() : [];
+    const comparisonLabel = comparison
+      ? ` (${getZonedDateTime(comparison.startDate, rangeTimezone).date} to ${getZonedDateTime(comparison.endDate, rangeTimezone).date})`
+      : '';
 
     lineChartData = {
       labels: sortedDates,
@@ -213,6 +429,16 @@ function App() {
           borderColor: 'rgb(75, 192, 192)',
           backgroundColor: 'rgba(75, 192, 192, 0.5)',
         },
+        ...(comparison ? [{
+          label: `Orders${comparisonLabel}`,
+          data: sortedDates.map((date, index) => {
+            const day = comparison.dailyMetrics[comparisonDates[index]];
+            return day ? day.orders : null;
+          }),
+          borderColor: 'rgba(75, 192, 192, 0.6)',
+          backgroundColor: 'rgba(75, 192, 192, 0.2)',
+          borderDash: [6, 4],
+        }] : []),
       ],
     };
 
@@ -227,10 +453,40 @@ function App() {
                 }),
                 borderColor: 'rgb(255, 99, 132)',
                 backgroundColor: 'rgba(255, 99, 132, 0.5)',
-            }
+            },
+            ...(comparison ? [{
+                label: `Average Order Value (₱)${comparisonLabel}`,
+                data: sortedDates.map((date, index) => {
+                    const day = comparison.dailyMetrics[comparisonDates[index]];
+                    if (!day) return null;
+                    return day.orders > 0 ? (day.revenue / day.orders) : 0;
+                }),
+                borderColor: 'rgba(255, 99, 132, 0.6)',
+                backgroundColor: 'rgba(255, 99, 132, 0.2)',
+                borderDash: [6, 4],
+            }] : []),
         ]
     };
 
+    const paymentBreakdown = data.paymentBreakdown || [];
+    paymentBarData = {
+        labels: paymentBreakdown.map(method => method.paymentMethod),
+        datasets: [
+            {
+                label: 'Revenue (₱)',
+                data: paymentBreakdown.map(method => method.revenue),
+                backgroundColor: 'rgb(75, 192, 192)',
+                yAxisID: 'y',
+            },
+            {
+                label: 'Orders',
+                data: paymentBreakdown.map(method => method.orders),
+                backgroundColor: 'rgb(255, 159, 64)',
+                yAxisID: 'orders',
+            },
+        ],
+    };
+
     customerBarData = {
         labels: ['New vs. Returning Customers'],
         datasets: [
@@ -251,6 +507,15 @@ function App() {
   return (
     <div className="container">
       <header>
+        <div className="header-actions">
+          <ViewsMenu apiUrl={apiUrl} currentView={currentView} onApply={applyView} />
+          {user && (
+            <div className="user-menu">
+              <span>{user.name} ({user.role})</span>
+              <button type="button" onClick={onLogout}>Sign out</button>
+            </div>
+          )}
+        </div>
         <div><h1>Sales Order Report & Dashboard</h1></div>
       </header>
 
@@ -264,22 +529,92 @@ function App() {
               <option value="DEV">DEV</option>
               {enablePrd && <option value="PRD">PRD</option>}
             </select>
+            {enablePrd && (
+              <label className="filter-checkbox">
+                <input
+                  type="checkbox"
+                  checked={compareEnvironments}
+                  onChange={e => setCompareEnvironments(e.target.checked)}
+                />
+                Compare DEV vs PRD
+              </label>
+            )}
           </div>
           <div className="filter-field">
-            <label>From Date</label>
-            <input 
-              type="date" 
-              value={startDate.split('T')[0]} 
-              onChange={e => setStartDate(new Date(e.target.value).toISOString())} 
-            />
+            <label>Date Range</label>
+            <select value={datePreset} onChange={e => handleDatePresetChange(e.target.value)}>
+              {datePreset && !datePresets.some(preset => preset.value === datePreset) && (
+                <option value={datePreset}>Loading...</option>
+              )}
+              {datePresets.map(preset => (
+                <option key={preset.value} value={preset.value}>{preset.label}</option>
+              ))}
+              <option value="">Custom</option>
+            </select>
           </div>
           <div className="filter-field">
-            <label>To Date</label>
-            <input 
-              type="date" 
-              value={endDate.split('T')[0]} 
-              onChange={e => setEndDate(new Date(e.target.value).toISOString())} 
-            />
+            <label>From</label>
+            <div className="date-time-inputs">
+              <input
+                type="date"
+                value={rangeStart.date}
+                onChange={e => handleRangeChange({ startDay: e.target.value })}
+              />
+              <input
+                type="time"
+                value={startTime}
+                onChange={e => handleRangeChange({ startTime: e.target.value })}
+                title="Optional start time (empty: start of the day)"
+              />
+            </div>
+          </div>
+          <div className="filter-field">
+            <label>To (inclusive)</label>
+            <div className="date-time-inputs">
+              <input
+                type="date"
+                value={rangeEnd.date}
+                onChange={e => handleRangeChange({ endDay: e.target.value })}
+              />
+              <input
+                type="time"
+                value={endTime}
+                onChange={e => handleRangeChange({ endTime: e.target.value })}
+                title="Optional end time (empty: end of the day)"
+              />
+            </div>
+          </div>
+          <div className="filter-field">
+            <label>Compare To</label>
+            <select
+              value={compareTo}
+              onChange={e => setCompareTo(e.target.value)}
+              disabled={showEnvironmentComparison}
+              title={showEnvironmentComparison ? 'Not used while comparing DEV and PRD' : undefined}
+            >
+              {COMPARE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-field">
+            <label>Granularity</label>
+            <select value={granularity} onChange={e => setGranularity(e.target.value)}>
+              {GRANULARITY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-field">
+            <label>Timezone</label>
+            <select value={timezone} onChange={e => setTimezone(e.target.value)}>
+              <option value="">{serverTimezone ? `Business (${serverTimezone})` : 'Business timezone'}</option>
+              {[...new Set(['UTC', browserTimezone])]
+                .filter(zone => zone && zone !== serverTimezone)
+                .map(zone => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+            </select>
           </div>
         </div>
 
@@ -308,40 +643,37 @@ function App() {
             if (fieldKey === 'order_type') return; // Already handled above
             
             const field = availableFields[fieldKey];
-            const currentValue = additionalFilters[fieldKey] || '';
             
             secondaryFields.push({
               key: fieldKey,
               label: field.label,
               component: (
-                <select 
-                  value={currentValue} 
-                  onChange={e => handleAdditionalFilterChange(fieldKey, e.target.value)}
-                >
-                  <option value="">All {field.label}</option>
-                  {field.options.map(option => (
-                    <option key={option} value={option}>{option}</option>
-                  ))}
-                </select>
+                <MultiSelectFilter
+                  label={field.label}
+                  options={field.options}
+                  value={additionalFilters[fieldKey] || null}
+                  onChange={selection => handleAdditionalFilterChange(fieldKey, selection)}
+                />
               )
             });
           });
           
-          // Add Payment Method field
+          // Add Payment Method field (configured list, or the methods found in the fetched orders)
+          const paymentMethodOptions = configuredPaymentMethods.length > 0
+            ? configuredPaymentMethods
+            : (data && data.paymentMethods) || [];
           secondaryFields.push({
             key: 'payment_method',
             label: 'Payment Method',
             component: (
               <select value={paymentMethod} onChange={e => setPaymentMethod(e.target.value)}>
                 <option value="">All Payment Methods</option>
-                <option value="CHARGE_TO_BILL">CHARGE_TO_BILL</option>
-                <option value="CHARGE_TO_LOAD">CHARGE_TO_LOAD</option>
-                <option value="COD">COD</option>
-                <option value="Home_Credit">Home_Credit</option>
-                <option value="Credit_Card_Instalment">Credit_Card_Instalment</option>
-                <option value="Maya">Maya</option>
-                <option value="PayLater">PayLater</option>
-                <option value="Prepaid_MNP_Free">Prepaid_MNP_Free</option>
+                {paymentMethod && !paymentMethodOptions.includes(paymentMethod) && (
+                  <option value={paymentMethod}>{paymentMethod}</option>
+                )}
+                {paymentMethodOptions.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
               </select>
             )
           });
@@ -365,119 +697,148 @@ function App() {
         })()}
       </div>
 
-      {loading && (
+      {showEnvironmentComparison && (
+        <EnvironmentComparison
+          apiUrl={apiUrl}
+          filters={filters}
+          granularity={granularity}
+          granularityLabel={granularityLabel}
+          timezone={timezone}
+        />
+      )}
+
+      {!showEnvironmentComparison && loading && (
         <div className="loading-message">
           <h2>Loading Dashboard...</h2>
+          {progress && progress.total > 0 && (
+            <div className="load-progress">
+              <div className="load-progress-bar">
+                <div
+                  className="load-progress-fill"
+                  style={{ width: `${Math.min((progress.fetched / progress.total) * 100, 100)}%` }}
+                />
+              </div>
+              <p>Fetched {progress.fetched.toLocaleString()} of {progress.total.toLocaleString()} orders</p>
+            </div>
+          )}
+          <button type="button" className="load-cancel" onClick={cancelSummaryRequest}>Cancel</button>
+        </div>
+      )}
+
+      {!showEnvironmentComparison && cancelled && (
+        <div className="no-data-message">
+          <h2>Loading cancelled.</h2>
+          <button type="button" className="load-cancel" onClick={() => setReloadKey(key => key + 1)}>Reload</button>
         </div>
       )}
 
-      {error && (
+      {!showEnvironmentComparison && error && (
         <div className="error-message">
           <h2>Error: {error}</h2>
           <p>Please try selecting different dates or order type.</p>
         </div>
       )}
 
-      {!loading && !error && !data && (
+      {!showEnvironmentComparison && !loading && !error && !cancelled && !data && (
         <div className="no-data-message">
           <h2>No data available.</h2>
           <p>Please try selecting different dates or order type.</p>
         </div>
       )}
 
-      {!loading && !error && data && (
+      {!showEnvironmentComparison && !loading && !error && !cancelled && data && (
         <>
+          <DataFreshness cache={data.cache} onRefresh={refreshSummary} />
+
           <div className="kpi-grid">
             <div className="kpi-card">
               <h2>Total Orders</h2>
               <p>{data.kpis.totalOrders}</p>
+              <KpiDelta delta={data.comparison && data.comparison.deltas.totalOrders} decimals={0} />
             </div>
             <div className="kpi-card">
               <h2>Total Revenue</h2>
               <p>₱{data.kpis.totalRevenue.toFixed(2)}</p>
+              <KpiDelta delta={data.comparison && data.comparison.deltas.totalRevenue} prefix="₱" />
             </div>
             <div className="kpi-card">
               <h2>Avg. Order Value</h2>
               <p>₱{data.kpis.avgOrderValue.toFixed(2)}</p>
+              <KpiDelta delta={data.comparison && data.comparison.deltas.avgOrderValue} prefix="₱" />
             </div>
              <div className="kpi-card">
               <h2>Avg. Units / Transaction</h2>
               <p>{data.kpis.avgUnitsPerTransaction.toFixed(2)}</p>
+              <KpiDelta delta={data.comparison && data.comparison.deltas.avgUnitsPerTransaction} />
+            </div>
+            <div className="kpi-card">
+              <h2>Failure Rate</h2>
+              <p>{data.kpis.failureRate.toFixed(1)}%</p>
+              <span className="kpi-subtext">{data.kpis.failedOrders} failed orders</span>
+              <KpiDelta delta={data.comparison && data.comparison.deltas.failureRate} suffix=" pts" decimals={1} />
             </div>
           </div>
 
           <div className="chart-grid">
             <div className="chart-card">
-              <h3>Orders per Day</h3>
+              <h3>Orders per {granularityLabel}</h3>
               <Line data={lineChartData} />
             </div>
             <div className="chart-card">
-              <h3>Average Order Value per Day</h3>
+              <h3>Average Order Value per {granularityLabel}</h3>
               <Line data={avgOrderValueChartData} />
             </div>
+            <div className="chart-card chart-card-wide">
+              <h3>Revenue and Orders by Payment Method</h3>
+              <Bar
+                data={paymentBarData}
+                options={{
+                  scales: {
+                    y: { position: 'left', title: { display: true, text: 'Revenue (₱)' } },
+                    orders: { position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'Orders' } },
+                  },
+                }}
+              />
+            </div>
             <div className="chart-card">
               <h3>Customer Type</h3>
               <Bar data={customerBarData} options={{ indexAxis: 'y' }} />
             </div>
           </div>
 
-          {/* Orders Table */}
-          <div className="orders-table-container">
-            <h3>Orders Report</h3>
-            <div className="table-wrapper">
-              <table className="orders-table">
-                <thead>
-                  <tr>
-                    <th>Order Number</th>
-                    <th>Payment Method</th>
-                    <th>Order Type</th>
-                    {orderType !== 'Prepaid' && <th>Optima Cart ID</th>}
-                    {/* CSP columns - hidden for Prepaid */}
-                    {orderType !== 'Postpaid' && <th>CSP Sales Order Number</th>}
-                    {orderType !== 'Postpaid' && <th>CSP SR Summary ID</th>}
-                    {orderType !== 'Postpaid' && <th>CSP Submission Status</th>}
-                    {orderType !== 'Postpaid' && <th>SR Status</th>}
-                    {/* Optima columns - hidden for Postpaid */}
-                    {orderType !== 'Prepaid' && <th>Optima Submission Status</th>}
-                    {orderType !== 'Prepaid' && <th>Optima Status</th>}
-                    {orderType !== 'Prepaid' && <th>Optima SubStatus</th>}
-                    <th>Status</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {getFilteredOrders().map((order, index) => (
-                    <tr key={order.order_no || index}>
-                      <td>{order.order_no || 'N/A'}</td>
-                      <td>
-                        {order.payment_instruments && order.payment_instruments.length > 0
-                          ? order.payment_instruments[0].payment_method_id || 'N/A'
-                          : 'N/A'}
-                      </td>
-                      <td>{order.c_smartOrderType || 'N/A'}</td>
-                      {orderType !== 'Prepaid' && <td>{order.c_optimaCartID || 'N/A'}</td>}
-                      {/* CSP columns - hidden for Prepaid */}
-                      {orderType !== 'Postpaid' && <td>{order.c_salesOrderNoCSP || 'N/A'}</td>}
-                      {orderType !== 'Postpaid' && <td>{order.c_srSummaryIdCSP || 'N/A'}</td>}
-                      {orderType !== 'Postpaid' && <td>{order.c_submissionStatusCSP || 'N/A'}</td>}
-                      {orderType !== 'Postpaid' && <td>{order.c_SRStatus || 'N/A'}</td>}
-                      {/* Optima columns - hidden for Postpaid */}
-                      {orderType !== 'Prepaid' && <td>{order.c_submissionStatusOptima || 'N/A'}</td>}
-                      {orderType !== 'Prepaid' && <td>{order.c_optimaStatus || 'N/A'}</td>}
-                      {orderType !== 'Prepaid' && <td>{order.c_optimaSubStatus || 'N/A'}</td>}
-                      <td>{order.status || 'N/A'}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-              {getFilteredOrders().length === 0 && (
-                <div className="no-orders-message">
-                  <p>No orders found for the selected criteria.</p>
-                </div>
-              )}
-            </div>
-          </div>
+          {/* Fulfilment pipeline (CSP / Optima submission statuses) */}
+          <StatusFunnel
+            statusBreakdown={data.statusBreakdown}
+            orderType={orderType}
+            onStatusSelect={setStatusFilter}
+          />
+
+          {/* Product-level analytics */}
+          <ProductBreakdown products={data.productBreakdown || []} />
         </>
       )}
+
+      {/* Orders Table (kept mounted so sorting and search survive filter changes; mounted once the field defaults are in) */}
+      {!error && !fieldsLoading && (
+        <OrdersTable
+          apiUrl={apiUrl}
+          filters={filters}
+          statusFilter={statusFilter}
+          onStatusFilterClear={() => setStatusFilter(null)}
+          onOrderSelect={setSelectedOrderNo}
+          refreshKey={tableRefreshKey}
+        />
+      )}
+
+      {/* Order drill-down panel */}
+      {selectedOrderNo && (
+        <OrderDetail
+          apiUrl={apiUrl}
+          orderNo={selectedOrderNo}
+          environment={environment}
+          onClose={() => setSelectedOrderNo(null)}
+        />
+      )}
     </div>
   );
 }
@@ -1,8 +1,91 @@
-import { render, screen } from '@testing-library/react';
+// App.test.js in the 'frontend/src' folder
+
+import { render, screen, waitFor } from '@testing-library/react';
+import axios from 'axios';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+const FIELDS_RESPONSE = {
+  success: true,
+  fields: {
+    status: {
+      apiField: 'status',
+      label: 'Order Status',
+      options: ['new', 'completed', 'created', 'failed'],
+      default: { mode: 'exclude', values: ['created', 'failed'] },
+    },
+  },
+  paymentMethods: [],
+  enablePrd: false,
+  timezone: 'Asia/Manila',
+  datePresets: [
+    { value: 'today', label: 'Today' },
+    { value: 'yesterday', label: 'Yesterday' },
+  ],
+};
+
+const YESTERDAY = {
+  preset: 'yesterday',
+  timezone: 'Asia/Manila',
+  startDate: '2025-01-30T16:00:00.000Z',
+  endDate: '2025-01-31T15:59:59.999Z',
+};
+
+// Summary request bodies sent by the dashboard
+let summaryBodies;
+
+beforeEach(() => {
+  window.history.replaceState(null, '', '/');
+  summaryBodies = [];
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(axios, 'get').mockImplementation(async (url, config) => {
+    if (url.endsWith('/api/config/fields')) return { data: FIELDS_RESPONSE };
+    if (url.endsWith('/api/config/date-range')) return { data: { ...YESTERDAY, timezone: config.params.timezone } };
+    if (url.endsWith('/api/views')) return { data: { views: [] } };
+    throw new Error(`Unexpected GET ${url}`);
+  });
+  jest.spyOn(axios, 'post').mockResolvedValue({ data: { rows: [], columns: [], total: 0, totalPages: 0 } });
+  // The summary stream never answers, so the dashboard stays on its first request
+  global.fetch = jest.fn((url, options) => {
+    summaryBodies.push(JSON.parse(options.body));
+    return new Promise(() => {});
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+test('the first load fetches the summary once, with the field defaults and the resolved preset', async () => {
+  render(<App user={{ username: 'ana', role: 'viewer' }} onLogout={() => {}} />);
+
+  await waitFor(() => expect(summaryBodies).toHaveLength(1));
+  expect(screen.getByText('Loading Dashboard...')).toBeInTheDocument();
+  expect(summaryBodies[0]).toMatchObject({
+    startDate: YESTERDAY.startDate,
+    endDate: YESTERDAY.endDate,
+    environment: 'DEV',
+    status: { mode: 'exclude', values: ['created', 'failed'] },
+  });
+  expect(axios.get).toHaveBeenCalledWith('http://localhost:3001/api/config/date-range', expect.objectContaining({
+    params: { preset: 'yesterday', timezone: 'Asia/Manila' },
+  }));
+
+  // Let any follow-up effects settle, then check nothing was fetched again
+  await waitFor(() => expect(axios.post).toHaveBeenCalledWith('http://localhost:3001/api/orders/rows', expect.anything(), expect.anything()));
+  expect(summaryBodies).toHaveLength(1);
+  expect(axios.post.mock.calls.filter(([url]) => url.endsWith('/api/orders/rows'))).toHaveLength(1);
+});
+
+test('a custom range from a link is fetched once the fields are loaded', async () => {
+  window.history.replaceState(null, '', '/?env=DEV&from=2025-01-01&to=2025-01-31T23:59:59.999Z');
+  render(<App user={{ username: 'ana', role: 'viewer' }} onLogout={() => {}} />);
+
+  await waitFor(() => expect(summaryBodies).toHaveLength(1));
+  expect(summaryBodies[0]).toMatchObject({
+    startDate: '2025-01-01T00:00:00.000Z',
+    endDate: '2025-01-31T23:59:59.999Z',
+    status: { mode: 'exclude', values: ['created', 'failed'] },
+  });
+  expect(axios.get).not.toHaveBeenCalledWith(expect.stringContaining('/api/config/date-range'), expect.anything());
 });
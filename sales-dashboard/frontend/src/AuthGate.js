@@ -0,0 +1,74 @@
+// AuthGate.js in the 'frontend/src' folder
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import App from './App';
+import Login from './Login';
+import { apiUrl } from './api';
+
+// Shows the login screen until the user has a session (AUTH_MODE local or oidc), then the dashboard
+function AuthGate() {
+  const [auth, setAuth] = useState(null); // { authMode, user, permissions } from /api/auth/me
+  const [error, setError] = useState(null);
+
+  // Effect for loading the current session
+  useEffect(() => {
+    const fetchSession = async () => {
+      try {
+        const response = await axios.get(`${apiUrl}/api/auth/me`);
+        setAuth(response.data);
+      } catch (err) {
+        console.error('❌ Error loading the session:', err);
+        setError('Failed to reach the backend. Make sure the backend server is running.');
+      }
+    };
+
+    fetchSession();
+  }, []);
+
+  // Go back to the login screen when the session expires
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(undefined, (err) => {
+      if (err.response && err.response.status === 401) {
+        setAuth(prev => (prev && prev.authMode !== 'none' ? { ...prev, user: null, permissions: null } : prev));
+      }
+      return Promise.reject(err);
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  const handleLogin = (user, permissions) => {
+    setAuth(prev => ({ ...prev, user, permissions }));
+  };
+
+  const handleLogout = async () => {
+    try {
+      await axios.post(`${apiUrl}/api/auth/logout`);
+    } catch (err) {
+      console.error('❌ Error signing out:', err);
+    }
+    setAuth(prev => ({ ...prev, user: null, permissions: null }));
+  };
+
+  if (error) {
+    return (
+      <div className="container">
+        <div className="error-message"><h2>Error: {error}</h2></div>
+      </div>
+    );
+  }
+  if (!auth) {
+    return (
+      <div className="container">
+        <div className="loading-message"><h2>Loading Dashboard...</h2></div>
+      </div>
+    );
+  }
+  if (auth.authMode !== 'none' && !auth.user) {
+    return <Login authMode={auth.authMode} onLogin={handleLogin} />;
+  }
+  // Without authentication everyone is the same anonymous user, so there's nothing to show or sign out of
+  return <App user={auth.authMode === 'none' ? null : auth.user} onLogout={handleLogout} />;
+}
+
+export default AuthGate;
@@ -0,0 +1,166 @@
+// EnvironmentComparison.js in the 'frontend/src' folder
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Line } from 'react-chartjs-2';
+
+// KPIs compared side by side, in the order of the dashboard cards
+const KPI_ROWS = [
+  { key: 'totalOrders', label: 'Total Orders', format: (value) => String(value), decimals: 0 },
+  { key: 'totalRevenue', label: 'Total Revenue', format: (value) => `₱${value.toFixed(2)}`, prefix: '₱' },
+  { key: 'avgOrderValue', label: 'Avg. Order Value', format: (value) => `₱${value.toFixed(2)}`, prefix: '₱' },
+  { key: 'avgUnitsPerTransaction', label: 'Avg. Units / Transaction', format: (value) => value.toFixed(2) },
+  { key: 'failureRate', label: 'Failure Rate', format: (value) => `${value.toFixed(1)}%`, suffix: ' pts', decimals: 1 },
+  { key: 'failedOrders', label: 'Failed Orders', format: (value) => String(value), decimals: 0 },
+];
+
+const ENVIRONMENT_COLORS = {
+  DEV: { border: 'rgb(54, 162, 235)', background: 'rgba(54, 162, 235, 0.5)' },
+  PRD: { border: 'rgb(255, 159, 64)', background: 'rgba(255, 159, 64, 0.5)' },
+};
+
+// Points of buckets where DEV and PRD differ beyond the threshold
+const HIGHLIGHT_COLOR = 'rgb(192, 57, 43)';
+
+// Formats a DEV - PRD difference, e.g. '+₱120.00 (+4.2%)'
+const formatDifference = (row, difference) => {
+  const sign = difference.change > 0 ? '+' : difference.change < 0 ? '-' : '';
+  const change = `${sign}${row.prefix || ''}${Math.abs(difference.change).toFixed(row.decimals ?? 2)}${row.suffix || ''}`;
+  return difference.percentChange !== null
+    ? `${change} (${sign}${Math.abs(difference.percentChange).toFixed(1)}%)`
+    : change;
+};
+
+/**
+ * Builds a line chart with a DEV and a PRD series of one daily metric, highlighting the buckets that differ
+ * @param {Object} comparison - Response of /api/orders/compare-environments
+ * @param {string} metric - 'orders' or 'revenue'
+ * @param {string} label - Series label suffix
+ * @returns {Object} - Chart.js data
+ */
+const buildEnvironmentChart = (comparison, metric, label) => {
+  const buckets = Object.keys(comparison.differences.dailyMetrics);
+  const highlighted = buckets.map(bucket => comparison.differences.dailyMetrics[bucket][metric].significant);
+  return {
+    labels: buckets,
+    datasets: ['DEV', 'PRD'].map(environment => {
+      const metrics = comparison.environments[environment].dailyMetrics;
+      return {
+        label: `${environment} ${label}`,
+        data: buckets.map(bucket => (metrics[bucket] ? metrics[bucket][metric] : 0)),
+        borderColor: ENVIRONMENT_COLORS[environment].border,
+        backgroundColor: ENVIRONMENT_COLORS[environment].background,
+        pointBackgroundColor: highlighted.map(flag => (flag ? HIGHLIGHT_COLOR : ENVIRONMENT_COLORS[environment].border)),
+        pointRadius: highlighted.map(flag => (flag ? 6 : 3)),
+      };
+    }),
+  };
+};
+
+/**
+ * DEV and PRD KPIs and daily charts for the same filters and date range, with the differences highlighted.
+ * Only shown to users who can see PRD (ENABLE_PRD and the analyst role).
+ */
+function EnvironmentComparison({ apiUrl, filters, granularity, granularityLabel, timezone }) {
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Effect for fetching both environments' summaries whenever the filters change
+  useEffect(() => {
+    if (!filters.startDate || !filters.endDate) return undefined; // The date preset is still being resolved
+    const controller = new AbortController();
+    const fetchComparison = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const { environment, ...sharedFilters } = filters; // Both environments are fetched
+        const response = await axios.post(`${apiUrl}/api/orders/compare-environments`, {
+          ...sharedFilters,
+          granularity,
+          timezone: timezone || undefined,
+        }, { signal: controller.signal });
+        setComparison(response.data);
+      } catch (err) {
+        if (axios.isCancel(err)) return; // Replaced by a newer request
+        console.error('❌ Error comparing environments:', err);
+        setError(err.response && err.response.data && err.response.data.error
+          ? err.response.data.error
+          : 'Failed to compare DEV and PRD.');
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchComparison();
+    return () => controller.abort();
+  }, [apiUrl, filters, granularity, timezone]);
+
+  if (loading) {
+    return (
+      <div className="loading-message">
+        <h2>Loading DEV and PRD...</h2>
+      </div>
+    );
+  }
+
+  if (error || !comparison) {
+    return (
+      <div className="error-message">
+        <h2>Error: {error || 'No comparison available.'}</h2>
+      </div>
+    );
+  }
+
+  const { environments, differences, thresholdPercent } = comparison;
+  const significantKpis = KPI_ROWS.filter(row => differences.kpis[row.key].significant).length;
+
+  return (
+    <div className="env-comparison">
+      <h2>DEV vs PRD</h2>
+      <p className="env-comparison-note">
+        Differences are DEV minus PRD; values that differ by more than {thresholdPercent}% of PRD are highlighted.
+        {' '}{significantKpis > 0 ? `${significantKpis} KPI(s) differ.` : 'No KPI differs beyond the threshold.'}
+      </p>
+
+      <table className="env-comparison-table">
+        <thead>
+          <tr>
+            <th>KPI</th>
+            <th>DEV</th>
+            <th>PRD</th>
+            <th>Difference</th>
+          </tr>
+        </thead>
+        <tbody>
+          {KPI_ROWS.map(row => {
+            const difference = differences.kpis[row.key];
+            return (
+              <tr key={row.key} className={difference.significant ? 'env-comparison-significant' : undefined}>
+                <td>{row.label}</td>
+                <td>{row.format(environments.DEV.kpis[row.key])}</td>
+                <td>{row.format(environments.PRD.kpis[row.key])}</td>
+                <td>{formatDifference(row, difference)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="chart-grid env-comparison-charts">
+        <div className="chart-card">
+          <h3>Orders per {granularityLabel}</h3>
+          <Line data={buildEnvironmentChart(comparison, 'orders', 'Orders')} />
+        </div>
+        <div className="chart-card">
+          <h3>Revenue per {granularityLabel}</h3>
+          <Line data={buildEnvironmentChart(comparison, 'revenue', 'Revenue (₱)')} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EnvironmentComparison;
@@ -0,0 +1,58 @@
+// Login.js in the 'frontend/src' folder
+
+import React, { useState } from 'react';
+import axios from 'axios';
+import { apiUrl } from './api';
+
+function Login({ authMode, onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Signs in with a local username and password
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${apiUrl}/api/auth/login`, { username, password });
+      onLogin(response.data.user, response.data.permissions);
+    } catch (err) {
+      setError(err.response && err.response.data && err.response.data.error
+        ? err.response.data.error
+        : 'Failed to sign in. Make sure the backend server is running.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="container">
+      <div className="login-panel">
+        <h1>Sales Order Report & Dashboard</h1>
+        {authMode === 'oidc' ? (
+          // The backend redirects to the identity provider and back to the dashboard
+          <a className="login-button" href={`${apiUrl}/api/auth/oidc/login`}>Sign in with SSO</a>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <label>
+              Username
+              <input type="text" value={username} onChange={e => setUsername(e.target.value)} autoComplete="username" required />
+            </label>
+            <label>
+              Password
+              <input type="password" value={password} onChange={e => setPassword(e.target.value)} autoComplete="current-password" required />
+            </label>
+            <button type="submit" className="login-button" disabled={submitting}>
+              {submitting ? 'Signing in...' : 'Sign in'}
+            </button>
+          </form>
+        )}
+        {error && <p className="login-error">{error}</p>}
+      </div>
+    </div>
+  );
+}
+
+export default Login;
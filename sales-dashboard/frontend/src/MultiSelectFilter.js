@@ -0,0 +1,97 @@
+// MultiSelectFilter.js in the 'frontend/src' folder
+
+import React, { useState, useEffect, useRef } from 'react';
+
+/**
+ * Multi-value filter with an include ("is one of") or exclude ("is not") mode.
+ * The value is { mode: 'include' | 'exclude', values: [...] }, or null when nothing is selected.
+ */
+function MultiSelectFilter({ label, options, value, onChange }) {
+  const [open, setOpen] = useState(false);
+  const [draftMode, setDraftMode] = useState('include'); // Mode picked before any value is selected
+  const containerRef = useRef(null);
+  const mode = value ? value.mode : draftMode;
+  const selectedValues = (value && value.values) || [];
+
+  // Close the dropdown when clicking anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const emitChange = (nextMode, nextValues) => {
+    setDraftMode(nextMode);
+    onChange(nextValues.length > 0 ? { mode: nextMode, values: nextValues } : null);
+  };
+
+  const toggleOption = (option) => {
+    const nextValues = selectedValues.includes(option)
+      ? selectedValues.filter(item => item !== option)
+      : [...selectedValues, option];
+    emitChange(mode, nextValues);
+  };
+
+  let summary = `All ${label}`;
+  if (selectedValues.length > 0) {
+    summary = `${mode === 'exclude' ? 'Not ' : ''}${selectedValues.join(', ')}`;
+  }
+
+  return (
+    <div className="multi-select" ref={containerRef}>
+      <button
+        type="button"
+        className={`multi-select-toggle${selectedValues.length > 0 ? ' active' : ''}`}
+        onClick={() => setOpen(prev => !prev)}
+        title={summary}
+      >
+        <span>{summary}</span>
+        <span aria-hidden="true">▾</span>
+      </button>
+      {open && (
+        <div className="multi-select-menu">
+          <div className="multi-select-mode">
+            <label>
+              <input
+                type="radio"
+                checked={mode === 'include'}
+                onChange={() => emitChange('include', selectedValues)}
+              />{' '}
+              Is one of
+            </label>
+            <label>
+              <input
+                type="radio"
+                checked={mode === 'exclude'}
+                onChange={() => emitChange('exclude', selectedValues)}
+              />{' '}
+              Is not
+            </label>
+          </div>
+          {options.map(option => (
+            <label key={option} className="multi-select-option">
+              <input
+                type="checkbox"
+                checked={selectedValues.includes(option)}
+                onChange={() => toggleOption(option)}
+              />{' '}
+              {option}
+            </label>
+          ))}
+          {selectedValues.length > 0 && (
+            <button type="button" className="multi-select-clear" onClick={() => onChange(null)}>
+              Clear
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MultiSelectFilter;
@@ -0,0 +1,207 @@
+// OrderDetail.js in the 'frontend/src' folder
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+// Custom attributes shown in the CSP / Optima submission section
+const SUBMISSION_FIELD_PATTERN = /csp|optima|srstatus|srsummary|submission/i;
+
+// Formats an amount for display
+const formatAmount = (amount) => (amount === undefined || amount === null ? 'N/A' : `₱${Number(amount).toFixed(2)}`);
+
+// Formats an ISO timestamp for display
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : 'N/A');
+
+// Renders an address block, skipping the lines the backend redacted (names and street for PRD)
+const Address = ({ address }) => {
+  if (!address) return <p className="detail-muted">No address</p>;
+  const lines = [
+    [address.first_name, address.last_name].filter(Boolean).join(' '),
+    [address.address1, address.address2].filter(Boolean).join(', '),
+    [address.city, address.state_code, address.postal_code].filter(Boolean).join(', '),
+    address.country_code,
+    address.phone,
+  ].filter(Boolean);
+  return (
+    <address>
+      {lines.map((line, index) => (
+        <React.Fragment key={index}>
+          {index > 0 && <br />}
+          {line}
+        </React.Fragment>
+      ))}
+    </address>
+  );
+};
+
+function OrderDetail({ apiUrl, orderNo, environment, onClose }) {
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Effect for fetching the selected order
+  useEffect(() => {
+    const fetchOrder = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await axios.get(`${apiUrl}/api/orders/${encodeURIComponent(orderNo)}`, {
+          params: { environment },
+        });
+        setOrder(response.data.order);
+      } catch (err) {
+        setError(err.response && err.response.status === 404
+          ? `Order ${orderNo} was not found.`
+          : 'Failed to fetch order details.');
+        console.error('❌ Error fetching order details:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOrder();
+  }, [apiUrl, orderNo, environment]);
+
+  // Close the panel with the Escape key
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const submissionFields = order
+    ? Object.keys(order).filter(key => key.startsWith('c_') && SUBMISSION_FIELD_PATTERN.test(key)).sort()
+    : [];
+
+  return (
+    <div className="detail-overlay" onClick={onClose}>
+      <aside className="detail-panel" onClick={e => e.stopPropagation()}>
+        <div className="detail-header">
+          <h2>Order {orderNo}</h2>
+          <button className="detail-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {loading && <p>Loading order...</p>}
+        {error && <p className="detail-error">{error}</p>}
+
+        {!loading && !error && order && (
+          <>
+            <section>
+              <h3>Summary</h3>
+              <dl className="detail-grid">
+                <dt>Status</dt><dd>{order.status || 'N/A'}</dd>
+                <dt>Order Type</dt><dd>{order.c_smartOrderType || 'N/A'}</dd>
+                <dt>Created</dt><dd>{formatDateTime(order.creation_date)}</dd>
+                <dt>Last Modified</dt><dd>{formatDateTime(order.last_modified)}</dd>
+                <dt>Payment Status</dt><dd>{order.payment_status || 'N/A'}</dd>
+                <dt>Export Status</dt><dd>{order.export_status || 'N/A'}</dd>
+                <dt>Product Total</dt><dd>{formatAmount(order.product_total)}</dd>
+                <dt>Shipping Total</dt><dd>{formatAmount(order.shipping_total)}</dd>
+                <dt>Tax Total</dt><dd>{formatAmount(order.tax_total)}</dd>
+                <dt>Order Total</dt><dd>{formatAmount(order.order_total)}</dd>
+              </dl>
+            </section>
+
+            <section>
+              <h3>Customer</h3>
+              <dl className="detail-grid">
+                <dt>Name</dt><dd>{(order.customer_info && order.customer_info.customer_name) || 'N/A'}</dd>
+                <dt>Email</dt><dd>{(order.customer_info && order.customer_info.email) || 'N/A'}</dd>
+                <dt>Customer No.</dt><dd>{(order.customer_info && order.customer_info.customer_no) || 'N/A'}</dd>
+                <dt>Guest</dt><dd>{order.guest ? 'Yes' : 'No'}</dd>
+              </dl>
+              <h4>Billing Address</h4>
+              <Address address={order.billing_address} />
+            </section>
+
+            <section>
+              <h3>Line Items</h3>
+              <table className="orders-table">
+                <thead>
+                  <tr>
+                    <th>Product ID</th>
+                    <th>Product Name</th>
+                    <th>Qty</th>
+                    <th>Unit Price</th>
+                    <th>Line Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {(order.product_items || []).map((item, index) => (
+                    <tr key={item.item_id || index}>
+                      <td>{item.product_id || 'N/A'}</td>
+                      <td>{item.product_name || 'N/A'}</td>
+                      <td>{item.quantity}</td>
+                      <td>{formatAmount(item.base_price)}</td>
+                      <td>{formatAmount(item.price_after_order_discount ?? item.price)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+
+            <section>
+              <h3>Payment Instruments</h3>
+              <table className="orders-table">
+                <thead>
+                  <tr>
+                    <th>Method</th>
+                    <th>Amount</th>
+                    <th>Card</th>
+                    <th>Instrument ID</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {(order.payment_instruments || []).map((instrument, index) => (
+                    <tr key={instrument.payment_instrument_id || index}>
+                      <td>{instrument.payment_method_id || 'N/A'}</td>
+                      <td>{formatAmount(instrument.amount)}</td>
+                      <td>
+                        {instrument.payment_card
+                          ? `${instrument.payment_card.card_type || ''} ${instrument.payment_card.masked_number || ''}`.trim()
+                          : 'N/A'}
+                      </td>
+                      <td>{instrument.payment_instrument_id || 'N/A'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+
+            <section>
+              <h3>Shipments</h3>
+              {(order.shipments || []).length === 0 && <p className="detail-muted">No shipments</p>}
+              {(order.shipments || []).map((shipment, index) => (
+                <div key={shipment.shipment_id || index} className="detail-shipment">
+                  <h4>
+                    {shipment.shipment_id || `Shipment ${index + 1}`}
+                    {shipment.shipping_method && ` - ${shipment.shipping_method.name || shipment.shipping_method.id}`}
+                    {shipment.shipping_status && ` (${shipment.shipping_status})`}
+                  </h4>
+                  <Address address={shipment.shipping_address} />
+                </div>
+              ))}
+            </section>
+
+            <section>
+              <h3>CSP / Optima Submission</h3>
+              {submissionFields.length === 0 && <p className="detail-muted">No submission fields</p>}
+              <dl className="detail-grid">
+                {submissionFields.map(key => (
+                  <React.Fragment key={key}>
+                    <dt>{key}</dt>
+                    <dd>{typeof order[key] === 'object' ? JSON.stringify(order[key]) : String(order[key])}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+            </section>
+          </>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+export default OrderDetail;
@@ -0,0 +1,229 @@
+// OrdersTable.js in the 'frontend/src' folder
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+// Page sizes offered in the Orders Report table
+const PAGE_SIZE_OPTIONS = [25, 50, 100, 200];
+
+// Delay before a search box change triggers a new request (milliseconds)
+const SEARCH_DEBOUNCE_MS = 400;
+
+// Gets the display value of a column for an order
+const getCellValue = (order, key) => {
+  if (key === 'payment_method') {
+    // Split-tender orders list every method, e.g. 'COD + Maya'
+    const methods = [...new Set((order.payment_instruments || []).map(instrument => instrument.payment_method_id).filter(Boolean))];
+    return methods.length > 0 ? methods.join(' + ') : 'N/A';
+  }
+  return order[key] || 'N/A';
+};
+
+function OrdersTable({ apiUrl, filters, statusFilter, onStatusFilterClear, onOrderSelect, refreshKey }) {
+  const [orders, setOrders] = useState([]);
+  const [columns, setColumns] = useState([]); // Sent by the server with each page, so the table and the export match
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(50);
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
+  const [sortBy, setSortBy] = useState('');
+  const [sortOrder, setSortOrder] = useState('desc');
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [includeSummary, setIncludeSummary] = useState(true);
+  const [exporting, setExporting] = useState(false);
+
+  // Apply the search text once the user stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // Go back to the first page whenever the result set changes
+  useEffect(() => {
+    setPage(1);
+  }, [filters, statusFilter, search, sortBy, sortOrder, pageSize]);
+
+  // Effect for fetching the current page of orders
+  useEffect(() => {
+    if (!filters.startDate || !filters.endDate) return undefined; // The date preset is still being resolved
+    const controller = new AbortController();
+    const fetchOrders = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.post(`${apiUrl}/api/orders/rows`, {
+          ...filters,
+          page,
+          pageSize,
+          sortBy,
+          sortOrder,
+          search,
+          statusFilter,
+        }, { signal: controller.signal });
+        setColumns(response.data.columns);
+        setOrders(response.data.rows);
+        setTotal(response.data.total);
+        setTotalPages(response.data.totalPages);
+      } catch (err) {
+        if (axios.isCancel(err)) return; // Replaced by a newer request
+        console.error('❌ Error fetching order rows:', err);
+        setOrders([]);
+        setTotal(0);
+        setTotalPages(1);
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchOrders();
+    return () => controller.abort();
+  }, [apiUrl, filters, statusFilter, page, pageSize, sortBy, sortOrder, search, refreshKey]); // refreshKey changes after a manual refresh
+
+  // Clicking a header sorts by it; clicking it again flips the direction
+  const handleSort = (key) => {
+    if (sortBy === key) {
+      setSortOrder(prev => (prev === 'asc' ? 'desc' : 'asc'));
+    } else {
+      setSortBy(key);
+      setSortOrder('asc');
+    }
+  };
+
+  // Download the filtered orders (same sort and search as the table) as CSV or Excel
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      const response = await axios.post(`${apiUrl}/api/orders/export`, {
+        ...filters,
+        sortBy,
+        sortOrder,
+        search,
+        statusFilter,
+        format,
+        includeSummary: format === 'xlsx' && includeSummary,
+      }, { responseType: 'blob' });
+
+      const disposition = response.headers['content-disposition'] || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(response.data);
+      link.download = match ? match[1] : `orders.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(link.href);
+    } catch (err) {
+      console.error('❌ Error exporting orders:', err);
+      alert('Failed to export orders. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="orders-table-container">
+      <h3>Orders Report</h3>
+      <div className="table-toolbar">
+        <input
+          type="search"
+          className="table-search"
+          placeholder="Search order no., CSP or Optima ID..."
+          value={searchInput}
+          onChange={e => setSearchInput(e.target.value)}
+        />
+        <label>
+          Rows per page{' '}
+          <select value={pageSize} onChange={e => setPageSize(Number(e.target.value))}>
+            {PAGE_SIZE_OPTIONS.map(size => (
+              <option key={size} value={size}>{size}</option>
+            ))}
+          </select>
+        </label>
+        <div className="table-export">
+          <label>
+            <input
+              type="checkbox"
+              checked={includeSummary}
+              onChange={e => setIncludeSummary(e.target.checked)}
+            />{' '}
+            Include KPI sheet
+          </label>
+          <button onClick={() => handleExport('csv')} disabled={exporting || total === 0}>
+            Export CSV
+          </button>
+          <button onClick={() => handleExport('xlsx')} disabled={exporting || total === 0}>
+            Export Excel
+          </button>
+        </div>
+      </div>
+      {statusFilter && (
+        <div className="status-filter-chip">
+          Showing orders with{' '}
+          {Object.keys(statusFilter).map(field => `${field} = ${statusFilter[field]}`).join(', ')}
+          <button onClick={onStatusFilterClear} aria-label="Clear status filter">×</button>
+        </div>
+      )}
+      <div className="table-wrapper">
+        <table className="orders-table">
+          <thead>
+            <tr>
+              {columns.map(column => (
+                <th
+                  key={column.key}
+                  className="sortable"
+                  onClick={() => handleSort(column.key)}
+                  aria-sort={sortBy === column.key ? (sortOrder === 'asc' ? 'ascending' : 'descending') : 'none'}
+                >
+                  {column.label}
+                  {sortBy === column.key && (sortOrder === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map((order, index) => (
+              <tr key={order.order_no || index}>
+                {columns.map(column => (
+                  <td key={column.key}>
+                    {column.key === 'order_no' && order.order_no ? (
+                      <button className="link-button" onClick={() => onOrderSelect(order.order_no)}>
+                        {order.order_no}
+                      </button>
+                    ) : getCellValue(order, column.key)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!loading && orders.length === 0 && (
+          <div className="no-orders-message">
+            <p>No orders found for the selected criteria.</p>
+          </div>
+        )}
+      </div>
+      <div className="table-pagination">
+        <button onClick={() => setPage(1)} disabled={loading || page <= 1}>
+          First
+        </button>
+        <button onClick={() => setPage(prev => prev - 1)} disabled={loading || page <= 1}>
+          Previous
+        </button>
+        <span>
+          Page {page} of {totalPages} ({total} orders)
+        </span>
+        <button onClick={() => setPage(prev => prev + 1)} disabled={loading || page >= totalPages}>
+          Next
+        </button>
+        <button onClick={() => setPage(totalPages)} disabled={loading || page >= totalPages}>
+          Last
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default OrdersTable;
@@ -0,0 +1,117 @@
+// ProductBreakdown.js in the 'frontend/src' folder
+
+import React, { useState } from 'react';
+import { Bar } from 'react-chartjs-2';
+
+// Number of products shown in the "Top products" chart
+const TOP_PRODUCTS_COUNT = 10;
+
+// Columns of the product table
+const PRODUCT_COLUMNS = [
+  { key: 'productId', label: 'Product ID' },
+  { key: 'productName', label: 'Product Name' },
+  { key: 'units', label: 'Units' },
+  { key: 'revenue', label: 'Revenue' },
+  { key: 'orders', label: 'Orders' },
+  { key: 'revenueShare', label: 'Share of Revenue' },
+];
+
+function ProductBreakdown({ products }) {
+  const [sortBy, setSortBy] = useState('revenue');
+  const [sortOrder, setSortOrder] = useState('desc');
+
+  // Clicking a header sorts by it; clicking it again flips the direction
+  const handleSort = (key) => {
+    if (sortBy === key) {
+      setSortOrder(prev => (prev === 'asc' ? 'desc' : 'asc'));
+    } else {
+      setSortBy(key);
+      setSortOrder(key === 'productId' || key === 'productName' ? 'asc' : 'desc');
+    }
+  };
+
+  const sortedProducts = [...products].sort((a, b) => {
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    if (typeof a[sortBy] === 'number' && typeof b[sortBy] === 'number') {
+      return (a[sortBy] - b[sortBy]) * direction;
+    }
+    return String(a[sortBy] || '').localeCompare(String(b[sortBy] || ''), undefined, { numeric: true }) * direction;
+  });
+
+  // Products arrive ranked by revenue from the backend
+  const topProducts = products.slice(0, TOP_PRODUCTS_COUNT);
+  const topProductsChartData = {
+    labels: topProducts.map(product => product.productName || product.productId),
+    datasets: [
+      {
+        label: 'Revenue (₱)',
+        data: topProducts.map(product => product.revenue),
+        backgroundColor: 'rgb(153, 102, 255)',
+      },
+      {
+        label: 'Units',
+        data: topProducts.map(product => product.units),
+        backgroundColor: 'rgb(255, 159, 64)',
+        xAxisID: 'units',
+      },
+    ],
+  };
+  const topProductsChartOptions = {
+    indexAxis: 'y',
+    scales: {
+      x: { position: 'bottom', title: { display: true, text: 'Revenue (₱)' } },
+      units: { position: 'top', grid: { drawOnChartArea: false }, title: { display: true, text: 'Units' } },
+    },
+  };
+
+  const formatValue = (product, key) => {
+    if (key === 'revenue') return `₱${product.revenue.toFixed(2)}`;
+    if (key === 'revenueShare') return `${product.revenueShare.toFixed(1)}%`;
+    return product[key] ?? 'N/A';
+  };
+
+  return (
+    <div className="products-container">
+      <div className="chart-card">
+        <h3>Top Products by Revenue</h3>
+        {products.length > 0
+          ? <Bar data={topProductsChartData} options={topProductsChartOptions} />
+          : <p className="no-orders-message">No products for the selected criteria.</p>}
+      </div>
+
+      <div className="orders-table-container">
+        <h3>Products</h3>
+        <div className="table-wrapper">
+          <table className="orders-table">
+            <thead>
+              <tr>
+                {PRODUCT_COLUMNS.map(column => (
+                  <th
+                    key={column.key}
+                    className="sortable"
+                    onClick={() => handleSort(column.key)}
+                    aria-sort={sortBy === column.key ? (sortOrder === 'asc' ? 'ascending' : 'descending') : 'none'}
+                  >
+                    {column.label}
+                    {sortBy === column.key && (sortOrder === 'asc' ? ' ▲' : ' ▼')}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sortedProducts.map(product => (
+                <tr key={`${product.productId}|${product.productName}`}>
+                  {PRODUCT_COLUMNS.map(column => (
+                    <td key={column.key}>{formatValue(product, column.key)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ProductBreakdown;
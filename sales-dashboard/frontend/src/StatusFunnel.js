@@ -0,0 +1,112 @@
+// StatusFunnel.js in the 'frontend/src' folder
+
+import React from 'react';
+import { Bar } from 'react-chartjs-2';
+
+// Fulfilment pipelines: bars are the submission status, stacks are the downstream statuses
+const PIPELINES = [
+  {
+    key: 'csp',
+    title: 'CSP Submission Status (Prepaid)',
+    orderType: 'Prepaid',
+    stageField: 'c_submissionStatusCSP',
+  },
+  {
+    key: 'optima',
+    title: 'Optima Submission Status (Postpaid)',
+    orderType: 'Postpaid',
+    stageField: 'c_submissionStatusOptima',
+  },
+];
+
+// Colours cycled through the stacked segments
+const SEGMENT_COLORS = [
+  'rgb(54, 162, 235)',
+  'rgb(255, 99, 132)',
+  'rgb(255, 205, 86)',
+  'rgb(75, 192, 192)',
+  'rgb(153, 102, 255)',
+  'rgb(255, 159, 64)',
+  'rgb(201, 203, 207)',
+];
+
+/**
+ * Builds stacked bar chart data for one pipeline
+ * @param {Array} combinations - statusBreakdown entries ({ statuses, count })
+ * @param {string} stageField - Status field used for the bars
+ * @returns {Object} - { chartData, segments } where segments[datasetIndex] holds the stacked statuses
+ */
+const buildPipelineChart = (combinations, stageField) => {
+  const stages = [...new Set(combinations.map(entry => entry.statuses[stageField]))].sort();
+  const segmentMap = {};
+
+  combinations.forEach(entry => {
+    const segmentStatuses = { ...entry.statuses };
+    delete segmentStatuses[stageField];
+    const segmentKey = JSON.stringify(segmentStatuses);
+    if (!segmentMap[segmentKey]) {
+      segmentMap[segmentKey] = { statuses: segmentStatuses, counts: {} };
+    }
+    segmentMap[segmentKey].counts[entry.statuses[stageField]] = entry.count;
+  });
+
+  const segments = Object.values(segmentMap);
+  return {
+    segments,
+    chartData: {
+      labels: stages,
+      datasets: segments.map((segment, index) => ({
+        label: Object.values(segment.statuses).join(' / ') || 'All',
+        data: stages.map(stage => segment.counts[stage] || 0),
+        backgroundColor: SEGMENT_COLORS[index % SEGMENT_COLORS.length],
+      })),
+    },
+  };
+};
+
+function StatusFunnel({ statusBreakdown, orderType, onStatusSelect }) {
+  // Only show the pipelines whose columns the table shows for the selected order type
+  const visiblePipelines = PIPELINES.filter(pipeline =>
+    pipeline.orderType === 'Prepaid' ? orderType !== 'Postpaid' : orderType !== 'Prepaid'
+  );
+
+  return (
+    <div className="chart-grid status-funnel">
+      {visiblePipelines.map(pipeline => {
+        const combinations = (statusBreakdown && statusBreakdown[pipeline.key]) || [];
+        const { chartData, segments } = buildPipelineChart(combinations, pipeline.stageField);
+
+        // Clicking a segment filters the Orders Report to that exact status combination
+        const handleClick = (event, elements) => {
+          if (elements.length === 0) return;
+          const { datasetIndex, index } = elements[0];
+          onStatusSelect({
+            c_smartOrderType: pipeline.orderType,
+            [pipeline.stageField]: chartData.labels[index],
+            ...segments[datasetIndex].statuses,
+          });
+        };
+
+        return (
+          <div key={pipeline.key} className="chart-card chart-card-wide">
+            <h3>{pipeline.title}</h3>
+            {combinations.length > 0 ? (
+              <Bar
+                data={chartData}
+                options={{
+                  onClick: handleClick,
+                  scales: { x: { stacked: true }, y: { stacked: true, title: { display: true, text: 'Orders' } } },
+                  plugins: { tooltip: { footer: () => 'Click to show these orders' } },
+                }}
+              />
+            ) : (
+              <p className="no-orders-message">No {pipeline.orderType} orders for the selected criteria.</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default StatusFunnel;
@@ -0,0 +1,166 @@
+// ViewsMenu.js in the 'frontend/src' folder
+
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+
+/**
+ * "Views" menu in the header: switch to a saved view, save the current filters as a view
+ * (private or shared with everyone), delete views and copy a link to the current dashboard.
+ */
+function ViewsMenu({ apiUrl, currentView, onApply }) {
+  const [open, setOpen] = useState(false);
+  const [views, setViews] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState('');
+  const [shared, setShared] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close the menu when clicking anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  // Effect for loading the saved views each time the menu opens (others may have shared new ones)
+  useEffect(() => {
+    if (!open) return;
+    const fetchViews = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await axios.get(`${apiUrl}/api/views`);
+        setViews(response.data.views);
+      } catch (err) {
+        console.error('❌ Error loading saved views:', err);
+        setError('Failed to load saved views.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchViews();
+  }, [apiUrl, open]);
+
+  // Saves the current filters as a new view
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${apiUrl}/api/views`, { name, shared, state: currentView });
+      setViews(prev => [...prev, response.data.view].sort((a, b) => a.name.localeCompare(b.name)));
+      setName('');
+      setShared(false);
+    } catch (err) {
+      console.error('❌ Error saving view:', err);
+      setError(err.response && err.response.data && err.response.data.error
+        ? err.response.data.error
+        : 'Failed to save the view.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (view) => {
+    if (!window.confirm(`Delete the view '${view.name}'?`)) return;
+    try {
+      await axios.delete(`${apiUrl}/api/views/${encodeURIComponent(view.id)}`);
+      setViews(prev => prev.filter(item => item.id !== view.id));
+    } catch (err) {
+      console.error('❌ Error deleting view:', err);
+      setError('Failed to delete the view.');
+    }
+  };
+
+  const handleApply = (view) => {
+    onApply(view.state);
+    setOpen(false);
+  };
+
+  // The URL always holds the current filters, so it can be shared as is
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      console.error('❌ Error copying link:', err);
+      window.prompt('Copy this link:', window.location.href);
+    }
+  };
+
+  const ownViews = views.filter(view => view.own);
+  const sharedViews = views.filter(view => !view.own);
+
+  const renderViewList = (title, list) => (
+    <div className="views-menu-section">
+      <h4>{title}</h4>
+      {list.length === 0 && <p className="views-menu-empty">None yet</p>}
+      {list.map(view => (
+        <div key={view.id} className="views-menu-item">
+          <button type="button" className="views-menu-apply" onClick={() => handleApply(view)} title={`Open '${view.name}'`}>
+            {view.name}
+            {view.shared && <span className="views-menu-badge">{view.own ? 'Shared' : view.owner}</span>}
+          </button>
+          {view.canEdit && (
+            <button type="button" className="views-menu-delete" onClick={() => handleDelete(view)} aria-label={`Delete ${view.name}`}>
+              ×
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="views-menu" ref={containerRef}>
+      <button type="button" className="views-menu-toggle" onClick={() => setOpen(prev => !prev)}>
+        Views <span aria-hidden="true">▾</span>
+      </button>
+      {open && (
+        <div className="views-menu-panel">
+          {loading && <p className="views-menu-empty">Loading views...</p>}
+          {!loading && (
+            <>
+              {renderViewList('My Views', ownViews)}
+              {renderViewList('Shared Views', sharedViews)}
+            </>
+          )}
+
+          <form className="views-menu-save" onSubmit={handleSave}>
+            <h4>Save Current View</h4>
+            <input
+              type="text"
+              placeholder="View name"
+              value={name}
+              onChange={e => setName(e.target.value)}
+              maxLength={100}
+              required
+            />
+            <label>
+              <input type="checkbox" checked={shared} onChange={e => setShared(e.target.checked)} /> Share with everyone
+            </label>
+            <button type="submit" disabled={saving || !name.trim()}>{saving ? 'Saving...' : 'Save'}</button>
+          </form>
+
+          {error && <p className="views-menu-error">{error}</p>}
+
+          <button type="button" className="views-menu-link" onClick={handleCopyLink}>
+            {linkCopied ? 'Link copied' : 'Copy link to this view'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ViewsMenu;
@@ -0,0 +1,9 @@
+// api.js in the 'frontend/src' folder
+
+import axios from 'axios';
+
+// Base URL of the backend API
+export const apiUrl = process.env.REACT_APP_API_URL || (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3001');
+
+// Send the session cookie with every API request (the backend may be on another origin in development)
+axios.defaults.withCredentials = true;
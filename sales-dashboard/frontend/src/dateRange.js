@@ -0,0 +1,90 @@
+// dateRange.js in the 'frontend/src' folder
+
+// Converts the custom range inputs to and from a given IANA timezone (the business timezone, or the one picked for
+// the charts), so "2025-01-31" means that day there rather than in UTC or the browser's timezone.
+// Ranges are inclusive: they end on the last millisecond of the end date (or of the end minute).
+// Relative presets ("Today", "Last 7 days") are resolved by the backend through /api/config/date-range.
+
+const partsFormatters = {};
+
+// Gets a cached formatter giving the wall-clock parts of a date in a timezone
+const getPartsFormatter = (timeZone) => {
+  if (!partsFormatters[timeZone]) {
+    partsFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+  }
+  return partsFormatters[timeZone];
+};
+
+// Gets the wall-clock parts ({ year, month, day, hour, minute, second }) of a date in a timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getPartsFormatter(timeZone).formatToParts(date).forEach(part => {
+    if (part.type !== 'literal') parts[part.type] = Number(part.value);
+  });
+  return parts;
+};
+
+// Gets how far a timezone's wall clock is ahead of UTC at a given moment (milliseconds)
+const getTimezoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (date.getTime() - date.getUTCMilliseconds());
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Checks whether a timezone name is known to the browser
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean} - True when it can be used
+ */
+export const isValidTimezone = (timeZone) => {
+  try {
+    getPartsFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Splits a moment into the date and time shown in a timezone
+ * @param {string} isoDate - ISO date-time
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} - { date: 'YYYY-MM-DD', time: 'HH:MM' }
+ */
+export const getZonedDateTime = (isoDate, timeZone) => {
+  const parts = getZonedParts(new Date(isoDate), timeZone);
+  return {
+    date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    time: `${pad(parts.hour)}:${pad(parts.minute)}`,
+  };
+};
+
+/**
+ * Turns a date and optional time in a timezone into an ISO date-time
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM', or empty for the start (or end) of the day
+ * @param {string} timeZone - IANA timezone name
+ * @param {boolean} endOfRange - Whether this is the inclusive end of a range (the last millisecond of the day or minute)
+ * @returns {string} - ISO date-time
+ */
+export const zonedDateTimeToIso = (date, time, timeZone, endOfRange) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = (time || (endOfRange ? '23:59' : '00:00')).split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, endOfRange ? 59 : 0, endOfRange ? 999 : 0);
+
+  // The offset depends on the moment itself (DST), so correct the first guess once
+  let utc = wallClock - getTimezoneOffset(new Date(wallClock), timeZone);
+  utc = wallClock - getTimezoneOffset(new Date(utc), timeZone);
+  return new Date(utc).toISOString();
+};
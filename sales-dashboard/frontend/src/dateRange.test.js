@@ -0,0 +1,30 @@
+// dateRange.test.js in the 'frontend/src' folder
+
+import { getZonedDateTime, isValidTimezone, zonedDateTimeToIso } from './dateRange';
+
+test('dates and times are read in the given timezone', () => {
+  expect(getZonedDateTime('2025-03-14T17:05:00.000Z', 'Asia/Manila')).toEqual({ date: '2025-03-15', time: '01:05' });
+  expect(getZonedDateTime('2025-03-14T17:05:00.000Z', 'UTC')).toEqual({ date: '2025-03-14', time: '17:05' });
+});
+
+test('whole days run from midnight to the last millisecond in the timezone', () => {
+  expect(zonedDateTimeToIso('2025-03-15', '', 'Asia/Manila', false)).toBe('2025-03-14T16:00:00.000Z');
+  expect(zonedDateTimeToIso('2025-03-15', '', 'Asia/Manila', true)).toBe('2025-03-15T15:59:59.999Z');
+});
+
+test('an end time includes the whole end minute', () => {
+  expect(zonedDateTimeToIso('2025-03-15', '09:30', 'Asia/Manila', false)).toBe('2025-03-15T01:30:00.000Z');
+  expect(zonedDateTimeToIso('2025-03-15', '09:30', 'Asia/Manila', true)).toBe('2025-03-15T01:30:59.999Z');
+});
+
+test('days keep local midnight across a DST change', () => {
+  // New York moves from UTC-5 to UTC-4 on 2025-03-09
+  expect(zonedDateTimeToIso('2025-03-09', '', 'America/New_York', false)).toBe('2025-03-09T05:00:00.000Z');
+  expect(zonedDateTimeToIso('2025-03-09', '', 'America/New_York', true)).toBe('2025-03-10T03:59:59.999Z');
+  expect(getZonedDateTime('2025-03-10T03:59:59.999Z', 'America/New_York')).toEqual({ date: '2025-03-09', time: '23:59' });
+});
+
+test('unknown timezones are rejected', () => {
+  expect(isValidTimezone('Asia/Manila')).toBe(true);
+  expect(isValidTimezone('Mars/Olympus')).toBe(false);
+});
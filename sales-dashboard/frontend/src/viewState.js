@@ -0,0 +1,88 @@
+// viewState.js in the 'frontend/src' folder
+
+import { isValidTimezone } from './dateRange';
+
+// Dashboard view: the filters and chart options that make up a shareable URL or a saved view.
+// { datePreset | startDate + endDate, orderType, paymentMethod, environment, compareEnvironments, compareTo, granularity, timezone, additionalFilters }
+
+const ENVIRONMENTS = ['DEV', 'PRD'];
+const COMPARE_TO_VALUES = ['previous_period', 'last_week', 'last_year'];
+const GRANULARITY_VALUES = ['hour', 'day', 'week', 'month'];
+
+// Date presets are listed by the backend; an unknown one falls back to the default range when it is resolved
+const DATE_PRESET_PATTERN = /^[a-z0-9_]+$/;
+
+// Prefix of the query parameters holding the configurable term query filters, e.g. f_status=exclude:created,failed
+const FILTER_PARAM_PREFIX = 'f_';
+
+// Checks that a query value is a valid date
+const isValidDate = (value) => Boolean(value) && !isNaN(new Date(value).getTime());
+
+// Shortens dates at midnight UTC (what the date inputs produce) to 'YYYY-MM-DD' for readable links
+const formatQueryDate = (isoDate) => (isoDate.endsWith('T00:00:00.000Z') ? isoDate.split('T')[0] : isoDate);
+
+/**
+ * Turns a view into a query string, leaving out empty options
+ * @param {Object} view - Dashboard view
+ * @returns {string} - Query string without the leading '?'
+ */
+export const buildViewQuery = (view) => {
+  const params = new URLSearchParams();
+  params.set('env', view.environment);
+  if (view.datePreset) {
+    params.set('range', view.datePreset); // Relative, so the link stays current
+  } else {
+    params.set('from', formatQueryDate(view.startDate));
+    params.set('to', formatQueryDate(view.endDate));
+  }
+  if (view.orderType) params.set('orderType', view.orderType);
+  if (view.paymentMethod) params.set('paymentMethod', view.paymentMethod);
+  if (view.compareEnvironments) params.set('envCompare', '1');
+  if (view.compareTo) params.set('compareTo', view.compareTo);
+  if (view.granularity && view.granularity !== 'day') params.set('granularity', view.granularity);
+  if (view.timezone) params.set('timezone', view.timezone);
+  Object.keys(view.additionalFilters || {}).sort().forEach(fieldKey => {
+    const selection = view.additionalFilters[fieldKey];
+    params.set(`${FILTER_PARAM_PREFIX}${fieldKey}`, `${selection.mode}:${selection.values.join(',')}`);
+  });
+  return params.toString();
+};
+
+/**
+ * Reads a view from a query string. Missing or invalid parameters are left out, so the dashboard defaults apply.
+ * @param {string} search - Query string (window.location.search)
+ * @returns {Object} - Partial dashboard view
+ */
+export const parseViewQuery = (search) => {
+  const params = new URLSearchParams(search);
+  const view = {};
+
+  const environment = (params.get('env') || '').toUpperCase();
+  if (ENVIRONMENTS.includes(environment)) view.environment = environment;
+  if (DATE_PRESET_PATTERN.test(params.get('range') || '')) {
+    view.datePreset = params.get('range');
+  } else if (isValidDate(params.get('from')) && isValidDate(params.get('to'))) {
+    view.startDate = new Date(params.get('from')).toISOString();
+    view.endDate = new Date(params.get('to')).toISOString();
+  }
+  if (params.get('orderType')) view.orderType = params.get('orderType');
+  if (params.get('paymentMethod')) view.paymentMethod = params.get('paymentMethod');
+  if (params.get('envCompare') === '1') view.compareEnvironments = true;
+  if (COMPARE_TO_VALUES.includes(params.get('compareTo'))) view.compareTo = params.get('compareTo');
+  if (GRANULARITY_VALUES.includes(params.get('granularity'))) view.granularity = params.get('granularity');
+  if (params.get('timezone') && isValidTimezone(params.get('timezone'))) view.timezone = params.get('timezone');
+
+  const additionalFilters = {};
+  params.forEach((value, key) => {
+    if (!key.startsWith(FILTER_PARAM_PREFIX)) return;
+    const match = value.match(/^(include|exclude):(.*)$/);
+    if (!match) return;
+    additionalFilters[key.slice(FILTER_PARAM_PREFIX.length)] = {
+      mode: match[1],
+      values: match[2].split(',').map(item => item.trim()).filter(Boolean),
+    };
+  });
+  if (Object.keys(additionalFilters).length > 0) view.additionalFilters = additionalFilters;
+
+  return view;
+};
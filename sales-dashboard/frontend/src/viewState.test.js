@@ -0,0 +1,56 @@
+// viewState.test.js in the 'frontend/src' folder
+
+import { buildViewQuery, parseViewQuery } from './viewState';
+
+const VIEW = {
+  datePreset: 'last_7_days',
+  orderType: 'Prepaid',
+  paymentMethod: 'COD',
+  environment: 'PRD',
+  compareEnvironments: true,
+  compareTo: 'last_week',
+  granularity: 'hour',
+  timezone: 'Asia/Manila',
+  additionalFilters: {
+    status: { mode: 'exclude', values: ['created', 'failed'] },
+    channel: { mode: 'include', values: ['web'] },
+  },
+};
+
+test('a view survives a round trip through the query string', () => {
+  expect(parseViewQuery(`?${buildViewQuery(VIEW)}`)).toEqual(VIEW);
+});
+
+test('presets are kept relative and defaults are left out', () => {
+  const query = buildViewQuery({ datePreset: 'yesterday', environment: 'DEV', granularity: 'day', additionalFilters: {} });
+  expect(query).toBe('env=DEV&range=yesterday');
+});
+
+test('custom ranges keep their dates, shortened at UTC midnight', () => {
+  const query = buildViewQuery({
+    startDate: '2025-01-01T00:00:00.000Z',
+    endDate: '2025-01-31T15:59:59.999Z',
+    environment: 'DEV',
+  });
+  expect(query).toBe('env=DEV&from=2025-01-01&to=2025-01-31T15%3A59%3A59.999Z');
+  expect(parseViewQuery(`?${query}`)).toEqual({
+    environment: 'DEV',
+    startDate: '2025-01-01T00:00:00.000Z',
+    endDate: '2025-01-31T15:59:59.999Z',
+  });
+});
+
+test('invalid parameters are left out so the defaults apply', () => {
+  expect(parseViewQuery('?env=QA&range=Last%207%20days&compareTo=tomorrow&granularity=minute&timezone=Mars%2FOlympus')).toEqual({});
+  expect(parseViewQuery('?from=not-a-date&to=2025-01-31')).toEqual({});
+  expect(parseViewQuery('?f_status=only:new&f_channel=include:web, app,')).toEqual({
+    additionalFilters: { channel: { mode: 'include', values: ['web', 'app'] } },
+  });
+});
+
+test('a preset wins over dates, and the environment is case-insensitive', () => {
+  expect(parseViewQuery('?env=prd&range=month_to_date&from=2025-01-01&to=2025-01-31')).toEqual({
+    environment: 'PRD',
+    datePreset: 'month_to_date',
+  });
+});